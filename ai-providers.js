@@ -0,0 +1,433 @@
+/**
+ * AI Providers
+ * Mod generation talks to whichever model backend is configured through
+ * AI_PROVIDER: Gemini (default), any OpenAI-compatible API, an
+ * Anthropic-compatible API, a local llama.cpp/Ollama server, or canned mods
+ * from a fixtures directory for offline tests and development.
+ *
+ * Every provider implements:
+ *   generate({ system, prompt, backfire, onToken, signal }) -> raw model text
+ *     (streamed - onToken gets each piece as it arrives, and aborting
+ *     signal cancels the request)
+ *   test() -> { available, models }
+ *   missingConfig() -> reason the provider can't run, or null
+ */
+
+import { readFileSync, readdirSync } from "fs";
+import { join, basename, dirname } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Sampling settings shared by every model backend
+export const GENERATION_CONFIG = {
+  temperature: 0.7,
+  topP: 0.95,
+  maxOutputTokens: 2048,
+};
+
+// Throw with the status and body of a failed HTTP response
+async function checkResponse(response, providerName) {
+  if (response.ok) return;
+
+  const errorText = await response.text();
+  console.error(`${providerName} API error:`, response.status, errorText);
+  throw new Error(
+    `${providerName} API error: ${response.status} ${response.statusText}`,
+  );
+}
+
+// Yield the data of each server-sent event in a streamed response body
+async function* readEventStream(response) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, "\n");
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = block
+        .split("\n")
+        .filter((line) => line.startsWith("data:"))
+        .map((line) => line.slice(5).trimStart())
+        .join("\n");
+      if (data) yield data;
+    }
+  }
+}
+
+function requireText(text, data, providerName) {
+  if (typeof text !== "string" || text.length === 0) {
+    console.error(`Invalid ${providerName} API response structure:`, data);
+    throw new Error("AI generation failed - no code generated");
+  }
+  return text;
+}
+
+export class GeminiProvider {
+  constructor({ apiKey, model }) {
+    this.name = "gemini";
+    this.apiKey = apiKey;
+    this.model = model || "gemini-2.5-flash";
+    this.baseUrl = "https://generativelanguage.googleapis.com/v1beta";
+  }
+
+  missingConfig() {
+    return this.apiKey
+      ? null
+      : "GEMINI_API_KEY environment variable is not set";
+  }
+
+  async generate({ system, prompt, onToken = () => {}, signal }) {
+    const response = await fetch(
+      `${this.baseUrl}/models/${this.model}:streamGenerateContent?alt=sse&key=${this.apiKey}`,
+      {
+        method: "POST",
+        signal,
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          contents: [
+            {
+              parts: [
+                {
+                  text: `${system}\n\nUser Request:\n${prompt}`,
+                },
+              ],
+            },
+          ],
+          generationConfig: {
+            temperature: GENERATION_CONFIG.temperature,
+            topK: 40,
+            topP: GENERATION_CONFIG.topP,
+            maxOutputTokens: GENERATION_CONFIG.maxOutputTokens,
+          },
+        }),
+      },
+    );
+    await checkResponse(response, "Gemini");
+
+    let text = "";
+    let data = null;
+    for await (const event of readEventStream(response)) {
+      data = JSON.parse(event);
+
+      // Check if content was blocked by safety filters
+      if (data.promptFeedback?.blockReason) {
+        throw new Error(`Content blocked: ${data.promptFeedback.blockReason}`);
+      }
+
+      const piece = (data.candidates?.[0]?.content?.parts || [])
+        .map((part) => part.text || "")
+        .join("");
+      if (piece) {
+        text += piece;
+        onToken(piece);
+      }
+    }
+
+    return requireText(text, data, "Gemini");
+  }
+
+  async test() {
+    const response = await fetch(`${this.baseUrl}/models?key=${this.apiKey}`);
+    await checkResponse(response, "Gemini");
+
+    const data = await response.json();
+    return {
+      available: true,
+      models: data.models?.map((m) => m.name) || [],
+    };
+  }
+}
+
+// OpenAI chat completions API, or anything that speaks it
+export class OpenAICompatibleProvider {
+  constructor({ name = "openai", apiKey, baseUrl, model, requireKey = true }) {
+    this.name = name;
+    this.apiKey = apiKey;
+    this.baseUrl = (baseUrl || "https://api.openai.com/v1").replace(/\/$/, "");
+    this.model = model || "gpt-4o-mini";
+    this.requireKey = requireKey;
+  }
+
+  missingConfig() {
+    if (this.requireKey && !this.apiKey) {
+      return "OPENAI_API_KEY environment variable is not set";
+    }
+    return null;
+  }
+
+  headers() {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async generate({ system, prompt, onToken = () => {}, signal }) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      signal,
+      headers: this.headers(),
+      body: JSON.stringify({
+        model: this.model,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: prompt },
+        ],
+        temperature: GENERATION_CONFIG.temperature,
+        top_p: GENERATION_CONFIG.topP,
+        max_tokens: GENERATION_CONFIG.maxOutputTokens,
+        stream: true,
+      }),
+    });
+    await checkResponse(response, this.name);
+
+    let text = "";
+    let data = null;
+    for await (const event of readEventStream(response)) {
+      if (event === "[DONE]") break;
+      data = JSON.parse(event);
+
+      const piece = data.choices?.[0]?.delta?.content;
+      if (piece) {
+        text += piece;
+        onToken(piece);
+      }
+    }
+
+    return requireText(text, data, this.name);
+  }
+
+  async test() {
+    const response = await fetch(`${this.baseUrl}/models`, {
+      headers: this.headers(),
+    });
+    await checkResponse(response, this.name);
+
+    const data = await response.json();
+    return {
+      available: true,
+      models: data.data?.map((m) => m.id) || [],
+    };
+  }
+}
+
+// llama.cpp server and Ollama both expose the OpenAI API locally, no key
+export class LocalProvider extends OpenAICompatibleProvider {
+  constructor({ baseUrl, model }) {
+    super({
+      name: "local",
+      baseUrl: baseUrl || "http://localhost:11434/v1",
+      model: model || "llama3.1",
+      requireKey: false,
+    });
+  }
+}
+
+// Anthropic Messages API, or anything that speaks it
+export class AnthropicProvider {
+  constructor({ apiKey, baseUrl, model }) {
+    this.name = "anthropic";
+    this.apiKey = apiKey;
+    this.baseUrl = (baseUrl || "https://api.anthropic.com").replace(/\/$/, "");
+    this.model = model || "claude-3-5-haiku-latest";
+  }
+
+  missingConfig() {
+    return this.apiKey
+      ? null
+      : "ANTHROPIC_API_KEY environment variable is not set";
+  }
+
+  headers() {
+    return {
+      "Content-Type": "application/json",
+      "x-api-key": this.apiKey,
+      "anthropic-version": "2023-06-01",
+    };
+  }
+
+  async generate({ system, prompt, onToken = () => {}, signal }) {
+    const response = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: "POST",
+      signal,
+      headers: this.headers(),
+      body: JSON.stringify({
+        model: this.model,
+        system,
+        messages: [{ role: "user", content: prompt }],
+        temperature: GENERATION_CONFIG.temperature,
+        max_tokens: GENERATION_CONFIG.maxOutputTokens,
+        stream: true,
+      }),
+    });
+    await checkResponse(response, "Anthropic");
+
+    let text = "";
+    let data = null;
+    for await (const event of readEventStream(response)) {
+      data = JSON.parse(event);
+
+      if (data.type === "error") {
+        throw new Error(`Anthropic API error: ${data.error?.message}`);
+      }
+      if (
+        data.type === "content_block_delta" &&
+        data.delta?.type === "text_delta"
+      ) {
+        text += data.delta.text;
+        onToken(data.delta.text);
+      }
+    }
+
+    return requireText(text, data, "Anthropic");
+  }
+
+  async test() {
+    const response = await fetch(`${this.baseUrl}/v1/models`, {
+      headers: this.headers(),
+    });
+    await checkResponse(response, "Anthropic");
+
+    const data = await response.json();
+    return {
+      available: true,
+      models: data.data?.map((m) => m.id) || [],
+    };
+  }
+}
+
+/**
+ * Canned mods from a directory, chosen deterministically from the request
+ * - backfire-*.js fixtures answer backfire requests, the rest normal ones
+ * - A fixture whose name words all appear in the prompt wins (god-mode.js
+ *   for "give me god mode"); otherwise the prompt's hash picks one
+ * - _*.js fixtures are only used on a name match (e.g. _syntax-error.js for
+ *   "syntax error"), to exercise retries and fallbacks on purpose
+ * Files are read on every call so fixtures can be edited while running.
+ * The text is streamed line by line, delayMs apart (to try progress UIs).
+ */
+export class FixtureProvider {
+  constructor({ directory, delayMs }) {
+    this.name = "fixture";
+    this.directory = directory || join(__dirname, "fixtures", "mods");
+    this.delayMs = Math.max(0, Number(delayMs) || 0);
+  }
+
+  missingConfig() {
+    try {
+      return this.listFixtures().length > 0
+        ? null
+        : `no .js fixtures in ${this.directory}`;
+    } catch (error) {
+      return `can't read fixtures directory ${this.directory}: ${error.message}`;
+    }
+  }
+
+  listFixtures() {
+    return readdirSync(this.directory)
+      .filter((file) => file.endsWith(".js"))
+      .sort();
+  }
+
+  pickFixture(prompt, backfire) {
+    const request = prompt.toLowerCase();
+    const candidates = this.listFixtures().filter(
+      (file) => file.replace(/^_/, "").startsWith("backfire") === backfire,
+    );
+
+    const matched = candidates.find((file) =>
+      basename(file, ".js")
+        .replace(/^_/, "")
+        .split("-")
+        .filter((word) => word !== "backfire")
+        .every((word) => request.includes(word)),
+    );
+    if (matched) return matched;
+
+    const pool = candidates.filter((file) => !file.startsWith("_"));
+    if (pool.length === 0) {
+      throw new Error(
+        `No ${backfire ? "backfire " : ""}fixture mods in ${this.directory}`,
+      );
+    }
+
+    let hash = 0;
+    for (const char of request) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return pool[hash % pool.length];
+  }
+
+  async generate({ prompt, backfire = false, onToken = () => {}, signal }) {
+    const file = this.pickFixture(prompt, backfire);
+    console.log(`🧩 Fixture provider answering with ${file}`);
+    const text = readFileSync(join(this.directory, file), "utf8");
+
+    for (const line of text.match(/[^\n]*\n|[^\n]+$/g) || []) {
+      if (this.delayMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, this.delayMs));
+      }
+      signal?.throwIfAborted();
+      onToken(line);
+    }
+
+    return text;
+  }
+
+  async test() {
+    return { available: true, models: this.listFixtures() };
+  }
+}
+
+/**
+ * Create the provider selected by AI_PROVIDER (default: gemini)
+ * @param {Object} env - Environment variables (process.env)
+ */
+export function createAIProvider(env) {
+  const providerName = (env.AI_PROVIDER || "gemini").toLowerCase();
+
+  switch (providerName) {
+    case "gemini":
+      return new GeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        model: env.GEMINI_MODEL,
+      });
+    case "openai":
+      return new OpenAICompatibleProvider({
+        apiKey: env.OPENAI_API_KEY,
+        baseUrl: env.OPENAI_BASE_URL,
+        model: env.OPENAI_MODEL,
+      });
+    case "anthropic":
+      return new AnthropicProvider({
+        apiKey: env.ANTHROPIC_API_KEY,
+        baseUrl: env.ANTHROPIC_BASE_URL,
+        model: env.ANTHROPIC_MODEL,
+      });
+    case "local":
+      return new LocalProvider({
+        baseUrl: env.LOCAL_AI_URL,
+        model: env.LOCAL_AI_MODEL,
+      });
+    case "fixture":
+      return new FixtureProvider({
+        directory: env.AI_FIXTURES_DIR,
+        delayMs: env.AI_FIXTURES_DELAY_MS,
+      });
+    default:
+      throw new Error(
+        `Unknown AI_PROVIDER "${providerName}" (expected gemini, openai, anthropic, local or fixture)`,
+      );
+  }
+}
+
+export default createAIProvider;
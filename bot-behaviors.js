@@ -0,0 +1,685 @@
+/**
+ * Bot Behaviors
+ * The bot brain as a utility AI: each named behavior (retreat, seek cover,
+ * engage, investigate sound, grab pickup, patrol waypoint...) scores how much
+ * it wants to run given what a bot perceives, and the best score times the
+ * behavior's weight runs. Behaviors only touch the game through the actions
+ * they're handed, so decisions can be made and checked without a server.
+ * Persistent mods add behaviors and change weights through the mod API; what
+ * a mod registers is dropped when it ends.
+ */
+
+export const BOT_BEHAVIOR_CONFIG = {
+  HUNT_WALL_SHOT_MEMORY: 3000, // ms a sighting behind a wall is worth a shot
+  FLANK_COMMIT: 5000, // ms a bot sticks with the flank route it picked
+  PROGRESS_CHECK_INTERVAL: 3000, // How often bots check they're moving...
+  PROGRESS_MIN_DISTANCE: 200, // ...by covering at least this many pixels
+  MAX_MOD_PRIORITY: 20, // Highest priority a mod behavior can have
+};
+
+// What a mod behavior's action can be (see createModBehavior)
+export const MOD_BEHAVIOR_ACTIONS = ["moveTo", "follow", "pickup", "hold"];
+
+// ====== PERCEPTION ======
+
+/**
+ * The nearest gunshot a bot can hear (footsteps don't draw bots in)
+ * @param {Object} bot
+ * @param {Array} sounds - Sound events ({ x, y, type, sourceId })
+ * @param {Object} ranges - Hearing range by sound type ({ gunshot, footstep })
+ * @param {Object} profile - The bot's difficulty profile
+ * @returns {Object|null} { x, y, dist, type }
+ */
+export function listen(bot, sounds, ranges, profile) {
+  let heard = null;
+  for (const sound of sounds) {
+    if (sound.sourceId === bot.id || sound.type !== "gunshot") continue;
+
+    const dist = Math.hypot(sound.x - bot.x, sound.y - bot.y);
+    const hearingRange = ranges[sound.type] * profile.hearingMultiplier;
+    if (dist < hearingRange && (!heard || dist < heard.dist)) {
+      heard = { x: sound.x, y: sound.y, dist, type: sound.type };
+    }
+  }
+  return heard;
+}
+
+/**
+ * Who a bot should shoot at: the nearest enemy in sight (counting the focus
+ * bonus as distance), and for rifles the nearest one it could shoot through
+ * a single wall
+ * @param {Object} bot
+ * @param {Array} enemies - Living opponents, humans first
+ * @param {Object} profile - The bot's difficulty profile
+ * @param {Object} senses - { hasLineOfSight, canShootThroughWall } (x1, y1,
+ *   x2, y2[, range]), and optionally focusBonus(enemy): px closer an enemy
+ *   should seem (see getFocusBonus in bot-memory.js)
+ * @returns {Object} { target, targetDist, behindWall, behindWallDist,
+ *   visible: every enemy in sight }
+ */
+export function findTargets(bot, enemies, profile, senses) {
+  const visionRange = profile.visionRange;
+  const found = {
+    target: null,
+    targetDist: Infinity,
+    behindWall: null,
+    behindWallDist: Infinity,
+    visible: [],
+  };
+  let targetScore = Infinity;
+
+  for (const enemy of enemies) {
+    const dist = Math.hypot(enemy.x - bot.x, enemy.y - bot.y);
+    if (dist >= visionRange) continue;
+
+    if (senses.hasLineOfSight(bot.x, bot.y, enemy.x, enemy.y)) {
+      found.visible.push(enemy);
+      const score = dist - (senses.focusBonus ? senses.focusBonus(enemy) : 0);
+      if (score < targetScore) {
+        targetScore = score;
+        found.targetDist = dist;
+        found.target = enemy;
+      }
+    } else if (
+      bot.weapon === "rifle" &&
+      dist < found.behindWallDist &&
+      senses.canShootThroughWall(bot.x, bot.y, enemy.x, enemy.y, visionRange)
+    ) {
+      found.behindWallDist = dist;
+      found.behindWall = enemy;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Whether a bot has been stuck in one area: checked every few seconds, it
+ * must have covered some ground unless it's fighting or hurt. Resets the
+ * tracking each check
+ * @returns {boolean} True if it hasn't and should head somewhere else
+ */
+export function checkProgress(bot, now, inCombat, isHurt) {
+  if (now - bot.areaCheckTimer <= BOT_BEHAVIOR_CONFIG.PROGRESS_CHECK_INTERVAL) {
+    return false;
+  }
+
+  const stuck =
+    bot.totalDistanceMoved < BOT_BEHAVIOR_CONFIG.PROGRESS_MIN_DISTANCE &&
+    !inCombat &&
+    !isHurt;
+  bot.areaCheckTimer = now;
+  bot.totalDistanceMoved = 0;
+  return stuck;
+}
+
+// ====== BUILT-IN BEHAVIORS ======
+// A behavior is { description, score(ctx), run(ctx) }. The context holds the
+// bot, what it perceives and the actions it can take:
+// - bot, now, profile (difficulty), isLowHealth, isAggressive
+// - target/targetDist: nearest enemy in sight; behindWall/behindWallDist:
+//   nearest one a rifle could shoot through a wall
+// - hasReacted: reaction time to whoever it spotted has passed
+// - objective: where the game mode wants it ({ x, y, urgent }) or null
+// - lastKnown: the freshest enemy sighting in bot.memory (a BotMemory, see
+//   bot-memory.js) or null
+// - game: steer(x, y, speedFactor) -> angle, aimAt(target) -> aimed, shoot(),
+//   throwGrenade(power), hasLineOfSight(x1, y1, x2, y2),
+//   canShootThroughWall(x1, y1, x2, y2, range), findBestPickup(),
+//   findNearestPickup(types), findNearestCover(enemyX, enemyY),
+//   findFlankWaypoint(enemy), getStrategicWaypoint(), findEntity(id),
+//   weapons, playerSpeed
+// Scores rank the built-ins: a mod behavior scoring between two of them
+// wins over the lower one
+
+// Set the bot's velocity along an angle (negative speed backs away)
+function moveAlong(ctx, angle, speedFactor) {
+  const moveSpeed = ctx.game.playerSpeed * speedFactor;
+  ctx.bot.vx = Math.cos(angle) * moveSpeed;
+  ctx.bot.vy = Math.sin(angle) * moveSpeed;
+}
+
+function angleTo(bot, point) {
+  return Math.atan2(point.y - bot.y, point.x - bot.x);
+}
+
+function distanceTo(bot, point) {
+  return Math.hypot(point.x - bot.x, point.y - bot.y);
+}
+
+// findBestPickup, looked up at most once per decision
+function getBestPickup(ctx) {
+  if (ctx.bestPickup === undefined) {
+    ctx.bestPickup = ctx.game.findBestPickup();
+  }
+  return ctx.bestPickup;
+}
+
+function isWorthSeeking(pickup, bot) {
+  return (
+    pickup.type.startsWith("armor") ||
+    pickup.type.startsWith("weapon") ||
+    (pickup.type.startsWith("health") && bot.health < 70)
+  );
+}
+
+// The waypoint a bot is flanking the enemy it remembers best through, or
+// null if it isn't (no teammates on them, no route, or already there). A
+// route is kept for a while so the bot doesn't change its mind every decision
+function getFlankRoute(ctx) {
+  const { bot, lastKnown, now } = ctx;
+  if (!lastKnown) return null;
+
+  let route = bot.flankRoute;
+  if (!route || route.enemyId !== lastKnown.enemyId || now > route.until) {
+    const waypoint = ctx.game.findFlankWaypoint(lastKnown);
+    route = bot.flankRoute = {
+      enemyId: lastKnown.enemyId,
+      x: waypoint ? waypoint.x : null,
+      y: waypoint ? waypoint.y : null,
+      reached: !waypoint,
+      until: now + BOT_BEHAVIOR_CONFIG.FLANK_COMMIT,
+    };
+  }
+  return route.reached ? null : route;
+}
+
+// Walk to a point and hold it there, shooting at any enemy in range on the way
+function moveToward(ctx, point) {
+  const { bot, target, game } = ctx;
+  let angle = angleTo(bot, point);
+
+  if (distanceTo(bot, point) > 20) {
+    angle = game.steer(point.x, point.y, 0.8);
+  } else {
+    // Arrived - hold the spot
+    bot.vx = 0;
+    bot.vy = 0;
+  }
+
+  if (target && ctx.targetDist <= game.weapons[bot.weapon].maxEngageRange) {
+    const aimed = game.aimAt(target);
+    if (aimed && ctx.hasReacted && Math.random() < 0.5) {
+      game.shoot();
+    }
+  } else {
+    bot.aimAngle = angle;
+  }
+}
+
+export const BUILTIN_BEHAVIORS = {
+  retreat: {
+    description: "Low on health with nobody in sight: go for health",
+    score: (ctx) => (ctx.isLowHealth && !ctx.target ? 10 : 0),
+    run(ctx) {
+      const { bot, game } = ctx;
+      const healthPickup = getBestPickup(ctx);
+
+      if (healthPickup && healthPickup.type.startsWith("health")) {
+        // Move fast and directly when health is close and visible
+        if (
+          distanceTo(bot, healthPickup) < 200 &&
+          game.hasLineOfSight(bot.x, bot.y, healthPickup.x, healthPickup.y)
+        ) {
+          const angle = angleTo(bot, healthPickup);
+          moveAlong(ctx, angle, 0.85);
+          bot.aimAngle = angle;
+        } else {
+          // Path around obstacles to reach health
+          bot.aimAngle = game.steer(healthPickup.x, healthPickup.y, 0.75);
+        }
+      } else if (bot.lastHeardSound) {
+        // No health nearby, just get away from the last danger heard
+        const retreatAngle = angleTo(bot, bot.lastHeardSound) + Math.PI;
+        moveAlong(ctx, retreatAngle, 0.7);
+        bot.aimAngle = retreatAngle + Math.PI; // Look behind while retreating
+      }
+    },
+  },
+
+  seekCover: {
+    description: "Low on health under fire: fall back behind cover, shooting",
+    score: (ctx) => (ctx.isLowHealth && ctx.target ? 9 : 0),
+    run(ctx) {
+      const { bot, target, game } = ctx;
+      const aimed = game.aimAt(target);
+
+      // Behind cover if there's some nearby, otherwise keep distance
+      const cover = game.findNearestCover(target.x, target.y);
+      if (cover) {
+        game.steer(cover.x, cover.y, 0.75);
+      } else {
+        moveAlong(ctx, angleTo(bot, target), -0.6);
+      }
+
+      if (
+        ctx.hasReacted &&
+        aimed &&
+        ctx.targetDist <= 400 &&
+        Math.random() < 0.4 &&
+        game.hasLineOfSight(bot.x, bot.y, target.x, target.y)
+      ) {
+        game.shoot();
+      }
+    },
+  },
+
+  objective: {
+    description: "Go for the game mode's objective (fighting on the way)",
+    score: (ctx) => {
+      if (!ctx.objective) return 0;
+      return ctx.objective.urgent ? 8 : 5;
+    },
+    run: (ctx) => moveToward(ctx, ctx.objective),
+  },
+
+  engage: {
+    description: "Fight the nearest enemy in sight at the weapon's range",
+    score: (ctx) => (ctx.target ? 7 : 0),
+    run(ctx) {
+      const { bot, target, targetDist, isAggressive, game } = ctx;
+      const weaponData = game.weapons[bot.weapon];
+      if (targetDist > weaponData.maxEngageRange) return;
+
+      const angleToTarget = angleTo(bot, target);
+      const aimed = game.aimAt(target);
+      const minRange = weaponData.minEngageRange;
+
+      // Aggressive bots get closer
+      const aggressionFactor = isAggressive ? 0.8 : 1.0;
+      const optimalMin = weaponData.optimalRange.min * aggressionFactor;
+      const optimalMax = weaponData.optimalRange.max * aggressionFactor;
+
+      if (targetDist < minRange) {
+        // Too close - back away while shooting
+        moveAlong(ctx, angleToTarget, -0.65);
+      } else if (targetDist < optimalMin) {
+        // Approaching optimal range - back up slightly
+        moveAlong(ctx, angleToTarget, -0.5);
+      } else if (targetDist > optimalMax) {
+        // Too far - move closer
+        moveAlong(ctx, angleToTarget, isAggressive ? 0.75 : 0.6);
+      } else {
+        // In optimal range - strafe, in one direction until changing
+        if (!bot.strafeDir || Math.random() < 0.05) {
+          bot.strafeDir = Math.random() > 0.5 ? 1 : -1;
+        }
+        moveAlong(ctx, angleToTarget + Math.PI / 2, 0.5 * bot.strafeDir);
+      }
+
+      const shootChance = isAggressive ? 0.9 : 0.75;
+      if (
+        ctx.hasReacted &&
+        aimed &&
+        targetDist >= minRange &&
+        Math.random() < shootChance &&
+        game.hasLineOfSight(bot.x, bot.y, target.x, target.y)
+      ) {
+        game.shoot();
+      }
+
+      // Grenades at medium-long range, at the difficulty's grenadeChance
+      if (
+        ctx.hasReacted &&
+        bot.grenades > 0 &&
+        targetDist >= 150 &&
+        targetDist <= 400 &&
+        game.hasLineOfSight(bot.x, bot.y, target.x, target.y) &&
+        Math.random() < ctx.profile.grenadeChance
+      ) {
+        // Closer = less power (30-100%)
+        const powerPercent = Math.min(1.0, (targetDist - 150) / 250);
+        game.throwGrenade(0.3 + powerPercent * 0.7);
+      }
+    },
+  },
+
+  wallShot: {
+    description: "Rifle only: shoot an enemy through a single wall",
+    score: (ctx) => (ctx.behindWall && ctx.bot.weapon === "rifle" ? 6 : 0),
+    run(ctx) {
+      const { bot, behindWall, behindWallDist, game } = ctx;
+      const weaponData = game.weapons[bot.weapon];
+      const minRange = weaponData.minEngageRange;
+      const angleToTarget = angleTo(bot, behindWall);
+      const aimed = game.aimAt(behindWall);
+
+      if (behindWallDist > weaponData.optimalRange.max) {
+        moveAlong(ctx, angleToTarget, 0.7);
+      } else if (behindWallDist < minRange) {
+        moveAlong(ctx, angleToTarget, -0.6);
+      } else {
+        // In good range - strafe to hold position
+        moveAlong(ctx, angleToTarget + Math.PI / 2, 0.4 * (bot.strafeDir || 1));
+      }
+
+      const wallShootChance = ctx.isAggressive ? 0.85 : 0.7;
+      if (
+        ctx.hasReacted &&
+        aimed &&
+        behindWallDist >= minRange &&
+        behindWallDist <= weaponData.maxEngageRange &&
+        Math.random() < wallShootChance
+      ) {
+        game.shoot();
+      }
+    },
+  },
+
+  flank: {
+    description: "Come at a remembered enemy from another side than teammates",
+    score: (ctx) => (getFlankRoute(ctx) ? 4.5 : 0),
+    run(ctx) {
+      const route = getFlankRoute(ctx);
+      if (distanceTo(ctx.bot, route) < 100) {
+        // In position - close in from here (hunt)
+        route.reached = true;
+        return;
+      }
+      ctx.bot.aimAngle = ctx.game.steer(route.x, route.y, 0.85);
+    },
+  },
+
+  hunt: {
+    description: "Head to where an enemy was last seen or called out",
+    score: (ctx) => (ctx.lastKnown ? 4 : 0),
+    run(ctx) {
+      const { bot, now, lastKnown, game } = ctx;
+
+      if (distanceTo(bot, lastKnown) <= 100) {
+        // Got there - nobody around
+        bot.memory.forget(lastKnown.enemyId);
+        return;
+      }
+
+      bot.aimAngle = game.steer(lastKnown.x, lastKnown.y, 0.8);
+
+      // Rifles try a shot through the wall they were last seen behind
+      if (
+        bot.weapon === "rifle" &&
+        lastKnown.behindWall &&
+        now - lastKnown.time < BOT_BEHAVIOR_CONFIG.HUNT_WALL_SHOT_MEMORY &&
+        game.canShootThroughWall(
+          bot.x,
+          bot.y,
+          lastKnown.x,
+          lastKnown.y,
+          ctx.profile.visionRange,
+        ) &&
+        Math.random() < 0.6
+      ) {
+        game.shoot();
+      }
+    },
+  },
+
+  investigateSound: {
+    description: "Run toward gunfire",
+    score: (ctx) => {
+      const sound = ctx.bot.lastHeardSound;
+      return sound && sound.type === "gunshot" && sound.dist > 50 ? 3 : 0;
+    },
+    run(ctx) {
+      const sound = ctx.bot.lastHeardSound;
+      ctx.bot.aimAngle = ctx.game.steer(sound.x, sound.y, 0.8);
+    },
+  },
+
+  grabPickup: {
+    description: "Get armor, a better weapon, or health when hurt",
+    score: (ctx) => {
+      const pickup = getBestPickup(ctx);
+      return pickup && isWorthSeeking(pickup, ctx.bot) ? 2 : 0;
+    },
+    run(ctx) {
+      const pickup = getBestPickup(ctx);
+      ctx.bot.lastHeardSound = null;
+      if (pickup) {
+        ctx.bot.aimAngle = ctx.game.steer(pickup.x, pickup.y, 0.75);
+      }
+    },
+  },
+
+  patrolWaypoint: {
+    description: "Move between strategic waypoints",
+    score: () => 1,
+    run(ctx) {
+      const { bot, now, game } = ctx;
+      bot.lastHeardSound = null;
+
+      // New waypoint every 5-8 seconds or when reached
+      if (!bot.strategicWaypoint || now > bot.waypointTimer) {
+        bot.strategicWaypoint = game.getStrategicWaypoint();
+        bot.waypointTimer = now + 5000 + Math.random() * 3000;
+      }
+      if (!bot.strategicWaypoint) return;
+
+      if (distanceTo(bot, bot.strategicWaypoint) < 100) {
+        bot.strategicWaypoint = game.getStrategicWaypoint();
+        bot.waypointTimer = now + 5000 + Math.random() * 3000;
+        return;
+      }
+
+      bot.aimAngle = game.steer(
+        bot.strategicWaypoint.x,
+        bot.strategicWaypoint.y,
+        0.7,
+      );
+    },
+  },
+};
+
+// ====== MOD BEHAVIORS ======
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// One name or a list of them
+const matchesAny = (names, value) =>
+  Array.isArray(names) ? names.includes(value) : names === value;
+
+function matchesConditions(when, ctx) {
+  const { bot } = ctx;
+  if (isNumber(when.minHealth) && bot.health < when.minHealth) return false;
+  if (isNumber(when.maxHealth) && bot.health > when.maxHealth) return false;
+  if (
+    typeof when.hasTarget === "boolean" &&
+    Boolean(ctx.target) !== when.hasTarget
+  ) {
+    return false;
+  }
+  if (when.weapon !== undefined && !matchesAny(when.weapon, bot.weapon)) {
+    return false;
+  }
+  if (when.notWeapon !== undefined && matchesAny(when.notWeapon, bot.weapon)) {
+    return false;
+  }
+  return true;
+}
+
+// Where a mod behavior's action takes the bot, or null if it can't run now
+function getActionPoint(action, ctx) {
+  switch (action.type) {
+    case "moveTo":
+      return { x: action.x, y: action.y };
+    case "follow": {
+      const entity = ctx.game.findEntity(action.playerId);
+      return entity && entity.health > 0 && entity.id !== ctx.bot.id
+        ? entity
+        : null;
+    }
+    case "pickup":
+      return ctx.game.findNearestPickup(action.types);
+    case "hold":
+      return { x: ctx.bot.x, y: ctx.bot.y };
+    default:
+      return null;
+  }
+}
+
+function isValidAction(action) {
+  if (!action || !MOD_BEHAVIOR_ACTIONS.includes(action.type)) return false;
+  switch (action.type) {
+    case "moveTo":
+      return isNumber(action.x) && isNumber(action.y);
+    case "follow":
+      return typeof action.playerId === "string";
+    case "pickup":
+      return (
+        Array.isArray(action.types) &&
+        action.types.length > 0 &&
+        action.types.every((type) => typeof type === "string")
+      );
+    default:
+      return true;
+  }
+}
+
+/**
+ * A behavior from a mod's declarative spec (mods can't hand over functions):
+ * {
+ *   priority: 7.5, // Score when it applies - e.g. 7.5 beats engage (7)
+ *   description: "...",
+ *   when: { minHealth, maxHealth, hasTarget, weapon, notWeapon },
+ *   action: { type: "moveTo", x, y } | { type: "follow", playerId } |
+ *           { type: "pickup", types: ["weapon_shotgun"] } | { type: "hold" }
+ * }
+ * Every action shoots at enemies in range on the way, like objectives
+ * @returns {Object|null} The behavior, or null if the spec is invalid
+ */
+export function createModBehavior(spec) {
+  if (!spec || typeof spec !== "object") return null;
+  const { priority, when = {}, action } = spec;
+  if (
+    !isNumber(priority) ||
+    priority <= 0 ||
+    priority > BOT_BEHAVIOR_CONFIG.MAX_MOD_PRIORITY ||
+    typeof when !== "object" ||
+    !isValidAction(action)
+  ) {
+    return null;
+  }
+
+  return {
+    description:
+      typeof spec.description === "string"
+        ? spec.description.slice(0, 100)
+        : `Mod behavior (${action.type})`,
+    score: (ctx) =>
+      matchesConditions(when, ctx) && getActionPoint(action, ctx)
+        ? priority
+        : 0,
+    run(ctx) {
+      const point = getActionPoint(action, ctx);
+      if (point) moveToward(ctx, point);
+    },
+  };
+}
+
+// ====== BRAIN ======
+
+export class BotBrain {
+  constructor(behaviors = BUILTIN_BEHAVIORS) {
+    this.behaviors = new Map(); // name -> { behavior, owner }
+    this.weights = new Map(); // Behavior name -> { weight, owner }
+    this.pickupWeights = new Map(); // Pickup type -> { weight, owner }
+
+    for (const [name, behavior] of Object.entries(behaviors)) {
+      this.behaviors.set(name, { behavior, owner: null });
+    }
+  }
+
+  /**
+   * Add a behavior (built-ins can't be replaced)
+   * @param {string} owner - Mod that added it, if any
+   * @returns {boolean} Whether it was added
+   */
+  register(name, behavior, owner = null) {
+    const existing = this.behaviors.get(name);
+    if (existing && existing.owner === null) return false;
+    this.behaviors.set(name, { behavior, owner });
+    return true;
+  }
+
+  /**
+   * Scale a behavior's score (1 = as is, 0 = never)
+   * @returns {boolean} False if there's no such behavior
+   */
+  setWeight(name, weight, owner = null) {
+    if (!this.behaviors.has(name) || !isNumber(weight) || weight < 0) {
+      return false;
+    }
+    this.weights.set(name, { weight, owner });
+    return true;
+  }
+
+  getWeight(name) {
+    const entry = this.weights.get(name);
+    return entry ? entry.weight : 1;
+  }
+
+  // Scale how much bots want a pickup type (0 = they leave it alone)
+  setPickupWeight(type, weight, owner = null) {
+    if (!isNumber(weight) || weight < 0) return false;
+    this.pickupWeights.set(type, { weight, owner });
+    return true;
+  }
+
+  getPickupWeight(type) {
+    const entry = this.pickupWeights.get(type);
+    return entry ? entry.weight : 1;
+  }
+
+  // Drop everything a mod added or changed
+  removeOwner(owner) {
+    for (const map of [this.behaviors, this.weights, this.pickupWeights]) {
+      for (const [key, entry] of map) {
+        if (entry.owner === owner) map.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Score every behavior for a decision
+   * @returns {Object} { behavior: name of the winner or null, scores }
+   */
+  decide(ctx) {
+    const scores = {};
+    let best = null;
+    let bestScore = 0;
+
+    for (const [name, { behavior }] of this.behaviors) {
+      const weight = this.getWeight(name);
+      const score = weight > 0 ? behavior.score(ctx) * weight : 0;
+      scores[name] = score;
+      // Ties go to whichever was registered first
+      if (score > bestScore) {
+        bestScore = score;
+        best = name;
+      }
+    }
+
+    return { behavior: best, scores };
+  }
+
+  // Decide and run the winner, leaving the decision on the bot for debugging
+  think(ctx) {
+    const decision = this.decide(ctx);
+    ctx.bot.decision = { ...decision, at: ctx.now };
+    if (decision.behavior) {
+      this.behaviors.get(decision.behavior).behavior.run(ctx);
+    }
+    return decision;
+  }
+
+  // Behaviors and their weights, for the API
+  describe() {
+    return Array.from(this.behaviors, ([name, { behavior, owner }]) => ({
+      name,
+      description: behavior.description,
+      weight: this.getWeight(name),
+      owner,
+    }));
+  }
+}
+
+export default BotBrain;
@@ -0,0 +1,144 @@
+/**
+ * Bot Difficulty
+ * Named profiles for how well bots play: how quickly they react to someone
+ * new, how far off their aim is, how fast they turn onto a target, how often
+ * they throw grenades, when they retreat, and how far they see and hear.
+ * The server's default comes from BOT_DIFFICULTY and each bot can be set on
+ * its own. Adaptive bots play somewhere between easy and hard, depending on
+ * the K/D of the human they're up against.
+ */
+
+export const BOT_DIFFICULTIES = {
+  easy: {
+    name: "Easy",
+    reactionTime: 700, // ms from spotting someone to shooting at them
+    thinkInterval: 350, // ms between decisions
+    aimError: 0.12, // Radians the aim can be off at point blank...
+    aimErrorPerDistance: 0.03, // ...plus this much per 100px away...
+    aimErrorPerSpeed: 0.15, // ...plus this much if the target runs flat out
+    trackingSpeed: 3, // Radians a second the aim can turn
+    grenadeChance: 0.05, // Chance per decision of throwing at a target in range
+    retreatThreshold: 0.5, // Share of health left when they go for health
+    visionRange: 600,
+    hearingMultiplier: 0.6, // Scales SOUND_CONFIG's hearing ranges
+  },
+  normal: {
+    name: "Normal",
+    reactionTime: 350,
+    thinkInterval: 200,
+    aimError: 0.05,
+    aimErrorPerDistance: 0.015,
+    aimErrorPerSpeed: 0.08,
+    trackingSpeed: 6,
+    grenadeChance: 0.2,
+    retreatThreshold: 0.35,
+    visionRange: 900,
+    hearingMultiplier: 1,
+  },
+  hard: {
+    name: "Hard",
+    reactionTime: 150,
+    thinkInterval: 150,
+    aimError: 0.02,
+    aimErrorPerDistance: 0.006,
+    aimErrorPerSpeed: 0.03,
+    trackingSpeed: 12,
+    grenadeChance: 0.3,
+    retreatThreshold: 0.25,
+    visionRange: 1100,
+    hearingMultiplier: 1.3,
+  },
+};
+
+export const ADAPTIVE_DIFFICULTY = "adaptive";
+export const DEFAULT_BOT_DIFFICULTY = "normal";
+
+// Adaptive bots play like these at skill 0, 0.5 and 1
+const ADAPTIVE_RANGE = ["easy", "normal", "hard"];
+
+export function isBotDifficulty(difficulty) {
+  return (
+    difficulty === ADAPTIVE_DIFFICULTY ||
+    Object.hasOwn(BOT_DIFFICULTIES, difficulty)
+  );
+}
+
+// Difficulties as they're offered (API, room info)
+export function listBotDifficulties() {
+  return [
+    ...Object.entries(BOT_DIFFICULTIES).map(([id, profile]) => ({
+      id,
+      name: profile.name,
+    })),
+    { id: ADAPTIVE_DIFFICULTY, name: "Adaptive" },
+  ];
+}
+
+/**
+ * How good a human is, from 0 to 1, by K/D: 1.0 is 0.5, twice as many kills
+ * as deaths is 1, half as many is 0. Starts out counting two of each, so a
+ * few early kills or deaths don't swing it
+ * @param {Object} player - Human player (kills, deaths)
+ * @returns {number}
+ */
+export function getPlayerSkill(player) {
+  const kd = (player.kills + 2) / (player.deaths + 2);
+  return Math.max(0, Math.min(1, 0.5 + Math.log2(kd) / 2));
+}
+
+// Average skill of the humans in a room (0.5 if there are none)
+export function getAverageSkill(players) {
+  const skills = [...players].map(getPlayerSkill);
+  if (skills.length === 0) return 0.5;
+  return skills.reduce((sum, skill) => sum + skill, 0) / skills.length;
+}
+
+function lerpProfiles(from, to, t) {
+  const profile = { ...from };
+  for (const [key, value] of Object.entries(from)) {
+    if (typeof value === "number") {
+      profile[key] = value + (to[key] - value) * t;
+    }
+  }
+  return profile;
+}
+
+/**
+ * The numbers a bot plays by
+ * @param {string} difficulty - A BOT_DIFFICULTIES id or "adaptive"
+ * @param {number} skill - For adaptive bots: how good their opponent is (0-1)
+ * @returns {Object} A profile like those in BOT_DIFFICULTIES
+ */
+export function getDifficultyProfile(difficulty, skill = 0.5) {
+  if (difficulty !== ADAPTIVE_DIFFICULTY) {
+    return (
+      BOT_DIFFICULTIES[difficulty] || BOT_DIFFICULTIES[DEFAULT_BOT_DIFFICULTY]
+    );
+  }
+
+  const position =
+    Math.max(0, Math.min(1, skill)) * (ADAPTIVE_RANGE.length - 1);
+  const index = Math.min(ADAPTIVE_RANGE.length - 2, Math.floor(position));
+  return {
+    ...lerpProfiles(
+      BOT_DIFFICULTIES[ADAPTIVE_RANGE[index]],
+      BOT_DIFFICULTIES[ADAPTIVE_RANGE[index + 1]],
+      position - index,
+    ),
+    name: "Adaptive",
+  };
+}
+
+/**
+ * How far off (either way, in radians) a bot's aim can be
+ * @param {Object} profile - From getDifficultyProfile
+ * @param {number} distance - To the target, in pixels
+ * @param {number} targetSpeed - The target's speed as a share of full speed
+ */
+export function getAimError(profile, distance, targetSpeed) {
+  return (
+    profile.aimError +
+    profile.aimErrorPerDistance * (distance / 100) +
+    profile.aimErrorPerSpeed * Math.min(1, targetSpeed)
+  );
+}
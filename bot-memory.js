@@ -0,0 +1,151 @@
+/**
+ * Bot Memory
+ * Where each bot last knew its enemies to be: sightings of its own and
+ * callouts from teammates who spotted them. Memories fade - a bot is less
+ * sure the older one is, and forgets it after BOT_MEMORY_CONFIG.SPAN. Also the
+ * team tactics built on it: focus fire (teammates' targets look closer) and
+ * flanking (coming at an enemy from another side than teammates).
+ */
+
+export const BOT_MEMORY_CONFIG = {
+  SPAN: 8000, // ms an enemy's position is remembered
+  CALLOUT_INTERVAL: 5000, // ms between telling humans about the same enemy
+  FOCUS_BONUS: 150, // px closer a target seems per teammate shooting it...
+  MAX_FOCUS_BONUS: 300, // ...up to this much
+  WOUNDED_BONUS: 100, // px closer a target with no health left would seem
+  FLANK_RANGE: 600, // Waypoints this close to an enemy can be a flank route...
+  FLANK_MIN_DIST: 150, // ...if they're not right on top of them...
+  FLANK_MIN_ANGLE: Math.PI / 3, // ...and this far round from any teammate
+};
+
+export class BotMemory {
+  constructor(span = BOT_MEMORY_CONFIG.SPAN) {
+    this.span = span;
+    this.enemies = new Map(); // enemyId -> sighting
+  }
+
+  /**
+   * Remember where an enemy was. Older news doesn't replace newer
+   * @param {string} enemyId
+   * @param {Object} sighting - { x, y, time, behindWall, source: "sight" or
+   *   "callout", by: who called it out }
+   * @returns {boolean} Whether it was news
+   */
+  remember(enemyId, sighting) {
+    const known = this.enemies.get(enemyId);
+    if (known && known.time > sighting.time) return false;
+    this.enemies.set(enemyId, { enemyId, behindWall: false, ...sighting });
+    return true;
+  }
+
+  forget(enemyId) {
+    this.enemies.delete(enemyId);
+  }
+
+  // How sure the bot still is, from 1 (just now) down to 0 (forgotten)
+  confidence(sighting, now) {
+    return Math.max(0, 1 - (now - sighting.time) / this.span);
+  }
+
+  /**
+   * Forget what's too old, and enemies that are no longer worth remembering
+   * @param {Function} isEnemy - (enemyId) => still alive and an enemy
+   */
+  prune(now, isEnemy = () => true) {
+    for (const [enemyId, sighting] of this.enemies) {
+      if (this.confidence(sighting, now) <= 0 || !isEnemy(enemyId)) {
+        this.enemies.delete(enemyId);
+      }
+    }
+  }
+
+  // The freshest sighting, or null
+  latest(now) {
+    let latest = null;
+    for (const sighting of this.enemies.values()) {
+      if (this.confidence(sighting, now) <= 0) continue;
+      if (!latest || sighting.time > latest.time) latest = sighting;
+    }
+    return latest;
+  }
+
+  // Everything remembered, freshest first (for the debug API)
+  list(now) {
+    return Array.from(this.enemies.values())
+      .map((sighting) => ({
+        ...sighting,
+        confidence: +this.confidence(sighting, now).toFixed(2),
+      }))
+      .sort((a, b) => b.time - a.time);
+  }
+}
+
+/**
+ * How much closer (px) a target should seem when picking who to shoot:
+ * teammates already on it and missing health make it the better pick
+ * @param {number} attackers - Teammates targeting it
+ * @param {number} healthShare - Its health as a share of the maximum
+ */
+export function getFocusBonus(attackers, healthShare) {
+  return (
+    Math.min(
+      BOT_MEMORY_CONFIG.MAX_FOCUS_BONUS,
+      attackers * BOT_MEMORY_CONFIG.FOCUS_BONUS,
+    ) +
+    (1 - Math.max(0, Math.min(1, healthShare))) *
+      BOT_MEMORY_CONFIG.WOUNDED_BONUS
+  );
+}
+
+// Smallest angle between two directions
+function angleBetween(a, b) {
+  return Math.abs(Math.atan2(Math.sin(a - b), Math.cos(a - b)));
+}
+
+/**
+ * A waypoint to come at an enemy through, from another side than the
+ * teammates going for them
+ * @param {Object} bot - { x, y }
+ * @param {Object} enemy - Where the enemy is (or was) { x, y }
+ * @param {Array} teammates - Teammates going for them ({ x, y })
+ * @param {Array} waypoints - Strategic waypoints ({ x, y })
+ * @returns {Object|null} The waypoint, or null if nobody needs flanking or
+ *   no waypoint comes at them from a different enough side
+ */
+export function findFlankWaypoint(bot, enemy, teammates, waypoints) {
+  if (teammates.length === 0) return null;
+
+  const approaches = teammates.map((mate) =>
+    Math.atan2(mate.y - enemy.y, mate.x - enemy.x),
+  );
+
+  let best = null;
+  let bestScore = -Infinity;
+  for (const waypoint of waypoints) {
+    const dist = Math.hypot(waypoint.x - enemy.x, waypoint.y - enemy.y);
+    if (
+      dist < BOT_MEMORY_CONFIG.FLANK_MIN_DIST ||
+      dist > BOT_MEMORY_CONFIG.FLANK_RANGE
+    ) {
+      continue;
+    }
+
+    const angle = Math.atan2(waypoint.y - enemy.y, waypoint.x - enemy.x);
+    const separation = Math.min(
+      ...approaches.map((approach) => angleBetween(angle, approach)),
+    );
+    if (separation < BOT_MEMORY_CONFIG.FLANK_MIN_ANGLE) continue;
+
+    // The widest angle, less a little for the walk there
+    const walk = Math.hypot(waypoint.x - bot.x, waypoint.y - bot.y);
+    const score = separation - walk / 1000;
+    if (score > bestScore) {
+      bestScore = score;
+      best = waypoint;
+    }
+  }
+
+  return best;
+}
+
+export default BotMemory;
@@ -0,0 +1,127 @@
+/**
+ * Bot Shopping
+ * Which catalog mods a bot would buy, and when. Bots read a mod the way a
+ * player skims it - its name, prompt, tags and the api calls in its code - to
+ * tell what it's good for, and only buy server and persistent mods that help
+ * with what they need right now: healing or protection when they're hurt,
+ * more damage or a better weapon when they're losing.
+ */
+
+export const BOT_SHOP_CONFIG = {
+  CHECK_INTERVAL: 2000, // ms between looking at the shop
+  PURCHASE_COOLDOWN: 15000, // ms after buying something before buying again
+  CATALOG_REFRESH: 30000, // ms the classified catalog is reused
+  LOW_HEALTH: 0.5, // Share of health left when they shop for healing
+  LOSING_KILL_GAP: 3, // Kills behind the leader (or team) that count as losing
+};
+
+/**
+ * What a mod can be good for, and how to spot it
+ * - keywords: found in the name, prompt or tags
+ * - commands: api commands that do it
+ * - handlers: event handlers that do it
+ */
+export const BOT_MOD_NEEDS = {
+  healing: {
+    keywords: ["heal", "regen", "medic", "vampir", "lifesteal", "god"],
+    commands: ["setHealth"],
+    handlers: [],
+  },
+  defense: {
+    keywords: ["armor", "armour", "shield", "invuln", "invinc", "god", "tank"],
+    commands: ["setArmor", "setInvulnerable"],
+    handlers: [],
+  },
+  damage: {
+    keywords: ["damage", "power", "strength", "crit", "one shot", "one-shot"],
+    commands: [],
+    handlers: ["onDamage"],
+  },
+  weapons: {
+    keywords: ["weapon", "gun", "rifle", "shotgun", "sniper", "rocket"],
+    commands: ["giveWeapon"],
+    handlers: [],
+  },
+};
+
+// Commands that make a bot pass on a mod, whatever it promises - it can't
+// tell who they land on
+const AVOID_COMMANDS = ["killPlayer"];
+
+function usesCommand(code, name) {
+  return new RegExp(`\\bapi\\.${name}\\s*\\(`).test(code);
+}
+
+function declaresHandler(code, name) {
+  return new RegExp(`\\bfunction\\s+${name}\\s*\\(`).test(code);
+}
+
+/**
+ * What a catalog mod is good for
+ * @param {Object} mod - Catalog mod (name, user_prompt, tags, code, type)
+ * @returns {Array} BOT_MOD_NEEDS keys, empty if a bot wouldn't buy it
+ */
+export function classifyBotMod(mod) {
+  const code = mod.code || "";
+  // A backfire is never what it says
+  if (/^\s*\/\/\s*BACKFIRE/m.test(code)) return [];
+  if (AVOID_COMMANDS.some((name) => usesCommand(code, name))) return [];
+  // Mods that never look at who bought them buff everyone alike
+  if (!/\b(myId|getMyPlayer)\b/.test(code)) return [];
+
+  const text = [mod.name, mod.user_prompt, ...(mod.tags || [])]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+
+  return Object.entries(BOT_MOD_NEEDS)
+    .filter(
+      ([, need]) =>
+        need.keywords.some((keyword) => text.includes(keyword)) ||
+        need.commands.some((name) => usesCommand(code, name)) ||
+        need.handlers.some((name) => declaresHandler(code, name)),
+    )
+    .map(([key]) => key);
+}
+
+/**
+ * What a bot should shop for, most pressing first
+ * @param {Object} bot - { health }
+ * @param {Object} situation - { maxHealth, losing }
+ * @returns {Array} BOT_MOD_NEEDS keys (empty if nothing's wrong)
+ */
+export function getBotModNeeds(bot, { maxHealth, losing }) {
+  const needs = [];
+  if (bot.health / maxHealth < BOT_SHOP_CONFIG.LOW_HEALTH) {
+    needs.push("healing", "defense");
+  }
+  if (losing) {
+    needs.push("damage", "weapons");
+  }
+  return needs;
+}
+
+/**
+ * Pick a mod for the most pressing need there's one for. Higher-rated mods
+ * are more likely to be picked; downvoted ones still get a small chance
+ * @param {Array} candidates - { mod, needs } the bot can afford
+ * @param {Array} needs - From getBotModNeeds
+ * @returns {Object|null} { mod, need } - the mod and the need it's for
+ */
+export function pickBotMod(candidates, needs) {
+  for (const need of needs) {
+    const matching = candidates.filter((candidate) =>
+      candidate.needs.includes(need),
+    );
+    if (matching.length === 0) continue;
+
+    const weights = matching.map(({ mod }) => Math.max(mod.score + 1, 0.2));
+    let roll = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+    for (let i = 0; i < matching.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) return { mod: matching[i].mod, need };
+    }
+    return { mod: matching[matching.length - 1].mod, need };
+  }
+  return null;
+}
@@ -0,0 +1,241 @@
+/**
+ * Credit Economy
+ * Credits are server-authoritative: each room's economy awards them for
+ * kills (as much as the game mode's killReward), killstreaks, assists and
+ * objectives, and spends them in the shop.
+ * Every change is written to the credit ledger (credit_transactions in
+ * mods.db) with the balance it left.
+ */
+
+import { recordCreditTransaction } from "./mod-database.js";
+import { getGameMode } from "./game-modes.js";
+
+export const ECONOMY_CONFIG = {
+  // Extra credits on reaching a killstreak (kills without dying)
+  KILLSTREAK_BONUSES: { 3: 2, 5: 3, 7: 5, 10: 10, 15: 10 },
+  ASSIST_REWARD: 2,
+  ASSIST_MIN_DAMAGE: 25, // Damage dealt to the victim to count as an assist
+  ASSIST_WINDOW_MS: 10000, // ...within this long before the kill
+  OBJECTIVE_REWARDS: {
+    roundWin: 20,
+    flagCapture: 25,
+    flagReturn: 5,
+  },
+};
+
+// What the shop sells: catalog mods priced by type, and consumables. An
+// item's apply(entity, { maxHealth, maxArmor }) returns false if it would do
+// nothing (nothing is charged then)
+export const SHOP_PRICES = {
+  mods: { client: 10, persistent: 30, server: 50 },
+  PERSISTENT_MOD_DURATION_MS: 60000, // How long a bought persistent mod runs
+};
+
+export const SHOP_ITEMS = {
+  health: {
+    name: "Medkit",
+    description: "Restore 50 health",
+    price: 8,
+    apply: (entity, limits) => {
+      if (entity.health >= limits.maxHealth) return false;
+      entity.health = Math.min(limits.maxHealth, entity.health + 50);
+      return true;
+    },
+  },
+  armor: {
+    name: "Armor Plate",
+    description: "Add 50 armor",
+    price: 10,
+    apply: (entity, limits) => {
+      if (entity.armor >= limits.maxArmor) return false;
+      entity.armor = Math.min(limits.maxArmor, entity.armor + 50);
+      return true;
+    },
+  },
+  grenades: {
+    name: "Grenades",
+    description: "Two more grenades",
+    price: 6,
+    apply: (entity) => {
+      entity.grenades = (entity.grenades || 0) + 2;
+      return true;
+    },
+  },
+  ammo: {
+    name: "Ammo Refill",
+    description: "Fill your magazine now",
+    price: 3,
+    apply: (entity) => {
+      if (entity.ammo >= entity.maxAmmo && !entity.reloading) return false;
+      entity.ammo = entity.maxAmmo;
+      entity.reloading = false;
+      return true;
+    },
+  },
+};
+
+// Shop items without their apply functions, for clients
+export function listShopItems() {
+  return Object.entries(SHOP_ITEMS).map(([id, item]) => ({
+    id,
+    name: item.name,
+    description: item.description,
+    price: item.price,
+  }));
+}
+
+export class CreditEconomy {
+  /**
+   * @param {Object} room - The room whose players and bots earn credits
+   * @param {Function} onChange - (entity, transaction) after every change
+   */
+  constructor(room, onChange = () => {}) {
+    this.room = room;
+    this.onChange = onChange;
+    this.recentDamage = new Map(); // victimId -> Map(attackerId -> { amount, at })
+  }
+
+  getEntity(id) {
+    return this.room.players.get(id) || this.room.bots.get(id) || null;
+  }
+
+  /**
+   * Change an entity's credits and write it to the ledger
+   * @param {Object} entity - Player or bot
+   * @param {number} amount - Positive to award, negative to spend
+   * @param {string} reason - e.g. "kill", "killstreak", "purchase"
+   * @param {Object} details - Extra ledger info (victim, item, mod...)
+   * @returns {Object} The transaction
+   */
+  apply(entity, amount, reason, details = {}) {
+    entity.credits = (entity.credits || 0) + amount;
+
+    const transaction = {
+      playerId: entity.accountId || entity.id, // Stable, unlike socket/bot IDs
+      playerName: entity.name,
+      roomId: this.room.id,
+      amount,
+      balance: entity.credits,
+      reason,
+      details,
+    };
+
+    try {
+      recordCreditTransaction(transaction);
+    } catch (error) {
+      console.error("❌ Failed to record credit transaction:", error);
+    }
+
+    this.onChange(entity, transaction);
+    return transaction;
+  }
+
+  award(entity, amount, reason, details) {
+    if (amount <= 0) return null;
+    return this.apply(entity, amount, reason, details);
+  }
+
+  /**
+   * Spend credits if the entity has enough
+   * @returns {boolean} Whether they were spent
+   */
+  spend(entity, amount, reason, details) {
+    if ((entity.credits || 0) < amount) return false;
+    this.apply(entity, -amount, reason, details);
+    return true;
+  }
+
+  // Give spent credits back (e.g. a bought mod failed to run)
+  refund(entity, amount, details) {
+    return this.apply(entity, amount, "refund", details);
+  }
+
+  // Remember damage dealt so the kill can credit assists
+  recordDamage(victimId, attackerId, amount) {
+    if (!attackerId || attackerId === victimId) return;
+
+    if (!this.recentDamage.has(victimId)) {
+      this.recentDamage.set(victimId, new Map());
+    }
+    const attackers = this.recentDamage.get(victimId);
+    const now = Date.now();
+    const previous = attackers.get(attackerId);
+    const stillRecent =
+      previous && now - previous.at <= ECONOMY_CONFIG.ASSIST_WINDOW_MS;
+
+    attackers.set(attackerId, {
+      amount: (stillRecent ? previous.amount : 0) + amount,
+      at: now,
+    });
+  }
+
+  /**
+   * Pay out a kill: the kill reward, a killstreak bonus if the killer just
+   * reached one, and assists for everyone else who recently hurt the victim
+   */
+  awardKill(killer, victim) {
+    const reward = getGameMode(this.room.gameMode).killReward;
+    this.award(killer, reward, "kill", { victimId: victim.id });
+
+    killer.killStreak = (killer.killStreak || 0) + 1;
+    const bonus = ECONOMY_CONFIG.KILLSTREAK_BONUSES[killer.killStreak];
+    if (bonus) {
+      this.award(killer, bonus, "killstreak", { streak: killer.killStreak });
+      console.log(
+        `🎯 ${killer.name} is on a ${killer.killStreak}-kill streak (+${bonus} credits)`,
+      );
+    }
+
+    const attackers = this.recentDamage.get(victim.id);
+    if (!attackers) return;
+
+    const now = Date.now();
+    for (const [attackerId, damage] of attackers) {
+      if (attackerId === killer.id) continue;
+      if (now - damage.at > ECONOMY_CONFIG.ASSIST_WINDOW_MS) continue;
+      if (damage.amount < ECONOMY_CONFIG.ASSIST_MIN_DAMAGE) continue;
+
+      const assister = this.getEntity(attackerId);
+      if (assister) {
+        this.award(assister, ECONOMY_CONFIG.ASSIST_REWARD, "assist", {
+          victimId: victim.id,
+          killerId: killer.id,
+        });
+      }
+    }
+  }
+
+  // A death ends the victim's streak and clears who damaged them
+  recordDeath(victim) {
+    victim.killStreak = 0;
+    this.recentDamage.delete(victim.id);
+  }
+
+  // Award an objective (see ECONOMY_CONFIG.OBJECTIVE_REWARDS)
+  awardObjective(entity, objective, details = {}) {
+    const reward = ECONOMY_CONFIG.OBJECTIVE_REWARDS[objective];
+    if (!reward) return null;
+    return this.award(entity, reward, "objective", { objective, ...details });
+  }
+
+  // New round: streaks and assist tracking start over, credits carry on
+  resetRound() {
+    for (const entity of [
+      ...this.room.players.values(),
+      ...this.room.bots.values(),
+    ]) {
+      entity.killStreak = 0;
+    }
+    this.recentDamage.clear();
+  }
+
+  // Forget a player or bot that left the room
+  forget(id) {
+    this.recentDamage.delete(id);
+    for (const attackers of this.recentDamage.values()) {
+      attackers.delete(id);
+    }
+  }
+}
+
+export default CreditEconomy;
@@ -0,0 +1,3 @@
+// SERVER
+// Deliberately broken - exercises the retry and fallback path
+const player = api.getMyPlayer(;
@@ -0,0 +1,9 @@
+// BACKFIRE
+// SERVER
+// Heal backfired! Everyone else gets healed instead
+for (const other of api.getAllPlayers()) {
+  if (other.id !== api.myId && other.health > 0) {
+    api.setHealth(other.id, 100);
+  }
+}
+api.broadcast("A heal went to the wrong people!");
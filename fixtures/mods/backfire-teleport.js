@@ -0,0 +1,11 @@
+// BACKFIRE
+// PERSISTENT
+// Teleporter malfunction! Random teleports every half second
+function tick(api, state) {
+  const player = api.getMyPlayer();
+  state.timer = (state.timer || 0) + api.dt;
+  if (player && player.health > 0 && state.timer > 0.5) {
+    api.teleportPlayer(player.id, Math.random() * 2000, Math.random() * 2000);
+    state.timer = 0;
+  }
+}
@@ -0,0 +1,14 @@
+// CLIENT
+// Show floating damage numbers when someone gets hit
+registerHook("onHit", (attacker, target) => {
+  const dmg = document.createElement("div");
+  dmg.textContent = "-" + (attacker.damage || "?");
+  dmg.style.position = "absolute";
+  dmg.style.left = "50%";
+  dmg.style.top = "40%";
+  dmg.style.color = "#ff3366";
+  dmg.style.fontWeight = "bold";
+  dmg.style.pointerEvents = "none";
+  document.body.appendChild(dmg);
+  setTimeout(() => dmg.remove(), 1000);
+});
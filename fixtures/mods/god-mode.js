@@ -0,0 +1,17 @@
+// PERSISTENT
+// God mode - keeps the activator invulnerable at full health and armor
+function setup(api, state) {
+  api.setInvulnerable(api.myId, true);
+}
+
+function tick(api, state) {
+  const player = api.getMyPlayer();
+  if (player && player.health > 0) {
+    api.setHealth(player.id, 100);
+    api.setArmor(player.id, 100);
+  }
+}
+
+function teardown(api, state) {
+  api.setInvulnerable(api.myId, false);
+}
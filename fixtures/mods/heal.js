@@ -0,0 +1,10 @@
+// SERVER
+// Heal to full health and armor
+const player = api.getMyPlayer();
+if (player && player.health > 0) {
+  api.setHealth(player.id, 100);
+  api.setArmor(player.id, 100);
+  api.broadcast(player.name + " patched themselves up!");
+} else {
+  api.log("Nobody to heal - spectating or dead");
+}
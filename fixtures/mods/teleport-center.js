@@ -0,0 +1,6 @@
+// SERVER
+// Teleport to the center of the map
+const player = api.getMyPlayer();
+if (player && player.health > 0) {
+  api.teleportPlayer(player.id, 1000, 1000);
+}
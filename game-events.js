@@ -0,0 +1,70 @@
+/**
+ * Game Event Bus
+ * Each room emits typed events (damage, death, kill, pickup, shot, grenade,
+ * round start/end - see MOD_EVENTS in public/modApi.js) as they happen.
+ * Listeners run synchronously and may change an event's modifiable fields;
+ * the code that emitted it reads them back to apply the outcome.
+ */
+
+import { MOD_EVENTS } from "./public/modApi.js";
+
+function checkType(type) {
+  if (!Object.hasOwn(MOD_EVENTS, type)) {
+    throw new Error(`Unknown game event: ${type}`);
+  }
+}
+
+export class GameEventBus {
+  constructor() {
+    this.listeners = new Map(); // type -> [listener]
+  }
+
+  /**
+   * Listen for an event type
+   * @param {string} type - Event type
+   * @param {Function} listener - Called with the event object
+   * @returns {Function} Removes the listener
+   */
+  on(type, listener) {
+    checkType(type);
+
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+    this.listeners.get(type).push(listener);
+
+    return () => {
+      const listeners = this.listeners.get(type);
+      const index = listeners.indexOf(listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Emit an event to every listener, in the order they were added
+   * A listener that throws is logged and skipped
+   * @param {string} type - Event type
+   * @param {Object} event - Event fields
+   * @returns {Object} The event, with any changes listeners made
+   */
+  emit(type, event) {
+    checkType(type);
+
+    const listeners = this.listeners.get(type);
+    if (!listeners) return event;
+
+    for (const listener of [...listeners]) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`❌ Error in ${type} event listener:`, error);
+      }
+    }
+
+    return event;
+  }
+}
+
+export default GameEventBus;
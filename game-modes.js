@@ -0,0 +1,662 @@
+/**
+ * Game Modes
+ * Everything that differs between modes lives here, behind one interface;
+ * the game loop and damage code call the room's mode instead of checking
+ * mode names. Registered modes are what players can vote for and create
+ * rooms with.
+ *
+ * A mode is an object with:
+ * - id, name, description - shown in the vote menu
+ * - teams - players are split into teams (see TEAMS in server.js)
+ * - killReward - credits per kill (see credit-economy.js)
+ * - allowedPickups - pickup types that can be collected, or null for all
+ * and hooks, all optional (registerGameMode fills in the defaults):
+ * - onRoundStart(room) - the round goes live after the countdown
+ * - onTick(room, now, game) - every game loop tick
+ * - onDeath(room, victim, killer, game) - someone died during the round
+ *   (killer is null if nobody else did it)
+ * - canRespawn(room, entity) - whether someone who died respawns
+ * - canThrowGrenade(room, entity) - whether they may throw a grenade
+ * - getSpeedMultiplier(room, entity) - scales their movement speed
+ * - getBotObjective(room, bot, now) - where a bot should head for the mode:
+ *   { x, y, urgent } (urgent goes before fighting), or null to roam
+ * - scoreKill(room, killer, victim) - count a kill toward the mode's score
+ * - checkWinCondition(room) - checked every tick of an active round; returns
+ *   { winnerId, winnerName, winningTeam, summary } once someone has won
+ * - getHudInfo(room) - mode status sent with every snapshot (modeHud):
+ *   an objective line for the HUD, plus anything else the client shows
+ *
+ * game is what the server lets modes do to a room:
+ * - dropWeapon(entity) - leave their weapon behind as a pickup
+ * - emit(event, data) - send a socket event to everyone in the room
+ * - awardObjective(entity, objective, details) - pay objective credits
+ *   (see OBJECTIVE_REWARDS in credit-economy.js)
+ * - damage(entity, amount, weapon) - hurt someone with nobody to blame
+ *   (goes through the same armor, mod events and death handling as shots)
+ * - touchRadius - how close someone must be to touch a pickup or flag
+ */
+
+export const DEFAULT_GAME_MODE = "vibe-royale";
+
+const gameModes = new Map(); // id -> mode
+
+const DEFAULT_HOOKS = {
+  onRoundStart: () => {},
+  onTick: () => {},
+  onDeath: () => {},
+  canRespawn: () => true,
+  canThrowGrenade: () => true,
+  getSpeedMultiplier: () => 1,
+  getBotObjective: () => null,
+  scoreKill: () => {},
+  checkWinCondition: () => null,
+  getHudInfo: () => ({}),
+};
+
+/**
+ * Register a game mode (replacing any with the same id)
+ * @param {Object} mode - See the interface above
+ * @returns {Object} The registered mode, with default hooks filled in
+ */
+export function registerGameMode(mode) {
+  if (!mode || typeof mode.id !== "string" || !mode.id) {
+    throw new Error("A game mode needs an id");
+  }
+
+  const registered = {
+    name: mode.id,
+    description: "",
+    teams: false,
+    killReward: 5,
+    allowedPickups: null,
+    ...DEFAULT_HOOKS,
+    ...mode,
+  };
+  gameModes.set(mode.id, registered);
+  return registered;
+}
+
+export function hasGameMode(id) {
+  return gameModes.has(id);
+}
+
+// The mode with this id, or the default mode if there isn't one
+export function getGameMode(id) {
+  return gameModes.get(id) || gameModes.get(DEFAULT_GAME_MODE);
+}
+
+// Registered modes as clients see them (vote menu, room info)
+export function listGameModes() {
+  return [...gameModes.values()].map((mode) => ({
+    id: mode.id,
+    name: mode.name,
+    description: mode.description,
+    teams: mode.teams,
+  }));
+}
+
+// Whether a pickup can be collected in a mode
+export function isPickupAllowed(mode, pickupType) {
+  return !mode.allowedPickups || mode.allowedPickups.includes(pickupType);
+}
+
+function getCombatants(room) {
+  return [...room.players.values(), ...room.bots.values()];
+}
+
+// "red" -> "Red Team"
+function getTeamName(team) {
+  return `${team.charAt(0).toUpperCase()}${team.slice(1)} Team`;
+}
+
+// ====== BUILT-IN MODES ======
+
+// Free-for-all: first to the score limit wins
+registerGameMode({
+  id: "vibematch",
+  name: "Vibematch",
+  description: "Free-for-all with respawns. First to 15 kills wins.",
+  killReward: 5,
+  scoreLimit: 15,
+
+  checkWinCondition(room) {
+    const winner = getCombatants(room).find(
+      (entity) => entity.kills >= this.scoreLimit,
+    );
+    if (!winner) return null;
+    return {
+      winnerId: winner.id,
+      winnerName: winner.name,
+      summary: `${this.scoreLimit} KILLS`,
+    };
+  },
+
+  getHudInfo() {
+    return { objective: `First to ${this.scoreLimit} kills` };
+  },
+});
+
+// Vibe Royale's safe zone: a circle that shrinks in phases toward a random
+// point. Each phase waits, then shrinks the zone to its radius over the
+// shrink time; anyone outside takes the phase's damage every second
+export const ROYALE_ZONE_CONFIG = {
+  PHASES: [
+    { wait: 30000, shrink: 20000, radius: 700, damage: 2 },
+    { wait: 25000, shrink: 20000, radius: 400, damage: 4 },
+    { wait: 20000, shrink: 15000, radius: 200, damage: 8 },
+    { wait: 15000, shrink: 15000, radius: 60, damage: 15 },
+  ],
+  DAMAGE_INTERVAL: 1000,
+  EDGE_MARGIN: 50, // Bots head back in once they're this close to the edge
+};
+
+// Pick where the next phase's circle goes: a random strategic waypoint that
+// keeps it inside the current circle (so it's somewhere you can stand), or
+// any random point that does
+function pickZoneTarget(room, zone, radius) {
+  const reach = Math.max(0, zone.radius - radius);
+  const inReach = room.waypoints.filter(
+    (wp) => Math.hypot(wp.x - zone.x, wp.y - zone.y) <= reach,
+  );
+  if (inReach.length > 0) {
+    const wp = inReach[Math.floor(Math.random() * inReach.length)];
+    return { x: wp.x, y: wp.y };
+  }
+
+  const angle = Math.random() * Math.PI * 2;
+  const distance = Math.random() * reach;
+  return {
+    x: Math.max(
+      0,
+      Math.min(room.worldWidth, zone.x + Math.cos(angle) * distance),
+    ),
+    y: Math.max(
+      0,
+      Math.min(room.worldHeight, zone.y + Math.sin(angle) * distance),
+    ),
+  };
+}
+
+// Move on to the next phase (or stay put after the last one)
+function startZonePhase(room, zone, now) {
+  zone.phase++;
+  const phase = ROYALE_ZONE_CONFIG.PHASES[zone.phase];
+  if (!phase) {
+    zone.shrinkStartsAt = null;
+    zone.shrinkEndsAt = null;
+    return;
+  }
+
+  const target = pickZoneTarget(room, zone, phase.radius);
+  Object.assign(zone, {
+    startX: zone.x,
+    startY: zone.y,
+    startRadius: zone.radius,
+    targetX: target.x,
+    targetY: target.y,
+    targetRadius: phase.radius,
+    shrinkStartsAt: now + phase.wait,
+    shrinkEndsAt: now + phase.wait + phase.shrink,
+  });
+}
+
+// The round starts with the whole map inside the zone
+function resetZone(room, now) {
+  room.zone = {
+    x: room.worldWidth / 2,
+    y: room.worldHeight / 2,
+    radius: Math.hypot(room.worldWidth, room.worldHeight) / 2,
+    phase: -1,
+    lastDamageAt: now,
+  };
+  startZonePhase(room, room.zone, now);
+}
+
+function updateZone(room, zone, now) {
+  if (zone.shrinkEndsAt === null || now < zone.shrinkStartsAt) return;
+
+  const t = Math.min(
+    1,
+    (now - zone.shrinkStartsAt) / (zone.shrinkEndsAt - zone.shrinkStartsAt),
+  );
+  zone.x = zone.startX + (zone.targetX - zone.startX) * t;
+  zone.y = zone.startY + (zone.targetY - zone.startY) * t;
+  zone.radius = zone.startRadius + (zone.targetRadius - zone.startRadius) * t;
+
+  if (t >= 1) startZonePhase(room, zone, now);
+}
+
+// Damage of the phase the zone is in (the last phase's once they're done)
+function getZoneDamage(zone) {
+  const { PHASES } = ROYALE_ZONE_CONFIG;
+  return PHASES[Math.min(zone.phase, PHASES.length - 1)].damage;
+}
+
+function distanceToZoneCenter(zone, entity) {
+  return Math.hypot(entity.x - zone.x, entity.y - zone.y);
+}
+
+// Last one standing: no respawns, the dead drop their weapon, and the safe
+// zone closes in
+registerGameMode({
+  id: "vibe-royale",
+  name: "Vibe Royale",
+  description:
+    "One life each, in a shrinking zone. The last one standing wins.",
+  killReward: 10,
+
+  onRoundStart(room) {
+    resetZone(room, Date.now());
+  },
+
+  onTick(room, now, game) {
+    if (!room.roundActive || !room.zone) return;
+    const zone = room.zone;
+    updateZone(room, zone, now);
+
+    if (now - zone.lastDamageAt < ROYALE_ZONE_CONFIG.DAMAGE_INTERVAL) return;
+    zone.lastDamageAt = now;
+
+    const damage = getZoneDamage(zone);
+    for (const entity of getCombatants(room)) {
+      if (
+        entity.health > 0 &&
+        distanceToZoneCenter(zone, entity) > zone.radius
+      ) {
+        game.damage(entity, damage, "zone");
+      }
+    }
+  },
+
+  onDeath(room, victim, killer, game) {
+    game.dropWeapon(victim);
+  },
+
+  // Dead players wait for the next round
+  canRespawn: () => false,
+
+  // Outside (or nearly outside) the zone, get back in before anything else.
+  // While it's about to shrink, make for where it's going
+  getBotObjective(room, bot) {
+    const zone = room.zone;
+    if (!room.roundActive || !zone) return null;
+
+    if (
+      distanceToZoneCenter(zone, bot) >
+      zone.radius - ROYALE_ZONE_CONFIG.EDGE_MARGIN
+    ) {
+      return { x: zone.x, y: zone.y, urgent: true };
+    }
+
+    if (zone.shrinkEndsAt !== null) {
+      const target = { x: zone.targetX, y: zone.targetY };
+      if (
+        Math.hypot(bot.x - target.x, bot.y - target.y) >
+        zone.targetRadius - ROYALE_ZONE_CONFIG.EDGE_MARGIN
+      ) {
+        return { ...target, urgent: false };
+      }
+    }
+    return null;
+  },
+
+  checkWinCondition(room) {
+    const combatants = getCombatants(room);
+    const alive = combatants.filter((entity) => entity.health > 0);
+
+    // The zone (or a grenade) took out the last ones at once
+    if (alive.length === 0 && combatants.length > 0) {
+      return { winnerId: null, winnerName: "Nobody", summary: "NO SURVIVORS" };
+    }
+    if (alive.length !== 1) return null;
+
+    const [winner] = alive;
+    return {
+      winnerId: winner.id,
+      winnerName: winner.name,
+      summary: "LAST ONE STANDING",
+    };
+  },
+
+  getHudInfo(room) {
+    const alive = getCombatants(room).filter(
+      (entity) => entity.health > 0,
+    ).length;
+    const hud = {
+      objective: `${alive} alive - last one standing wins`,
+      respawns: false,
+    };
+
+    const zone = room.zone;
+    if (room.roundActive && zone) {
+      const now = Date.now();
+      const shrinking =
+        zone.shrinkEndsAt !== null && now >= zone.shrinkStartsAt;
+      hud.zone = {
+        x: Math.round(zone.x),
+        y: Math.round(zone.y),
+        radius: Math.round(zone.radius),
+        // Where it's shrinking to next (null after the last phase)
+        target:
+          zone.shrinkEndsAt === null
+            ? null
+            : {
+                x: Math.round(zone.targetX),
+                y: Math.round(zone.targetY),
+                radius: zone.targetRadius,
+              },
+        shrinking,
+        // Seconds until it starts shrinking, or until it stops
+        secondsLeft:
+          zone.shrinkEndsAt === null
+            ? null
+            : Math.ceil(
+                ((shrinking ? zone.shrinkEndsAt : zone.shrinkStartsAt) - now) /
+                  1000,
+              ),
+        damage: getZoneDamage(zone),
+      };
+
+      if (zone.shrinkEndsAt === null) {
+        hud.objective = `${alive} alive - final zone`;
+      } else if (shrinking) {
+        hud.objective = `${alive} alive - zone shrinking`;
+      } else {
+        hud.objective = `${alive} alive - zone shrinks in ${hud.zone.secondsLeft}s`;
+      }
+    }
+    return hud;
+  },
+});
+
+// Red vs blue: every enemy kill scores for the team
+registerGameMode({
+  id: "team-deathmatch",
+  name: "Team Deathmatch",
+  description: "Red vs blue with respawns. First team to 30 kills wins.",
+  teams: true,
+  killReward: 5,
+  scoreLimit: 30,
+
+  scoreKill(room, killer) {
+    if (killer.team in room.teamScores) {
+      room.teamScores[killer.team]++;
+    }
+  },
+
+  checkWinCondition(room) {
+    const team = Object.keys(room.teamScores).find(
+      (name) => room.teamScores[name] >= this.scoreLimit,
+    );
+    if (!team) return null;
+    return {
+      winnerId: null,
+      winnerName: getTeamName(team),
+      winningTeam: team,
+      summary: `${this.scoreLimit} TEAM KILLS`,
+    };
+  },
+
+  getHudInfo(room) {
+    return {
+      objective: `First team to ${this.scoreLimit} kills`,
+      teamScores: room.teamScores,
+    };
+  },
+});
+
+// Capture the flag: each team has a flag at its base (room.bases, set by
+// the level). Take the enemy's flag back to your own base while your flag is
+// home to capture it
+export const CTF_CONFIG = {
+  RETURN_TIME: 20000, // A dropped flag goes home on its own after this long
+  CARRIER_SPEED: 0.8, // Carriers move at 80% speed
+};
+
+// Flags start at their team's base
+function resetFlags(room) {
+  room.flags = Object.fromEntries(
+    Object.entries(room.bases).map(([team, base]) => [
+      team,
+      {
+        team,
+        state: "home", // "home", "carried" or "dropped"
+        x: base.x,
+        y: base.y,
+        carrierId: null,
+        droppedAt: null,
+      },
+    ]),
+  );
+}
+
+function getFlags(room) {
+  if (!room.flags) resetFlags(room);
+  return room.flags;
+}
+
+// The flag someone is carrying, if any
+export function getCarriedFlag(room, entity) {
+  if (!room.flags) return null;
+  return (
+    Object.values(room.flags).find((flag) => flag.carrierId === entity.id) ||
+    null
+  );
+}
+
+function isTouching(entity, point, game) {
+  const dx = entity.x - point.x;
+  const dy = entity.y - point.y;
+  return Math.sqrt(dx * dx + dy * dy) < game.touchRadius;
+}
+
+function announceFlag(game, type, flag, entity) {
+  game.emit("flagEvent", {
+    type,
+    team: flag.team,
+    playerId: entity ? entity.id : null,
+    playerName: entity ? entity.name : null,
+  });
+}
+
+function returnFlag(room, flag) {
+  const base = room.bases[flag.team];
+  Object.assign(flag, {
+    state: "home",
+    x: base.x,
+    y: base.y,
+    carrierId: null,
+    droppedAt: null,
+  });
+}
+
+// Half of each team's bots go for the enemy flag, the rest defend
+function getBotRole(room, bot) {
+  const teamBots = [...room.bots.values()]
+    .filter((b) => b.team === bot.team)
+    .map((b) => b.id)
+    .sort();
+  return teamBots.indexOf(bot.id) % 2 === 0 ? "attack" : "defend";
+}
+
+// Defenders patrol the strategic waypoints closest to their base, moving to
+// another every few seconds
+function getDefenseSpot(room, bot, now) {
+  const base = room.bases[bot.team];
+  if (!bot.defenseSpot || now > bot.defenseSpotTimer) {
+    const distanceToBase = (wp) => Math.hypot(wp.x - base.x, wp.y - base.y);
+    const spots = [
+      base,
+      ...[...room.waypoints]
+        .sort((a, b) => distanceToBase(a) - distanceToBase(b))
+        .slice(0, 3),
+    ];
+    bot.defenseSpot = spots[Math.floor(Math.random() * spots.length)];
+    bot.defenseSpotTimer = now + 6000 + Math.random() * 4000;
+  }
+  return { x: bot.defenseSpot.x, y: bot.defenseSpot.y, urgent: false };
+}
+
+function dropFlag(flag, now) {
+  Object.assign(flag, { state: "dropped", carrierId: null, droppedAt: now });
+}
+
+registerGameMode({
+  id: "capture-the-flag",
+  name: "Capture the Flag",
+  description:
+    "Red vs blue. Bring the enemy flag to your base - first to 3 captures wins.",
+  teams: true,
+  killReward: 5,
+  scoreLimit: 3, // Captures (room.teamScores)
+
+  onRoundStart(room) {
+    resetFlags(room);
+  },
+
+  onTick(room, now, game) {
+    if (!room.roundActive) return;
+
+    const flags = getFlags(room);
+    const entities = getCombatants(room).filter((e) => e.health > 0);
+
+    for (const flag of Object.values(flags)) {
+      if (flag.state === "carried") {
+        const carrier = entities.find((e) => e.id === flag.carrierId);
+        // Carrier left the room, died or changed team
+        if (!carrier || carrier.team === flag.team) {
+          dropFlag(flag, now);
+          announceFlag(game, "dropped", flag, carrier);
+          continue;
+        }
+
+        flag.x = carrier.x;
+        flag.y = carrier.y;
+
+        // Capture: at their own base, with their own flag home
+        const ownFlag = flags[carrier.team];
+        if (
+          ownFlag &&
+          ownFlag.state === "home" &&
+          isTouching(carrier, room.bases[carrier.team], game)
+        ) {
+          room.teamScores[carrier.team]++;
+          returnFlag(room, flag);
+          announceFlag(game, "captured", flag, carrier);
+          game.awardObjective(carrier, "flagCapture", { flag: flag.team });
+          console.log(
+            `🚩 ${carrier.name} captured the ${flag.team} flag for the ${carrier.team} team`,
+          );
+        }
+        continue;
+      }
+
+      if (
+        flag.state === "dropped" &&
+        now - flag.droppedAt >= CTF_CONFIG.RETURN_TIME
+      ) {
+        returnFlag(room, flag);
+        announceFlag(game, "returned", flag, null);
+        continue;
+      }
+
+      const toucher = entities.find(
+        (e) =>
+          isTouching(e, flag, game) &&
+          (e.team === flag.team
+            ? flag.state === "dropped" // Return your own flag
+            : !getCarriedFlag(room, e)), // Take the enemy's
+      );
+      if (!toucher) continue;
+
+      if (toucher.team === flag.team) {
+        returnFlag(room, flag);
+        announceFlag(game, "returned", flag, toucher);
+        game.awardObjective(toucher, "flagReturn", { flag: flag.team });
+      } else {
+        Object.assign(flag, {
+          state: "carried",
+          carrierId: toucher.id,
+          droppedAt: null,
+        });
+        announceFlag(game, "taken", flag, toucher);
+      }
+    }
+  },
+
+  // Carriers drop the flag where they fall
+  onDeath(room, victim, killer, game) {
+    const flag = getCarriedFlag(room, victim);
+    if (flag) {
+      flag.x = victim.x;
+      flag.y = victim.y;
+      dropFlag(flag, Date.now());
+      announceFlag(game, "dropped", flag, victim);
+    }
+  },
+
+  // Carriers need both hands for the flag
+  canThrowGrenade(room, entity) {
+    return !getCarriedFlag(room, entity);
+  },
+
+  getSpeedMultiplier(room, entity) {
+    return getCarriedFlag(room, entity) ? CTF_CONFIG.CARRIER_SPEED : 1;
+  },
+
+  getBotObjective(room, bot, now) {
+    if (!room.roundActive || !room.flags || !room.flags[bot.team]) return null;
+
+    const ownFlag = room.flags[bot.team];
+    const enemyFlag = Object.values(room.flags).find(
+      (flag) => flag.team !== bot.team,
+    );
+    const base = room.bases[bot.team];
+
+    // Carrying the enemy flag: get it home
+    if (enemyFlag.carrierId === bot.id) {
+      return { x: base.x, y: base.y, urgent: true };
+    }
+    // Our flag is out: chase the carrier, or go and return it
+    if (ownFlag.state !== "home") {
+      return { x: ownFlag.x, y: ownFlag.y, urgent: true };
+    }
+    // Attackers go for the enemy flag (or escort whoever has it)
+    if (getBotRole(room, bot) === "attack") {
+      return { x: enemyFlag.x, y: enemyFlag.y, urgent: false };
+    }
+    return getDefenseSpot(room, bot, now);
+  },
+
+  checkWinCondition(room) {
+    const team = Object.keys(room.teamScores).find(
+      (name) => room.teamScores[name] >= this.scoreLimit,
+    );
+    if (!team) return null;
+    return {
+      winnerId: null,
+      winnerName: getTeamName(team),
+      winningTeam: team,
+      summary: `${this.scoreLimit} CAPTURES`,
+    };
+  },
+
+  // Carried flags are drawn on their carrier, so only where the others are
+  getHudInfo(room) {
+    return {
+      objective: `First team to ${this.scoreLimit} captures`,
+      teamScores: room.teamScores,
+      bases: room.bases,
+      flags: Object.values(getFlags(room)).map((flag) => ({
+        team: flag.team,
+        state: flag.state,
+        carrierId: flag.carrierId,
+        ...(flag.state === "carried"
+          ? {}
+          : { x: Math.round(flag.x), y: Math.round(flag.y) }),
+      })),
+    };
+  },
+});
+
+export default getGameMode;
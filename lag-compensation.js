@@ -0,0 +1,98 @@
+/**
+ * Lag Compensation
+ * Records where every player and bot was on recent ticks so projectile hits
+ * can be tested against what the shooter actually saw on their screen
+ */
+
+// Never rewind further than this, however laggy the shooter is
+export const MAX_REWIND_MS = 250;
+
+// Keep a bit more than the rewind window so both ends can be interpolated
+const HISTORY_MS = MAX_REWIND_MS + 100;
+
+export class PositionHistory {
+  constructor() {
+    this.samples = new Map(); // entity id -> [{ time, x, y, alive }] oldest first
+  }
+
+  /**
+   * Record the positions of all entities for this tick
+   * Entities that are no longer present are forgotten
+   * @param {number} time - Tick timestamp
+   * @param {Array} entities - Players and bots in the room
+   */
+  record(time, entities) {
+    const seen = new Set();
+
+    for (const entity of entities) {
+      seen.add(entity.id);
+
+      let samples = this.samples.get(entity.id);
+      if (!samples) {
+        samples = [];
+        this.samples.set(entity.id, samples);
+      }
+
+      samples.push({
+        time,
+        x: entity.x,
+        y: entity.y,
+        alive: entity.health > 0,
+      });
+
+      // Drop samples that fell out of the window (always keep one)
+      const cutoff = time - HISTORY_MS;
+      while (samples.length > 1 && samples[0].time < cutoff) {
+        samples.shift();
+      }
+    }
+
+    for (const id of this.samples.keys()) {
+      if (!seen.has(id)) {
+        this.samples.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Where an entity was at a past time, interpolated between ticks
+   * Returns null if the entity was dead then (nothing to hit), and the
+   * current position if there is no history for that time
+   * @param {Object} entity - Player or bot
+   * @param {number} time - Timestamp to rewind to
+   */
+  positionAt(entity, time) {
+    const samples = this.samples.get(entity.id);
+    if (!samples || time >= samples[samples.length - 1].time) {
+      return { x: entity.x, y: entity.y };
+    }
+
+    // Older than the window - use the oldest sample we have
+    if (time <= samples[0].time) {
+      return samples[0].alive ? { x: samples[0].x, y: samples[0].y } : null;
+    }
+
+    for (let i = samples.length - 1; i > 0; i--) {
+      const before = samples[i - 1];
+      if (before.time > time) continue;
+
+      const after = samples[i];
+
+      // Don't interpolate across a death/respawn teleport
+      if (!before.alive || !after.alive) {
+        const nearest = time - before.time < after.time - time ? before : after;
+        return nearest.alive ? { x: nearest.x, y: nearest.y } : null;
+      }
+
+      const t = (time - before.time) / (after.time - before.time);
+      return {
+        x: before.x + (after.x - before.x) * t,
+        y: before.y + (after.y - before.y) * t,
+      };
+    }
+
+    return { x: entity.x, y: entity.y };
+  }
+}
+
+export default PositionHistory;
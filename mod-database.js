@@ -1,4 +1,7 @@
 import Database from "better-sqlite3";
+import { createTwoFilesPatch } from "diff";
+import * as acorn from "acorn";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 
@@ -11,9 +14,10 @@ const db = new Database(join(__dirname, "mods.db"));
 // Enable WAL mode for better concurrency
 db.pragma("journal_mode = WAL");
 
-// Create mods table
-db.exec(`
-  CREATE TABLE IF NOT EXISTS mods (
+// Columns of the mods table (also used when the table is rebuilt below).
+// A mod is every row sharing a name and player_id; each save adds a version
+// with parent_id pointing at the row it was made from and a diff against it
+const MODS_TABLE_COLUMNS = `
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     name TEXT NOT NULL,
     code TEXT NOT NULL,
@@ -24,8 +28,17 @@ db.exec(`
     failed INTEGER DEFAULT 0,
     error_message TEXT,
     retry_count INTEGER DEFAULT 0,
-    UNIQUE(name, player_id)
-  )
+    parent_id INTEGER,
+    version INTEGER NOT NULL DEFAULT 1,
+    diff TEXT,
+    origin TEXT NOT NULL DEFAULT 'save' CHECK(origin IN ('save', 'repair', 'fork')),
+    code_fingerprint TEXT,
+    UNIQUE(name, player_id, version)
+`;
+
+// Create mods table
+db.exec(`
+  CREATE TABLE IF NOT EXISTS mods (${MODS_TABLE_COLUMNS})
 `);
 
 // Create index for faster lookups
@@ -46,7 +59,8 @@ db.exec(`
     description TEXT,
     target_scope TEXT DEFAULT 'player',
     target_player_id TEXT,
-    target_player_name TEXT
+    target_player_name TEXT,
+    room_id TEXT DEFAULT 'public'
   )
 `);
 
@@ -69,6 +83,236 @@ if (!hasTargetScope) {
   console.log("✅ Migration completed");
 }
 
+// Migration: Scope active mods to match rooms
+const hasRoomId = tableInfo.some(col => col.name === 'room_id');
+
+if (!hasRoomId) {
+  console.log("🔄 Migrating active_mods table to add room_id column...");
+  db.exec(`
+    ALTER TABLE active_mods ADD COLUMN room_id TEXT DEFAULT 'public';
+  `);
+  console.log("✅ Migration completed");
+}
+
+// Migration: Track failed generations in the mods table
+// (databases created before this only had the successful-mod columns)
+const modsTableInfo = db.pragma('table_info(mods)');
+const hasFailed = modsTableInfo.some(col => col.name === 'failed');
+
+if (!hasFailed) {
+  console.log("🔄 Migrating mods table to add failure tracking columns...");
+  db.exec(`
+    ALTER TABLE mods ADD COLUMN failed INTEGER DEFAULT 0;
+  `);
+  db.exec(`
+    ALTER TABLE mods ADD COLUMN error_message TEXT;
+  `);
+  db.exec(`
+    ALTER TABLE mods ADD COLUMN retry_count INTEGER DEFAULT 0;
+  `);
+  console.log("✅ Migration completed");
+}
+
+// Migration: Repaired mods point at the mod they were repaired from
+const hasParentId = modsTableInfo.some(col => col.name === 'parent_id');
+
+if (!hasParentId) {
+  console.log("🔄 Migrating mods table to add parent_id column...");
+  db.exec(`
+    ALTER TABLE mods ADD COLUMN parent_id INTEGER;
+  `);
+  console.log("✅ Migration completed");
+}
+
+// Migration: Versioned mods - saving under a name the player already uses
+// adds a version instead of replacing the mod. SQLite can't change a UNIQUE
+// constraint in place, so the table is rebuilt (existing mods become version 1)
+const hasVersion = modsTableInfo.some(col => col.name === 'version');
+
+if (!hasVersion) {
+  console.log("🔄 Migrating mods table to add versions...");
+  db.transaction(() => {
+    db.exec(`
+      CREATE TABLE mods_versioned (${MODS_TABLE_COLUMNS})
+    `);
+    db.exec(`
+      INSERT INTO mods_versioned (id, name, code, type, user_prompt, created_at, player_id, failed, error_message, retry_count, parent_id, origin)
+      SELECT id, name, code, type, user_prompt, created_at, player_id, failed, error_message, retry_count, parent_id,
+        CASE WHEN parent_id IS NULL THEN 'save' ELSE 'repair' END
+      FROM mods
+    `);
+    db.exec(`
+      DROP TABLE mods;
+    `);
+    db.exec(`
+      ALTER TABLE mods_versioned RENAME TO mods;
+    `);
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_mods_player_created
+      ON mods(player_id, created_at DESC)
+    `);
+  })();
+  console.log("✅ Migration completed");
+}
+
+// Create index for walking from a mod to its later versions and forks
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_mods_parent
+  ON mods(parent_id)
+`);
+
+// Same code as far as the parser is concerned: whitespace, comments,
+// semicolons and quote style don't change it. Code that doesn't parse is
+// only the same if it is identical
+const AST_POSITION_KEYS = new Set(['start', 'end', 'loc', 'range', 'raw']);
+
+export function getCodeFingerprint(code) {
+  let normalized;
+  try {
+    const ast = acorn.parse(code, {
+      ecmaVersion: 'latest',
+      sourceType: 'script',
+      allowReturnOutsideFunction: true, // Mods are run as function bodies
+    });
+    normalized = JSON.stringify(ast, (key, value) =>
+      AST_POSITION_KEYS.has(key) ? undefined : value
+    );
+  } catch (syntaxError) {
+    normalized = code;
+  }
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Migration: Mods are looked up by fingerprint (see findModByCode), so that
+// a copy with a comment added is still the same catalog mod
+const hasCodeFingerprint = db
+  .pragma('table_info(mods)')
+  .some(col => col.name === 'code_fingerprint');
+
+if (!hasCodeFingerprint) {
+  console.log("🔄 Migrating mods table to add code fingerprints...");
+  db.exec(`
+    ALTER TABLE mods ADD COLUMN code_fingerprint TEXT;
+  `);
+}
+
+const unfingerprinted = db
+  .prepare('SELECT id, code FROM mods WHERE code_fingerprint IS NULL')
+  .all();
+if (unfingerprinted.length > 0) {
+  const setFingerprint = db.prepare('UPDATE mods SET code_fingerprint = ? WHERE id = ?');
+  db.transaction(() => {
+    for (const { id, code } of unfingerprinted) {
+      setFingerprint.run(getCodeFingerprint(code), id);
+    }
+  })();
+  console.log(`✅ Fingerprinted ${unfingerprinted.length} mods`);
+}
+
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_mods_fingerprint
+  ON mods(code_fingerprint)
+`);
+
+// Create marketplace tables: tags anyone can add, one vote per player per
+// mod, and a row for every time a mod is loaded or activated
+db.exec(`
+  CREATE TABLE IF NOT EXISTS mod_tags (
+    mod_id INTEGER NOT NULL,
+    tag TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    UNIQUE(mod_id, tag)
+  )
+`);
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS mod_votes (
+    mod_id INTEGER NOT NULL,
+    player_id TEXT NOT NULL,
+    vote INTEGER NOT NULL CHECK(vote IN (-1, 1)),
+    created_at INTEGER NOT NULL,
+    UNIQUE(mod_id, player_id)
+  )
+`);
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS mod_activations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    mod_id INTEGER NOT NULL,
+    player_id TEXT,
+    activated_at INTEGER NOT NULL
+  )
+`);
+
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_mod_tags_tag
+  ON mod_tags(tag)
+`);
+
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_mod_activations_mod
+  ON mod_activations(mod_id, activated_at)
+`);
+
+// Full-text search over mod names, prompts and code, kept in sync with the
+// mods table by triggers. Mods saved before it existed are indexed once
+const hasModsFts = db
+  .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'mods_fts'")
+  .get();
+
+if (!hasModsFts) {
+  console.log("🔄 Building mod search index...");
+  db.exec(`
+    CREATE VIRTUAL TABLE mods_fts USING fts5(
+      name, user_prompt, code,
+      content='mods', content_rowid='id'
+    );
+  `);
+  db.exec(`
+    INSERT INTO mods_fts(mods_fts) VALUES ('rebuild');
+  `);
+  console.log("✅ Search index built");
+}
+
+db.exec(`
+  CREATE TRIGGER IF NOT EXISTS mods_fts_insert AFTER INSERT ON mods BEGIN
+    INSERT INTO mods_fts(rowid, name, user_prompt, code)
+    VALUES (new.id, new.name, new.user_prompt, new.code);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS mods_fts_delete AFTER DELETE ON mods BEGIN
+    INSERT INTO mods_fts(mods_fts, rowid, name, user_prompt, code)
+    VALUES ('delete', old.id, old.name, old.user_prompt, old.code);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS mods_fts_update AFTER UPDATE OF name, user_prompt, code ON mods BEGIN
+    INSERT INTO mods_fts(mods_fts, rowid, name, user_prompt, code)
+    VALUES ('delete', old.id, old.name, old.user_prompt, old.code);
+    INSERT INTO mods_fts(rowid, name, user_prompt, code)
+    VALUES (new.id, new.name, new.user_prompt, new.code);
+  END;
+`);
+
+// Create credit ledger: every credit earned or spent, with the balance after
+db.exec(`
+  CREATE TABLE IF NOT EXISTS credit_transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    player_id TEXT NOT NULL,
+    player_name TEXT,
+    room_id TEXT,
+    amount INTEGER NOT NULL,
+    balance INTEGER NOT NULL,
+    reason TEXT NOT NULL,
+    details TEXT,
+    created_at INTEGER NOT NULL
+  )
+`);
+
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_credit_transactions_player
+  ON credit_transactions(player_id, created_at DESC)
+`);
+
 // Create index for active mods queries
 db.exec(`
   CREATE INDEX IF NOT EXISTS idx_active_mods_expiry
@@ -78,16 +322,114 @@ db.exec(`
 console.log("✅ Mod database initialized");
 
 // Helper functions
-export function saveMod(name, code, type, userPrompt = null, playerId = null) {
+
+// Unified diff from a mod's parent version to new code
+function diffAgainstParent(parent, name, version, code) {
+  return createTwoFilesPatch(
+    `${parent.name} v${parent.version}`,
+    `${name} v${version}`,
+    parent.code,
+    code,
+  );
+}
+
+// Add the next version of the mod `name` owned by playerId
+function insertModVersion({ name, code, type, userPrompt, playerId, parent = null, origin = 'save' }) {
+  const { version } = db.prepare(`
+    SELECT COALESCE(MAX(version), 0) + 1 AS version FROM mods
+    WHERE name = ? AND player_id IS ?
+  `).get(name, playerId);
+
   const stmt = db.prepare(`
-    INSERT OR REPLACE INTO mods (name, code, type, user_prompt, created_at, player_id)
-    VALUES (?, ?, ?, ?, ?, ?)
+    INSERT INTO mods (name, code, type, user_prompt, created_at, player_id, parent_id, version, diff, origin, code_fingerprint)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
-  const result = stmt.run(name, code, type, userPrompt, Date.now(), playerId);
+  const result = stmt.run(
+    name,
+    code,
+    type,
+    userPrompt,
+    Date.now(),
+    playerId,
+    parent ? parent.id : null,
+    version,
+    parent ? diffAgainstParent(parent, name, version, code) : null,
+    origin,
+    getCodeFingerprint(code),
+  );
 
-  console.log(`💾 Saved mod "${name}" (type: ${type}) to database`);
-  return result.lastInsertRowid;
+  return { id: result.lastInsertRowid, version };
+}
+
+// Save a mod. If the player already has a mod with this name, the code is
+// added as its next version (unchanged code just returns the latest version)
+export function saveMod(name, code, type, userPrompt = null, playerId = null) {
+  const latest = getLatestModVersion(name, playerId);
+  if (latest && latest.code === code && latest.type === type) {
+    return latest.id;
+  }
+
+  const { id, version } = insertModVersion({
+    name,
+    code,
+    type,
+    userPrompt,
+    playerId,
+    parent: latest || null,
+  });
+
+  console.log(`💾 Saved mod "${name}" v${version} (type: ${type}) to database`);
+  return id;
+}
+
+// Save new code as the next version of the mod a given version belongs to,
+// made from that version (which doesn't have to be the latest one)
+export function saveModVersion(parentId, code, origin = 'save') {
+  const parent = getModById(parentId);
+  if (!parent) {
+    return null;
+  }
+
+  const { id, version } = insertModVersion({
+    name: parent.name,
+    code,
+    type: parent.type,
+    userPrompt: parent.user_prompt,
+    playerId: parent.player_id,
+    parent,
+    origin,
+  });
+
+  console.log(`💾 Saved mod "${parent.name}" v${version} (${origin} of v${parent.version})`);
+  return id;
+}
+
+// Copy a mod into another player's namespace as version 1 of their own mod,
+// linked to the version it was forked from
+export function forkMod(id, playerId, name = null) {
+  const source = getModById(id);
+  if (!source) {
+    return null;
+  }
+
+  const forkName = name || source.name;
+  if (getLatestModVersion(forkName, playerId)) {
+    throw new Error(`You already have a mod named "${forkName}"`);
+  }
+
+  const fork = insertModVersion({
+    name: forkName,
+    code: source.code,
+    type: source.type,
+    userPrompt: source.user_prompt,
+    playerId,
+    parent: source,
+    origin: 'fork',
+  });
+
+  console.log(`🍴 Forked mod "${source.name}" v${source.version} as "${forkName}" for ${playerId}`);
+  return fork.id;
 }
 
 export function getModsByPlayer(playerId, limit = 50) {
@@ -119,19 +461,44 @@ export function getModStats() {
   const serverMods = db
     .prepare("SELECT COUNT(*) as count FROM mods WHERE type = 'server'")
     .get();
+  const persistentMods = db
+    .prepare("SELECT COUNT(*) as count FROM mods WHERE type = 'persistent'")
+    .get();
   const uniquePlayers = db
     .prepare("SELECT COUNT(DISTINCT player_id) as count FROM mods")
     .get();
+  const votes = db
+    .prepare("SELECT COUNT(*) as count FROM mod_votes")
+    .get();
+  const activations = db
+    .prepare("SELECT COUNT(*) as count FROM mod_activations")
+    .get();
+  const topTags = db
+    .prepare(`
+      SELECT tag, COUNT(*) as count FROM mod_tags
+      GROUP BY tag
+      ORDER BY count DESC, tag ASC
+      LIMIT 10
+    `)
+    .all();
 
   return {
     total: totalMods.count,
     client: clientMods.count,
     server: serverMods.count,
+    persistent: persistentMods.count,
     uniquePlayers: uniquePlayers.count,
+    votes: votes.count,
+    activations: activations.count,
+    topTags,
   };
 }
 
 export function deleteMod(id) {
+  db.prepare("DELETE FROM mod_tags WHERE mod_id = ?").run(id);
+  db.prepare("DELETE FROM mod_votes WHERE mod_id = ?").run(id);
+  db.prepare("DELETE FROM mod_activations WHERE mod_id = ?").run(id);
+
   const stmt = db.prepare("DELETE FROM mods WHERE id = ?");
   return stmt.run(id);
 }
@@ -150,10 +517,11 @@ export function addActiveMod(
   targetScope = 'player',
   targetPlayerId = null,
   targetPlayerName = null,
+  roomId = 'public',
 ) {
   const stmt = db.prepare(`
-    INSERT INTO active_mods (player_id, code, created_at, expires_at, name, description, target_scope, target_player_id, target_player_name)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO active_mods (player_id, code, created_at, expires_at, name, description, target_scope, target_player_id, target_player_name, room_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   const now = Date.now();
@@ -167,15 +535,27 @@ export function addActiveMod(
     targetScope,
     targetPlayerId,
     targetPlayerName,
+    roomId,
   );
 
   console.log(
-    `⚡ Added active mod for player ${playerId}, scope: ${targetScope}, expires in ${durationMs / 1000}s`,
+    `⚡ Added active mod for player ${playerId} in room ${roomId}, scope: ${targetScope}, expires in ${durationMs / 1000}s`,
   );
   return result.lastInsertRowid;
 }
 
-export function getActiveMods() {
+// Get unexpired active mods, optionally only those running in one room
+export function getActiveMods(roomId = null) {
+  if (roomId) {
+    const stmt = db.prepare(`
+      SELECT * FROM active_mods
+      WHERE expires_at > ? AND room_id = ?
+      ORDER BY created_at ASC
+    `);
+
+    return stmt.all(Date.now(), roomId);
+  }
+
   const stmt = db.prepare(`
     SELECT * FROM active_mods
     WHERE expires_at > ?
@@ -207,6 +587,24 @@ export function removePlayerActiveMods(playerId) {
   return stmt.run(playerId);
 }
 
+export function removeActiveMod(id) {
+  const stmt = db.prepare(`
+    DELETE FROM active_mods
+    WHERE id = ?
+  `);
+
+  return stmt.run(id);
+}
+
+export function removeRoomActiveMods(roomId) {
+  const stmt = db.prepare(`
+    DELETE FROM active_mods
+    WHERE room_id = ?
+  `);
+
+  return stmt.run(roomId);
+}
+
 // Save a failed mod generation attempt
 export function saveFailedMod(userPrompt, errorMessage, retryCount = 0, playerId = null) {
   const stmt = db.prepare(`
@@ -233,6 +631,334 @@ export function getRandomWorkingMod() {
   return stmt.get();
 }
 
+// Get one mod by ID
+export function getModById(id) {
+  const stmt = db.prepare(`
+    SELECT * FROM mods
+    WHERE id = ?
+  `);
+
+  return stmt.get(id);
+}
+
+// Get the most recent mod with the same code (see getCodeFingerprint)
+export function findModByCode(code) {
+  const stmt = db.prepare(`
+    SELECT * FROM mods
+    WHERE code_fingerprint = ? AND code != ''
+    ORDER BY created_at DESC
+    LIMIT 1
+  `);
+
+  return stmt.get(getCodeFingerprint(code));
+}
+
+// Record that a saved mod broke at runtime (keeps it out of the fallback pool)
+export function markModFailed(id, errorMessage) {
+  const stmt = db.prepare(`
+    UPDATE mods
+    SET failed = 1, error_message = ?
+    WHERE id = ?
+  `);
+
+  return stmt.run(errorMessage, id);
+}
+
+// Get the newest version of a player's mod
+export function getLatestModVersion(name, playerId = null) {
+  const stmt = db.prepare(`
+    SELECT * FROM mods
+    WHERE name = ? AND player_id IS ?
+    ORDER BY version DESC
+    LIMIT 1
+  `);
+
+  return stmt.get(name, playerId);
+}
+
+// Get one version of a player's mod
+export function getModVersion(name, playerId, version) {
+  const stmt = db.prepare(`
+    SELECT * FROM mods
+    WHERE name = ? AND player_id IS ? AND version = ?
+  `);
+
+  return stmt.get(name, playerId, version);
+}
+
+// Get every version of the mod a version belongs to, oldest first
+export function getModHistory(id) {
+  const stmt = db.prepare(`
+    SELECT mods.* FROM mods
+    JOIN mods AS target ON target.id = ?
+    WHERE mods.name = target.name AND mods.player_id IS target.player_id
+    ORDER BY mods.version ASC
+  `);
+
+  return stmt.all(id);
+}
+
+// Get the forks other players made of a version
+export function getModForks(id) {
+  const stmt = db.prepare(`
+    SELECT * FROM mods
+    WHERE parent_id = ? AND origin = 'fork'
+    ORDER BY created_at ASC
+  `);
+
+  return stmt.all(id);
+}
+
+// Get a mod and the versions it was made from (edits, repairs and the mod
+// it was forked from, across players), original first
+export function getModLineage(id) {
+  const stmt = db.prepare(`
+    WITH RECURSIVE lineage(id, parent_id, depth) AS (
+      SELECT id, parent_id, 0 FROM mods WHERE id = ?
+      UNION ALL
+      SELECT mods.id, mods.parent_id, lineage.depth + 1
+      FROM mods JOIN lineage ON mods.id = lineage.parent_id
+    )
+    SELECT mods.* FROM lineage
+    JOIN mods ON mods.id = lineage.id
+    ORDER BY lineage.depth DESC
+  `);
+
+  return stmt.all(id);
+}
+
+// Marketplace
+
+// How far back "trending" looks
+const TRENDING_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const CATALOG_SORTS = {
+  // Recent activations, plus recent votes counted double
+  trending: "(stats.recent_activations + 2 * stats.recent_score) DESC, mods.created_at DESC",
+  top: "stats.score DESC, stats.activations DESC, mods.created_at DESC",
+  new: "mods.created_at DESC",
+};
+
+// Turn what a player typed into an FTS5 query: every word must match, as a
+// prefix, so "heal al" finds "heal all players". Returns null if nothing is left
+function toSearchQuery(text) {
+  const words = String(text).match(/[\p{L}\p{N}_]+/gu);
+  if (!words) {
+    return null;
+  }
+  return words.map(word => `"${word}"*`).join(' ');
+}
+
+/**
+ * Browse the mod catalog: the latest working version of every mod, with its
+ * tags, votes and activation counts
+ * @param {Object} options
+ * @param {string} options.query - Full-text search over name, prompt and code
+ * @param {string} options.tag - Only mods with this tag
+ * @param {string} options.type - Only "client", "server" or "persistent" mods
+ * @param {string} options.sort - "trending", "top" or "new"
+ * @param {number} options.limit
+ * @param {number} options.offset
+ * @returns {Array} Mods with upvotes, downvotes, score, activations,
+ *   recentActivations and tags
+ */
+export function getCatalogMods({ query = null, tag = null, type = null, sort = 'trending', limit = 50, offset = 0 } = {}) {
+  const conditions = [
+    "mods.failed = 0",
+    "mods.code != ''",
+    `mods.version = (
+      SELECT MAX(version) FROM mods AS newer
+      WHERE newer.name = mods.name AND newer.player_id IS mods.player_id
+    )`,
+  ];
+  const params = { since: Date.now() - TRENDING_WINDOW_MS, limit, offset };
+
+  if (query) {
+    const match = toSearchQuery(query);
+    if (!match) {
+      return [];
+    }
+    conditions.push("mods.id IN (SELECT rowid FROM mods_fts WHERE mods_fts MATCH @match)");
+    params.match = match;
+  }
+  if (tag) {
+    conditions.push("mods.id IN (SELECT mod_id FROM mod_tags WHERE tag = @tag)");
+    params.tag = tag;
+  }
+  if (type) {
+    conditions.push("mods.type = @type");
+    params.type = type;
+  }
+
+  const stmt = db.prepare(`
+    WITH stats AS (
+      SELECT mods.id AS mod_id,
+        COALESCE(votes.upvotes, 0) AS upvotes,
+        COALESCE(votes.downvotes, 0) AS downvotes,
+        COALESCE(votes.upvotes, 0) - COALESCE(votes.downvotes, 0) AS score,
+        COALESCE(votes.recent_score, 0) AS recent_score,
+        COALESCE(uses.activations, 0) AS activations,
+        COALESCE(uses.recent_activations, 0) AS recent_activations
+      FROM mods
+      LEFT JOIN (
+        SELECT mod_id,
+          SUM(vote = 1) AS upvotes,
+          SUM(vote = -1) AS downvotes,
+          SUM(CASE WHEN created_at > @since THEN vote ELSE 0 END) AS recent_score
+        FROM mod_votes GROUP BY mod_id
+      ) AS votes ON votes.mod_id = mods.id
+      LEFT JOIN (
+        -- Players who used it, not uses, so nobody can push a mod up alone
+        SELECT mod_id,
+          COUNT(DISTINCT player_id) AS activations,
+          COUNT(DISTINCT CASE WHEN activated_at > @since THEN player_id END) AS recent_activations
+        FROM mod_activations GROUP BY mod_id
+      ) AS uses ON uses.mod_id = mods.id
+    )
+    SELECT mods.*,
+      stats.upvotes, stats.downvotes, stats.score,
+      stats.activations, stats.recent_activations,
+      (SELECT GROUP_CONCAT(tag) FROM mod_tags WHERE mod_tags.mod_id = mods.id) AS tags
+    FROM mods
+    JOIN stats ON stats.mod_id = mods.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${CATALOG_SORTS[sort] || CATALOG_SORTS.trending}
+    LIMIT @limit OFFSET @offset
+  `);
+
+  return stmt.all(params).map(({ recent_activations, tags, ...mod }) => ({
+    ...mod,
+    recentActivations: recent_activations,
+    tags: tags ? tags.split(',').sort() : [],
+  }));
+}
+
+// Tags are short lowercase words: "Low Gravity!" -> "low-gravity"
+export function normalizeTag(tag) {
+  return String(tag)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 24);
+}
+
+// Tag a mod (tags it already has are ignored). Returns the mod's tags
+export function addModTags(id, tags) {
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO mod_tags (mod_id, tag, created_at)
+    VALUES (?, ?, ?)
+  `);
+
+  const now = Date.now();
+  for (const tag of tags.map(normalizeTag).filter(Boolean)) {
+    stmt.run(id, tag, now);
+  }
+
+  return getModTags(id);
+}
+
+export function removeModTag(id, tag) {
+  const stmt = db.prepare(`
+    DELETE FROM mod_tags
+    WHERE mod_id = ? AND tag = ?
+  `);
+
+  return stmt.run(id, normalizeTag(tag));
+}
+
+export function getModTags(id) {
+  const stmt = db.prepare(`
+    SELECT tag FROM mod_tags
+    WHERE mod_id = ?
+    ORDER BY tag ASC
+  `);
+
+  return stmt.all(id).map(row => row.tag);
+}
+
+// Record a player's vote on a mod: 1 (up), -1 (down) or 0 to take it back.
+// Voting again replaces the player's earlier vote
+export function voteOnMod(id, playerId, vote) {
+  if (vote === 0) {
+    db.prepare("DELETE FROM mod_votes WHERE mod_id = ? AND player_id = ?").run(id, playerId);
+  } else {
+    db.prepare(`
+      INSERT INTO mod_votes (mod_id, player_id, vote, created_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(mod_id, player_id) DO UPDATE SET vote = excluded.vote, created_at = excluded.created_at
+    `).run(id, playerId, vote, Date.now());
+  }
+
+  return getModVotes(id);
+}
+
+export function getModVotes(id) {
+  const stmt = db.prepare(`
+    SELECT
+      COALESCE(SUM(vote = 1), 0) AS upvotes,
+      COALESCE(SUM(vote = -1), 0) AS downvotes,
+      COALESCE(SUM(vote), 0) AS score
+    FROM mod_votes
+    WHERE mod_id = ?
+  `);
+
+  return stmt.get(id);
+}
+
+// A player using the same mod again within this long isn't counted again
+const ACTIVATION_DEDUPE_MS = 60 * 60 * 1000;
+
+// Count one use of a mod (loaded by a client, run or activated on the server).
+// Returns false if the player already used it within ACTIVATION_DEDUPE_MS
+export function recordModActivation(id, playerId = null) {
+  const now = Date.now();
+  if (playerId !== null) {
+    const recent = db.prepare(`
+      SELECT 1 FROM mod_activations
+      WHERE mod_id = ? AND player_id = ? AND activated_at > ?
+    `).get(id, playerId, now - ACTIVATION_DEDUPE_MS);
+    if (recent) {
+      return false;
+    }
+  }
+
+  const stmt = db.prepare(`
+    INSERT INTO mod_activations (mod_id, player_id, activated_at)
+    VALUES (?, ?, ?)
+  `);
+
+  stmt.run(id, playerId, now);
+  return true;
+}
+
+// Credit ledger
+
+export function recordCreditTransaction({ playerId, playerName = null, roomId = null, amount, balance, reason, details = {} }) {
+  const stmt = db.prepare(`
+    INSERT INTO credit_transactions (player_id, player_name, room_id, amount, balance, reason, details, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const result = stmt.run(playerId, playerName, roomId, amount, balance, reason, JSON.stringify(details), Date.now());
+  return result.lastInsertRowid;
+}
+
+// Get a player's transactions, newest first
+export function getCreditTransactions(playerId, limit = 50) {
+  const stmt = db.prepare(`
+    SELECT * FROM credit_transactions
+    WHERE player_id = ?
+    ORDER BY id DESC
+    LIMIT ?
+  `);
+
+  return stmt.all(playerId, limit).map(row => ({
+    ...row,
+    details: row.details ? JSON.parse(row.details) : {},
+  }));
+}
+
 export default {
   saveMod,
   getModsByPlayer,
@@ -244,6 +970,29 @@ export default {
   getActiveMods,
   cleanupExpiredMods,
   removePlayerActiveMods,
+  removeActiveMod,
+  removeRoomActiveMods,
   saveFailedMod,
   getRandomWorkingMod,
+  getModById,
+  findModByCode,
+  getCodeFingerprint,
+  markModFailed,
+  saveModVersion,
+  forkMod,
+  getLatestModVersion,
+  getModVersion,
+  getModHistory,
+  getModForks,
+  getModLineage,
+  getCatalogMods,
+  normalizeTag,
+  addModTags,
+  removeModTag,
+  getModTags,
+  voteOnMod,
+  getModVotes,
+  recordModActivation,
+  recordCreditTransaction,
+  getCreditTransactions,
 };
@@ -0,0 +1,145 @@
+/**
+ * Mod Generation Queue
+ * AI mod generation runs as jobs. A player can only have a few jobs queued
+ * or running, and only a few run at once across the server - the rest wait
+ * in order. Jobs report progress as they go, and cancelling one aborts its
+ * signal so the AI request stops.
+ */
+
+export const GENERATION_LIMITS = {
+  MAX_RUNNING: 2, // Jobs generating at the same time, server-wide
+  MAX_PER_PLAYER: 1, // Jobs one player can have queued or running
+  MAX_WAITING: 20, // Jobs waiting to run, server-wide
+};
+
+class ModGenerationQueue {
+  constructor(limits = GENERATION_LIMITS) {
+    this.limits = limits;
+    this.waiting = []; // Jobs in the order they run
+    this.running = new Set();
+  }
+
+  /**
+   * Queue a job
+   * @param {Object} options
+   * @param {string} options.playerId - Who asked (for the per-player limit)
+   * @param {string} options.jobId - The player's own ID for the job
+   * @param {Function} options.task - async (job) => result. Gets job.signal
+   *   (aborted on cancel) and job.emit(phase, info) to report progress
+   * @param {Function} options.onProgress - (phase, info), including
+   *   ("queued", { position }) while it waits
+   * @param {Function} options.onFinish - Called once with { result },
+   *   { error } or { cancelled: true }
+   * @returns {Object} The job
+   * @throws {Error} If a limit is reached or the job ID is in use
+   */
+  enqueue({ playerId, jobId, task, onProgress, onFinish }) {
+    const playerJobs = this.getPlayerJobs(playerId);
+    if (playerJobs.some((job) => job.id === jobId)) {
+      throw new Error(`Generation ${jobId} is already queued`);
+    }
+    if (playerJobs.length >= this.limits.MAX_PER_PLAYER) {
+      throw new Error(
+        "You already have a mod generating - wait for it or cancel it",
+      );
+    }
+    if (this.waiting.length >= this.limits.MAX_WAITING) {
+      throw new Error("Too many mods are generating - try again in a moment");
+    }
+
+    const controller = new AbortController();
+    const job = {
+      id: jobId,
+      playerId,
+      task,
+      controller,
+      signal: controller.signal,
+      finished: false,
+      emit: (phase, info = {}) => {
+        if (!job.finished) onProgress(phase, info);
+      },
+      finish: (outcome) => {
+        if (job.finished) return;
+        job.finished = true;
+        onFinish(outcome);
+      },
+    };
+
+    this.waiting.push(job);
+    this.runNext();
+    return job;
+  }
+
+  // Jobs a player has queued or running (not cancelled)
+  getPlayerJobs(playerId) {
+    return [...this.waiting, ...this.running].filter(
+      (job) => job.playerId === playerId && !job.finished,
+    );
+  }
+
+  /**
+   * Cancel a player's job: a waiting job is dropped, a running one is
+   * aborted (its slot frees up once the task settles)
+   * @returns {boolean} Whether the job was found
+   */
+  cancel(playerId, jobId) {
+    const job = this.getPlayerJobs(playerId).find((j) => j.id === jobId);
+    if (!job) return false;
+
+    const index = this.waiting.indexOf(job);
+    if (index !== -1) {
+      this.waiting.splice(index, 1);
+      this.reportPositions();
+    }
+
+    job.controller.abort();
+    job.finish({ cancelled: true });
+    return true;
+  }
+
+  // Cancel everything a player has queued or running (e.g. on disconnect)
+  cancelPlayer(playerId) {
+    for (const job of this.getPlayerJobs(playerId)) {
+      this.cancel(playerId, job.id);
+    }
+  }
+
+  runNext() {
+    while (
+      this.running.size < this.limits.MAX_RUNNING &&
+      this.waiting.length > 0
+    ) {
+      const job = this.waiting.shift();
+      this.running.add(job);
+      this.run(job);
+    }
+    this.reportPositions();
+  }
+
+  async run(job) {
+    try {
+      const result = await job.task(job);
+      job.finish({ result });
+    } catch (error) {
+      job.finish({ error });
+    } finally {
+      this.running.delete(job);
+      this.runNext();
+    }
+  }
+
+  // Tell waiting jobs where they are in line (1 = next to run)
+  reportPositions() {
+    this.waiting.forEach((job, index) => {
+      if (job.position !== index + 1) {
+        job.position = index + 1;
+        job.emit("queued", { position: job.position });
+      }
+    });
+  }
+}
+
+// Singleton shared by all rooms
+export const modGenerationQueue = new ModGenerationQueue();
+
+export default modGenerationQueue;
@@ -0,0 +1,125 @@
+/**
+ * Persistent Mod Registry
+ * Keeps each room's active persistent mods in memory so the game loop doesn't
+ * query SQLite every tick. A room is reloaded from the database only after
+ * invalidate(); mods that expire or disappear on reload are reported as ended
+ * so their teardown can run. Also remembers which game events each mod
+ * handles, so events are only sent to the sandbox when someone listens.
+ */
+
+import { getActiveMods } from "./mod-database.js";
+
+class ModRegistry {
+  constructor() {
+    // roomId -> { mods: Map(modId -> row), events: Map(modId -> Set(type)), stale }
+    this.rooms = new Map();
+  }
+
+  // Reload the room from the database on the next update (mod added/removed)
+  invalidate(roomId) {
+    const entry = this.rooms.get(roomId);
+    if (entry) {
+      entry.stale = true;
+    }
+  }
+
+  // Drop a mod without reporting it as ended (e.g. disabled for misbehaving)
+  remove(roomId, modId) {
+    const entry = this.rooms.get(roomId);
+    if (entry) {
+      entry.mods.delete(modId);
+      entry.events.delete(modId);
+    }
+  }
+
+  /**
+   * Report every room's mods as ended on its next update (the sandbox lost
+   * their state), so they're torn down and stop being listed
+   * @returns {Array} The mods, to remove from the database
+   */
+  endAll() {
+    const mods = [];
+    for (const entry of this.rooms.values()) {
+      for (const [id, mod] of entry.mods) {
+        entry.mods.set(id, { ...mod, expires_at: 0 });
+        entry.events.delete(id);
+        mods.push(mod);
+      }
+    }
+    return mods;
+  }
+
+  // Forget a room entirely (room closed)
+  forget(roomId) {
+    this.rooms.delete(roomId);
+  }
+
+  /**
+   * Bring a room's mods up to date for this tick
+   * @param {string} roomId - Room to update
+   * @param {number} now - Current time, for expiry
+   * @returns {Object} { active, ended } - mods to run and mods that just ended
+   */
+  update(roomId, now) {
+    let entry = this.rooms.get(roomId);
+    const ended = [];
+
+    if (!entry || entry.stale) {
+      const previous = entry || { mods: new Map(), events: new Map() };
+      entry = {
+        mods: new Map(getActiveMods(roomId).map((mod) => [mod.id, mod])),
+        events: new Map(),
+        stale: false,
+      };
+      this.rooms.set(roomId, entry);
+
+      for (const [id, mod] of previous.mods) {
+        if (!entry.mods.has(id)) {
+          ended.push(mod);
+        } else if (previous.events.has(id)) {
+          entry.events.set(id, previous.events.get(id));
+        }
+      }
+    }
+
+    for (const [id, mod] of entry.mods) {
+      if (mod.expires_at <= now) {
+        entry.mods.delete(id);
+        entry.events.delete(id);
+        ended.push(mod);
+      }
+    }
+
+    return { active: Array.from(entry.mods.values()), ended };
+  }
+
+  // Record the game events a mod handles (reported when it starts)
+  setEvents(roomId, modId, types) {
+    const entry = this.rooms.get(roomId);
+    if (entry && entry.mods.has(modId)) {
+      entry.events.set(modId, new Set(types));
+    }
+  }
+
+  // Active mods that handle a game event, in activation order
+  subscribers(roomId, type) {
+    const entry = this.rooms.get(roomId);
+    if (!entry) return [];
+
+    return Array.from(entry.mods.values()).filter((mod) => {
+      const types = entry.events.get(mod.id);
+      return types !== undefined && types.has(type);
+    });
+  }
+
+  // Active mods as of the last update (for broadcasts)
+  list(roomId) {
+    const entry = this.rooms.get(roomId);
+    return entry ? Array.from(entry.mods.values()) : [];
+  }
+}
+
+// Singleton shared by all rooms
+export const modRegistry = new ModRegistry();
+
+export default modRegistry;
@@ -0,0 +1,493 @@
+/**
+ * Mod Sandbox Worker
+ * Runs server and persistent mod code inside vm contexts that have no
+ * access to Node globals (process, require, import, timers, filesystem).
+ * Started by mod-sandbox.js with a capped heap; replies are posted on the
+ * reply port and signalled through shared memory so the caller can block.
+ */
+
+import { parentPort, workerData } from "worker_threads";
+import vm from "vm";
+import {
+  MOD_API,
+  MOD_API_VERSION,
+  MOD_EVENTS,
+  MOD_LIFECYCLE_HANDLERS,
+} from "./public/modApi.js";
+
+const signal = new Int32Array(workerData.signal); // [0] = reply ready, [1] = index of the mod being run
+const replyPort = workerData.replyPort;
+
+// Persistent mod contexts are reused across ticks and dropped once unused
+const CONTEXT_IDLE_MS = 5000;
+const persistentContexts = new Map(); // modId -> { code, context, lastUsed }
+
+// Evaluated inside each sandbox context - stringified, so it must not use
+// anything from this module's scope (the mod API definition, version, game
+// events and lifecycle handler names are passed in). Builds the mod API once per context over a JSON copy of the game
+// data that is swapped in on every call. Commands are queued for the server to
+// apply, and mirrored locally so later reads see them.
+function sandboxRuntime(apiMembers, apiVersion, modEvents, lifecycleHandlers) {
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+  const copy = (value) =>
+    value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+  let data = null;
+  let entities = new Map();
+  let commands = [];
+  let logs = [];
+
+  const format = (args) => args.map((arg) => String(arg)).join(" ");
+  const log = (...args) => logs.push(format(args));
+  globalThis.console = Object.freeze({ log, warn: log, error: log });
+
+  // Queue a command if the target exists, applying it to the local copy
+  const targetCommand = (method, args, apply) => {
+    const target = entities.get(args[0]);
+    if (!target || apply(target) === false) return false;
+    commands.push({ method, args });
+    return true;
+  };
+
+  // One implementation per member of the mod API definition (getters for
+  // properties). Commands always queue the member's own name, never an alias
+  const implementations = {
+    version: () => apiVersion,
+    myId: () => data.myId,
+    isSpectator: () => !data.players.some((p) => p.id === data.myId),
+    now: () => data.now,
+    dt: () => data.dt,
+    getMyPlayer: () => copy(entities.get(data.myId)),
+    getPlayer: (playerId) => copy(entities.get(playerId)),
+    getAllPlayers: () => copy([...data.players, ...data.bots]),
+    getGameState: () =>
+      copy({
+        players: data.players,
+        bots: data.bots,
+        projectiles: data.projectiles,
+        pickups: data.pickups,
+      }),
+    setHealth: (targetId, health) =>
+      targetCommand("setHealth", [targetId, health], (target) => {
+        target.health = clamp(health, 0, data.maxHealth);
+      }),
+    setArmor: (targetId, armor) =>
+      targetCommand("setArmor", [targetId, armor], (target) => {
+        target.armor = clamp(armor, 0, 100);
+      }),
+    setInvulnerable: (targetId, invulnerable) =>
+      targetCommand("setInvulnerable", [targetId, invulnerable], (target) => {
+        target.invulnerable = invulnerable
+          ? data.now + 999999999
+          : Math.min(target.invulnerable, data.now);
+      }),
+    teleportPlayer: (targetId, x, y) =>
+      targetCommand("teleportPlayer", [targetId, x, y], (target) => {
+        target.x = clamp(x, 0, data.worldWidth);
+        target.y = clamp(y, 0, data.worldHeight);
+      }),
+    giveWeapon: (targetId, weapon) =>
+      targetCommand("giveWeapon", [targetId, weapon], (target) => {
+        if (!data.weapons.includes(weapon)) return false;
+        target.weapon = weapon;
+      }),
+    killPlayer: (targetId) =>
+      targetCommand("killPlayer", [targetId], (target) => {
+        if (target.health <= 0) return false;
+        target.health = 0;
+      }),
+    spawnPickup: (x, y, type) => {
+      if (!data.pickupTypes.includes(type)) return false;
+      data.pickups.push({ x, y, type, active: true });
+      commands.push({ method: "spawnPickup", args: [x, y, type] });
+      return true;
+    },
+    log,
+    broadcast: (message) => {
+      commands.push({ method: "broadcast", args: [String(message)] });
+    },
+    // Bot brain changes are checked by the server (see bot-behaviors.js)
+    registerBotBehavior: (name, behavior) => {
+      commands.push({
+        method: "registerBotBehavior",
+        args: [String(name), copy(behavior)],
+      });
+    },
+    setBotBehaviorWeight: (name, weight) => {
+      commands.push({
+        method: "setBotBehaviorWeight",
+        args: [String(name), Number(weight)],
+      });
+    },
+    setBotPickupWeight: (type, weight) => {
+      if (!data.pickupTypes.includes(type)) return false;
+      commands.push({
+        method: "setBotPickupWeight",
+        args: [type, Number(weight)],
+      });
+      return true;
+    },
+  };
+
+  // The api object a context's mods get, with exactly the members the
+  // definition lists for it
+  const buildApi = (kind) => {
+    const api = {};
+    for (const member of apiMembers) {
+      if (!member.contexts.includes(kind)) continue;
+      const implementation = implementations[member.name];
+      if (!implementation) {
+        throw new Error(`Mod API member ${member.name} is not implemented`);
+      }
+      for (const name of [member.name, ...(member.aliases || [])]) {
+        if (member.type === "property") {
+          Object.defineProperty(api, name, {
+            get: implementation,
+            enumerable: true,
+          });
+        } else {
+          api[name] = implementation;
+        }
+      }
+    }
+    return Object.freeze(api);
+  };
+  const apis = {
+    server: buildApi("server"),
+    persistent: buildApi("persistent"),
+  };
+
+  const state = {}; // Private to this mod, survives between ticks
+  let started = false;
+  let hooks = null; // Lifecycle handlers, if the mod declared any
+
+  // Handler -> names a mod may declare it under (onX names are aliases).
+  // Game event handlers go by their own name (e.g. onDamage)
+  const HANDLER_NAMES = { ...lifecycleHandlers };
+  for (const { handler } of Object.values(modEvents)) {
+    HANDLER_NAMES[handler] = [handler];
+  }
+
+  // Only lifecycle mods declare handlers; plain mods are a body run every tick
+  const findHooks = (declared) => {
+    if (!declared || typeof declared !== "object") return null;
+    const found = {};
+    for (const [handler, names] of Object.entries(HANDLER_NAMES)) {
+      const name = names.find((n) => typeof declared[n] === "function");
+      if (name) found[handler] = declared[name];
+    }
+    return Object.keys(found).length > 0 ? found : null;
+  };
+
+  return function run(modFunction, kind, phase, input) {
+    data = JSON.parse(input);
+    commands = [];
+    logs = [];
+    entities = new Map();
+    for (const entity of [...data.players, ...(data.bots || [])]) {
+      entities.set(entity.id, entity);
+    }
+
+    const api = apis[kind];
+    let result;
+    let events; // Game events the mod handles, reported when it starts
+
+    if (phase === "start") {
+      // Runs the mod body once: defines handlers, or is a plain mod's first tick
+      started = true;
+      hooks = findHooks(modFunction(api, state));
+      events = Object.keys(modEvents).filter(
+        (type) => hooks && hooks[modEvents[type].handler],
+      );
+      if (hooks && hooks.setup) {
+        result = hooks.setup(api, state);
+      }
+    } else if (phase === "event") {
+      // Handlers change the outcome by changing the event object in place
+      const handler = hooks && hooks[modEvents[data.eventType].handler];
+      if (handler) {
+        result = handler(api, state, data.event);
+      }
+    } else if (phase === "end") {
+      if (!started) {
+        // Context was lost (worker restarted) - define handlers again so
+        // teardown still runs; a plain mod's body must not count as a tick
+        started = true;
+        hooks = findHooks(modFunction(api, state));
+        commands = [];
+      }
+      if (hooks && hooks.teardown) {
+        result = hooks.teardown(api, state);
+      }
+    } else if (hooks) {
+      if (hooks.tick) {
+        result = hooks.tick(api, state);
+      }
+    } else {
+      result = modFunction(api, state);
+    }
+
+    return JSON.stringify({
+      commands,
+      logs,
+      result: result === undefined ? null : String(result),
+      events,
+      event: phase === "event" ? data.event : undefined,
+    });
+  };
+}
+
+const RUNTIME_SOURCE = `"use strict"; (${sandboxRuntime.toString()})(${JSON.stringify(MOD_API)}, ${MOD_API_VERSION}, ${JSON.stringify(MOD_EVENTS)}, ${JSON.stringify(MOD_LIFECYCLE_HANDLERS)})`;
+const RUN_SCRIPT = new vm.Script("__run(__mod, __kind, __phase, __input)");
+
+// Handlers are picked up by name after the body runs, so a lifecycle mod can
+// just declare function setup/tick/teardown(api, state) or game event
+// handlers at the top level (or return an object with them)
+const HOOK_COLLECTOR = [
+  ...Object.values(MOD_LIFECYCLE_HANDLERS).flat(),
+  ...Object.values(MOD_EVENTS).map(({ handler }) => handler),
+]
+  .map((name) => `${name}: typeof ${name} === "function" ? ${name} : undefined`)
+  .join(", ");
+
+function createModContext(code, collectHooks) {
+  // The global must not lead back to this realm: a plain {} would have the
+  // host's Object.prototype, and this.constructor.constructor the host's
+  // Function (which isn't bound by codeGeneration)
+  const context = vm.createContext(
+    Object.create(null),
+    {
+      codeGeneration: { strings: false, wasm: false }, // No eval/new Function
+      microtaskMode: "afterEvaluate", // Promise jobs count against the timeout
+    },
+  );
+  context.__run = vm.runInContext(RUNTIME_SOURCE, context);
+  // Compiled once per context. Wrapped like new Function("api", code) - the
+  // line offset keeps stack traces pointing at the mod's own line numbers.
+  // Strict, so mods have no sloppy this (the context global) to start from
+  const epilogue = collectHooks ? `;return { ${HOOK_COLLECTOR} };` : "";
+  context.__mod = vm.runInContext(
+    `(function (api, state) { "use strict";\n${code}\n${epilogue}\n})`,
+    context,
+    { filename: "mod.js", lineOffset: -1 },
+  );
+  return context;
+}
+
+function runMod(context, kind, phase, data, timeoutMs) {
+  try {
+    context.__kind = kind;
+    context.__phase = phase;
+    context.__input = JSON.stringify(data);
+    const output = RUN_SCRIPT.runInContext(context, { timeout: timeoutMs });
+    if (typeof output !== "string") {
+      throw new Error("Mod sandbox runtime was tampered with");
+    }
+    return { ok: true, ...JSON.parse(output) };
+  } catch (error) {
+    return describeError(error);
+  }
+}
+
+function describeError(error) {
+  if (error && error.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") {
+    return {
+      ok: false,
+      reason: "timeout",
+      error: "Mod exceeded its time budget",
+    };
+  }
+  return {
+    ok: false,
+    reason: "error",
+    error: String(error && error.message !== undefined ? error.message : error),
+    stack: error && typeof error.stack === "string" ? error.stack : undefined,
+  };
+}
+
+const handlers = {
+  // One-time server mod in a throwaway context
+  run({ code, kind, data, timeoutMs }) {
+    Atomics.store(signal, 1, 0);
+    let context;
+    try {
+      context = createModContext(code, false);
+    } catch (error) {
+      return describeError(error);
+    }
+    return runMod(context, kind, "tick", data, timeoutMs);
+  },
+
+  // All persistent mods of a room for one tick. Mods seen for the first
+  // time (or whose context was lost) are compiled and started instead
+  tick({ mods, data, timeoutMs }) {
+    const now = Date.now();
+    const results = mods.map((mod, index) => {
+      Atomics.store(signal, 1, index);
+
+      let entry = persistentContexts.get(mod.id);
+      let phase = "tick";
+      if (!entry || entry.code !== mod.code) {
+        try {
+          entry = {
+            code: mod.code,
+            context: createModContext(mod.code, true),
+          };
+        } catch (error) {
+          return { id: mod.id, ...describeError(error) };
+        }
+        persistentContexts.set(mod.id, entry);
+        phase = "start";
+      }
+      entry.lastUsed = now;
+
+      const modData = { ...data, myId: mod.playerId };
+      return {
+        id: mod.id,
+        ...runMod(entry.context, "persistent", phase, modData, timeoutMs),
+      };
+    });
+
+    for (const [id, entry] of persistentContexts) {
+      if (now - entry.lastUsed > CONTEXT_IDLE_MS) {
+        persistentContexts.delete(id);
+      }
+    }
+
+    return { results };
+  },
+
+  // Run teardown for persistent mods that expired or were removed. Mods
+  // whose context is gone are compiled again so teardown is never skipped
+  end({ mods, data, timeoutMs }) {
+    const results = mods.map((mod, index) => {
+      Atomics.store(signal, 1, index);
+
+      let entry = persistentContexts.get(mod.id);
+      persistentContexts.delete(mod.id);
+      if (!entry) {
+        try {
+          entry = { context: createModContext(mod.code, true) };
+        } catch (error) {
+          return { id: mod.id, ...describeError(error) };
+        }
+      }
+
+      const modData = { ...data, myId: mod.playerId };
+      return {
+        id: mod.id,
+        ...runMod(entry.context, "persistent", "end", modData, timeoutMs),
+      };
+    });
+
+    return { results };
+  },
+
+  // Deliver a game event to the persistent mods that handle it, in order.
+  // Each sees the changes the previous ones made to the modifiable fields.
+  // Mods without a context (worker restarted) miss it until their next tick
+  event({ mods, eventType, event, data, timeoutMs }) {
+    const { modifiable = {} } = MOD_EVENTS[eventType];
+    const current = { ...event };
+
+    const results = mods.map((mod, index) => {
+      Atomics.store(signal, 1, index);
+
+      const entry = persistentContexts.get(mod.id);
+      if (!entry) {
+        return { id: mod.id, ok: true, commands: [], logs: [], skipped: true };
+      }
+
+      const modData = {
+        ...data,
+        myId: mod.playerId,
+        eventType,
+        event: { ...current },
+      };
+      const result = runMod(
+        entry.context,
+        "persistent",
+        "event",
+        modData,
+        timeoutMs,
+      );
+
+      if (result.ok && result.event) {
+        for (const [field, fieldType] of Object.entries(modifiable)) {
+          const value = result.event[field];
+          if (
+            typeof value === fieldType &&
+            (fieldType !== "number" || Number.isFinite(value))
+          ) {
+            current[field] = value;
+          }
+        }
+      }
+      delete result.event;
+
+      return { id: mod.id, ...result };
+    });
+
+    return { results, event: current };
+  },
+
+  // Try a persistent mod out in a throwaway context that is never cached:
+  // setup, one tick, each game event it handles (with the sample events
+  // given) and teardown. Stops at the first phase that fails
+  dryRun({ code, data, events, timeoutMs }) {
+    Atomics.store(signal, 1, 0);
+    let context;
+    try {
+      context = createModContext(code, true);
+    } catch (error) {
+      return { ...describeError(error), phase: "compile" };
+    }
+
+    const start = runMod(context, "persistent", "start", data, timeoutMs);
+    if (!start.ok) {
+      return { ...start, phase: "setup" };
+    }
+
+    const phases = [
+      ["tick", "tick", data],
+      ...start.events.map((eventType) => [
+        "event",
+        MOD_EVENTS[eventType].handler,
+        { ...data, eventType, event: { ...events[eventType] } },
+      ]),
+      ["end", "teardown", data],
+    ];
+    for (const [phase, name, phaseData] of phases) {
+      const result = runMod(context, "persistent", phase, phaseData, timeoutMs);
+      if (!result.ok) {
+        return { ...result, phase: name };
+      }
+    }
+
+    return { ok: true, events: start.events };
+  },
+
+  // Forget persistent mods that were disabled
+  release({ ids }) {
+    for (const id of ids) {
+      persistentContexts.delete(id);
+    }
+    return { ok: true };
+  },
+};
+
+parentPort.on("message", (message) => {
+  let reply;
+  try {
+    reply = handlers[message.type](message);
+  } catch (error) {
+    reply = describeError(error);
+  }
+  replyPort.postMessage(reply);
+  Atomics.store(signal, 0, 1);
+  Atomics.notify(signal, 0);
+});
+
+// Ready for the first call
+Atomics.store(signal, 0, 1);
+Atomics.notify(signal, 0);
@@ -0,0 +1,300 @@
+/**
+ * Mod Sandbox
+ * Runs server and persistent mod code in a worker thread with a capped heap
+ * (see mod-sandbox-worker.js). Calls are synchronous - the caller blocks for
+ * at most the mod's time budget, and a worker that stops responding (stuck
+ * outside the vm timeout, or out of memory) is killed and replaced in the
+ * background. Until the new one is up, server mods fail and persistent mods
+ * are skipped; a "restart" event tells the server that the persistent mods'
+ * state went with the old worker.
+ */
+
+import { EventEmitter } from "events";
+import { Worker, MessageChannel, receiveMessageOnPort } from "worker_threads";
+
+export const SANDBOX_LIMITS = {
+  SERVER_MOD_TIMEOUT_MS: 100, // One-time server mods
+  PERSISTENT_MOD_TIMEOUT_MS: 5, // Each persistent mod, every tick
+  MEMORY_LIMIT_MB: 32, // Heap for the whole sandbox worker
+  KILL_GRACE_MS: 50, // Extra wait before the worker is considered stuck
+  MAX_CONSECUTIVE_ERRORS: 3, // Persistent mods are disabled after this many failed ticks
+  STARTUP_TIMEOUT_MS: 5000,
+};
+
+// Reply for calls made while a replacement worker is starting
+const UNAVAILABLE = {
+  ok: false,
+  reason: "unavailable",
+  error: "Mod sandbox is restarting",
+};
+
+class ModSandbox extends EventEmitter {
+  constructor() {
+    super();
+    this.worker = null;
+    this.port = null;
+    this.signal = null; // [0] = reply ready, [1] = index of the mod being run
+    this.started = false; // A worker has been started before
+    this.startingSince = null; // When a replacement worker was started
+  }
+
+  /**
+   * Start the worker
+   * @param {Object} options
+   * @param {boolean} options.wait - Block until it's ready (at startup);
+   *   otherwise isReady() says when it is
+   * @returns {boolean} false if it didn't start in time
+   */
+  start({ wait = true } = {}) {
+    const restarting = this.started;
+    this.started = true;
+
+    const { port1, port2 } = new MessageChannel();
+    this.signal = new Int32Array(new SharedArrayBuffer(8));
+    this.port = port1;
+
+    const worker = new Worker(
+      new URL("./mod-sandbox-worker.js", import.meta.url),
+      {
+        workerData: { signal: this.signal.buffer, replyPort: port2 },
+        transferList: [port2],
+        resourceLimits: {
+          maxOldGenerationSizeMb: SANDBOX_LIMITS.MEMORY_LIMIT_MB,
+          maxYoungGenerationSizeMb: 8,
+        },
+      },
+    );
+    worker.unref(); // Don't keep the process alive on shutdown
+
+    worker.on("error", (error) => {
+      console.error("❌ Mod sandbox worker crashed:", error.message);
+    });
+    worker.on("exit", () => {
+      if (this.worker === worker) {
+        this.worker = null;
+      }
+    });
+    this.worker = worker;
+
+    if (restarting) {
+      this.emit("restart");
+    }
+
+    if (!wait) {
+      this.startingSince = Date.now();
+      return true;
+    }
+
+    // Block until the worker is ready so the first call doesn't time out
+    const ready = Atomics.wait(
+      this.signal,
+      0,
+      0,
+      SANDBOX_LIMITS.STARTUP_TIMEOUT_MS,
+    );
+    if (ready === "timed-out") {
+      console.error("❌ Mod sandbox worker failed to start");
+      this.kill();
+      return false;
+    }
+
+    console.log("🧪 Mod sandbox worker started");
+    return true;
+  }
+
+  kill() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.startingSince = null;
+  }
+
+  // Whether the worker can take calls. Starts a replacement (without
+  // waiting for it) if there's none, and gives up on one that won't start
+  isReady() {
+    if (!this.worker) {
+      this.start({ wait: false });
+      return false;
+    }
+    if (this.startingSince === null) {
+      return true;
+    }
+
+    if (Atomics.load(this.signal, 0) === 1) {
+      this.startingSince = null;
+      console.log("🧪 Mod sandbox worker restarted");
+      return true;
+    }
+    if (Date.now() - this.startingSince > SANDBOX_LIMITS.STARTUP_TIMEOUT_MS) {
+      console.error("❌ Mod sandbox worker failed to start");
+      this.kill();
+    }
+    return false;
+  }
+
+  // Send a message and wait for the reply: null if the worker had to be
+  // killed, UNAVAILABLE while its replacement starts
+  call(message, timeoutMs) {
+    if (!this.isReady()) {
+      return UNAVAILABLE;
+    }
+
+    Atomics.store(this.signal, 0, 0);
+    Atomics.store(this.signal, 1, 0);
+    this.worker.postMessage(message);
+
+    const result = Atomics.wait(
+      this.signal,
+      0,
+      0,
+      timeoutMs + SANDBOX_LIMITS.KILL_GRACE_MS,
+    );
+    if (result === "timed-out") {
+      console.error("❌ Mod sandbox stopped responding - restarting worker");
+      this.kill();
+      this.start({ wait: false });
+      return null;
+    }
+
+    const reply = receiveMessageOnPort(this.port);
+    return reply ? reply.message : null;
+  }
+
+  /**
+   * Run a one-time server mod
+   * @param {string} code - Mod body, called with `api`
+   * @param {Object} data - Game data the mod API reads from
+   * @returns {Object} { ok, commands, logs, result } or { ok: false, reason, error }
+   */
+  runServerMod(code, data) {
+    const timeoutMs = SANDBOX_LIMITS.SERVER_MOD_TIMEOUT_MS;
+    const reply = this.call(
+      { type: "run", code, kind: "server", data, timeoutMs },
+      timeoutMs,
+    );
+
+    return (
+      reply || {
+        ok: false,
+        reason: "killed",
+        error: "Mod exceeded its time or memory budget",
+      }
+    );
+  }
+
+  /**
+   * Run one tick of every persistent mod in a room
+   * Mods the worker hasn't seen yet are compiled once and started (setup);
+   * their result lists the game events they handle (`events`)
+   * @param {Array} mods - [{ id, code, playerId }]
+   * @param {Object} data - Game data shared by all mods this tick
+   * @returns {Array} One result per mod, in order
+   */
+  runPersistentMods(mods, data) {
+    return this.callPersistentMods("tick", mods, data).results;
+  }
+
+  /**
+   * Run teardown for persistent mods that expired or were removed, and drop them
+   * @param {Array} mods - [{ id, code, playerId }]
+   * @param {Object} data - Game data shared by all mods
+   * @returns {Array} One result per mod, in order
+   */
+  endPersistentMods(mods, data) {
+    return this.callPersistentMods("end", mods, data).results;
+  }
+
+  /**
+   * Deliver a game event to the persistent mods that handle it
+   * @param {Array} mods - [{ id, code, playerId }], in the order they run
+   * @param {string} type - Event type (see MOD_EVENTS)
+   * @param {Object} event - Event fields
+   * @param {Object} data - Game data shared by all mods
+   * @returns {Object} { results, event } - event with the mods' changes to
+   *   its modifiable fields (unchanged if the worker had to be killed)
+   */
+  dispatchEvent(mods, type, event, data) {
+    const reply = this.callPersistentMods("event", mods, data, {
+      eventType: type,
+      event,
+    });
+    return { results: reply.results, event: reply.event || event };
+  }
+
+  /**
+   * Try a persistent mod out without starting it for real: setup, one tick,
+   * each game event it handles and teardown, in a context that is thrown
+   * away. The commands it queues are not applied
+   * @param {string} code - Mod code
+   * @param {Object} data - Game data the mod API reads from
+   * @param {Object} events - Sample event for each game event type
+   * @returns {Object} { ok, events } or { ok: false, reason, error, phase }
+   */
+  dryRunPersistentMod(code, data, events) {
+    const timeoutMs = SANDBOX_LIMITS.PERSISTENT_MOD_TIMEOUT_MS;
+    const phaseCount = 3 + Object.keys(events).length;
+    const reply = this.call(
+      { type: "dryRun", code, data, events, timeoutMs },
+      timeoutMs * phaseCount,
+    );
+
+    return (
+      reply || {
+        ok: false,
+        reason: "killed",
+        error: "Mod exceeded its time or memory budget",
+      }
+    );
+  }
+
+  callPersistentMods(type, mods, data, extra = {}) {
+    const timeoutMs = SANDBOX_LIMITS.PERSISTENT_MOD_TIMEOUT_MS;
+    const reply = this.call(
+      { ...extra, type, mods, data, timeoutMs },
+      timeoutMs * mods.length,
+    );
+    if (reply && reply.results) {
+      return reply;
+    }
+    if (reply === UNAVAILABLE) {
+      return {
+        results: mods.map((mod) => ({
+          id: mod.id,
+          ok: true,
+          commands: [],
+          logs: [],
+          skipped: true,
+        })),
+      };
+    }
+
+    // Worker was killed mid-call: blame the mod it was running, the ones
+    // after it simply didn't run
+    const stuckIndex = Atomics.load(this.signal, 1);
+    const results = mods.map((mod, index) => {
+      if (index === stuckIndex) {
+        return {
+          id: mod.id,
+          ok: false,
+          reason: "killed",
+          error: "Mod exceeded its time or memory budget",
+        };
+      }
+      return { id: mod.id, ok: true, commands: [], logs: [], skipped: true };
+    });
+    return { results };
+  }
+
+  // Drop cached contexts for mods that were disabled or removed
+  release(ids) {
+    if (this.worker && this.startingSince === null && ids.length > 0) {
+      this.call({ type: "release", ids }, SANDBOX_LIMITS.KILL_GRACE_MS);
+    }
+  }
+}
+
+// Singleton shared by all rooms
+export const modSandbox = new ModSandbox();
+
+export default modSandbox;
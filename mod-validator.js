@@ -0,0 +1,353 @@
+/**
+ * Mod Validator
+ * Checks generated mod code before it reaches players, so broken mods are
+ * retried instead of failing in-game:
+ * - Static analysis of the parsed code: syntax, every api.* member against
+ *   the mod API definition, registerHook names against the client hooks,
+ *   persistent handler names, literal pickup types, forbidden and undefined
+ *   globals
+ * - Dry run: server and persistent mods run once in the sandbox against a
+ *   copy of a room's game state, and the commands they queue are dropped.
+ *   Client mods draw on the browser's canvas, so they get static checks only
+ */
+
+import * as acorn from "acorn";
+import * as walk from "acorn-walk";
+import vm from "vm";
+import {
+  MOD_API_VERSION,
+  MOD_EVENTS,
+  MOD_LIFECYCLE_HANDLERS,
+  CLIENT_MOD_HOOKS,
+  getModAPIMembers,
+} from "./public/modApi.js";
+import { PICKUP_TYPE_NAMES } from "./public/pickups.js";
+import modSandbox from "./mod-sandbox.js";
+
+// Globals no mod may touch, with the reason given back to the AI
+const FORBIDDEN_GLOBALS = {
+  eval: "eval() is not allowed",
+  Function: "the Function constructor is not allowed",
+  require: "require() is not allowed",
+  process: "process is not available to mods",
+  module: "module is not available to mods",
+  exports: "exports is not available to mods",
+  global: "global is not available to mods",
+  globalThis: "globalThis is not available to mods",
+};
+
+// Standard JavaScript globals - everything a fresh vm context has
+const BUILTIN_GLOBALS = new Set(
+  Object.getOwnPropertyNames(vm.runInNewContext("globalThis")),
+);
+
+// What client mods can use besides the standard globals: their mod context
+// (see ModSystem.loadMod) and the browser
+const CLIENT_GLOBALS = new Set([
+  "game",
+  "registerHook",
+  "console",
+  "window",
+  "document",
+  "navigator",
+  "location",
+  "localStorage",
+  "sessionStorage",
+  "performance",
+  "requestAnimationFrame",
+  "cancelAnimationFrame",
+  "setTimeout",
+  "clearTimeout",
+  "setInterval",
+  "clearInterval",
+  "fetch",
+  "alert",
+  "getComputedStyle",
+  "innerWidth",
+  "innerHeight",
+  "devicePixelRatio",
+  "Audio",
+  "AudioContext",
+  "webkitAudioContext",
+  "Image",
+  "Path2D",
+  "Event",
+  "CustomEvent",
+  "KeyboardEvent",
+  "MouseEvent",
+  "HTMLElement",
+  "HTMLCanvasElement",
+  "CanvasRenderingContext2D",
+  "URL",
+  "URLSearchParams",
+  "TextEncoder",
+  "TextDecoder",
+  "atob",
+  "btoa",
+]);
+
+// Server and persistent mod code is the body of function (api, state)
+const SANDBOX_GLOBALS = new Set(["api", "state", "console"]);
+
+// api commands that take a pickup type, and which argument it is
+const PICKUP_TYPE_ARGUMENTS = {
+  spawnPickup: 2,
+  setBotPickupWeight: 0,
+};
+
+const PERSISTENT_HANDLERS = [
+  ...Object.values(MOD_LIFECYCLE_HANDLERS).flat(),
+  ...Object.values(MOD_EVENTS).map(({ handler }) => handler),
+];
+
+// Values for the sample events a persistent mod's handlers are tried with
+function getSampleEventValues(data) {
+  const entities = [...data.players, ...data.bots];
+  const myId = data.myId;
+  const otherId = (entities.find((e) => e.id !== myId) || {}).id || myId;
+
+  return {
+    targetId: otherId,
+    victimId: otherId,
+    attackerId: myId,
+    killerId: myId,
+    playerId: myId,
+    shooterId: myId,
+    throwerId: myId,
+    winnerId: myId,
+    winnerName: "Player",
+    hitIds: [otherId],
+    weapon: "pistol",
+    headshot: false,
+    amount: 20,
+    pickupId: "dry_run_pickup",
+    type: PICKUP_TYPE_NAMES[0],
+    x: data.worldWidth / 2,
+    y: data.worldHeight / 2,
+    angle: 0,
+    radius: 150,
+  };
+}
+
+function createSampleEvents(data) {
+  const values = getSampleEventValues(data);
+  return Object.fromEntries(
+    Object.entries(MOD_EVENTS).map(([type, { fields }]) => [
+      type,
+      Object.fromEntries(fields.map((field) => [field, values[field] ?? null])),
+    ]),
+  );
+}
+
+// Name of a member expression's property, if it is known statically
+function getPropertyName(node) {
+  if (!node.computed) return node.property.name;
+  if (node.property.type === "Literal") return String(node.property.value);
+  return null;
+}
+
+/**
+ * Parse mod code and check it against what its type can use
+ * Scope is approximated: a name declared anywhere in the mod counts as
+ * defined everywhere, so only names the mod never declares are reported
+ * @param {string} code - Mod code
+ * @param {string} type - "client", "server" or "persistent"
+ * @returns {Object} { valid, errors } - errors are "line N: ..." messages
+ */
+export function analyzeModCode(code, type) {
+  let ast;
+  try {
+    ast = acorn.parse(code, {
+      ecmaVersion: "latest",
+      sourceType: "script",
+      allowReturnOutsideFunction: true, // Mods are run as function bodies
+      locations: true,
+    });
+  } catch (syntaxError) {
+    return {
+      valid: false,
+      errors: [`Syntax error: ${syntaxError.message}`],
+    };
+  }
+
+  const problems = new Map(); // message -> first line it was found on
+  const report = (node, message) => {
+    if (!problems.has(message)) {
+      problems.set(message, node.loc.start.line);
+    }
+  };
+
+  const isClient = type === "client";
+  const apiMembers = new Set(
+    isClient
+      ? []
+      : getModAPIMembers(type).flatMap((member) => [
+          member.name,
+          ...(member.aliases || []),
+        ]),
+  );
+  const contextGlobals = isClient ? CLIENT_GLOBALS : SANDBOX_GLOBALS;
+
+  const declared = new Set(["arguments"]);
+  const references = [];
+
+  walk.ancestor(ast, {
+    // Every name the mod binds (declarations, parameters, catch clauses)
+    VariablePattern(node) {
+      declared.add(node.name);
+    },
+    Identifier(node, state, ancestors) {
+      const parent = ancestors[ancestors.length - 2];
+      // typeof is the safe way to probe for a global
+      if (parent.type === "UnaryExpression" && parent.operator === "typeof") {
+        return;
+      }
+      references.push(node);
+    },
+    MemberExpression(node) {
+      if (isClient || node.object.type !== "Identifier") return;
+      if (node.object.name !== "api") return;
+
+      const name = getPropertyName(node);
+      if (name !== null && !apiMembers.has(name)) {
+        report(
+          node,
+          `api.${name} is not part of the ${type} mod API (v${MOD_API_VERSION})`,
+        );
+      }
+    },
+    CallExpression(node) {
+      const { callee } = node;
+
+      // A pickup type the server doesn't know makes the command do nothing
+      const apiMember =
+        !isClient &&
+        callee.type === "MemberExpression" &&
+        callee.object.type === "Identifier" &&
+        callee.object.name === "api" &&
+        getPropertyName(callee);
+      if (apiMember && Object.hasOwn(PICKUP_TYPE_ARGUMENTS, apiMember)) {
+        const pickupType = node.arguments[PICKUP_TYPE_ARGUMENTS[apiMember]];
+        if (
+          pickupType &&
+          pickupType.type === "Literal" &&
+          !PICKUP_TYPE_NAMES.includes(pickupType.value)
+        ) {
+          report(
+            node,
+            `api.${apiMember}: "${pickupType.value}" is not a pickup type (available: ${PICKUP_TYPE_NAMES.join(", ")})`,
+          );
+        }
+      }
+
+      const isRegisterHook =
+        (callee.type === "Identifier" && callee.name === "registerHook") ||
+        (callee.type === "MemberExpression" &&
+          getPropertyName(callee) === "registerHook");
+      const hookName = node.arguments[0];
+
+      if (
+        isClient &&
+        isRegisterHook &&
+        hookName &&
+        hookName.type === "Literal" &&
+        !CLIENT_MOD_HOOKS.includes(hookName.value)
+      ) {
+        report(
+          node,
+          `registerHook("${hookName.value}") is not a client hook (available: ${CLIENT_MOD_HOOKS.join(", ")})`,
+        );
+      }
+    },
+    ImportExpression(node) {
+      report(node, "dynamic import() is not allowed");
+    },
+  });
+
+  // Persistent mods declare handlers by name, so a misspelled or made-up one
+  // would silently never run
+  if (type === "persistent") {
+    for (const statement of ast.body) {
+      if (statement.type !== "FunctionDeclaration") continue;
+      const { name } = statement.id;
+      if (/^on[A-Z]/.test(name) && !PERSISTENT_HANDLERS.includes(name)) {
+        report(
+          statement,
+          `${name} is not a persistent mod handler (available: ${PERSISTENT_HANDLERS.join(", ")})`,
+        );
+      }
+    }
+  }
+
+  for (const node of references) {
+    const { name } = node;
+    if (Object.hasOwn(FORBIDDEN_GLOBALS, name) && !declared.has(name)) {
+      report(node, FORBIDDEN_GLOBALS[name]);
+    } else if (
+      !declared.has(name) &&
+      !BUILTIN_GLOBALS.has(name) &&
+      !contextGlobals.has(name)
+    ) {
+      report(node, `${name} is not defined in ${type} mods`);
+    }
+  }
+
+  // Report in source order
+  const errors = [...problems]
+    .sort((a, b) => a[1] - b[1])
+    .map(([message, line]) => `line ${line}: ${message}`);
+
+  return { valid: errors.length === 0, errors };
+}
+
+// "Dry run failed in tick (line 4): ..." from a failed sandbox result
+function describeDryRunFailure(result, phase) {
+  const lineMatch =
+    typeof result.stack === "string" && result.stack.match(/mod\.js:(\d+)/);
+  const line = lineMatch ? ` (line ${lineMatch[1]})` : "";
+  return `Dry run failed in ${phase}${line}: ${result.error}`;
+}
+
+/**
+ * Run a server or persistent mod once without applying anything it does
+ * @param {string} code - Mod code
+ * @param {string} type - "client", "server" or "persistent"
+ * @param {Object} data - Game data (see getModGameData) with myId and dt
+ * @returns {Array} Error messages (empty if it ran cleanly)
+ */
+export function dryRunMod(code, type, data) {
+  if (type === "server") {
+    const result = modSandbox.runServerMod(code, data);
+    return result.ok ? [] : [describeDryRunFailure(result, "run")];
+  }
+
+  if (type === "persistent") {
+    const result = modSandbox.dryRunPersistentMod(
+      code,
+      data,
+      createSampleEvents(data),
+    );
+    return result.ok ? [] : [describeDryRunFailure(result, result.phase)];
+  }
+
+  return [];
+}
+
+/**
+ * Static analysis, then (if that passes and game data is given) a dry run
+ * @param {string} code - Mod code
+ * @param {string} type - "client", "server" or "persistent"
+ * @param {Object|null} data - Game data to dry-run against, or null to skip
+ * @returns {Object} { valid, errors }
+ */
+export function validateMod(code, type, data = null) {
+  const analysis = analyzeModCode(code, type);
+  if (!analysis.valid || !data) {
+    return analysis;
+  }
+
+  const errors = dryRunMod(code, type, data);
+  return { valid: errors.length === 0, errors };
+}
+
+export default validateMod;
@@ -0,0 +1,310 @@
+/**
+ * Pathfinding
+ * A navigation grid built from a map's walls and crates, with A* path queries
+ * for bots. A cell is walkable if a player standing at its centre wouldn't
+ * touch anything, so paths keep a player's width away from walls. Paths are
+ * smoothed into the fewest straight legs that stay on walkable ground.
+ */
+
+import { checkWallCollision } from "./public/movement.js";
+
+export const NAV_CONFIG = {
+  CELL_SIZE: 25,
+  CLEARANCE: 22, // Player radius plus a little room to slide past corners
+  MAX_EXPANDED: 8000, // Cells A* may look at before giving up
+};
+
+const SQRT2 = Math.SQRT2;
+
+// Neighbour offsets: [dx, dy, cost]
+const NEIGHBOURS = [
+  [1, 0, 1],
+  [-1, 0, 1],
+  [0, 1, 1],
+  [0, -1, 1],
+  [1, 1, SQRT2],
+  [1, -1, SQRT2],
+  [-1, 1, SQRT2],
+  [-1, -1, SQRT2],
+];
+
+// Binary min-heap of { index, score } (a cell and its f score when queued)
+class OpenSet {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(index, score) {
+    const items = this.items;
+    items.push({ index, score });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].score <= items[i].score) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  // The cell index with the lowest score
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].score < items[smallest].score) {
+          smallest = left;
+        }
+        if (
+          right < items.length &&
+          items[right].score < items[smallest].score
+        ) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top.index;
+  }
+}
+
+export class NavGrid {
+  /**
+   * @param {Object} map - { walls, crates, worldWidth, worldHeight } (a room)
+   * @param {Object} config - See NAV_CONFIG
+   */
+  constructor(map, config = NAV_CONFIG) {
+    this.config = config;
+    this.cellSize = config.CELL_SIZE;
+    this.cols = Math.ceil(map.worldWidth / this.cellSize);
+    this.rows = Math.ceil(map.worldHeight / this.cellSize);
+    this.width = map.worldWidth;
+    this.height = map.worldHeight;
+
+    // 1 = walkable
+    this.walkable = new Uint8Array(this.cols * this.rows);
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        const { x, y } = this.cellCenter(col, row);
+        const inBounds =
+          x >= config.CLEARANCE &&
+          y >= config.CLEARANCE &&
+          x <= this.width - config.CLEARANCE &&
+          y <= this.height - config.CLEARANCE;
+        if (inBounds && !checkWallCollision(map, x, y, config.CLEARANCE)) {
+          this.walkable[row * this.cols + col] = 1;
+        }
+      }
+    }
+  }
+
+  cellCenter(col, row) {
+    return {
+      x: (col + 0.5) * this.cellSize,
+      y: (row + 0.5) * this.cellSize,
+    };
+  }
+
+  toCell(x, y) {
+    return {
+      col: Math.max(0, Math.min(this.cols - 1, Math.floor(x / this.cellSize))),
+      row: Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellSize))),
+    };
+  }
+
+  isCellWalkable(col, row) {
+    return (
+      col >= 0 &&
+      row >= 0 &&
+      col < this.cols &&
+      row < this.rows &&
+      this.walkable[row * this.cols + col] === 1
+    );
+  }
+
+  isWalkable(x, y) {
+    const { col, row } = this.toCell(x, y);
+    return this.isCellWalkable(col, row);
+  }
+
+  /**
+   * The walkable cell closest to a point (for targets inside or hugging a
+   * wall), searching outward ring by ring
+   * @returns {Object|null} { col, row }, or null if there's none nearby
+   */
+  nearestWalkableCell(x, y, maxRings = 10) {
+    const { col, row } = this.toCell(x, y);
+    if (this.isCellWalkable(col, row)) return { col, row };
+
+    for (let ring = 1; ring <= maxRings; ring++) {
+      let best = null;
+      let bestDist = Infinity;
+      for (let dy = -ring; dy <= ring; dy++) {
+        for (let dx = -ring; dx <= ring; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue;
+          if (!this.isCellWalkable(col + dx, row + dy)) continue;
+          const center = this.cellCenter(col + dx, row + dy);
+          const dist = Math.hypot(center.x - x, center.y - y);
+          if (dist < bestDist) {
+            bestDist = dist;
+            best = { col: col + dx, row: row + dy };
+          }
+        }
+      }
+      if (best) return best;
+    }
+    return null;
+  }
+
+  /**
+   * Whether a player can walk straight from one point to another: every
+   * cell along the line (sampled at a third of a cell) is walkable. The
+   * starting point isn't checked - that's where they already are
+   */
+  hasClearPath(x1, y1, x2, y2) {
+    const distance = Math.hypot(x2 - x1, y2 - y1);
+    const steps = Math.max(1, Math.ceil(distance / (this.cellSize / 3)));
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      if (!this.isWalkable(x1 + (x2 - x1) * t, y1 + (y2 - y1) * t)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * A* from one point to another
+   * @returns {Array|null} Smoothed points to walk through, ending at the goal
+   *   (or the nearest walkable spot to it), or null if it can't be reached
+   */
+  findPath(fromX, fromY, toX, toY) {
+    const start = this.nearestWalkableCell(fromX, fromY);
+    const goal = this.nearestWalkableCell(toX, toY);
+    if (!start || !goal) return null;
+
+    const goalPoint = this.isWalkable(toX, toY)
+      ? { x: toX, y: toY }
+      : this.cellCenter(goal.col, goal.row);
+
+    const cols = this.cols;
+    const startIndex = start.row * cols + start.col;
+    const goalIndex = goal.row * cols + goal.col;
+    if (startIndex === goalIndex) return [goalPoint];
+
+    const cellCount = cols * this.rows;
+    const gScores = new Float64Array(cellCount).fill(Infinity);
+    const cameFrom = new Int32Array(cellCount).fill(-1);
+    const closed = new Uint8Array(cellCount);
+
+    // Octile distance: exact on an 8-way grid with no walls
+    const heuristic = (col, row) => {
+      const dx = Math.abs(col - goal.col);
+      const dy = Math.abs(row - goal.row);
+      return Math.max(dx, dy) + (SQRT2 - 1) * Math.min(dx, dy);
+    };
+
+    const open = new OpenSet();
+    gScores[startIndex] = 0;
+    open.push(startIndex, heuristic(start.col, start.row));
+
+    let expanded = 0;
+    while (open.size > 0) {
+      const current = open.pop();
+      if (current === goalIndex) {
+        return this.smoothPath(
+          this.tracePath(cameFrom, current),
+          fromX,
+          fromY,
+          goalPoint,
+        );
+      }
+      if (closed[current]) continue; // Stale heap entry
+      closed[current] = 1;
+
+      if (++expanded > this.config.MAX_EXPANDED) return null;
+
+      const col = current % cols;
+      const row = (current - col) / cols;
+      for (const [dx, dy, cost] of NEIGHBOURS) {
+        const nextCol = col + dx;
+        const nextRow = row + dy;
+        if (!this.isCellWalkable(nextCol, nextRow)) continue;
+        // No cutting corners past a wall
+        if (
+          dx !== 0 &&
+          dy !== 0 &&
+          (!this.isCellWalkable(col + dx, row) ||
+            !this.isCellWalkable(col, row + dy))
+        ) {
+          continue;
+        }
+
+        const next = nextRow * cols + nextCol;
+        if (closed[next]) continue;
+
+        const g = gScores[current] + cost;
+        if (g < gScores[next]) {
+          gScores[next] = g;
+          cameFrom[next] = current;
+          open.push(next, g + heuristic(nextCol, nextRow));
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Cell centres from the start cell to the goal cell
+  tracePath(cameFrom, goalIndex) {
+    const points = [];
+    for (let index = goalIndex; index !== -1; index = cameFrom[index]) {
+      const col = index % this.cols;
+      points.push(this.cellCenter(col, (index - col) / this.cols));
+    }
+    return points.reverse();
+  }
+
+  // String pulling: from each point, keep skipping ahead while the next
+  // point can still be walked to in a straight line
+  smoothPath(cells, fromX, fromY, goalPoint) {
+    const points = [...cells.slice(1, -1), goalPoint];
+    const smoothed = [];
+    let current = { x: fromX, y: fromY };
+    let i = 0;
+
+    while (i < points.length) {
+      let furthest = i;
+      while (
+        furthest + 1 < points.length &&
+        this.hasClearPath(
+          current.x,
+          current.y,
+          points[furthest + 1].x,
+          points[furthest + 1].y,
+        )
+      ) {
+        furthest++;
+      }
+      current = points[furthest];
+      smoothed.push(current);
+      i = furthest + 1;
+    }
+
+    return smoothed;
+  }
+}
+
+export default NavGrid;
@@ -709,13 +709,14 @@ class PerformanceMonitor {
 
   /**
    * Update game state metrics
-   * @param {Object} gameState - Current game state
+   * @param {Object} gameState - Current game state (totals across all rooms)
    */
   updateGameState(gameState) {
     this.metrics.gameState.playerCount = gameState.players || 0;
     this.metrics.gameState.botCount = gameState.bots || 0;
     this.metrics.gameState.projectileCount = gameState.projectiles || 0;
     this.metrics.gameState.pickupCount = gameState.pickups || 0;
+    this.metrics.gameState.activeGames = gameState.activeGames || 0;
   }
 
   /**
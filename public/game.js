@@ -3,9 +3,24 @@ import { AssetLoader, PlayerAnimator } from "./assets.js";
 import { ModSystem } from "./modSystem.js";
 import { ModEditor } from "./modEditor.js";
 import { LevelEditor } from "./levelEditor.js";
+import { SnapshotDecoder } from "./snapshotDecoder.js";
+import { inputToVelocity, moveWithCollision } from "./movement.js";
+
+// Secret that identifies this browser to the server across reconnects (who
+// made which mods) - never shown to anyone
+function getPlayerToken() {
+  let token = localStorage.getItem("playerToken");
+  if (!token) {
+    const bytes = crypto.getRandomValues(new Uint8Array(24));
+    token = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+    localStorage.setItem("playerToken", token);
+  }
+  return token;
+}
 
 // Configure Socket.io with automatic reconnection
 const socket = io({
+  auth: { playerToken: getPlayerToken() },
   reconnection: true,
   reconnectionAttempts: 10,
   reconnectionDelay: 1000,
@@ -129,6 +144,12 @@ const PLAYER_COLORS = [
   { name: "brown", r: 139, g: 69, b: 19 }, // Saddle brown
 ];
 
+// Team Deathmatch colors (everyone on a team shares one)
+const TEAM_COLORS = {
+  red: { name: "red", r: 220, g: 20, b: 60 },
+  blue: { name: "blue", r: 100, g: 149, b: 237 },
+};
+
 // Map player IDs to colors
 const playerColorMap = new Map();
 let nextColorIndex = 0;
@@ -337,6 +358,7 @@ const respawnTimer = document.getElementById("respawnTimer");
 
 // Game state
 let playerId = null;
+let currentRoom = null; // Match room this client is in (player or spectator)
 let gameConfig = null;
 let weapons = null;
 let gameState = {
@@ -355,6 +377,18 @@ let lastServerState = {
 let serverStateTime = Date.now();
 const INTERPOLATION_TIME = 100; // ms - how long to interpolate
 
+// Server sends state as deltas against the last snapshot we acknowledged
+const snapshotDecoder = new SnapshotDecoder();
+
+// Client-side prediction: move the local player immediately and replay
+// inputs the server hasn't applied yet on top of each authoritative state
+let map = null; // Collision geometry from the server
+let inputSeq = 0;
+let pendingInputs = []; // { seq, vx, vy, dt } not yet acknowledged
+let predictedPosition = null;
+let lastInputTime = Date.now();
+const MAX_PENDING_INPUTS = 120; // ~2 seconds at 60Hz
+
 let camera = { x: 0, y: 0 };
 let input = {
   up: false,
@@ -614,6 +648,22 @@ playerNameInput.addEventListener("keydown", (e) => {
   }
 });
 
+// Switch local state back to spectating
+function enterSpectatorMode() {
+  playerId = null;
+  isSpectator = true;
+
+  // Show spectator overlay again
+  const spectatorOverlay = document.getElementById("spectatorOverlay");
+  if (spectatorOverlay) {
+    spectatorOverlay.style.display = "block";
+  }
+
+  // Reset join button
+  joinButton.disabled = false;
+  joinButton.textContent = "JOIN GAME";
+}
+
 // Spectate button
 spectateButton.addEventListener("click", () => {
   if (!isSpectator) {
@@ -621,18 +671,7 @@ spectateButton.addEventListener("click", () => {
     socket.emit("spectate");
 
     // Update local state
-    playerId = null;
-    isSpectator = true;
-
-    // Show spectator overlay again
-    const spectatorOverlay = document.getElementById("spectatorOverlay");
-    if (spectatorOverlay) {
-      spectatorOverlay.style.display = "block";
-    }
-
-    // Reset join button
-    joinButton.disabled = false;
-    joinButton.textContent = "JOIN GAME";
+    enterSpectatorMode();
 
     console.log("👻 Switched to spectator mode");
   }
@@ -689,28 +728,83 @@ levelEditorButton.addEventListener("click", () => {
   console.log("🎨 Opened level editor");
 });
 
-// Game mode voting buttons
-const voteVibematchButton = document.getElementById("voteVibematchButton");
-const voteVibeRoyaleButton = document.getElementById("voteVibeRoyaleButton");
+// Game mode voting buttons - one per mode the server has registered
+// (sent with roomJoined)
+let gameModes = [];
+const voteButtonsContainer = document.getElementById("voteButtons");
+const voteButtons = new Map(); // mode id -> button
 const gameModeDisplay = document.getElementById("gameModeDisplay");
 const voteCountsDisplay = document.getElementById("voteCountsDisplay");
 
-voteVibematchButton.addEventListener("click", () => {
-  if (!isSpectator) {
-    socket.emit("voteGameMode", { gameMode: "vibematch" });
-    voteVibematchButton.style.background = "#66ccff";
-    voteVibeRoyaleButton.style.background = "";
+function getGameModeName(id) {
+  const mode = gameModes.find((m) => m.id === id);
+  return mode ? mode.name : id;
+}
+
+function renderVoteButtons(modes) {
+  gameModes = modes;
+  voteButtonsContainer.innerHTML = "";
+  voteButtons.clear();
+
+  for (const mode of modes) {
+    const button = document.createElement("button");
+    button.className = "menu-btn";
+    button.style.flex = "1";
+    button.textContent = mode.name;
+    button.title = mode.description;
+    button.addEventListener("click", () => {
+      if (!isSpectator) {
+        socket.emit("voteGameMode", { gameMode: mode.id });
+        highlightVoteButton(mode.id);
+      }
+    });
+    voteButtonsContainer.appendChild(button);
+    voteButtons.set(mode.id, button);
+  }
+}
+
+// Highlight the mode this player voted for (null clears them all)
+function highlightVoteButton(gameMode) {
+  for (const [mode, button] of voteButtons) {
+    button.style.background = mode === gameMode ? "#66ccff" : "";
+  }
+}
+
+function formatVoteCounts(votes = {}) {
+  const counts = gameModes.map(
+    (mode) => `${mode.name} (${votes[mode.id] || 0})`,
+  );
+  return `Votes: ${counts.join(" | ")}`;
+}
+
+// Match room controls
+const roomDisplay = document.getElementById("roomDisplay");
+const roomCodeInput = document.getElementById("roomCodeInput");
+const joinRoomButton = document.getElementById("joinRoomButton");
+const createRoomButton = document.getElementById("createRoomButton");
+const leaveRoomButton = document.getElementById("leaveRoomButton");
+
+joinRoomButton.addEventListener("click", () => {
+  const code = roomCodeInput.value.trim().toUpperCase();
+  if (code && (!currentRoom || code !== currentRoom.code)) {
+    socket.emit("joinRoom", { code });
   }
 });
 
-voteVibeRoyaleButton.addEventListener("click", () => {
-  if (!isSpectator) {
-    socket.emit("voteGameMode", { gameMode: "vibe-royale" });
-    voteVibeRoyaleButton.style.background = "#66ccff";
-    voteVibematchButton.style.background = "";
+roomCodeInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") {
+    joinRoomButton.click();
   }
 });
 
+createRoomButton.addEventListener("click", () => {
+  socket.emit("createRoom", { name: `${playerName}'s Room`, isPrivate: true });
+});
+
+leaveRoomButton.addEventListener("click", () => {
+  socket.emit("leaveRoom");
+});
+
 // Tab event listeners removed - no tabs needed
 
 // Socket connection events
@@ -818,6 +912,49 @@ socket.on("playerCount", (count) => {
   console.log(`Players online: ${count}/12`);
 });
 
+// Moved into a room (always as a spectator - "init" follows if joining as a player)
+socket.on("roomJoined", (room) => {
+  const switchedRooms = currentRoom && currentRoom.id !== room.id;
+  currentRoom = room;
+
+  roomDisplay.textContent = room.isPrivate
+    ? `${room.name} (Code: ${room.code})`
+    : room.name;
+  roomCodeInput.value = "";
+
+  renderVoteButtons(room.gameModes || []);
+  voteCountsDisplay.textContent = formatVoteCounts();
+  gameModeDisplay.textContent = `Current: ${getGameModeName(room.gameMode)}`;
+
+  // Baselines from any previous room are useless - server sends a keyframe next
+  snapshotDecoder.reset();
+
+  if (switchedRooms) {
+    // Drop everything from the previous room
+    if (!isSpectator) {
+      enterSpectatorMode();
+    }
+    resetPrediction();
+    gameState = { players: [], pickups: [], projectiles: [] };
+    lastServerState = {
+      players: [],
+      pickups: [],
+      projectiles: [],
+      grenades: [],
+    };
+  }
+
+  console.log(`🏟️  In room: ${room.name} (${room.id})`);
+});
+
+socket.on("roomNotFound", (data) => {
+  alert(`Room "${data.code}" not found. Check the code and try again.`);
+});
+
+socket.on("roomError", (data) => {
+  alert(data.message);
+});
+
 socket.on("serverFull", () => {
   alert("Server is full! Maximum 12 players. Please try again later.");
   menu.style.display = "block";
@@ -828,7 +965,9 @@ socket.on("init", (data) => {
   playerId = data.playerId;
   gameConfig = data.gameConfig;
   weapons = data.weapons;
+  map = data.map;
   isSpectator = false; // No longer spectating, now a player
+  resetPrediction();
 
   console.log(`✅ Joined game as player: ${playerId} (${playerName})`);
 
@@ -842,12 +981,21 @@ socket.on("init", (data) => {
   canvas.focus();
 });
 
-socket.on("state", (state) => {
+socket.on("state", (snapshot) => {
+  const state = snapshotDecoder.decode(snapshot);
+  if (!state) {
+    // Missing the baseline this delta was built on - ask for a full snapshot
+    socket.emit("requestKeyframe");
+    return;
+  }
+  socket.emit("stateAck", snapshot.seq);
+
   // Store previous state for interpolation
   lastServerState = JSON.parse(JSON.stringify(gameState));
   serverStateTime = Date.now();
 
   gameState = state;
+  reconcilePrediction();
   updateHUD();
   updateScoreboard();
 
@@ -857,6 +1005,43 @@ socket.on("state", (state) => {
   }
 });
 
+socket.on("mapChanged", (newMap) => {
+  map = newMap;
+});
+
+function resetPrediction() {
+  pendingInputs = [];
+  predictedPosition = null;
+}
+
+// Start from the server's position for the local player and replay the
+// inputs it hasn't processed yet, so corrections don't undo recent movement
+function reconcilePrediction() {
+  const player = gameState.players.find((p) => p.id === playerId);
+  if (!player || player.health <= 0 || !map) {
+    resetPrediction();
+    return;
+  }
+
+  if (player.lastInputSeq != null) {
+    pendingInputs = pendingInputs.filter(
+      (pending) => pending.seq > player.lastInputSeq,
+    );
+  }
+
+  predictedPosition = { x: player.x, y: player.y };
+  for (const pending of pendingInputs) {
+    moveWithCollision(
+      map,
+      predictedPosition,
+      pending.vx,
+      pending.vy,
+      pending.dt,
+      gameConfig.PLAYER_RADIUS,
+    );
+  }
+}
+
 // Get interpolated game state for smooth rendering
 function getInterpolatedState() {
   // Safety check: return raw state if no interpolation data
@@ -870,6 +1055,11 @@ function getInterpolatedState() {
 
   // Interpolate player positions (but skip dead players to avoid flying corpses)
   const interpolatedPlayers = gameState.players.map((player) => {
+    // Local player is drawn where we predict it, not where the server last saw it
+    if (player.id === playerId && predictedPosition) {
+      return { ...player, x: predictedPosition.x, y: predictedPosition.y };
+    }
+
     const lastPlayer = lastServerState.players.find((p) => p.id === player.id);
     if (!lastPlayer) return player;
 
@@ -984,9 +1174,22 @@ socket.on("respawn", (data) => {
   }
 });
 
+// Capture the flag: taken, dropped, returned, captured
+socket.on("flagEvent", (data) => {
+  showFlagMessage(data);
+});
+
+// A bot on our team spotted someone
+socket.on("botCallout", (data) => {
+  showCalloutMessage(data);
+});
+
 socket.on("roundOver", (data) => {
   // Display round over message
-  showRoundOverMessage(data.winnerName, data.scoreLimit);
+  showRoundOverMessage(
+    data.winnerName,
+    data.summary || `${data.scoreLimit} KILLS`,
+  );
   modSystem.callHook("onRoundOver", data.winnerId, data.winnerName);
 });
 
@@ -1045,16 +1248,56 @@ socket.on("modActivated", async (data) => {
   }, 3000);
 });
 
+// Client mods bought from the shop (purchaseMod) load right away
+socket.on("purchaseResult", (data) => {
+  if (!data.success || data.type !== "client" || !data.code) return;
+
+  const result = modSystem.loadMod(`shop_${data.modId}`, data.code);
+  if (!result.success) {
+    console.error(`❌ Bought mod ${data.name} failed to load:`, result.message);
+  }
+});
+
+socket.on("modDisabled", (data) => {
+  console.warn(
+    `🚫 Server disabled mod "${data.name}" (${data.reason}): ${data.error}`,
+  );
+
+  // Only the player who activated it needs to know
+  if (data.activatorId !== socket.id) return;
+
+  const notification = document.createElement("div");
+  notification.style.position = "fixed";
+  notification.style.top = "120px";
+  notification.style.right = "20px";
+  notification.style.backgroundColor = "rgba(255, 68, 68, 0.95)";
+  notification.style.border = "2px solid #ff4444";
+  notification.style.borderRadius = "8px";
+  notification.style.padding = "12px 20px";
+  notification.style.fontFamily = "monospace";
+  notification.style.fontSize = "14px";
+  notification.style.color = "#ffffff";
+  notification.style.zIndex = "9999";
+  notification.style.animation = "slideInRight 0.3s ease-out";
+  notification.textContent = `Mod "${data.name}" was disabled: ${data.error}`;
+
+  document.body.appendChild(notification);
+
+  setTimeout(() => {
+    notification.style.animation = "slideOutRight 0.3s ease-in";
+    setTimeout(() => notification.remove(), 300);
+  }, 5000);
+});
+
 // Game mode voting handlers
 socket.on("voteUpdate", (data) => {
   const { votes, totalPlayers } = data;
-  voteCountsDisplay.textContent = `Votes: Vibematch (${votes.vibematch}) | Vibe Royale (${votes["vibe-royale"]})`;
+  voteCountsDisplay.textContent = formatVoteCounts(votes);
 });
 
 socket.on("gameModeChanged", (data) => {
   const { gameMode } = data;
-  const displayName = gameMode === "vibe-royale" ? "Vibe Royale" : "Vibematch";
-  gameModeDisplay.textContent = `Current: ${displayName}`;
+  gameModeDisplay.textContent = `Current: ${getGameModeName(gameMode)}`;
 
   // Show notification
   const notification = document.createElement("div");
@@ -1085,6 +1328,10 @@ socket.on("gameModeChanged", (data) => {
 
 // Send input to server
 setInterval(() => {
+  const now = Date.now();
+  const dt = (now - lastInputTime) / 1000;
+  lastInputTime = now;
+
   const player = gameState.players.find((p) => p.id === playerId);
   if (!player) return;
 
@@ -1102,8 +1349,34 @@ setInterval(() => {
     );
   }
 
+  // Predict our own movement with the same code the server runs
+  // (server freezes movement during the countdown)
+  inputSeq++;
+  if (player.health > 0 && map && countdownStartTime === null) {
+    // Same speed the server allows (e.g. slower flag carriers)
+    const { vx, vy } = inputToVelocity(
+      input,
+      gameConfig.PLAYER_SPEED * (player.speedMultiplier ?? 1),
+    );
+    if (!predictedPosition) {
+      predictedPosition = { x: player.x, y: player.y };
+    }
+    moveWithCollision(
+      map,
+      predictedPosition,
+      vx,
+      vy,
+      dt,
+      gameConfig.PLAYER_RADIUS,
+    );
+    pendingInputs.push({ seq: inputSeq, vx, vy, dt });
+    if (pendingInputs.length > MAX_PENDING_INPUTS) {
+      pendingInputs.shift();
+    }
+  }
+
   // Send input with grenade power
-  socket.emit("input", { ...input, grenadePower });
+  socket.emit("input", { ...input, grenadePower, seq: inputSeq });
 }, 1000 / 60);
 
 // Update HUD
@@ -1139,7 +1412,7 @@ function updateHUD() {
   // Respawn (only show for own player)
   if (displayPlayer.id === playerId && displayPlayer.health <= 0) {
     respawnMessage.style.display = "block";
-    if (gameState.gameMode === "vibe-royale") {
+    if (gameState.modeHud && gameState.modeHud.respawns === false) {
       respawnTimer.textContent = "You will respawn next round";
     } else {
       respawnTimer.textContent = "Respawning...";
@@ -1153,16 +1426,38 @@ function updateScoreboard() {
     (a, b) => b.kills - a.kills,
   );
 
-  scoreboardContent.innerHTML = sortedPlayers
-    .map(
-      (p) => `
-    <div class="score-entry ${p.id === playerId ? "self" : ""}">
+  // Team modes: team totals first, and players in their team's color
+  const modeTeamScores = gameState.modeHud && gameState.modeHud.teamScores;
+  const teamScores = modeTeamScores
+    ? Object.entries(modeTeamScores)
+        .map(([team, score]) => {
+          const color = TEAM_COLORS[team];
+          return `
+    <div class="score-entry" style="color: rgb(${color.r}, ${color.g}, ${color.b}); font-weight: bold">
+      <span class="score-name">${team.toUpperCase()} TEAM</span>
+      <span class="score-kd">${score}</span>
+    </div>
+  `;
+        })
+        .join("")
+    : "";
+
+  scoreboardContent.innerHTML =
+    teamScores +
+    sortedPlayers
+      .map((p) => {
+        const color = TEAM_COLORS[p.team];
+        const style = color
+          ? ` style="color: rgb(${color.r}, ${color.g}, ${color.b})"`
+          : "";
+        return `
+    <div class="score-entry ${p.id === playerId ? "self" : ""}"${style}>
       <span class="score-name">${p.name}</span>
       <span class="score-kd">${p.kills} / ${p.deaths}</span>
     </div>
-  `,
-    )
-    .join("");
+  `;
+      })
+      .join("");
 }
 
 // Show kill message
@@ -1204,8 +1499,50 @@ function showKillMessage(killerId, victimId, isHeadshot = false) {
   }, 5000);
 }
 
+function showFlagMessage({ type, team, playerId: actorId, playerName }) {
+  const flagName = `${team.toUpperCase()} flag`;
+  const texts = {
+    taken: `${playerName} took the ${flagName}`,
+    dropped: `${playerName || "Carrier"} dropped the ${flagName}`,
+    returned: playerName
+      ? `${playerName} returned the ${flagName}`
+      : `The ${flagName} was returned`,
+    captured: `${playerName} captured the ${flagName}!`,
+  };
+  if (!texts[type]) return;
+
+  const color = TEAM_COLORS[team];
+  const message = document.createElement("div");
+  message.className = "kill-message";
+  message.textContent = `🚩 ${texts[type]}`;
+  message.style.borderLeftColor = `rgb(${color.r}, ${color.g}, ${color.b})`;
+  if (actorId === playerId) {
+    message.style.fontWeight = "bold";
+  }
+  killfeed.appendChild(message);
+
+  setTimeout(() => {
+    message.remove();
+  }, 5000);
+}
+
+function showCalloutMessage({ botName, team, enemyName, area }) {
+  const color = TEAM_COLORS[team];
+  const message = document.createElement("div");
+  message.className = "kill-message";
+  message.textContent = `📢 ${botName}: ${enemyName} spotted${area ? ` near ${area}` : ""}`;
+  if (color) {
+    message.style.borderLeftColor = `rgb(${color.r}, ${color.g}, ${color.b})`;
+  }
+  killfeed.appendChild(message);
+
+  setTimeout(() => {
+    message.remove();
+  }, 5000);
+}
+
 // Show round over message
-function showRoundOverMessage(winnerName, scoreLimit) {
+function showRoundOverMessage(winnerName, summary) {
   const overlay = document.createElement("div");
   overlay.style.position = "fixed";
   overlay.style.top = "50%";
@@ -1241,7 +1578,7 @@ function showRoundOverMessage(winnerName, scoreLimit) {
   winnerText.style.marginBottom = "15px";
 
   const scoreText = document.createElement("div");
-  scoreText.textContent = `${scoreLimit} KILLS`;
+  scoreText.textContent = summary;
   scoreText.style.fontSize = "24px";
   scoreText.style.color = "#ffffff";
   scoreText.style.fontFamily = "monospace";
@@ -1563,8 +1900,8 @@ function render(dt) {
   if (!player && isSpectator) {
     let topScorer = null;
 
-    // In Vibe Royale mode, follow the kill leader
-    if (gameState.gameMode === "vibe-royale" && gameState.killLeaderId) {
+    // Follow the kill leader
+    if (gameState.killLeaderId) {
       topScorer = renderState.players.find(
         (p) => p.id === gameState.killLeaderId && p.health > 0,
       );
@@ -1619,6 +1956,10 @@ function render(dt) {
     }
   });
 
+  // Capture the flag bases and flags on the ground
+  drawBases();
+  drawFlags(renderState, false);
+
   // Draw bloodstains (permanent decals from deaths)
   drawBloodstains();
 
@@ -1648,9 +1989,18 @@ function render(dt) {
     }
   });
 
+  // Carried flags go on top of their carriers
+  drawFlags(renderState, true);
+
+  // Vibe Royale safe zone
+  drawZone(player);
+
   // Call mod render hooks
   modSystem.callHook("onRender", ctx, camera, dt);
 
+  // Arrows at the screen edge toward flags out of view
+  drawFlagIndicators(renderState);
+
   // Spectator mode indicator (below join button)
   if (!player && isSpectator) {
     // Position below the join button (which is at bottom: 20px with some height)
@@ -1736,6 +2086,185 @@ function drawPickup(pickup) {
   ctx.fillText(symbols[pickup.type] || "?", screenX, screenY);
 }
 
+// Where a flag is: on its carrier (interpolated) or where it lies
+function getFlagPosition(flag, renderState) {
+  if (flag.state !== "carried") return flag;
+  return renderState.players.find((p) => p.id === flag.carrierId) || null;
+}
+
+function drawBases() {
+  const bases = gameState.modeHud && gameState.modeHud.bases;
+  if (!bases) return;
+
+  for (const [team, base] of Object.entries(bases)) {
+    const color = TEAM_COLORS[team];
+    ctx.strokeStyle = `rgba(${color.r}, ${color.g}, ${color.b}, 0.8)`;
+    ctx.fillStyle = `rgba(${color.r}, ${color.g}, ${color.b}, 0.15)`;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(worldToScreenX(base.x), worldToScreenY(base.y), 40, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+}
+
+function drawFlagShape(x, y, color) {
+  ctx.fillStyle = "#dddddd";
+  ctx.fillRect(x - 1, y - 30, 3, 30);
+  ctx.fillStyle = `rgb(${color.r}, ${color.g}, ${color.b})`;
+  ctx.strokeStyle = "#000";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(x + 2, y - 30);
+  ctx.lineTo(x + 22, y - 23);
+  ctx.lineTo(x + 2, y - 16);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+}
+
+// Flags on the ground, or (carried = true) the ones being carried
+function drawFlags(renderState, carried) {
+  const flags = gameState.modeHud && gameState.modeHud.flags;
+  if (!flags) return;
+
+  for (const flag of flags) {
+    if ((flag.state === "carried") !== carried) continue;
+    const position = getFlagPosition(flag, renderState);
+    if (!position) continue;
+
+    const x = worldToScreenX(position.x);
+    const y = worldToScreenY(position.y);
+    // Carried flags fly above the carrier's head
+    drawFlagShape(
+      carried ? x + 10 : x,
+      carried ? y - 15 : y,
+      TEAM_COLORS[flag.team],
+    );
+  }
+}
+
+// HUD arrows pointing at flags that are off screen, labelled with their state
+function drawFlagIndicators(renderState) {
+  const flags = gameState.modeHud && gameState.modeHud.flags;
+  if (!flags) return;
+
+  const margin = 40;
+  for (const flag of flags) {
+    const position = getFlagPosition(flag, renderState);
+    if (!position) continue;
+
+    const x = worldToScreenX(position.x);
+    const y = worldToScreenY(position.y);
+    if (x >= 0 && x <= canvas.width && y >= 0 && y <= canvas.height) continue;
+
+    const centerX = canvas.width / 2;
+    const centerY = canvas.height / 2;
+    const angle = Math.atan2(y - centerY, x - centerX);
+    // Push the arrow out to the screen edge along the direction to the flag
+    const scale = Math.min(
+      (centerX - margin) / Math.abs(Math.cos(angle) || 1e-6),
+      (centerY - margin) / Math.abs(Math.sin(angle) || 1e-6),
+    );
+    const arrowX = centerX + Math.cos(angle) * scale;
+    const arrowY = centerY + Math.sin(angle) * scale;
+
+    const color = TEAM_COLORS[flag.team];
+    ctx.save();
+    ctx.translate(arrowX, arrowY);
+    ctx.rotate(angle);
+    ctx.fillStyle = `rgb(${color.r}, ${color.g}, ${color.b})`;
+    ctx.beginPath();
+    ctx.moveTo(14, 0);
+    ctx.lineTo(-8, -9);
+    ctx.lineTo(-8, 9);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+
+    ctx.fillStyle = `rgb(${color.r}, ${color.g}, ${color.b})`;
+    ctx.font = "bold 11px monospace";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(
+      flag.state.toUpperCase(),
+      arrowX - Math.cos(angle) * 24,
+      arrowY - Math.sin(angle) * 24,
+    );
+  }
+
+  // Remind the carrier where to go
+  if (flags.some((flag) => flag.carrierId === playerId)) {
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.fillRect(canvas.width / 2 - 150, canvas.height - 120, 300, 30);
+    ctx.fillStyle = "#ffff00";
+    ctx.font = "bold 14px monospace";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(
+      "YOU HAVE THE FLAG - TAKE IT HOME",
+      canvas.width / 2,
+      canvas.height - 105,
+    );
+  }
+}
+
+// Shade everything outside the safe zone, outline where it will shrink to,
+// and warn the local player if they're outside it
+function drawZone(player) {
+  const zone = gameState.modeHud && gameState.modeHud.zone;
+  if (!zone) return;
+
+  const x = worldToScreenX(zone.x);
+  const y = worldToScreenY(zone.y);
+
+  ctx.fillStyle = "rgba(120, 0, 60, 0.3)";
+  ctx.beginPath();
+  ctx.rect(0, 0, canvas.width, canvas.height);
+  ctx.arc(x, y, zone.radius, 0, Math.PI * 2);
+  ctx.fill("evenodd");
+
+  ctx.strokeStyle = "#ff3399";
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.arc(x, y, zone.radius, 0, Math.PI * 2);
+  ctx.stroke();
+
+  if (zone.target) {
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([10, 10]);
+    ctx.beginPath();
+    ctx.arc(
+      worldToScreenX(zone.target.x),
+      worldToScreenY(zone.target.y),
+      zone.target.radius,
+      0,
+      Math.PI * 2,
+    );
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  if (
+    player &&
+    player.health > 0 &&
+    Math.hypot(player.x - zone.x, player.y - zone.y) > zone.radius
+  ) {
+    ctx.fillStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.fillRect(canvas.width / 2 - 150, canvas.height - 160, 300, 30);
+    ctx.fillStyle = "#ff3399";
+    ctx.font = "bold 14px monospace";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(
+      `OUTSIDE THE ZONE - ${zone.damage} DMG/S`,
+      canvas.width / 2,
+      canvas.height - 145,
+    );
+  }
+}
+
 function drawPlayer(p) {
   const screenX = worldToScreenX(p.x);
   const screenY = worldToScreenY(p.y);
@@ -1748,8 +2277,8 @@ function drawPlayer(p) {
   }
   const animator = playerAnimators.get(p.id);
 
-  // Get player's color
-  const playerColor = getPlayerColor(p.id);
+  // Get player's color (their team's in team modes)
+  const playerColor = TEAM_COLORS[p.team] || getPlayerColor(p.id);
 
   // Determine animation based on weapon type
   let weaponType = "handgun"; // default
@@ -5,34 +5,83 @@ export class GeminiClient {
     // No API key needed on client - backend handles all Gemini API calls
   }
 
-  async generateModCode(userPrompt) {
-    // Always make request through backend
-    try {
-      const response = await fetch("/api/generate-mod", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          prompt: userPrompt,
-        }),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `Server error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      return {
-        code: data.code,
-        type: data.type || "client", // "client", "server", or "persistent"
-        backfire: data.backfire || false,
-        backfireMessage: data.backfireMessage,
+  // Generate through the server's generation queue over the socket, with
+  // progress as it happens: onPhase(phase, info) for each step (queued,
+  // prompting, backfireRolled, validating, retrying, fallbackChosen) and
+  // onToken(text) as the code streams in. Resolves null if cancelled
+  generateModCodeLive(
+    socket,
+    userPrompt,
+    requestId,
+    { onPhase = () => {}, onToken = () => {} } = {},
+  ) {
+    return new Promise((resolve, reject) => {
+      const handlePhase = (data) => {
+        if (data.requestId === requestId) onPhase(data.phase, data);
       };
-    } catch (error) {
-      console.error("Error generating code:", error);
-      throw error;
-    }
+      const handleToken = (data) => {
+        if (data.requestId === requestId) onToken(data.text);
+      };
+      const handleResult = (data) => {
+        if (data.requestId !== requestId) return;
+        socket.off("modGenerationPhase", handlePhase);
+        socket.off("modGenerationToken", handleToken);
+        socket.off("modGenerationResult", handleResult);
+
+        if (data.cancelled) {
+          resolve(null);
+        } else if (data.error) {
+          reject(new Error(data.error));
+        } else {
+          resolve({
+            id: data.id,
+            code: data.code,
+            type: data.type || "client",
+            backfire: data.backfire || false,
+            backfireMessage: data.backfireMessage,
+          });
+        }
+      };
+
+      socket.on("modGenerationPhase", handlePhase);
+      socket.on("modGenerationToken", handleToken);
+      socket.on("modGenerationResult", handleResult);
+      socket.emit("generateMod", { prompt: userPrompt, requestId });
+    });
+  }
+
+  cancelGeneration(socket, requestId) {
+    socket.emit("cancelModGeneration", { requestId });
+  }
+
+  // Send a broken mod and its error back over the socket to get a repaired
+  // version (which this player can then run without buying it)
+  repairModCode(socket, { code, type, error, stack, modId }) {
+    const requestId = `repair_${Date.now()}_${Math.random().toString(36).slice(2)}`;
+
+    return new Promise((resolve, reject) => {
+      const handleResult = (data) => {
+        if (data.requestId !== requestId) return;
+        socket.off("modRepairResult", handleResult);
+
+        if (data.cancelled) {
+          reject(new Error("Repair cancelled"));
+        } else if (data.error) {
+          console.error("Error repairing code:", data.error);
+          reject(new Error(data.error));
+        } else {
+          resolve({
+            id: data.id,
+            parentId: data.parentId,
+            code: data.code,
+            type: data.type,
+            backfire: false,
+          });
+        }
+      };
+
+      socket.on("modRepairResult", handleResult);
+      socket.emit("repairMod", { requestId, code, type, error, stack, modId });
+    });
   }
 }
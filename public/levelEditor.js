@@ -23,6 +23,7 @@ export class LevelEditor {
       spawnPoints: [],
       pickups: [],
       waypoints: [],
+      bases: {}, // Capture the flag: { red: { x, y }, blue: { x, y } }
     };
 
     // Drawing state
@@ -232,6 +233,12 @@ export class LevelEditor {
       case "waypoint":
         this.levelData.waypoints.push({ x, y, priority: 5, name: "Waypoint" });
         break;
+      case "base_red":
+        this.levelData.bases.red = { x, y };
+        break;
+      case "base_blue":
+        this.levelData.bases.blue = { x, y };
+        break;
     }
   }
 
@@ -295,6 +302,16 @@ export class LevelEditor {
         return;
       }
     }
+
+    // Check bases
+    for (const [team, base] of Object.entries(this.levelData.bases)) {
+      const dx = worldX - base.x;
+      const dy = worldY - base.y;
+      if (Math.sqrt(dx * dx + dy * dy) < 40 + threshold) {
+        delete this.levelData.bases[team];
+        return;
+      }
+    }
   }
 
   updateCamera() {
@@ -427,6 +444,25 @@ export class LevelEditor {
       this.ctx.fill();
     });
 
+    // Draw team bases
+    const baseColors = { red: "#dc143c", blue: "#6495ed" };
+    Object.entries(this.levelData.bases).forEach(([team, base]) => {
+      const x = this.worldToScreenX(base.x);
+      const y = this.worldToScreenY(base.y);
+      const radius = 40 * this.zoom;
+      this.ctx.strokeStyle = baseColors[team];
+      this.ctx.lineWidth = 3;
+      this.ctx.beginPath();
+      this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+      this.ctx.stroke();
+
+      this.ctx.fillStyle = baseColors[team];
+      this.ctx.font = `bold ${12 * this.zoom}px monospace`;
+      this.ctx.textAlign = "center";
+      this.ctx.textBaseline = "middle";
+      this.ctx.fillText(team.toUpperCase(), x, y);
+    });
+
     // Draw preview for current tool
     if (this.currentTool === "wall" && this.isDrawing && this.dragStart) {
       const worldX = this.screenToWorldX(this.mouseX);
@@ -584,6 +620,7 @@ export class LevelEditor {
       const response = await fetch(`/api/levels/load/${encodeURIComponent(name)}`);
       if (response.ok) {
         const levelData = await response.json();
+        levelData.bases = levelData.bases || {}; // Levels saved before bases
         this.levelData = levelData;
 
         // Update UI
@@ -626,6 +663,7 @@ export class LevelEditor {
         spawnPoints: [],
         pickups: [],
         waypoints: [],
+        bases: {},
       };
 
       document.getElementById("levelNameInput").value = "Untitled Level";
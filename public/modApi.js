@@ -0,0 +1,348 @@
+// Mod API definition
+// The single description of what server and persistent mods can call. The
+// sandbox builds the `api` object from it, the server applies the commands it
+// lists, and the AI system prompt and in-game API reference are generated
+// from it. Must stay free of DOM/Node APIs (shared by server and client).
+
+import { PICKUP_TYPE_NAMES } from "./pickups.js";
+
+// Bump when members are added, removed or change behavior
+export const MOD_API_VERSION = 3;
+
+// Where mod code runs
+export const MOD_CONTEXTS = ["server", "persistent"];
+
+const BOTH = ["server", "persistent"];
+
+// Capabilities group members by what they touch, in reference order
+export const MOD_CAPABILITIES = {
+  info: "Mod info",
+  read: "Read game state",
+  players: "Change players",
+  world: "Change the world",
+  bots: "Bot AI",
+  messages: "Messages",
+};
+
+/**
+ * Every api member
+ * - type: "property" (read like api.now), "function" (runs inside the
+ *   sandbox, e.g. returns a copy of game data) or "command" (changes the
+ *   game - queued by the sandbox and applied by the server)
+ * - capability: key of MOD_CAPABILITIES
+ * - contexts: where the member exists
+ * - aliases: older names that still work (not advertised)
+ * - persistentNote: extra advice when used from a persistent mod
+ */
+export const MOD_API = [
+  {
+    name: "version",
+    type: "property",
+    capability: "info",
+    contexts: BOTH,
+    description: "Mod API version",
+  },
+  {
+    name: "myId",
+    type: "property",
+    capability: "info",
+    contexts: BOTH,
+    description: "ID of the player who ran the mod",
+  },
+  {
+    name: "isSpectator",
+    type: "property",
+    capability: "info",
+    contexts: BOTH,
+    description: "true if that player is spectating, not playing",
+  },
+  {
+    name: "now",
+    type: "property",
+    capability: "info",
+    contexts: BOTH,
+    description: "Current timestamp (ms)",
+  },
+  {
+    name: "dt",
+    type: "property",
+    capability: "info",
+    contexts: ["persistent"],
+    description: "Time since the last tick (seconds)",
+  },
+  {
+    name: "getMyPlayer",
+    type: "function",
+    capability: "read",
+    contexts: BOTH,
+    params: [],
+    description: "The player who ran the mod (undefined for spectators)",
+  },
+  {
+    name: "getPlayer",
+    type: "function",
+    capability: "read",
+    contexts: BOTH,
+    params: ["playerId"],
+    description: "Any player or bot by ID",
+  },
+  {
+    name: "getAllPlayers",
+    type: "function",
+    capability: "read",
+    contexts: BOTH,
+    params: [],
+    description: "Array of all players and bots",
+  },
+  {
+    name: "getGameState",
+    type: "function",
+    capability: "read",
+    contexts: BOTH,
+    params: [],
+    description: "{ players, bots, projectiles, pickups }",
+  },
+  {
+    name: "setHealth",
+    type: "command",
+    capability: "players",
+    contexts: BOTH,
+    params: ["playerId", "health"],
+    description: "Set health (0-100)",
+  },
+  {
+    name: "setArmor",
+    type: "command",
+    capability: "players",
+    contexts: BOTH,
+    params: ["playerId", "armor"],
+    description: "Set armor (0-100)",
+  },
+  {
+    name: "setInvulnerable",
+    type: "command",
+    capability: "players",
+    contexts: BOTH,
+    params: ["playerId", "invulnerable"],
+    description: "Turn invulnerability on (true) or off (false)",
+  },
+  {
+    name: "teleportPlayer",
+    type: "command",
+    capability: "players",
+    contexts: BOTH,
+    params: ["playerId", "x", "y"],
+    aliases: ["teleport"],
+    description: "Move a player instantly",
+  },
+  {
+    name: "giveWeapon",
+    type: "command",
+    capability: "players",
+    contexts: BOTH,
+    params: ["playerId", "weapon"],
+    description: 'Give a full weapon: "pistol", "smg", "shotgun", "rifle"',
+    persistentNote: "refills the magazine, so only call it once",
+  },
+  {
+    name: "killPlayer",
+    type: "command",
+    capability: "players",
+    contexts: BOTH,
+    params: ["playerId"],
+    description: "Kill a player",
+  },
+  {
+    name: "spawnPickup",
+    type: "command",
+    capability: "world",
+    contexts: BOTH,
+    params: ["x", "y", "type"],
+    description: `Spawn a pickup: ${PICKUP_TYPE_NAMES.map((type) => `"${type}"`).join(", ")}`,
+    persistentNote: "only call it once (e.g. in setup)",
+  },
+  {
+    name: "log",
+    type: "function",
+    capability: "messages",
+    contexts: BOTH,
+    params: ["...args"],
+    description: "Log to the server console",
+  },
+  {
+    name: "broadcast",
+    type: "command",
+    capability: "messages",
+    contexts: BOTH,
+    params: ["message"],
+    description: "Show a message to all players",
+    persistentNote: "only call it once (e.g. in setup)",
+  },
+  {
+    name: "registerBotBehavior",
+    type: "command",
+    capability: "bots",
+    contexts: ["persistent"],
+    params: ["name", "behavior"],
+    description:
+      'Give bots a new behavior: { priority, when: { minHealth, maxHealth, hasTarget, weapon, notWeapon }, action: { type: "moveTo", x, y } | { type: "follow", playerId } | { type: "pickup", types } | { type: "hold" } }. The highest priority that applies wins (built-ins: retreat 10, seekCover 9, objective 8 or 5, engage 7, wallShot 6, flank 4.5, hunt 4, investigateSound 3, grabPickup 2, patrolWaypoint 1)',
+    persistentNote: "call it once in setup; removed when the mod ends",
+  },
+  {
+    name: "setBotBehaviorWeight",
+    type: "command",
+    capability: "bots",
+    contexts: ["persistent"],
+    params: ["name", "weight"],
+    description:
+      'Scale how much bots go for a behavior (1 = normal, 0 = never), e.g. setBotBehaviorWeight("wallShot", 0)',
+    persistentNote: "undone when the mod ends",
+  },
+  {
+    name: "setBotPickupWeight",
+    type: "command",
+    capability: "bots",
+    contexts: ["persistent"],
+    params: ["type", "weight"],
+    description:
+      'How much bots want a pickup type (1 = normal, 0 = they leave it alone), e.g. setBotPickupWeight("weapon_rifle", 0)',
+    persistentNote: "undone when the mod ends",
+  },
+];
+
+// Members available in a context, in definition order
+export function getModAPIMembers(context) {
+  return MOD_API.filter((member) => member.contexts.includes(context));
+}
+
+// api.name or api.name(params)
+export function formatModAPISignature(member) {
+  if (member.type === "property") {
+    return `api.${member.name}`;
+  }
+  return `api.${member.name}(${member.params.join(", ")})`;
+}
+
+/**
+ * Reference for one context, grouped by capability
+ * @param {string} context - "server" or "persistent"
+ * @returns {Array} [{ capability, title, members: [{ signature, description }] }]
+ */
+export function getModAPIReference(context) {
+  const members = getModAPIMembers(context);
+
+  return Object.entries(MOD_CAPABILITIES)
+    .map(([capability, title]) => ({
+      capability,
+      title,
+      members: members
+        .filter((member) => member.capability === capability)
+        .map((member) => ({
+          signature: formatModAPISignature(member),
+          description:
+            context === "persistent" && member.persistentNote
+              ? `${member.description} - ${member.persistentNote}`
+              : member.description,
+        })),
+    }))
+    .filter((group) => group.members.length > 0);
+}
+
+// Plain-text reference ("- api.x(a) - Description" lines) for prompts and docs
+export function formatModAPIReference(context) {
+  return getModAPIReference(context)
+    .flatMap((group) =>
+      group.members.map(
+        (member) => `- ${member.signature} - ${member.description}`,
+      ),
+    )
+    .join("\n");
+}
+
+/**
+ * Game events persistent mods can react to, by declaring the handler as a
+ * top-level function: function onDamage(api, state, event) { ... }
+ * - fields: what the event object carries
+ * - modifiable: fields a handler may change to alter the outcome, with their
+ *   type (other changes are ignored)
+ */
+export const MOD_EVENTS = {
+  damage: {
+    handler: "onDamage",
+    fields: ["targetId", "attackerId", "weapon", "headshot", "amount"],
+    modifiable: { amount: "number" },
+    description:
+      "A player or bot is about to take damage (amount is before armor) - set event.amount to change it, 0 cancels",
+  },
+  death: {
+    handler: "onDeath",
+    fields: ["victimId", "killerId", "weapon"],
+    description: "A player or bot died (killerId is null if nobody did it)",
+  },
+  kill: {
+    handler: "onKill",
+    fields: ["killerId", "victimId", "weapon", "headshot"],
+    description: "Someone killed another player or bot",
+  },
+  pickup: {
+    handler: "onPickup",
+    fields: ["playerId", "pickupId", "type"],
+    description: "A player or bot collected a pickup",
+  },
+  shot: {
+    handler: "onShot",
+    fields: ["shooterId", "weapon", "x", "y", "angle"],
+    description: "A player or bot fired their weapon",
+  },
+  grenade: {
+    handler: "onGrenade",
+    fields: ["throwerId", "x", "y", "radius", "hitIds"],
+    description: "A grenade exploded",
+  },
+  roundStart: {
+    handler: "onRoundStart",
+    fields: [],
+    description: "The round started (scoring enabled)",
+  },
+  roundEnd: {
+    handler: "onRoundEnd",
+    fields: ["winnerId", "winnerName"],
+    description: "The round is over (persistent mods end right after)",
+  },
+};
+
+// Plain-text event reference for prompts and docs
+export function formatModEventReference() {
+  return Object.values(MOD_EVENTS)
+    .map((definition) => {
+      const fields =
+        definition.fields.length > 0
+          ? ` event: { ${definition.fields.join(", ")} }`
+          : "";
+      return `- ${definition.handler}(api, state, event) - ${definition.description}.${fields}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Lifecycle handlers a persistent mod may declare at the top level (or
+ * return from its body), each with the names it goes by - onX are aliases
+ */
+export const MOD_LIFECYCLE_HANDLERS = {
+  setup: ["setup", "onStart"],
+  tick: ["tick", "onTick"],
+  teardown: ["teardown", "onEnd"],
+};
+
+// Hooks client mods can registerHook() in the browser (ModSystem.hooks)
+export const CLIENT_MOD_HOOKS = [
+  "onPlayerDraw",
+  "onHit",
+  "onKill",
+  "onPickup",
+  "onShoot",
+  "onOutOfAmmo",
+  "onRoundOver",
+  "onUpdate",
+  "onRender",
+];
@@ -10,6 +10,12 @@ export class ModEditor {
     this.modHUD = new ModHUD();
     this.playerName = "Unknown";
 
+    // Client mods this terminal generated: modName -> { id, prompt }, so a
+    // mod that gets auto-disabled can be sent for repair
+    this.generatedMods = new Map();
+    this.modSystem.onModDisabled = (name, error, code) =>
+      this.handleModDisabled(name, error, code);
+
     // Cooldown system (server-controlled)
     this.cooldownEnd = 0; // Server timestamp when cooldown ends
     this.cooldownInterval = null;
@@ -236,16 +242,37 @@ export class ModEditor {
 
     // Add mod to HUD with "generating" status
     const tempModId = `generating_${Date.now()}`;
-    this.modHUD.addGeneratingMod(tempModId, prompt, this.playerName);
+    this.modHUD.addGeneratingMod(tempModId, prompt, this.playerName, () =>
+      this.geminiClient.cancelGeneration(this.socket, tempModId),
+    );
 
     try {
       this.isGenerating = true;
 
-      // Generate code with AI
-      const result = await this.geminiClient.generateModCode(prompt);
+      // Generate code with AI, showing progress as it streams in
+      let streamedCode = "";
+      const result = await this.geminiClient.generateModCodeLive(
+        this.socket,
+        prompt,
+        tempModId,
+        {
+          onPhase: (phase, info) => {
+            if (phase === "prompting") streamedCode = ""; // New attempt
+            this.modHUD.updateGeneratingMod(
+              tempModId,
+              this.describeGenerationPhase(phase, info),
+            );
+          },
+          onToken: (text) => {
+            streamedCode += text;
+            this.modHUD.updateGeneratingMod(tempModId, null, streamedCode);
+          },
+        },
+      );
 
       // Remove the "generating" entry
       this.modHUD.removeMod(tempModId);
+      if (!result) return; // Cancelled
 
       // Check for backfire and play alarm
       if (result.backfire) {
@@ -273,6 +300,28 @@ export class ModEditor {
     }
   }
 
+  // HUD status line for a generation phase (null keeps the current one)
+  describeGenerationPhase(phase, info) {
+    switch (phase) {
+      case "queued":
+        return `⏳ Queued (#${info.position})`;
+      case "prompting":
+        return info.attempt > 1
+          ? `⚡ Generating with AI (attempt ${info.attempt})...`
+          : "⚡ Generating with AI...";
+      case "backfireRolled":
+        return info.backfire ? "🎲 Backfire rolled..." : null;
+      case "validating":
+        return "🔍 Checking the code...";
+      case "retrying":
+        return "🔄 That didn't work, retrying...";
+      case "fallbackChosen":
+        return "🎰 Picking an existing mod instead...";
+      default:
+        return null;
+    }
+  }
+
   activateMod(result, originalPrompt) {
     const modName = `mod_${Date.now()}`;
 
@@ -281,10 +330,25 @@ export class ModEditor {
       this.socket.emit("executeServerMod", {
         code: result.code,
         name: modName,
+        modId: result.id,
       });
       this.socket.once("serverModResult", (res) => {
-        if (!res.success) {
+        if (res.reason === "price") {
+          // Not broken, just not ours - nothing to repair
           this.modHUD.addErrorMod(originalPrompt, res.error);
+        } else if (!res.success) {
+          this.modHUD.addErrorMod(originalPrompt, res.error, () =>
+            this.repairMod(
+              {
+                code: result.code,
+                type: "server",
+                error: res.error,
+                stack: res.stack,
+                modId: result.id,
+              },
+              originalPrompt,
+            ),
+          );
         }
         // Note: Success is silent - server mods are instant actions, not persistent effects
       });
@@ -303,6 +367,7 @@ export class ModEditor {
         targetScope: targetScope,
         targetPlayerId: targetPlayerId,
         targetPlayerName: targetPlayerName,
+        modId: result.id,
       });
 
       this.socket.once("persistentModResult", (res) => {
@@ -315,12 +380,79 @@ export class ModEditor {
       // Client-side mod - these are loaded immediately and don't show in the server HUD
       const loadResult = this.modSystem.loadMod(modName, result.code);
       if (!loadResult.success) {
-        this.modHUD.addErrorMod(originalPrompt, loadResult.message);
+        const failure = this.modSystem.failedMods.get(modName);
+        this.modHUD.addErrorMod(originalPrompt, loadResult.message, () =>
+          this.repairMod(
+            {
+              code: result.code,
+              type: "client",
+              error: loadResult.message,
+              stack: failure ? failure.stack : undefined,
+              modId: result.id,
+            },
+            originalPrompt,
+          ),
+        );
+      } else {
+        this.generatedMods.set(modName, {
+          id: result.id,
+          prompt: originalPrompt,
+        });
+        this.socket.emit("clientModLoaded", {
+          modId: result.id,
+          code: result.code,
+        });
       }
       // Note: Client-side mods are instantly active and don't expire, so no HUD entry
     }
   }
 
+  // A generated client mod kept throwing and was auto-disabled
+  handleModDisabled(name, error, code) {
+    const generated = this.generatedMods.get(name);
+    if (!generated) return; // Not one of ours (e.g. loaded from a file)
+    this.generatedMods.delete(name);
+
+    this.modHUD.addErrorMod(
+      generated.prompt,
+      `Disabled: ${error.message}`,
+      () =>
+        this.repairMod(
+          {
+            code,
+            type: "client",
+            error: error.message,
+            stack: error.stack,
+            modId: generated.id,
+          },
+          generated.prompt,
+        ),
+    );
+  }
+
+  // Send a broken mod back to the AI and activate the repaired version
+  async repairMod(failure, originalPrompt) {
+    const tempModId = `repairing_${Date.now()}`;
+    this.modHUD.addGeneratingMod(
+      tempModId,
+      `🔧 ${originalPrompt}`,
+      this.playerName,
+    );
+
+    try {
+      const result = await this.geminiClient.repairModCode(
+        this.socket,
+        failure,
+      );
+      this.modHUD.removeMod(tempModId);
+      this.activateMod(result, originalPrompt);
+    } catch (error) {
+      console.error("Repair error:", error);
+      this.modHUD.removeMod(tempModId);
+      this.modHUD.addErrorMod(originalPrompt, error.message);
+    }
+  }
+
   showBackfireWarning(result, originalPrompt) {
     // Create dramatic backfire warning
     const overlay = document.createElement("div");
@@ -65,7 +65,8 @@ export class ModHUD {
 
   // Removed addMod - mods are now managed by syncFromServerState only
 
-  addGeneratingMod(modId, prompt, playerName) {
+  // onCancel (optional) adds a cancel button
+  addGeneratingMod(modId, prompt, playerName, onCancel = null) {
     // Create mod entry element with generating state
     const modElement = document.createElement("div");
     modElement.style.cssText = `
@@ -96,8 +97,40 @@ export class ModHUD {
     `;
     statusDiv.textContent = "⚡ Generating with AI...";
 
+    // Last line of the code streamed so far
+    const previewDiv = document.createElement("div");
+    previewDiv.style.cssText = `
+      color: rgba(255, 170, 0, 0.6);
+      font-size: 9px;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    `;
+
     modElement.appendChild(nameDiv);
     modElement.appendChild(statusDiv);
+    modElement.appendChild(previewDiv);
+
+    if (onCancel) {
+      const cancelButton = document.createElement("button");
+      cancelButton.style.cssText = `
+        align-self: flex-start;
+        background: transparent;
+        border: 1px solid #ffaa00;
+        color: #ffaa00;
+        padding: 2px 8px;
+        cursor: pointer;
+        font-family: monospace;
+        font-size: 10px;
+      `;
+      cancelButton.textContent = "✖ Cancel";
+      cancelButton.addEventListener("click", () => {
+        cancelButton.disabled = true;
+        statusDiv.textContent = "Cancelling...";
+        onCancel();
+      });
+      modElement.appendChild(cancelButton);
+    }
 
     this.listContainer.insertBefore(modElement, this.listContainer.firstChild);
 
@@ -105,6 +138,8 @@ export class ModHUD {
     this.generatingMods.set(modId, {
       playerName,
       element: modElement,
+      statusDiv,
+      previewDiv,
       isGenerating: true,
     });
 
@@ -112,7 +147,22 @@ export class ModHUD {
     this.updateCount();
   }
 
-  addErrorMod(prompt, errorMessage) {
+  // Show generation progress: a new status line and/or the streamed code
+  updateGeneratingMod(modId, status, streamedCode) {
+    const modData = this.generatingMods.get(modId);
+    if (!modData || !modData.isGenerating) return;
+
+    if (status) {
+      modData.statusDiv.textContent = status;
+    }
+    if (streamedCode !== undefined) {
+      const lines = streamedCode.trimEnd().split("\n");
+      modData.previewDiv.textContent = lines[lines.length - 1];
+    }
+  }
+
+  // onRepair (optional) adds a "Fix it" button that sends the mod for repair
+  addErrorMod(prompt, errorMessage, onRepair = null) {
     // Create mod entry element with error state
     const modElement = document.createElement("div");
     modElement.style.cssText = `
@@ -145,11 +195,34 @@ export class ModHUD {
     modElement.appendChild(nameDiv);
     modElement.appendChild(errorDiv);
 
+    const errorId = `error_${Date.now()}`;
+
+    if (onRepair) {
+      const repairButton = document.createElement("button");
+      repairButton.style.cssText = `
+        align-self: flex-start;
+        background: transparent;
+        border: 1px solid #ff6699;
+        color: #ff6699;
+        padding: 2px 8px;
+        margin-top: 2px;
+        cursor: pointer;
+        font-family: monospace;
+        font-size: 10px;
+      `;
+      repairButton.textContent = "🔧 Fix it";
+      repairButton.addEventListener("click", () => {
+        this.removeMod(errorId);
+        onRepair();
+      });
+      modElement.appendChild(repairButton);
+    }
+
     this.listContainer.insertBefore(modElement, this.listContainer.firstChild);
 
-    // Store error mod data with 5 second auto-remove in generatingMods map
-    const errorId = `error_${Date.now()}`;
-    const expiresAt = Date.now() + 5000;
+    // Store error mod data with auto-remove in generatingMods map (longer
+    // when it can be repaired, to give time to click)
+    const expiresAt = Date.now() + (onRepair ? 15000 : 5000);
     this.generatingMods.set(errorId, {
       element: modElement,
       expiresAt,
@@ -1,17 +1,13 @@
 // Live-coding mod system
+import { CLIENT_MOD_HOOKS } from "./modApi.js";
+
 export class ModSystem {
   constructor(game) {
     this.game = game;
     this.mods = new Map();
-    this.hooks = {
-      onPlayerDraw: [],
-      onHit: [],
-      onKill: [],
-      onPickup: [],
-      onShoot: [],
-      onUpdate: [],
-      onRender: [],
-    };
+    this.hooks = Object.fromEntries(
+      CLIENT_MOD_HOOKS.map((hookName) => [hookName, []]),
+    );
     this.modsEnabled = this.checkModsEnabled();
 
     // Enhanced error handling and safety
@@ -22,6 +18,7 @@ export class ModSystem {
     this.MAX_HOOK_EXECUTION_TIME = 100; // ms - prevent infinite loops
     this.MAX_CONSECUTIVE_ERRORS = 3; // Auto-disable after this many errors
     this.errorCounts = new Map(); // Track errors per mod
+    this.onModDisabled = null; // Called with (name, error, code) on auto-disable
   }
 
   // Check if mods are enabled via URL parameter
@@ -93,7 +90,21 @@ export class ModSystem {
         `🚫 Mod "${name}" auto-disabled after ${count} consecutive errors`,
       );
       console.error(`   Last error: ${error.message}`);
+
+      // Keep the code and stack so the mod can be sent off for repair
+      const mod = this.mods.get(name);
+      const code = mod ? mod.code : null;
+      this.failedMods.set(name, {
+        code,
+        error: error.message,
+        stack: error.stack,
+        timestamp: Date.now(),
+      });
       this.unloadMod(name);
+
+      if (this.onModDisabled && code) {
+        this.onModDisabled(name, error, code);
+      }
       return true; // Mod was disabled
     }
 
@@ -233,6 +244,7 @@ export class ModSystem {
       this.failedMods.set(name, {
         code,
         error: error.message,
+        stack: error.stack,
         timestamp: Date.now(),
       });
 
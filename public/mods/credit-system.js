@@ -1,5 +1,6 @@
 // Credit System Mod
-// Awards bonus credits for killstreaks and manages the credit economy
+// Announces killstreak bonuses. The server awards them (see ECONOMY_CONFIG in
+// credit-economy.js) - this schedule mirrors it for the announcements
 
 let currentStreak = 0;
 
@@ -22,10 +23,6 @@ registerHook("onKill", (killerId, victimId) => {
     if (KILLSTREAK_BONUSES[currentStreak]) {
       const bonus = KILLSTREAK_BONUSES[currentStreak];
       console.log(`🎯 Killstreak bonus! +${bonus} credits (${currentStreak} kills)`);
-
-      // Note: The bonus is added client-side for immediate feedback
-      // The server tracks the base 5 credits per kill
-      // This bonus system could be moved server-side for security
     }
   } else if (victimId === myId) {
     // Reset streak on death
@@ -33,4 +30,4 @@ registerHook("onKill", (killerId, victimId) => {
   }
 });
 
-console.log("✅ Credit System loaded - Base: 5 credits/kill, Killstreak bonuses active");
+console.log("✅ Credit System loaded - Killstreak bonuses are awarded by the server");
@@ -0,0 +1,54 @@
+// Game Mode HUD
+// Shows the current mode's objective (and team scores in team modes) from
+// the modeHud the server sends with every snapshot
+
+const TEAM_HUD_COLORS = { red: "#dc143c", blue: "#6495ed" };
+
+// Wait for HUD Layout Manager to be available
+setTimeout(() => {
+  if (!window.HUDLayoutManager) {
+    console.error(
+      "❌ HUD Layout Manager not found! Load hud-layout-manager.js first",
+    );
+    return;
+  }
+
+  // Register objective display (N center, above the leaderboard hint)
+  window.HUDLayoutManager.register("game-mode-objective", {
+    position: "N",
+    priority: 60,
+    width: 300,
+    height: 40,
+    render: (ctx, x, y) => {
+      const hud = game.getState().modeHud;
+      if (!hud || !hud.objective) return;
+
+      // Background
+      ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+      ctx.fillRect(x, y, 300, 40);
+
+      // Objective
+      ctx.fillStyle = "#66ccff";
+      ctx.font = "12px monospace";
+      ctx.textAlign = "center";
+      ctx.fillText(hud.objective, x + 150, y + 15);
+
+      // Team scores, e.g. "RED 12 - 9 BLUE"
+      if (hud.teamScores) {
+        const teams = Object.entries(hud.teamScores);
+        const slot = 300 / teams.length;
+        ctx.font = "bold 16px monospace";
+        teams.forEach(([team, score], i) => {
+          ctx.fillStyle = TEAM_HUD_COLORS[team] || "#ffffff";
+          ctx.fillText(
+            `${team.toUpperCase()} ${score}`,
+            x + slot * i + slot / 2,
+            y + 34,
+          );
+        });
+      }
+    },
+  });
+
+  console.log("✅ Game Mode HUD loaded");
+}, 200);
@@ -49,6 +49,45 @@ setTimeout(() => {
         ctx.stroke();
       }
 
+      // Draw the Vibe Royale safe zone and where it's shrinking to
+      const zone = state.modeHud && state.modeHud.zone;
+      if (zone) {
+        const scale = MINIMAP_SIZE / worldWidth;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, MINIMAP_SIZE, MINIMAP_SIZE);
+        ctx.clip();
+
+        ctx.strokeStyle = "#ff3399";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(
+          x + zone.x * scale,
+          y + zone.y * scale,
+          zone.radius * scale,
+          0,
+          Math.PI * 2,
+        );
+        ctx.stroke();
+
+        if (zone.target) {
+          ctx.strokeStyle = "rgba(255, 255, 255, 0.7)";
+          ctx.lineWidth = 1;
+          ctx.setLineDash([3, 3]);
+          ctx.beginPath();
+          ctx.arc(
+            x + zone.target.x * scale,
+            y + zone.target.y * scale,
+            zone.target.radius * scale,
+            0,
+            Math.PI * 2,
+          );
+          ctx.stroke();
+          ctx.setLineDash([]);
+        }
+        ctx.restore();
+      }
+
       // Draw pickups
       state.pickups.forEach((pickup) => {
         if (!pickup.active) return;
@@ -0,0 +1,91 @@
+// Shared movement and collision
+// Imported by the server simulation and by client-side prediction so both
+// resolve wall sliding exactly the same way. Must stay free of DOM/Node APIs.
+
+// Check collision between circle (player) and rectangle (wall)
+export function circleRectCollision(cx, cy, radius, rx, ry, rw, rh) {
+  // Find closest point on rectangle to circle center
+  const closestX = Math.max(rx, Math.min(cx, rx + rw));
+  const closestY = Math.max(ry, Math.min(cy, ry + rh));
+
+  // Calculate distance between circle center and closest point
+  const distX = cx - closestX;
+  const distY = cy - closestY;
+  const distSquared = distX * distX + distY * distY;
+
+  return distSquared < radius * radius;
+}
+
+// Check if position collides with any walls or crates
+// map: { walls, crates } - a server room or the map sent to the client
+export function checkWallCollision(map, x, y, radius) {
+  // Check walls
+  for (const wall of map.walls) {
+    if (
+      circleRectCollision(x, y, radius, wall.x, wall.y, wall.width, wall.height)
+    ) {
+      return true;
+    }
+  }
+
+  // Check crates
+  for (const crate of map.crates) {
+    if (
+      circleRectCollision(
+        x,
+        y,
+        radius,
+        crate.x,
+        crate.y,
+        crate.size,
+        crate.size,
+      )
+    ) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// Velocity from WASD input, normalized so diagonals aren't faster
+export function inputToVelocity(input, speed) {
+  const moveX = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+  const moveY = (input.down ? 1 : 0) - (input.up ? 1 : 0);
+
+  if (moveX === 0 && moveY === 0) {
+    return { vx: 0, vy: 0 };
+  }
+
+  const mag = Math.sqrt(moveX * moveX + moveY * moveY);
+  return { vx: (moveX / mag) * speed, vy: (moveY / mag) * speed };
+}
+
+// Move an entity by its velocity for dt seconds, checking each axis
+// separately so it slides along walls, then clamp to the world bounds
+// map: { walls, crates, worldWidth, worldHeight }
+// Returns true if the entity moved on either axis
+export function moveWithCollision(map, entity, vx, vy, dt, radius) {
+  const newX = entity.x + vx * dt;
+  const newY = entity.y + vy * dt;
+
+  let moved = false;
+
+  // Check X axis collision
+  if (!checkWallCollision(map, newX, entity.y, radius)) {
+    entity.x = newX;
+    moved = true;
+  }
+
+  // Check Y axis collision
+  if (!checkWallCollision(map, entity.x, newY, radius)) {
+    entity.y = newY;
+    moved = true;
+  }
+
+  // Clamp to world bounds
+  entity.x = Math.max(radius, Math.min(map.worldWidth - radius, entity.x));
+  entity.y = Math.max(radius, Math.min(map.worldHeight - radius, entity.y));
+
+  return moved;
+}
@@ -0,0 +1,18 @@
+// Shared pickup types
+// What each pickup gives and how long it takes to respawn. Imported by the
+// server (spawning and collecting pickups) and by the mod API definition, so
+// the types mods are told about are the ones the server accepts. Must stay
+// free of DOM/Node APIs.
+
+export const PICKUP_TYPES = {
+  health_small: { amount: 25, respawn: 15000 },
+  health_big: { amount: 50, respawn: 25000 },
+  armor_light: { amount: 50, respawn: 30000 },
+  armor_heavy: { amount: 100, respawn: 45000 },
+  weapon_smg: { weapon: "smg", respawn: 15000 },
+  weapon_shotgun: { weapon: "shotgun", respawn: 20000 },
+  weapon_rifle: { weapon: "rifle", respawn: 25000 },
+  grenade: { amount: 2, respawn: 30000 }, // Grenade pickup
+};
+
+export const PICKUP_TYPE_NAMES = Object.keys(PICKUP_TYPES);
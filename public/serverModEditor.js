@@ -1,6 +1,8 @@
 // Server-side Mod Editor
 // Allows writing and executing mods that run on the server
 
+import { MOD_API_VERSION, getModAPIReference } from "./modApi.js";
+
 class ServerModEditor {
   constructor() {
     this.socket = null;
@@ -184,19 +186,23 @@ if (me) {
       overflow-y: auto;
       margin-top: 10px;
     `;
+    // Generated from the shared mod API definition so it can't drift from
+    // what the server actually provides
+    const reference = getModAPIReference("server")
+      .map(
+        (group) => `
+        <div style="color: #0088ff; margin-top: 6px;">${group.title}</div>
+        ${group.members
+          .map(
+            (member) =>
+              `<strong>${member.signature}</strong> - ${member.description}<br>`,
+          )
+          .join("")}`,
+      )
+      .join("");
     apiRef.innerHTML = `
-      <div style="font-weight: bold; margin-bottom: 8px; color: #0088ff;">Server Mod API Reference</div>
-      <div style="line-height: 1.6;">
-        <strong>api.getGameState()</strong> - Get all game state<br>
-        <strong>api.getAllPlayers()</strong> - Get all players and bots<br>
-        <strong>api.setHealth(id, health)</strong> - Set player health (0-100)<br>
-        <strong>api.setArmor(id, armor)</strong> - Set player armor (0-100)<br>
-        <strong>api.teleportPlayer(id, x, y)</strong> - Teleport player<br>
-        <strong>api.giveWeapon(id, weapon)</strong> - Give weapon (pistol, smg, shotgun, rifle)<br>
-        <strong>api.spawnPickup(x, y, type)</strong> - Spawn pickup<br>
-        <strong>api.killPlayer(id)</strong> - Kill a player<br>
-        <strong>api.log(...args)</strong> - Log to server console<br>
-        <strong>api.broadcast(msg)</strong> - Send message to all players<br>
+      <div style="font-weight: bold; margin-bottom: 8px; color: #0088ff;">Server Mod API Reference (v${MOD_API_VERSION})</div>
+      <div style="line-height: 1.6;">${reference}
       </div>
     `;
 
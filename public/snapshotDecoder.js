@@ -0,0 +1,69 @@
+// Rebuilds full game state from the server's delta-compressed snapshots
+// Keeps recent decoded snapshots so deltas against any of them can be applied
+const HISTORY_SIZE = 64; // Matches the server's snapshot history
+
+const ENTITY_COLLECTIONS = ["players", "pickups"];
+const FULL_COLLECTIONS = ["projectiles", "grenades"];
+const TRACKED_FIELDS = ["activeMods", "gameMode", "killLeaderId", "modeHud"];
+
+export class SnapshotDecoder {
+  constructor() {
+    this.snapshots = new Map(); // seq -> decoded state
+  }
+
+  // Forget all baselines (e.g. after switching rooms)
+  reset() {
+    this.snapshots.clear();
+  }
+
+  // Returns the full state, or null if the baseline is missing (desync)
+  decode(message) {
+    let base = null;
+    if (message.baseSeq !== null) {
+      base = this.snapshots.get(message.baseSeq);
+      if (!base) return null;
+    }
+
+    const state = {};
+
+    for (const key of ENTITY_COLLECTIONS) {
+      state[key] = this.applyEntityDelta(base ? base[key] : [], message[key]);
+    }
+
+    for (const key of FULL_COLLECTIONS) {
+      state[key] = message[key] || [];
+    }
+
+    for (const key of TRACKED_FIELDS) {
+      if (key in message) {
+        state[key] = message[key];
+      } else if (base) {
+        state[key] = base[key];
+      }
+    }
+
+    this.snapshots.set(message.seq, state);
+    if (this.snapshots.size > HISTORY_SIZE) {
+      // Map keeps insertion order, so the first key is the oldest
+      this.snapshots.delete(this.snapshots.keys().next().value);
+    }
+
+    // Hand out a copy so nothing outside can modify stored baselines
+    return structuredClone(state);
+  }
+
+  applyEntityDelta(baseList, delta) {
+    const byId = new Map(baseList.map((entity) => [entity.id, entity]));
+
+    for (const id of delta.removed) {
+      byId.delete(id);
+    }
+
+    for (const changes of delta.updated) {
+      const entity = byId.get(changes.id);
+      byId.set(changes.id, entity ? { ...entity, ...changes } : changes);
+    }
+
+    return Array.from(byId.values());
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Room Manager
+ * Registry of concurrent match rooms and their join codes
+ */
+
+import crypto from "crypto";
+
+// Unambiguous characters only (no 0/O, 1/I/L) so codes are easy to read out
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 5;
+
+class RoomManager {
+  constructor() {
+    this.rooms = new Map(); // roomId -> room
+    this.codes = new Map(); // join code -> roomId
+  }
+
+  /**
+   * Generate a join code that is not used by any registered room
+   */
+  generateCode() {
+    let code;
+    do {
+      code = "";
+      for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+      }
+    } while (this.codes.has(code));
+    return code;
+  }
+
+  /**
+   * Register a room so it can be looked up by id and join code
+   * @param {object} room - Room with at least `id` and `code`
+   */
+  add(room) {
+    this.rooms.set(room.id, room);
+    this.codes.set(room.code, room.id);
+    return room;
+  }
+
+  /**
+   * Unregister a room
+   * @param {string} roomId - Room ID
+   */
+  remove(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return false;
+
+    this.rooms.delete(roomId);
+    this.codes.delete(room.code);
+    return true;
+  }
+
+  /**
+   * Get a room by its ID
+   * @param {string} roomId - Room ID
+   */
+  get(roomId) {
+    return this.rooms.get(roomId);
+  }
+
+  /**
+   * Get a room by its join code (case-insensitive)
+   * @param {string} code - Join code
+   */
+  getByCode(code) {
+    if (typeof code !== "string") return undefined;
+    const roomId = this.codes.get(code.trim().toUpperCase());
+    return roomId ? this.rooms.get(roomId) : undefined;
+  }
+
+  /**
+   * Find the fullest public room that still has space for a human player,
+   * so matchmaking fills existing arenas before opening new ones
+   * @param {number} maxPlayers - Human player cap per room
+   */
+  findPublicRoom(maxPlayers) {
+    let best = null;
+    for (const room of this.rooms.values()) {
+      if (room.isPrivate || room.players.size >= maxPlayers) continue;
+      if (!best || room.players.size > best.players.size) {
+        best = room;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Summaries of rooms for lobby listings
+   * @param {object} options - { includePrivate: boolean }
+   */
+  list({ includePrivate = false } = {}) {
+    return Array.from(this.rooms.values())
+      .filter((room) => includePrivate || !room.isPrivate)
+      .map((room) => ({
+        id: room.id,
+        code: room.isPrivate ? undefined : room.code,
+        name: room.name,
+        isPrivate: room.isPrivate,
+        gameMode: room.gameMode,
+        players: room.players.size,
+        bots: room.bots.size,
+        createdAt: room.createdAt,
+      }));
+  }
+
+  values() {
+    return this.rooms.values();
+  }
+
+  get size() {
+    return this.rooms.size;
+  }
+}
+
+// Singleton instance
+const roomManager = new RoomManager();
+
+export default roomManager;
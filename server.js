@@ -6,17 +6,96 @@ import { dirname, join } from "path";
 import { promises as fs } from "fs";
 import "dotenv/config";
 import performanceMonitor from "./performance-monitor.js";
+import roomManager from "./room-manager.js";
+import SnapshotHistory from "./snapshot-history.js";
+import PositionHistory, { MAX_REWIND_MS } from "./lag-compensation.js";
+import GameEventBus from "./game-events.js";
+import NavGrid from "./pathfinding.js";
+import {
+  ADAPTIVE_DIFFICULTY,
+  DEFAULT_BOT_DIFFICULTY,
+  getAimError,
+  getAverageSkill,
+  getDifficultyProfile,
+  getPlayerSkill,
+  isBotDifficulty,
+  listBotDifficulties,
+} from "./bot-difficulty.js";
+import BotBrain, {
+  checkProgress,
+  createModBehavior,
+  findTargets,
+  listen,
+} from "./bot-behaviors.js";
+import BotMemory, {
+  BOT_MEMORY_CONFIG,
+  findFlankWaypoint,
+  getFocusBonus,
+} from "./bot-memory.js";
+import {
+  BOT_SHOP_CONFIG,
+  classifyBotMod,
+  getBotModNeeds,
+  pickBotMod,
+} from "./bot-shopping.js";
+import createAIProvider from "./ai-providers.js";
+import {
+  circleRectCollision,
+  checkWallCollision,
+  inputToVelocity,
+  moveWithCollision,
+} from "./public/movement.js";
+import { PICKUP_TYPES } from "./public/pickups.js";
+import {
+  MOD_API_VERSION,
+  MOD_EVENTS,
+  formatModAPIReference,
+  formatModEventReference,
+} from "./public/modApi.js";
 import {
   saveMod,
   getModStats,
   getAllMods,
   addActiveMod,
-  getActiveMods,
   cleanupExpiredMods,
   removePlayerActiveMods,
+  removeActiveMod,
+  removeRoomActiveMods,
   saveFailedMod,
   getRandomWorkingMod,
+  getModById,
+  findModByCode,
+  getCodeFingerprint,
+  markModFailed,
+  saveModVersion,
+  forkMod,
+  getModHistory,
+  getModForks,
+  getModLineage,
+  getCatalogMods,
+  addModTags,
+  removeModTag,
+  getModTags,
+  voteOnMod,
+  recordModActivation,
+  getCreditTransactions,
 } from "./mod-database.js";
+import modSandbox, { SANDBOX_LIMITS } from "./mod-sandbox.js";
+import modRegistry from "./mod-registry.js";
+import validateMod, { analyzeModCode } from "./mod-validator.js";
+import CreditEconomy, {
+  SHOP_ITEMS,
+  SHOP_PRICES,
+  listShopItems,
+} from "./credit-economy.js";
+import modGenerationQueue from "./mod-generation-queue.js";
+import {
+  DEFAULT_GAME_MODE,
+  getGameMode,
+  hasGameMode,
+  isPickupAllowed,
+  listGameModes,
+} from "./game-modes.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -128,11 +207,79 @@ const io = new Server(httpServer, {
 
 const PORT = process.env.PORT || 5500;
 
+// Model backend for mod generation (AI_PROVIDER, see ai-providers.js)
+const aiProvider = createAIProvider(process.env);
+if (aiProvider.missingConfig()) {
+  console.warn(
+    `⚠️  AI provider ${aiProvider.name}: ${aiProvider.missingConfig()} - mod generation disabled`,
+  );
+} else {
+  console.log(`🤖 AI provider: ${aiProvider.name}`);
+}
+
+// Chance a generated mod backfires (doubled on retry). AI_BACKFIRE_CHANCE
+// overrides the 10% default - e.g. 0 or 1 for repeatable offline tests
+const envBackfireChance = parseFloat(process.env.AI_BACKFIRE_CHANCE);
+const BACKFIRE_CHANCE =
+  envBackfireChance >= 0 && envBackfireChance <= 1 ? envBackfireChance : 0.1;
+
+// Admin-only routes want ADMIN_TOKEN as "Authorization: Bearer <token>", and
+// are turned off when it isn't set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+function isAdminRequest(req) {
+  if (!ADMIN_TOKEN) return false;
+
+  const header = req.headers.authorization || "";
+  const given = Buffer.from(header.replace(/^Bearer /, ""));
+  const expected = Buffer.from(ADMIN_TOKEN);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res
+      .status(403)
+      .json({ error: "Admin actions are disabled (ADMIN_TOKEN isn't set)" });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: "Admin token required" });
+  }
+  next();
+}
+
+// Players are known across reconnects by a secret token their browser keeps
+// (playerToken in the socket's auth, the X-Player-Token header over HTTP).
+// Mods are stored under a hash of it, which is safe to show - socket IDs
+// change on every connection and anyone can see them
+function getPlayerKey(token) {
+  if (typeof token !== "string" || token.length < 16 || token.length > 128) {
+    return null;
+  }
+  const hash = crypto.createHash("sha256").update(token).digest("hex");
+  return `player_${hash.slice(0, 24)}`;
+}
+
+// Routes that act for a player get their key as req.playerKey
+function requirePlayer(req, res, next) {
+  req.playerKey = getPlayerKey(req.get("X-Player-Token"));
+  if (!req.playerKey) {
+    return res.status(401).json({ error: "X-Player-Token header is required" });
+  }
+  next();
+}
+
 // Health check endpoint for Render (must be before static middleware)
 app.get("/health", (req, res) => {
   const requestId = `${Date.now()}-${Math.random()}`;
   performanceMonitor.startRequest(requestId, "/health");
-  res.status(200).json({ status: "healthy", bots: gameState.bots.size });
+  let bots = 0;
+  for (const room of roomManager.values()) {
+    bots += room.bots.size;
+  }
+  res.status(200).json({ status: "healthy", bots, rooms: roomManager.size });
   performanceMonitor.endRequest(requestId);
 });
 
@@ -294,7 +441,7 @@ app.get("/", (req, res) => {
   res.sendFile(join(__dirname, "public", "index.html"));
 });
 
-// System prompt for Gemini - defines how to generate mod code
+// System prompt for the AI provider - defines how to generate mod code
 function buildSystemPrompt() {
   return `You are an expert JavaScript game modding assistant for a 2D arena shooter called Vibematch-Arena. Generate safe, working mod code based on user requests.
 
@@ -331,8 +478,9 @@ Available Hooks:
 - registerHook("onUpdate", () => {}) - Runs every frame
 - registerHook("onRender", (ctx) => {}) - Runs every render
 
-Context: modContext object contains:
-- gameState, canvas, ctx, player, others, projectiles, pickups
+Context: client mods can use ONLY these besides hook arguments:
+- game, registerHook, console, and browser globals (window, document, ...)
+- The canvas 2D context is passed to onRender hooks as ctx
 
 Example:
 \`\`\`javascript
@@ -353,19 +501,8 @@ registerHook("onHit", (attacker, target) => {
 ═══════════════════════════════════════════════════════════════
 Use for: Instant teleport, one-time heal, spawn items, kill commands
 
-API (via api.methodName()):
-- api.myId - Your socket ID
-- api.isSpectator - Boolean: true if spectating, false if actively playing
-- api.setHealth(playerId, health) - Set health (0-100)
-- api.setArmor(playerId, armor) - Set armor (0-100)
-- api.teleportPlayer(playerId, x, y) - Teleport instantly
-- api.giveWeapon(playerId, weapon) - Give weapon: "pistol", "smg", "shotgun", "rifle"
-- api.spawnPickup(x, y, type) - Spawn: "health", "armor", "smg", "shotgun", "rifle"
-- api.killPlayer(playerId) - Kill player
-- api.getGameState() - Get all players, bots, projectiles
-- api.getAllPlayers() - Get array of all players and bots
-- api.log(...args) - Log to server console
-- api.broadcast(msg) - Send message to all players
+API v${MOD_API_VERSION} (via api.methodName()) - use ONLY these:
+${formatModAPIReference("server")}
 
 Example:
 \`\`\`javascript
@@ -385,7 +522,7 @@ if (api.isSpectator) {
   api.log("Spectator spawning health pickups");
 }
 const positions = [{x:100,y:100},{x:500,y:300},{x:800,y:600}];
-positions.forEach(pos => api.spawnPickup(pos.x, pos.y, "health"));
+positions.forEach(pos => api.spawnPickup(pos.x, pos.y, "health_small"));
 api.broadcast("Health pickups spawned!");
 \`\`\`
 
@@ -395,22 +532,62 @@ api.broadcast("Health pickups spawned!");
 Use for: God mode, auto-heal, speed boost, invulnerability, buffs
 RUNS EVERY GAME TICK (60 times/second) until expiration!
 
-API (via api.methodName()):
-- api.getMyPlayer() - Get player object who activated mod
-- api.getPlayer(playerId) - Get any player by ID
-- api.isSpectator - Boolean: true if spectating, false if active player
-- api.setHealth(playerId, health) - Set health (0-100)
-- api.setArmor(playerId, armor) - Set armor (0-100)
-- api.setInvulnerable(playerId, true/false) - Toggle invulnerability
-- api.teleport(playerId, x, y) - Teleport player
-- api.now - Current timestamp (ms)
-- api.dt - Delta time since last tick (seconds)
+API v${MOD_API_VERSION} (via api.methodName()) - use ONLY these:
+${formatModAPIReference("persistent")}
 
 IMPORTANT: Code runs EVERY TICK for duration, so:
 - Check if player exists and is alive
 - Use api.dt for time-based effects
 - Keep code lightweight (runs 60 times/second!)
 
+Optional lifecycle: instead of a bare body, declare top-level functions
+setup(api, state), tick(api, state) and/or teardown(api, state). teardown
+always runs when the mod expires or the round resets - use it to undo
+effects (e.g. setInvulnerable false). "state" is a private object that
+survives between ticks (timers, counters).
+
+Game events: declare any of these top-level functions to react the moment
+something happens instead of checking every tick:
+${formatModEventReference()}
+Only damage can be changed: set event.amount (e.g. halve it, or 0 to block).
+
+Example:
+\`\`\`javascript
+// PERSISTENT
+// Take half damage and heal 25 HP on every kill
+function onDamage(api, state, event) {
+  if (event.targetId === api.myId) {
+    event.amount = event.amount * 0.5;
+  }
+}
+function onKill(api, state, event) {
+  const player = api.getMyPlayer();
+  if (player && event.killerId === player.id) {
+    api.setHealth(player.id, player.health + 25);
+  }
+}
+\`\`\`
+
+Example:
+\`\`\`javascript
+// PERSISTENT
+// Heal 5 HP every 2 seconds, invulnerable while active
+function setup(api, state) {
+  state.nextHeal = api.now + 2000;
+  api.setInvulnerable(api.getMyPlayer().id, true);
+}
+function tick(api, state) {
+  const player = api.getMyPlayer();
+  if (player && player.health > 0 && api.now >= state.nextHeal) {
+    api.setHealth(player.id, player.health + 5);
+    state.nextHeal = api.now + 2000;
+  }
+}
+function teardown(api, state) {
+  api.setInvulnerable(api.getMyPlayer().id, false);
+}
+\`\`\`
+
 Example:
 \`\`\`javascript
 // PERSISTENT
@@ -463,6 +640,11 @@ CODING RULES
 5. Add comments explaining the code
 6. Use error checking (check if player exists, etc.)
 7. For PERSISTENT mods: Always check player.health > 0
+8. SERVER and PERSISTENT mods run in a sandbox: no setTimeout/setInterval,
+   no process or Node globals, and a few milliseconds per run (slow or
+   crashing mods are disabled). Objects from api getters are copies - change
+   the game only through api methods. They run in strict mode: declare every
+   variable with const/let and don't rely on this
 
 ═══════════════════════════════════════════════════════════════
 OUTPUT FORMAT
@@ -551,60 +733,59 @@ CHAOTIC:
 // PERSISTENT
 // Teleporter malfunction! Random teleports!
 const player = api.getMyPlayer();
-if (!this.timer) this.timer = 0;
-this.timer += api.dt;
-if (this.timer > 0.5) {
-  api.teleport(player.id, Math.random() * 2000, Math.random() * 2000);
-  this.timer = 0;
+state.timer = (state.timer || 0) + api.dt;
+if (player && state.timer > 0.5) {
+  api.teleportPlayer(player.id, Math.random() * 2000, Math.random() * 2000);
+  state.timer = 0;
 }
 \`\`\`
 
 Now generate the mod code based on the user's request.`;
 }
 
-// Test endpoint to check available Gemini models
-app.get("/api/test-gemini", async (req, res) => {
+// Test endpoint to check the configured AI provider and its models
+// (/api/test-gemini is the old name, kept for existing scripts)
+app.get(["/api/test-ai", "/api/test-gemini"], async (req, res) => {
   const requestId = `${Date.now()}-${Math.random()}`;
-  performanceMonitor.startRequest(requestId, "/api/test-gemini");
+  performanceMonitor.startRequest(requestId, "/api/test-ai");
 
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
+  const missingConfig = aiProvider.missingConfig();
+  if (missingConfig) {
     performanceMonitor.endRequest(requestId, true);
-    return res.status(503).json({ error: "GEMINI_API_KEY not set" });
+    return res
+      .status(503)
+      .json({ provider: aiProvider.name, error: missingConfig });
   }
 
   try {
-    // Try to list available models
-    const modelsResponse = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`,
-    );
-
-    if (modelsResponse.ok) {
-      const models = await modelsResponse.json();
-      performanceMonitor.endRequest(requestId);
-      return res.json({
-        available: true,
-        models: models.models?.map((m) => m.name) || [],
-      });
-    } else {
-      performanceMonitor.endRequest(requestId, true);
-      return res.status(modelsResponse.status).json({
-        error: `API key test failed: ${modelsResponse.statusText}`,
-      });
-    }
+    const status = await aiProvider.test();
+    performanceMonitor.endRequest(requestId);
+    return res.json({ provider: aiProvider.name, ...status });
   } catch (error) {
     performanceMonitor.endRequest(requestId, true);
-    return res.status(500).json({ error: error.message });
+    return res
+      .status(502)
+      .json({ provider: aiProvider.name, error: error.message });
   }
 });
 
-// Helper function to attempt mod generation with specified backfire chance
-async function attemptModGeneration(prompt, backfireChance, apiKey) {
-  const geminiEndpoint =
-    "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent";
+// Helper function to attempt mod generation with specified backfire chance.
+// previousErrors are the validation errors of the rejected previous attempt,
+// shown to the AI so it can avoid them. Progress is reported through
+// onPhase/onToken, and aborting signal cancels the AI request
+async function attemptModGeneration(
+  prompt,
+  backfireChance,
+  previousErrors,
+  { onPhase = () => {}, onToken, signal } = {},
+) {
   const systemPrompt = buildSystemPrompt();
 
   const shouldBackfire = Math.random() < backfireChance;
+  onPhase("backfireRolled", {
+    backfire: shouldBackfire,
+    chance: backfireChance,
+  });
 
   const backfireInstruction = shouldBackfire
     ? `
@@ -620,62 +801,24 @@ Remember to start with "// BACKFIRE" on line 1!
 `
     : "";
 
-  const fullPrompt = `${systemPrompt}${backfireInstruction}\n\nUser Request:\n${prompt}`;
-
-  const response = await fetch(`${geminiEndpoint}?key=${apiKey}`, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({
-      contents: [
-        {
-          parts: [
-            {
-              text: fullPrompt,
-            },
-          ],
-        },
-      ],
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 2048,
-      },
-    }),
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error("Gemini API error:", response.status, errorText);
-
-    throw new Error(
-      `Gemini API error: ${response.status} ${response.statusText}`,
-    );
-  }
-
-  const data = await response.json();
+  const retryInstruction = previousErrors
+    ? `
 
-  // Check if content was blocked by safety filters
-  if (data.promptFeedback?.blockReason) {
-    throw new Error(`Content blocked: ${data.promptFeedback.blockReason}`);
-  }
+⚠️ YOUR PREVIOUS ATTEMPT WAS REJECTED:
+${previousErrors.map((error) => `- ${error}`).join("\n")}
 
-  // Validate response structure
-  if (
-    !data.candidates ||
-    !data.candidates[0] ||
-    !data.candidates[0].content ||
-    !data.candidates[0].content.parts ||
-    !data.candidates[0].content.parts[0] ||
-    !data.candidates[0].content.parts[0].text
-  ) {
-    console.error("Invalid Gemini API response structure:", data);
-    throw new Error("AI generation failed - no code generated");
-  }
+Generate the mod again without these problems. Use ONLY the API members,
+hooks and handlers listed above.
+`
+    : "";
 
-  const generatedText = data.candidates[0].content.parts[0].text;
+  const generatedText = await aiProvider.generate({
+    system: `${systemPrompt}${backfireInstruction}${retryInstruction}`,
+    prompt,
+    backfire: shouldBackfire,
+    onToken,
+    signal,
+  });
 
   // Extract code from markdown blocks if present
   const codeBlockMatch = generatedText.match(
@@ -714,179 +857,433 @@ Remember to start with "// BACKFIRE" on line 1!
     }
   }
 
-  // Validate generated code for syntax errors
-  try {
-    if (modType === "client") {
-      // Client mods run directly
-      new Function(code);
-    } else if (modType === "server" || modType === "persistent") {
-      // Server/persistent mods get an 'api' parameter
-      new Function("api", code);
-    }
-  } catch (syntaxError) {
-    console.error("Generated code has syntax errors:", syntaxError);
+  // Check the code against the mod API, then dry-run it on a copy of the
+  // default room's game state
+  onPhase("validating", { type: modType });
+  const validation = validateMod(code, modType, getDryRunGameData());
+  if (!validation.valid) {
+    console.error("Generated mod failed validation:", validation.errors);
     console.error("Code:", code);
-    throw new Error(`Generated code has syntax errors: ${syntaxError.message}`);
+    const error = new Error(
+      `Generated mod failed validation: ${validation.errors.join("; ")}`,
+    );
+    error.validationErrors = validation.errors;
+    throw error;
   }
 
   return { code, type: modType, backfire: isBackfire };
 }
 
-// Gemini API proxy endpoint for mod code generation with retry and fallback
-app.post("/api/generate-mod", async (req, res) => {
-  const requestId = `${Date.now()}-${Math.random()}`;
-  performanceMonitor.startRequest(requestId, "/api/generate-mod");
-
-  try {
-    const { prompt } = req.body;
-
-    if (!prompt) {
-      performanceMonitor.endRequest(requestId, true);
-      return res.status(400).json({ error: "Prompt is required" });
-    }
-
-    // Get Gemini API key from environment
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      console.warn(
-        "GEMINI_API_KEY not configured - AI code generation disabled",
+/**
+ * Generate a mod for a prompt, with retry and fallback: a failed first
+ * attempt is retried with double the backfire chance (and told why it was
+ * rejected); if that fails too, a random working mod from the database is used
+ * @param {string} prompt - What the player asked for
+ * @param {Object} options - onPhase(phase, info) and onToken(text) report
+ *   progress; aborting signal cancels generation
+ * @returns {Object} Response for the player ({ id, code, type, backfire, ... })
+ * @throws {Error} If everything failed (error.reason is the last failure)
+ */
+async function generateMod(
+  prompt,
+  { onPhase = () => {}, onToken, signal } = {},
+) {
+  let currentBackfireChance = BACKFIRE_CHANCE;
+  let attempt = 1;
+  let lastError = null;
+  let validationErrors = null; // Fed back into the retry
+  let result = null;
+
+  for (; attempt <= 2; attempt++) {
+    if (attempt === 1) {
+      console.log(
+        `🎲 Mod generation attempt ${attempt} (backfire chance: ${currentBackfireChance * 100}%)`,
       );
-      performanceMonitor.endRequest(requestId, true);
-      return res.status(503).json({
-        error:
-          "AI code generation is not available. GEMINI_API_KEY environment variable is not set.",
-      });
+    } else {
+      // Second attempt with doubled backfire chance
+      currentBackfireChance = BACKFIRE_CHANCE * 2;
+      console.log(
+        `🔄 Retrying mod generation (attempt ${attempt}, backfire chance: ${currentBackfireChance * 100}%)`,
+      );
+      onPhase("retrying", { attempt, reason: lastError });
     }
+    onPhase("prompting", { attempt });
 
-    // 10% chance to request a backfire mod!
-    const BACKFIRE_CHANCE = 0.1;
-    let currentBackfireChance = BACKFIRE_CHANCE;
-    let attempt = 1;
-    let lastError = null;
-    let result = null;
-
-    // First attempt
     try {
-      console.log(
-        `🎲 Mod generation attempt ${attempt} (backfire chance: ${currentBackfireChance * 100}%)`,
-      );
       result = await attemptModGeneration(
         prompt,
         currentBackfireChance,
-        apiKey,
+        validationErrors,
+        { onPhase, onToken, signal },
       );
+      break;
     } catch (error) {
+      // Cancelled - no retry, no fallback
+      if (signal && signal.aborted) throw error;
+
       lastError = error.message;
+      validationErrors = error.validationErrors || null;
       console.error(`❌ Attempt ${attempt} failed:`, lastError);
 
-      // Log first failure
+      // Log the failure
       try {
         saveFailedMod(prompt, lastError, attempt, null);
       } catch (dbError) {
         console.error("Failed to save failed mod to database:", dbError);
       }
+    }
+  }
 
-      // Second attempt with doubled backfire chance
-      attempt = 2;
-      currentBackfireChance = BACKFIRE_CHANCE * 2;
-      console.log(
-        `🔄 Retrying mod generation (attempt ${attempt}, backfire chance: ${currentBackfireChance * 100}%)`,
-      );
+  if (!result) {
+    // Both attempts failed - fallback to random working mod
+    console.log(
+      "🎰 Both attempts failed, picking random working mod from database...",
+    );
+    const randomMod = getRandomWorkingMod();
 
-      try {
-        result = await attemptModGeneration(
-          prompt,
-          currentBackfireChance,
-          apiKey,
-        );
-      } catch (error2) {
-        lastError = error2.message;
-        console.error(`❌ Attempt ${attempt} failed:`, lastError);
-
-        // Log second failure
-        try {
-          saveFailedMod(prompt, lastError, attempt, null);
-        } catch (dbError) {
-          console.error("Failed to save failed mod to database:", dbError);
-        }
+    if (!randomMod) {
+      // No working mods in database - final failure
+      const error = new Error("Failed to generate mod");
+      error.reason = lastError;
+      throw error;
+    }
 
-        // Both attempts failed - fallback to random working mod
-        console.log(
-          "🎰 Both attempts failed, picking random working mod from database...",
-        );
-        const randomMod = getRandomWorkingMod();
+    console.log(
+      `✅ Using existing mod: ${randomMod.name} (type: ${randomMod.type})`,
+    );
+    onPhase("fallbackChosen", { type: randomMod.type });
+    result = {
+      id: randomMod.id,
+      code: randomMod.code,
+      type: randomMod.type,
+      backfire: false,
+      fallback: true,
+      fallbackMessage:
+        "⚠️ Generation failed - using a random existing mod instead!",
+    };
+  }
 
-        if (randomMod) {
-          console.log(
-            `✅ Using existing mod: ${randomMod.name} (type: ${randomMod.type})`,
-          );
-          result = {
-            code: randomMod.code,
-            type: randomMod.type,
-            backfire: false,
-            fallback: true,
-            fallbackMessage:
-              "⚠️ Generation failed - using a random existing mod instead!",
-          };
-        } else {
-          // No working mods in database - final failure
-          performanceMonitor.endRequest(requestId, true);
-          return res.status(500).json({
-            error: "Failed to generate mod",
-            reason: lastError,
-            userMessage:
-              "The AI couldn't generate code and no fallback mods are available. Please try again.",
-            canRetry: true,
-          });
-        }
-      }
+  // Save successful generation to database
+  if (!result.fallback) {
+    try {
+      const modName = `generated_${Date.now()}`;
+      result.id = saveMod(modName, result.code, result.type, prompt, null);
+    } catch (dbError) {
+      console.error("Failed to save mod to database:", dbError);
+      // Don't fail the request if database save fails
     }
+  }
 
-    // Save successful generation to database
-    if (result && !result.fallback) {
-      try {
-        const modName = `generated_${Date.now()}`;
-        saveMod(modName, result.code, result.type, prompt, null);
-      } catch (dbError) {
-        console.error("Failed to save mod to database:", dbError);
-        // Don't fail the request if database save fails
-      }
-    }
+  // Build response
+  const apiResponse = {
+    id: result.id,
+    code: result.code,
+    type: result.type,
+    backfire: result.backfire,
+  };
 
-    performanceMonitor.endRequest(requestId);
+  if (result.backfire) {
+    apiResponse.backfireMessage =
+      "⚠️ Your mod BACKFIRED! Something went terribly wrong...";
+    console.log(`🎲 Sending backfire mod to user: ${result.type}`);
+  }
+
+  if (result.fallback) {
+    apiResponse.fallback = true;
+    apiResponse.fallbackMessage = result.fallbackMessage;
+  }
+
+  if (attempt > 1 && !result.fallback) {
+    apiResponse.retryMessage = `✅ Generation succeeded on attempt ${attempt}`;
+  }
 
-    // Build response
-    const apiResponse = {
-      code: result.code,
-      type: result.type,
-      backfire: result.backfire,
+  return apiResponse;
+}
+
+// Error response for a generation that failed (see generateMod)
+function describeGenerationFailure(error) {
+  if (error.reason !== undefined) {
+    return {
+      error: "Failed to generate mod",
+      reason: error.reason,
+      userMessage:
+        "The AI couldn't generate code and no fallback mods are available. Please try again.",
+      canRetry: true,
     };
+  }
+  return { error: error.message || "Failed to generate code" };
+}
+
+// AI proxy endpoint for mod code generation with retry and fallback, for
+// scripts. The game uses the generateMod socket event instead, which streams
+// progress. Both go through modGenerationQueue - here the caller's IP stands
+// in for the player
+app.post("/api/generate-mod", (req, res) => {
+  const requestId = `${Date.now()}-${Math.random()}`;
+  performanceMonitor.startRequest(requestId, "/api/generate-mod");
 
-    if (result.backfire) {
-      apiResponse.backfireMessage =
-        "⚠️ Your mod BACKFIRED! Something went terribly wrong...";
-      console.log(`🎲 Sending backfire mod to user: ${result.type}`);
+  try {
+    const { prompt } = req.body;
+
+    if (!prompt) {
+      performanceMonitor.endRequest(requestId, true);
+      return res.status(400).json({ error: "Prompt is required" });
     }
 
-    if (result.fallback) {
-      apiResponse.fallback = true;
-      apiResponse.fallbackMessage = result.fallbackMessage;
+    const missingConfig = aiProvider.missingConfig();
+    if (missingConfig) {
+      console.warn(
+        `${aiProvider.name} AI provider not configured - AI code generation disabled`,
+      );
+      performanceMonitor.endRequest(requestId, true);
+      return res.status(503).json({
+        error: `AI code generation is not available. ${missingConfig}.`,
+      });
     }
 
-    if (attempt > 1 && !result.fallback) {
-      apiResponse.retryMessage = `✅ Generation succeeded on attempt ${attempt}`;
+    const playerId = `http_${req.ip}`;
+    try {
+      modGenerationQueue.enqueue({
+        playerId,
+        jobId: requestId,
+        task: (job) => generateMod(prompt, { signal: job.signal }),
+        onProgress: () => {},
+        onFinish: ({ result, error, cancelled }) => {
+          if (cancelled) return; // The caller went away
+          if (error) {
+            console.error("Error in /api/generate-mod:", error);
+            performanceMonitor.endRequest(requestId, true);
+            res.status(500).json(describeGenerationFailure(error));
+            return;
+          }
+          performanceMonitor.endRequest(requestId);
+          res.json(result);
+        },
+      });
+    } catch (queueError) {
+      // Queue limits (one generation per caller, full queue)
+      performanceMonitor.endRequest(requestId, true);
+      return res.status(429).json({ error: queueError.message });
     }
 
-    res.json(apiResponse);
+    // Stop generating for a caller that hung up
+    res.on("close", () => {
+      if (!res.writableEnded) {
+        modGenerationQueue.cancel(playerId, requestId);
+        performanceMonitor.endRequest(requestId, true);
+      }
+    });
   } catch (error) {
     console.error("Error in /api/generate-mod:", error);
     performanceMonitor.endRequest(requestId, true);
-    res.status(500).json({
-      error: error.message || "Failed to generate code",
-    });
+    res.status(500).json(describeGenerationFailure(error));
   }
 });
 
+// Catalog tags per mod
+const MAX_MOD_TAGS = 10;
+
+// The catalog mod a player is running. Players send the ID they got from
+// generation; code they didn't get that way is matched by content - its
+// fingerprint, so reformatting a paid mod or adding a comment to it doesn't
+// make it a new (free) one. Returns null if the code isn't in the catalog
+function findCatalogMod(modId, code) {
+  if (typeof code !== "string") return null;
+
+  const mod = modId !== undefined && modId !== null && getModById(modId);
+  if (mod && mod.code_fingerprint === getCodeFingerprint(code)) {
+    return mod;
+  }
+  return findModByCode(code) || null;
+}
+
+// Let a player run a catalog mod without paying for it (one they generated
+// or had repaired)
+function grantMod(socket, modId) {
+  if (!socket.data.grantedMods) {
+    socket.data.grantedMods = new Set();
+  }
+  socket.data.grantedMods.add(modId);
+}
+
+// Whether a catalog mod is the player's own or was granted to them
+function hasModRights(socket, mod) {
+  return (
+    mod.player_id === socket.data.playerKey ||
+    Boolean(socket.data.grantedMods && socket.data.grantedMods.has(mod.id))
+  );
+}
+
+// What running a catalog mod outside the shop (executeServerMod,
+// activatePersistentMod) costs: nothing for the player's own mods and ones
+// granted to them, otherwise what purchaseMod charges for it
+function getCatalogModPrice(socket, mod) {
+  if (!mod || hasModRights(socket, mod)) return 0;
+  return SHOP_PRICES.mods[mod.type] || 0;
+}
+
+// Count a use of the catalog mod a player is running. Returns the catalog
+// mod, or null if the code isn't in it
+function recordCatalogActivation(modId, code, playerId) {
+  const mod = findCatalogMod(modId, code);
+  if (!mod) return null;
+
+  recordModActivation(mod.id, playerId);
+  return mod;
+}
+
+// Client mod loads a socket can report (clientModLoaded)
+const CLIENT_MOD_LOAD_LIMIT = {
+  MAX: 10, // Reports...
+  WINDOW_MS: 60000, // ...in this long
+};
+
+// A mod can be repaired this many times in a row (counting repairs of repairs)
+const MAX_MOD_REPAIRS = 3;
+
+// How many repairs in a row led up to a saved mod (0 if it wasn't a repair)
+function countConsecutiveRepairs(modId) {
+  const lineage = getModLineage(modId);
+  let repairs = 0;
+  for (let i = lineage.length - 1; i >= 0; i--) {
+    if (lineage[i].origin !== "repair") break;
+    repairs++;
+  }
+  return repairs;
+}
+
+// Ask the AI to fix a mod that broke, from its code and the error it hit
+function buildRepairPrompt({ code, type, error, stack, userPrompt }) {
+  const request = userPrompt ? ` for the request "${userPrompt}"` : "";
+  const trace = stack ? `\n\nStack trace:\n${stack}` : "";
+
+  return `This ${type} mod was generated${request} and fails with this error:
+${error}${trace}
+
+Broken mod:
+\`\`\`javascript
+${code}
+\`\`\`
+
+Fix the mod. Keep what it does and its "// ${type.toUpperCase()}" first line,
+and change only what is needed to fix the error. Return the whole fixed mod.`;
+}
+
+// Repair a mod that failed (auto-disabled client mod, server mod that threw)
+// for the player on socket (repairMod event): the AI gets the code and error,
+// and the result is saved as the next version of the broken mod. Runs as a
+// modGenerationQueue job (signal aborts it). Returns the modRepairResult reply
+async function repairModForPlayer(
+  socket,
+  { code, type, error, stack, modId },
+  { signal } = {},
+) {
+  if (typeof code !== "string" || !code.trim()) {
+    return { error: "Mod code is required" };
+  }
+  if (!["client", "server", "persistent"].includes(type)) {
+    return { error: "Invalid mod type" };
+  }
+  if (typeof error !== "string" || !error.trim()) {
+    return { error: "Error message is required" };
+  }
+
+  const missingConfig = aiProvider.missingConfig();
+  if (missingConfig) {
+    return { error: `AI code generation is not available. ${missingConfig}.` };
+  }
+
+  // The broken mod, if it was saved (generated mods are)
+  const parent =
+    (modId !== undefined && getModById(modId)) || findModByCode(code);
+  if (parent) {
+    if (countConsecutiveRepairs(parent.id) >= MAX_MOD_REPAIRS) {
+      return {
+        error: `This mod has already been repaired ${MAX_MOD_REPAIRS} times`,
+      };
+    }
+    // Only the player's own mods and ones they got from generation or a
+    // repair come out of the catalog on their say-so
+    if (hasModRights(socket, parent)) {
+      markModFailed(parent.id, error);
+    }
+  }
+
+  const repairPrompt = buildRepairPrompt({
+    code,
+    type,
+    error,
+    stack: typeof stack === "string" ? stack : null,
+    userPrompt: parent ? parent.user_prompt : null,
+  });
+
+  // Two attempts, the second told why the first was rejected. Repairs
+  // never backfire and never fall back to a random mod
+  let result = null;
+  let lastError = null;
+  let validationErrors = null;
+  for (let attempt = 1; attempt <= 2 && !result; attempt++) {
+    try {
+      console.log(`🔧 Mod repair attempt ${attempt}`);
+      const repaired = await attemptModGeneration(
+        repairPrompt,
+        0,
+        validationErrors,
+        { signal },
+      );
+      if (repaired.type !== type) {
+        const typeError = new Error(
+          `Repaired mod is a ${repaired.type} mod, expected ${type}`,
+        );
+        typeError.validationErrors = [
+          `The repaired mod must stay a ${type} mod - start it with "// ${type.toUpperCase()}"`,
+        ];
+        throw typeError;
+      }
+      result = repaired;
+    } catch (attemptError) {
+      // Cancelled - no retry
+      if (signal && signal.aborted) throw attemptError;
+
+      lastError = attemptError.message;
+      validationErrors = attemptError.validationErrors || null;
+      console.error(`❌ Repair attempt ${attempt} failed:`, lastError);
+
+      try {
+        saveFailedMod(repairPrompt, lastError, attempt, null);
+      } catch (dbError) {
+        console.error("Failed to save failed mod to database:", dbError);
+      }
+    }
+  }
+
+  if (!result) {
+    return { error: "Failed to repair mod", reason: lastError, canRetry: true };
+  }
+
+  let id = null;
+  try {
+    id = parent
+      ? saveModVersion(parent.id, result.code, "repair")
+      : saveMod(`repaired_${Date.now()}`, result.code, result.type);
+  } catch (dbError) {
+    console.error("Failed to save repaired mod to database:", dbError);
+  }
+
+  // The player who asked for it can run it without buying it
+  if (id !== null) {
+    grantMod(socket, id);
+  }
+
+  return {
+    id,
+    parentId: parent ? parent.id : null,
+    code: result.code,
+    type: result.type,
+    repaired: true,
+  };
+}
+
 // API endpoint to get mod statistics
 app.get("/api/mods/stats", (req, res) => {
   try {
@@ -910,31 +1307,208 @@ app.get("/api/mods", (req, res) => {
   }
 });
 
-// State migration endpoints for blue-green deployments
-app.get("/api/state/export", (req, res) => {
+// API endpoint to get every version of a mod, with each one's diff against
+// the version it was made from
+app.get("/api/mods/:id/history", (req, res) => {
   try {
-    console.log("📤 Exporting game state for migration...");
-
-    // Convert Maps to arrays for JSON serialization
-    const exportState = {
-      players: Array.from(gameState.players.entries()).map(([id, player]) => ({
-        id,
-        ...player,
-      })),
-      bots: Array.from(gameState.bots.entries()).map(([id, bot]) => ({
-        id,
-        ...bot,
-      })),
-      projectiles: gameState.projectiles,
-      pickups: gameState.pickups,
-      nextProjectileId: gameState.nextProjectileId,
-      nextPickupId: gameState.nextPickupId,
-      nextBotId: gameState.nextBotId,
-      warmupEndTime: gameState.warmupEndTime,
-      countdownStartTime: gameState.countdownStartTime,
-      roundActive: gameState.roundActive,
-      timestamp: Date.now(),
-    };
+    const versions = getModHistory(parseInt(req.params.id));
+    if (versions.length === 0) {
+      return res.status(404).json({ error: "Mod not found" });
+    }
+    res.json({ versions });
+  } catch (error) {
+    console.error("Error fetching mod history:", error);
+    res.status(500).json({ error: "Failed to fetch mod history" });
+  }
+});
+
+// API endpoint to save edited code as a new version of a mod
+app.post("/api/mods/:id/versions", requirePlayer, (req, res) => {
+  try {
+    const { code } = req.body;
+    if (typeof code !== "string" || !code.trim()) {
+      return res.status(400).json({ error: "Mod code is required" });
+    }
+
+    const mod = getModById(parseInt(req.params.id));
+    if (!mod) {
+      return res.status(404).json({ error: "Mod not found" });
+    }
+    // Someone else's mod is changed by forking it first
+    if (mod.player_id !== req.playerKey) {
+      return res.status(403).json({
+        error: "Only the mod's author can save versions of it",
+        fork: `/api/mods/${mod.id}/fork`,
+      });
+    }
+
+    const id = saveModVersion(mod.id, code);
+    res.json({ mod: getModById(id) });
+  } catch (error) {
+    console.error("Error saving mod version:", error);
+    res.status(500).json({ error: "Failed to save mod version" });
+  }
+});
+
+// API endpoint to fork a mod into a player's own namespace
+app.post("/api/mods/:id/fork", requirePlayer, (req, res) => {
+  try {
+    const { name } = req.body;
+    if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+      return res.status(400).json({ error: "Invalid mod name" });
+    }
+
+    let id;
+    try {
+      id = forkMod(parseInt(req.params.id), req.playerKey, name);
+    } catch (forkError) {
+      return res.status(409).json({ error: forkError.message });
+    }
+    if (id === null) {
+      return res.status(404).json({ error: "Mod not found" });
+    }
+    res.json({ mod: getModById(id) });
+  } catch (error) {
+    console.error("Error forking mod:", error);
+    res.status(500).json({ error: "Failed to fork mod" });
+  }
+});
+
+// API endpoint to get the forks made of a mod version
+app.get("/api/mods/:id/forks", (req, res) => {
+  try {
+    res.json({ forks: getModForks(parseInt(req.params.id)) });
+  } catch (error) {
+    console.error("Error fetching mod forks:", error);
+    res.status(500).json({ error: "Failed to fetch mod forks" });
+  }
+});
+
+// API endpoint to browse the mod catalog
+// Query: q (full-text search), tag, type, sort (trending|top|new), limit, offset
+app.get("/api/mods/catalog", (req, res) => {
+  try {
+    const { q, tag, type, sort } = req.query;
+    if (type && !["client", "server", "persistent"].includes(type)) {
+      return res.status(400).json({ error: "Invalid mod type" });
+    }
+    if (sort && !["trending", "top", "new"].includes(sort)) {
+      return res.status(400).json({ error: "Invalid sort" });
+    }
+
+    const mods = getCatalogMods({
+      query: q || null,
+      tag: tag || null,
+      type: type || null,
+      sort: sort || "trending",
+      limit: Math.min(parseInt(req.query.limit) || 50, 100),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0),
+    });
+    res.json({ mods });
+  } catch (error) {
+    console.error("Error fetching mod catalog:", error);
+    res.status(500).json({ error: "Failed to fetch mod catalog" });
+  }
+});
+
+// API endpoint to tag a mod: { tags: ["low-gravity", ...] }
+app.post("/api/mods/:id/tags", (req, res) => {
+  try {
+    const { tags } = req.body;
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) {
+      return res.status(400).json({ error: "tags must be a list of strings" });
+    }
+
+    const id = parseInt(req.params.id);
+    if (!getModById(id)) {
+      return res.status(404).json({ error: "Mod not found" });
+    }
+    if (getModTags(id).length + tags.length > MAX_MOD_TAGS) {
+      return res
+        .status(400)
+        .json({ error: `A mod can have at most ${MAX_MOD_TAGS} tags` });
+    }
+    res.json({ tags: addModTags(id, tags) });
+  } catch (error) {
+    console.error("Error tagging mod:", error);
+    res.status(500).json({ error: "Failed to tag mod" });
+  }
+});
+
+// Only the mod's author (X-Player-Token) or an admin can take tags off
+app.delete("/api/mods/:id/tags/:tag", (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const mod = getModById(id);
+    if (!mod) {
+      return res.status(404).json({ error: "Mod not found" });
+    }
+    const playerKey = getPlayerKey(req.get("X-Player-Token"));
+    const isAuthor = playerKey !== null && mod.player_id === playerKey;
+    if (!isAuthor && !isAdminRequest(req)) {
+      return res.status(403).json({
+        error: "Only the mod's author or an admin can remove its tags",
+      });
+    }
+
+    removeModTag(id, req.params.tag);
+    res.json({ tags: getModTags(id) });
+  } catch (error) {
+    console.error("Error removing mod tag:", error);
+    res.status(500).json({ error: "Failed to remove mod tag" });
+  }
+});
+
+// API endpoint to get a mod and the versions it was made from
+app.get("/api/mods/:id/lineage", (req, res) => {
+  try {
+    const lineage = getModLineage(parseInt(req.params.id));
+    if (lineage.length === 0) {
+      return res.status(404).json({ error: "Mod not found" });
+    }
+    res.json({ lineage });
+  } catch (error) {
+    console.error("Error fetching mod lineage:", error);
+    res.status(500).json({ error: "Failed to fetch mod lineage" });
+  }
+});
+
+// State migration endpoints for blue-green deployments
+app.get("/api/state/export", (req, res) => {
+  try {
+    const roomId = req.query.room || DEFAULT_ROOM_ID;
+    const room = roomManager.get(roomId);
+    if (!room) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    console.log(`📤 Exporting game state for room ${room.id} for migration...`);
+
+    // Convert Maps to arrays for JSON serialization
+    const exportState = {
+      roomId: room.id,
+      roomCode: room.code,
+      roomName: room.name,
+      isPrivate: room.isPrivate,
+      gameMode: room.gameMode,
+      players: Array.from(room.players.entries()).map(([id, player]) => ({
+        id,
+        ...player,
+      })),
+      bots: Array.from(room.bots.entries()).map(([id, bot]) => ({
+        id,
+        ...bot,
+      })),
+      projectiles: room.projectiles,
+      pickups: room.pickups,
+      nextProjectileId: room.nextProjectileId,
+      nextPickupId: room.nextPickupId,
+      nextBotId: room.nextBotId,
+      warmupEndTime: room.warmupEndTime,
+      countdownStartTime: room.countdownStartTime,
+      roundActive: room.roundActive,
+      timestamp: Date.now(),
+    };
 
     console.log(
       `✅ Exported state: ${exportState.players.length} players, ${exportState.bots.length} bots, ${exportState.projectiles.length} projectiles`,
@@ -955,17 +1529,33 @@ app.post("/api/state/import", express.json({ limit: "10mb" }), (req, res) => {
       throw new Error("Invalid state data");
     }
 
+    // Recreate the room if it doesn't exist on this container yet
+    const roomId = importedState.roomId || DEFAULT_ROOM_ID;
+    const room =
+      roomManager.get(roomId) ||
+      createMatchRoom({
+        id: roomId,
+        code: importedState.roomCode,
+        name: importedState.roomName,
+        isPrivate: importedState.isPrivate,
+      });
+    if (!room) {
+      return res.status(503).json({
+        error: "Room limit reached, can't recreate the room to import into",
+      });
+    }
+
     // Clear current state
-    gameState.players.clear();
-    gameState.bots.clear();
-    gameState.projectiles = [];
-    gameState.pickups = [];
+    room.players.clear();
+    room.bots.clear();
+    room.projectiles = [];
+    room.pickups = [];
 
     // Import players
     if (Array.isArray(importedState.players)) {
       importedState.players.forEach((player) => {
         const { id, ...playerData } = player;
-        gameState.players.set(id, playerData);
+        room.players.set(id, playerData);
       });
     }
 
@@ -973,31 +1563,33 @@ app.post("/api/state/import", express.json({ limit: "10mb" }), (req, res) => {
     if (Array.isArray(importedState.bots)) {
       importedState.bots.forEach((bot) => {
         const { id, ...botData } = bot;
-        gameState.bots.set(id, botData);
+        room.bots.set(id, botData);
       });
     }
 
     // Import other state
-    gameState.projectiles = importedState.projectiles || [];
-    gameState.pickups = importedState.pickups || [];
-    gameState.nextProjectileId = importedState.nextProjectileId || 0;
-    gameState.nextPickupId = importedState.nextPickupId || 0;
-    gameState.nextBotId = importedState.nextBotId || 0;
-    gameState.warmupEndTime = importedState.warmupEndTime;
-    gameState.countdownStartTime = importedState.countdownStartTime;
-    gameState.roundActive = importedState.roundActive || false;
+    room.projectiles = importedState.projectiles || [];
+    room.pickups = importedState.pickups || [];
+    room.nextProjectileId = importedState.nextProjectileId || 0;
+    room.nextPickupId = importedState.nextPickupId || 0;
+    room.nextBotId = importedState.nextBotId || 0;
+    room.warmupEndTime = importedState.warmupEndTime;
+    room.countdownStartTime = importedState.countdownStartTime;
+    room.roundActive = importedState.roundActive || false;
+    room.gameMode = importedState.gameMode || room.gameMode;
 
     console.log(
-      `✅ Imported state: ${gameState.players.size} players, ${gameState.bots.size} bots, ${gameState.projectiles.length} projectiles`,
+      `✅ Imported state: ${room.players.size} players, ${room.bots.size} bots, ${room.projectiles.length} projectiles`,
     );
 
     res.json({
       success: true,
+      roomId: room.id,
       imported: {
-        players: gameState.players.size,
-        bots: gameState.bots.size,
-        projectiles: gameState.projectiles.length,
-        pickups: gameState.pickups.length,
+        players: room.players.size,
+        bots: room.bots.size,
+        projectiles: room.projectiles.length,
+        pickups: room.pickups.length,
       },
     });
   } catch (error) {
@@ -1087,30 +1679,45 @@ app.post("/api/levels/apply", async (req, res) => {
       return res.status(400).send("Level data is required");
     }
 
-    // Update game configuration
-    GAME_CONFIG.WORLD_WIDTH = levelData.width || 2000;
-    GAME_CONFIG.WORLD_HEIGHT = levelData.height || 2000;
+    const room = roomManager.get(req.query.room || DEFAULT_ROOM_ID);
+    if (!room) {
+      return res.status(404).send("Room not found");
+    }
+
+    // Update room map dimensions
+    room.worldWidth = levelData.width || 2000;
+    room.worldHeight = levelData.height || 2000;
 
     // Update walls and crates
-    WALLS.length = 0;
-    WALLS.push(...(levelData.walls || []));
-    CRATES.length = 0;
-    CRATES.push(...(levelData.crates || []));
+    room.walls.length = 0;
+    room.walls.push(...(levelData.walls || []));
+    room.crates.length = 0;
+    room.crates.push(...(levelData.crates || []));
+
+    // Bots need paths around the new walls
+    room.navGrid = new NavGrid(room);
+    for (const bot of room.bots.values()) {
+      clearBotPath(bot);
+    }
 
     // Update spawn points
-    SPAWN_POINTS.length = 0;
-    SPAWN_POINTS.push(...(levelData.spawnPoints || []));
+    room.spawnPoints.length = 0;
+    room.spawnPoints.push(...(levelData.spawnPoints || []));
 
     // Update waypoints
-    STRATEGIC_WAYPOINTS.length = 0;
-    STRATEGIC_WAYPOINTS.push(...(levelData.waypoints || []));
+    room.waypoints.length = 0;
+    room.waypoints.push(...(levelData.waypoints || []));
+
+    // Update team bases (flags go back to the new ones)
+    room.bases = copyBases(levelData.bases || DEFAULT_BASES);
+    room.flags = null;
 
     // Reinitialize pickups
-    gameState.pickups = [];
-    gameState.nextPickupId = 0;
+    room.pickups = [];
+    room.nextPickupId = 0;
     (levelData.pickups || []).forEach((pickup) => {
-      gameState.pickups.push({
-        id: gameState.nextPickupId++,
+      room.pickups.push({
+        id: room.nextPickupId++,
         x: pickup.x,
         y: pickup.y,
         type: pickup.type,
@@ -1119,7 +1726,10 @@ app.post("/api/levels/apply", async (req, res) => {
       });
     });
 
-    console.log(`✅ Applied level: ${levelData.name}`);
+    // Clients predicting movement need the new collision geometry
+    io.to(room.id).emit("mapChanged", getRoomMap(room));
+
+    console.log(`✅ Applied level: ${levelData.name} to room ${room.id}`);
     res.json({ success: true });
   } catch (error) {
     console.error("❌ Error applying level:", error);
@@ -1127,26 +1737,6 @@ app.post("/api/levels/apply", async (req, res) => {
   }
 });
 
-// Game state
-const gameState = {
-  players: new Map(),
-  bots: new Map(),
-  projectiles: [],
-  grenades: [], // Active grenades in the world
-  pickups: [],
-  nextProjectileId: 0,
-  nextGrenadeId: 0,
-  nextPickupId: 0,
-  nextBotId: 0,
-  soundEvents: [], // Sound events for bots to hear (gunshots, footsteps)
-  warmupEndTime: null, // When warmup ends (null = not in warmup)
-  countdownStartTime: null, // When 5 second countdown starts (null = not counting down)
-  roundActive: false, // Is the round currently active (scoring enabled)
-  gameMode: "vibe-royale", // Current game mode: 'vibematch' or 'vibe-royale'
-  votes: new Map(), // Player votes for game mode: playerId -> gameMode
-  killLeaderId: null, // ID of player with most kills (for spectator camera in Vibe Royale)
-};
-
 // Game constants
 const GAME_CONFIG = {
   TICK_RATE: 60,
@@ -1160,13 +1750,31 @@ const GAME_CONFIG = {
   PLAYER_START_ARMOR: 0,
   RESPAWN_DELAY: 1500, // ms
   SPAWN_INVULN_TIME: 10000, // ms
-  SCORE_LIMIT: 15, // Round ends when a player reaches this kill count
   HEADSHOT_RADIUS_RATIO: 0.2, // Headshot zone is 20% of player radius (center 4px)
   HEADSHOT_DAMAGE_MULTIPLIER: 1.5, // Headshots deal 150% damage
   WARMUP_DURATION: 25000, // 25 seconds warmup period
   COUNTDOWN_DURATION: 5000, // 5 second countdown before round starts
 };
 
+// Teams (game modes with teams: true, see game-modes.js)
+const TEAM_CONFIG = {
+  TEAMS: ["red", "blue"],
+  // Damage teammates deal each other: 0 = off, 0.5 = half, 1 = full
+  FRIENDLY_FIRE: Math.min(
+    1,
+    Math.max(0, parseFloat(process.env.FRIENDLY_FIRE) || 0),
+  ),
+  SPAWN_SIDE_BONUS: 400, // How strongly teams prefer spawns on their own half
+};
+
+const BOT_CONFIG = {
+  // Difficulty new bots get (see bot-difficulty.js): easy, normal, hard or
+  // adaptive
+  DIFFICULTY: isBotDifficulty(process.env.BOT_DIFFICULTY)
+    ? process.env.BOT_DIFFICULTY
+    : DEFAULT_BOT_DIFFICULTY,
+};
+
 // Sound detection ranges for bots
 const SOUND_CONFIG = {
   GUNSHOT_RANGE: 600, // Bots can hear gunshots within this range
@@ -1257,63 +1865,144 @@ const GRENADE_CONFIG = {
   MIN_DAMAGE: 30, // Minimum damage at edge of blast radius
 };
 
-// Pickup configs
-const PICKUP_TYPES = {
-  health_small: { amount: 25, respawn: 15000 },
-  health_big: { amount: 50, respawn: 25000 },
-  armor_light: { amount: 50, respawn: 30000 },
-  armor_heavy: { amount: 100, respawn: 45000 },
-  weapon_smg: { weapon: "smg", respawn: 15000 },
-  weapon_shotgun: { weapon: "shotgun", respawn: 20000 },
-  weapon_rifle: { weapon: "rifle", respawn: 25000 },
-  grenade: { amount: 2, respawn: 30000 }, // Grenade pickup
-};
+// The catalog as bots see it: server and persistent mods, each with what
+// it's good for (see bot-shopping.js). Shared by every room
+let botShopCatalog = { mods: [], refreshedAt: 0 };
+
+function getBotShopCatalog(now) {
+  if (now - botShopCatalog.refreshedAt >= BOT_SHOP_CONFIG.CATALOG_REFRESH) {
+    const mods = ["server", "persistent"].flatMap((type) =>
+      getCatalogMods({ type, sort: "top" }),
+    );
+    botShopCatalog = {
+      mods: mods
+        .filter((mod) => !mod.failed && mod.code)
+        .map((mod) => ({ mod, needs: classifyBotMod(mod) }))
+        .filter((candidate) => candidate.needs.length > 0),
+      refreshedAt: now,
+    };
+  }
+  return botShopCatalog.mods;
+}
+
+// Whether a bot is falling behind: its team trails the best team by
+// LOSING_KILL_GAP, or (everyone for themselves) it trails the kill leader
+function isBotLosing(room, bot) {
+  if (isTeamMode(room)) {
+    const best = Math.max(...Object.values(room.teamScores));
+    return best - room.teamScores[bot.team] >= BOT_SHOP_CONFIG.LOSING_KILL_GAP;
+  }
 
-// Function to try to purchase a mod for a bot
-function tryPurchaseModForBot(bot) {
-  // Only purchase if bot has enough credits
-  if (bot.credits < 10) return false;
+  const leader =
+    room.players.get(room.killLeaderId) || room.bots.get(room.killLeaderId);
+  return (
+    leader !== undefined &&
+    leader.kills - bot.kills >= BOT_SHOP_CONFIG.LOSING_KILL_GAP
+  );
+}
 
-  // Get all client-side mods from database
-  const allMods = getAllMods();
-  const clientMods = allMods.filter((mod) => mod.type === "client");
+// Bots buy catalog mods the way players do (purchaseMod): persistent mods run
+// on the bot and show in everyone's mod HUD, server mods are queued to run
+// after the tick (runQueuedBotMod) - the sandbox blocks while a mod runs
+function tryPurchaseModForBot(room, bot, now) {
+  if (now < bot.nextShopCheck || bot.health <= 0) return false;
+  bot.nextShopCheck = now + BOT_SHOP_CONFIG.CHECK_INTERVAL;
 
-  // Get mods the bot doesn't already have
-  const availableToPurchase = clientMods.filter(
-    (mod) => !bot.activeMods.includes(mod.id),
+  const needs = getBotModNeeds(bot, {
+    maxHealth: GAME_CONFIG.PLAYER_MAX_HEALTH,
+    losing: isBotLosing(room, bot),
+  });
+  if (needs.length === 0) return false;
+
+  // One persistent mod at a time
+  const hasPersistentMod = modRegistry
+    .list(room.id)
+    .some((mod) => mod.player_id === bot.id);
+  const candidates = getBotShopCatalog(now).filter(
+    ({ mod }) =>
+      bot.credits >= SHOP_PRICES.mods[mod.type] &&
+      !(hasPersistentMod && mod.type === "persistent"),
   );
+  const pick = pickBotMod(candidates, needs);
+  if (!pick) return false;
+  const { mod, need } = pick;
 
-  if (availableToPurchase.length === 0) return false;
+  const price = SHOP_PRICES.mods[mod.type];
+  if (!room.economy.spend(bot, price, "purchase", { modId: mod.id })) {
+    return false;
+  }
+
+  bot.nextShopCheck = now + BOT_SHOP_CONFIG.PURCHASE_COOLDOWN;
+
+  if (mod.type === "server") {
+    room.botModQueue.push({ bot, mod, need, price });
+    return true;
+  }
 
-  // Randomly select a mod (30% chance to purchase when checked)
-  if (Math.random() > 0.3) return false;
+  addActiveMod(
+    bot.id,
+    mod.code,
+    SHOP_PRICES.PERSISTENT_MOD_DURATION_MS,
+    mod.name,
+    mod.user_prompt,
+    "player",
+    bot.id,
+    bot.name,
+    room.id,
+  );
+  modRegistry.invalidate(room.id);
+  finishBotModPurchase(room, bot, mod, need);
+  return true;
+}
 
-  const selectedMod =
-    availableToPurchase[Math.floor(Math.random() * availableToPurchase.length)];
+// Run the oldest server mod a bot bought (gameLoop schedules one per tick)
+function runQueuedBotMod(room) {
+  const purchase = room.botModQueue.shift();
+  // Nothing to do if the room closed or the bot left while it waited
+  if (!purchase || room.closed || !room.bots.has(purchase.bot.id)) return;
+  const { bot, mod, need, price } = purchase;
 
-  // Purchase the mod (assume cost of 10 credits)
-  const modCost = 10;
-  bot.credits -= modCost;
-  bot.activeMods.push(selectedMod.id);
+  try {
+    const now = Date.now();
+    const sandboxResult = modSandbox.runServerMod(mod.code, {
+      ...getModGameData(room, now),
+      myId: bot.id,
+    });
+    if (!sandboxResult.ok) {
+      room.economy.refund(bot, price, { modId: mod.id });
+      bot.nextShopCheck = now + BOT_SHOP_CONFIG.CHECK_INTERVAL;
+      console.warn(
+        `⚠️ Bot ${bot.name}'s mod ${mod.name} failed: ${sandboxResult.error}`,
+      );
+      return;
+    }
+    applyModCommands(
+      createModAPI(room, (message) => console.log(message)),
+      sandboxResult.commands,
+    );
+    finishBotModPurchase(room, bot, mod, need);
+  } catch (error) {
+    console.error("❌ Error running bot mod:", error);
+  }
+}
 
+// Count a bot's purchase once its mod is running, and tell the room
+function finishBotModPurchase(room, bot, mod, need) {
+  recordModActivation(mod.id, bot.id);
   console.log(
-    `🤖 Bot ${bot.name} purchased ${selectedMod.name} (${bot.credits} credits remaining)`,
+    `🤖 Bot ${bot.name} bought mod ${mod.name} (${mod.type}) for ${need} - ${bot.credits} credits left`,
   );
 
-  // Broadcast the mod activation to all clients
-  io.emit("modActivated", {
+  io.to(room.id).emit("modActivated", {
     entityId: bot.id,
     entityName: bot.name,
-    modId: selectedMod.id,
-    modName: selectedMod.name,
-    modCode: selectedMod.code,
+    modId: mod.id,
+    modName: mod.name,
   });
-
-  return true;
 }
 
 // Walls and obstacles (must match client-side walls-and-obstacles.js)
-const WALLS = [
+const DEFAULT_WALLS = [
   // Outer perimeter walls
   { x: 0, y: 0, width: 2000, height: 20 },
   { x: 0, y: 1980, width: 2000, height: 20 },
@@ -1347,7 +2036,7 @@ const WALLS = [
   { x: 1280, y: 1400, width: 20, height: 200 },
 ];
 
-const CRATES = [
+const DEFAULT_CRATES = [
   { x: 600, y: 800, size: 40 },
   { x: 1400, y: 800, size: 40 },
   { x: 600, y: 1200, size: 40 },
@@ -1359,7 +2048,7 @@ const CRATES = [
 // Spawn points for players (safe from walls)
 // Keep spawn points well within bounds: PLAYER_RADIUS (20) to WORLD_WIDTH - PLAYER_RADIUS (1980)
 // Using 100-1900 range provides good clearance from perimeter walls
-const SPAWN_POINTS = [
+const DEFAULT_SPAWN_POINTS = [
   { x: 100, y: 100 }, // Top-left open area
   { x: 1850, y: 100 }, // Top-right open area (moved from 1900 to 1850)
   { x: 100, y: 1850 }, // Bottom-left open area (moved from 1900 to 1850)
@@ -1374,9 +2063,15 @@ const SPAWN_POINTS = [
   { x: 1600, y: 1600 }, // Near SE cover but clear
 ];
 
+// Team bases (capture the flag) - red on the left, blue on the right
+const DEFAULT_BASES = {
+  red: { x: 100, y: 1000 },
+  blue: { x: 1900, y: 1000 },
+};
+
 // Strategic waypoints for bot patrol and map control
 // Bots will hunt toward these high-value positions when not in combat
-const STRATEGIC_WAYPOINTS = [
+const DEFAULT_WAYPOINTS = [
   // Center control (most important - center of map)
   { x: 1000, y: 1000, priority: 10, name: "Center" },
 
@@ -1399,10 +2094,25 @@ const STRATEGIC_WAYPOINTS = [
   { x: 1000, y: 1500, priority: 5, name: "South Flank" },
 ];
 
+// Copy a level's team bases, falling back to the default for any team the
+// level leaves out
+function copyBases(bases) {
+  return Object.fromEntries(
+    TEAM_CONFIG.TEAMS.map((team) => {
+      const base = bases[team];
+      const valid = base && Number.isFinite(base.x) && Number.isFinite(base.y);
+      return [
+        team,
+        valid ? { x: base.x, y: base.y } : { ...DEFAULT_BASES[team] },
+      ];
+    }),
+  );
+}
+
 // Get a strategic waypoint for bot to patrol toward
-function getStrategicWaypoint(botX, botY) {
+function getStrategicWaypoint(room, botX, botY) {
   // Filter out waypoints that are too close (< 200px)
-  const validWaypoints = STRATEGIC_WAYPOINTS.filter((wp) => {
+  const validWaypoints = room.waypoints.filter((wp) => {
     const dx = wp.x - botX;
     const dy = wp.y - botY;
     const dist = Math.sqrt(dx * dx + dy * dy);
@@ -1428,8 +2138,328 @@ function getStrategicWaypoint(botX, botY) {
   return validWaypoints[0];
 }
 
+// ====== BOT NAVIGATION ======
+// Bots walk A* paths over the room's navigation grid (see pathfinding.js)
+// instead of steering straight at things and sliding along walls
+
+const BOT_PATH_CONFIG = {
+  REPATH_INTERVAL: 1000, // Plan the path again at most this often...
+  GOAL_MOVED: 60, // ...or as soon as the goal moves this far
+  POINT_REACHED: 15, // How close counts as reaching a point on the path
+};
+
+// Forget a bot's path (new map, respawn, stuck...)
+function clearBotPath(bot) {
+  bot.path = null;
+}
+
+// The next point a bot should walk toward on its way to (x, y)
+function getNextPathPoint(room, bot, x, y) {
+  // Nothing in the way - walk straight there
+  if (room.navGrid.hasClearPath(bot.x, bot.y, x, y)) {
+    clearBotPath(bot);
+    return { x, y };
+  }
+
+  const now = Date.now();
+  const path = bot.path;
+  if (
+    !path ||
+    now - path.plannedAt > BOT_PATH_CONFIG.REPATH_INTERVAL ||
+    Math.hypot(path.goalX - x, path.goalY - y) > BOT_PATH_CONFIG.GOAL_MOVED
+  ) {
+    bot.path = {
+      goalX: x,
+      goalY: y,
+      plannedAt: now,
+      points: room.navGrid.findPath(bot.x, bot.y, x, y) || [],
+      index: 0,
+    };
+  }
+
+  // Can't get there - head straight for it and let the stuck checks help
+  const { points } = bot.path;
+  if (points.length === 0) return { x, y };
+
+  while (
+    bot.path.index < points.length - 1 &&
+    Math.hypot(
+      points[bot.path.index].x - bot.x,
+      points[bot.path.index].y - bot.y,
+    ) < BOT_PATH_CONFIG.POINT_REACHED
+  ) {
+    bot.path.index++;
+  }
+  return points[bot.path.index];
+}
+
+/**
+ * Walk a bot toward (x, y) along its path
+ * @param {number} speedFactor - Fraction of PLAYER_SPEED
+ * @returns {number} The angle it's walking at
+ */
+function steerBot(room, bot, x, y, speedFactor) {
+  const next = getNextPathPoint(room, bot, x, y);
+  const angle = Math.atan2(next.y - bot.y, next.x - bot.x);
+  const moveSpeed = GAME_CONFIG.PLAYER_SPEED * speedFactor;
+  bot.vx = Math.cos(angle) * moveSpeed;
+  bot.vy = Math.sin(angle) * moveSpeed;
+  bot.wanderAngle = angle;
+  return angle;
+}
+
+// ====== BOT DIFFICULTY ======
+
+// The profile a bot plays by against an opponent. Adaptive bots match a
+// human opponent's skill, or the room's humans on average otherwise
+function getBotProfile(room, bot, opponent) {
+  if (bot.difficulty !== ADAPTIVE_DIFFICULTY) {
+    return getDifficultyProfile(bot.difficulty);
+  }
+  const skill =
+    opponent && room.players.has(opponent.id)
+      ? getPlayerSkill(opponent)
+      : getAverageSkill(room.players.values());
+  return getDifficultyProfile(bot.difficulty, skill);
+}
+
+// Someone new in sight starts the bot's reaction time over
+function updateBotReaction(bot, spotted, profile, now) {
+  if (!spotted) {
+    bot.reactionTargetId = null;
+  } else if (spotted.id !== bot.reactionTargetId) {
+    bot.reactionTargetId = spotted.id;
+    bot.reactionReadyAt = now + profile.reactionTime;
+  }
+  return spotted !== null && now >= bot.reactionReadyAt;
+}
+
+/**
+ * Turn a bot's aim toward a target, as far as its tracking speed allows in
+ * one decision, at a point that's off by up to the profile's aim error
+ * @returns {boolean} Whether it's now aimed close enough to shoot
+ */
+function aimBotAt(bot, target, profile) {
+  const dx = target.x - bot.x;
+  const dy = target.y - bot.y;
+  const targetSpeed =
+    Math.hypot(target.vx || 0, target.vy || 0) / GAME_CONFIG.PLAYER_SPEED;
+  const error = getAimError(profile, Math.hypot(dx, dy), targetSpeed);
+  const desired = Math.atan2(dy, dx) + (Math.random() * 2 - 1) * error;
+
+  // Shortest way round to the desired angle
+  const diff = Math.atan2(
+    Math.sin(desired - bot.aimAngle),
+    Math.cos(desired - bot.aimAngle),
+  );
+  const maxTurn = (profile.trackingSpeed * profile.thinkInterval) / 1000;
+  bot.aimAngle += Math.max(-maxTurn, Math.min(maxTurn, diff));
+
+  return Math.abs(diff) - maxTurn < 0.2;
+}
+
+// ====== BOT BEHAVIORS ======
+// What a bot does is decided by the room's BotBrain (see bot-behaviors.js);
+// this is what it perceives and the actions it takes through
+
+// What a bot's behaviors can do, bound to the room and bot
+function getBotActions(room, bot, profile) {
+  return {
+    steer: (x, y, speedFactor) => steerBot(room, bot, x, y, speedFactor),
+    aimAt: (target) => aimBotAt(bot, target, profile),
+    shoot: () => handleShoot(room, bot),
+    throwGrenade: (power) => throwGrenade(room, bot, power),
+    hasLineOfSight: (x1, y1, x2, y2) => hasLineOfSight(room, x1, y1, x2, y2),
+    canShootThroughWall: (x1, y1, x2, y2, range) =>
+      canShootThroughWall(room, x1, y1, x2, y2, range),
+    findBestPickup: () => findBestPickup(room, bot),
+    findNearestPickup: (types) => findNearestPickup(room, bot, types),
+    findNearestCover: (enemyX, enemyY) =>
+      findNearestCover(room, bot.x, bot.y, enemyX, enemyY),
+    findFlankWaypoint: (enemy) =>
+      findFlankWaypoint(
+        bot,
+        enemy,
+        getBotTeammates(room, bot).filter(
+          (mate) =>
+            (mate.currentTarget && mate.currentTarget.id === enemy.enemyId) ||
+            Math.hypot(mate.x - enemy.x, mate.y - enemy.y) <
+              BOT_MEMORY_CONFIG.FLANK_RANGE,
+        ),
+        room.waypoints,
+      ),
+    getStrategicWaypoint: () => getStrategicWaypoint(room, bot.x, bot.y),
+    findEntity: (id) => room.players.get(id) || room.bots.get(id) || null,
+    weapons: WEAPONS,
+    playerSpeed: GAME_CONFIG.PLAYER_SPEED,
+  };
+}
+
+// Living opponents of a bot, humans first
+function getBotEnemies(room, bot) {
+  return [...room.players.values(), ...room.bots.values()].filter(
+    (entity) =>
+      entity.id !== bot.id &&
+      entity.health > 0 &&
+      !areTeammates(room, bot, entity),
+  );
+}
+
+// Living teammates of a bot (players and bots)
+function getBotTeammates(room, bot) {
+  return [...room.players.values(), ...room.bots.values()].filter(
+    (entity) => entity.health > 0 && areTeammates(room, bot, entity),
+  );
+}
+
+// Name of the strategic waypoint nearest a spot, if one's close enough
+function getAreaName(room, x, y) {
+  let area = null;
+  let areaDist = 400;
+  for (const waypoint of room.waypoints) {
+    const dist = Math.hypot(waypoint.x - x, waypoint.y - y);
+    if (waypoint.name && dist < areaDist) {
+      area = waypoint.name;
+      areaDist = dist;
+    }
+  }
+  return area;
+}
+
+// Pass a sighting on to a bot's teammates: every bot remembers it, and
+// humans on the team are told (at most once every CALLOUT_INTERVAL per enemy)
+function calloutEnemy(room, bot, enemy, sighting, teammates) {
+  for (const mate of teammates) {
+    if (mate.memory) {
+      mate.memory.remember(enemy.id, {
+        ...sighting,
+        source: "callout",
+        by: bot.id,
+      });
+    }
+  }
+
+  const humans = teammates.filter((mate) => room.players.has(mate.id));
+  const key = `${bot.team}:${enemy.id}`;
+  const lastCallout = room.botCallouts.get(key) || 0;
+  if (
+    humans.length === 0 ||
+    sighting.time - lastCallout < BOT_MEMORY_CONFIG.CALLOUT_INTERVAL
+  ) {
+    return;
+  }
+  room.botCallouts.set(key, sighting.time);
+
+  const callout = {
+    botId: bot.id,
+    botName: bot.name,
+    team: bot.team,
+    enemyId: enemy.id,
+    enemyName: enemy.name,
+    x: Math.round(enemy.x),
+    y: Math.round(enemy.y),
+    area: getAreaName(room, enemy.x, enemy.y),
+  };
+  for (const human of humans) {
+    io.to(human.id).emit("botCallout", callout);
+  }
+}
+
+// One decision: look and listen, then let the room's brain pick a behavior
+function thinkBot(room, bot, now) {
+  let profile = getBotProfile(room, bot, bot.currentTarget);
+  bot.thinkTimer = now + profile.thinkInterval;
+
+  // Buy a mod if something's wrong and it can afford one that helps
+  tryPurchaseModForBot(room, bot, now);
+
+  // Gunshots always override current investigation
+  const heardGunshot = listen(
+    bot,
+    room.soundEvents,
+    {
+      gunshot: SOUND_CONFIG.GUNSHOT_RANGE,
+      footstep: SOUND_CONFIG.FOOTSTEP_RANGE,
+    },
+    profile,
+  );
+  if (heardGunshot) {
+    bot.lastHeardSound = heardGunshot;
+  }
+
+  const enemies = getBotEnemies(room, bot);
+  const teammates = getBotTeammates(room, bot);
+
+  // Focus fire: enemies teammates are already shooting, and wounded ones,
+  // count as closer
+  const attackers = new Map();
+  for (const mate of teammates) {
+    if (mate.currentTarget) {
+      const id = mate.currentTarget.id;
+      attackers.set(id, (attackers.get(id) || 0) + 1);
+    }
+  }
+
+  const { target, targetDist, behindWall, behindWallDist, visible } =
+    findTargets(bot, enemies, profile, {
+      hasLineOfSight: (x1, y1, x2, y2) => hasLineOfSight(room, x1, y1, x2, y2),
+      canShootThroughWall: (x1, y1, x2, y2, range) =>
+        canShootThroughWall(room, x1, y1, x2, y2, range),
+      focusBonus: (enemy) =>
+        getFocusBonus(
+          attackers.get(enemy.id) || 0,
+          enemy.health / GAME_CONFIG.PLAYER_MAX_HEALTH,
+        ),
+    });
+
+  // Adaptive bots play to whoever they're fighting, and nobody gets shot at
+  // until the bot has had time to react to them
+  const spotted = target || behindWall;
+  profile = getBotProfile(room, bot, spotted);
+  const hasReacted = updateBotReaction(bot, spotted, profile, now);
+
+  // Remember where enemies were seen, for hunting, and call them out
+  const enemyIds = new Set(enemies.map((enemy) => enemy.id));
+  bot.memory.prune(now, (enemyId) => enemyIds.has(enemyId));
+  const sightings = visible.map((enemy) => [enemy, false]);
+  if (behindWall) sightings.push([behindWall, true]);
+  for (const [enemy, isBehindWall] of sightings) {
+    const sighting = {
+      x: enemy.x,
+      y: enemy.y,
+      time: now,
+      behindWall: isBehindWall,
+      source: "sight",
+    };
+    bot.memory.remember(enemy.id, sighting);
+    calloutEnemy(room, bot, enemy, sighting, teammates);
+  }
+
+  const healthPercent = bot.health / GAME_CONFIG.PLAYER_MAX_HEALTH;
+  room.botBrain.think({
+    bot,
+    now,
+    profile,
+    target,
+    targetDist,
+    behindWall,
+    behindWallDist,
+    hasReacted,
+    isLowHealth: healthPercent < profile.retreatThreshold,
+    isAggressive: bot.armor > 20 || healthPercent > 0.6,
+    // Where the game mode wants this bot (e.g. a flag to carry home)
+    objective: getRoomMode(room).getBotObjective(room, bot, now),
+    lastKnown: bot.memory.latest(now),
+    game: getBotActions(room, bot, profile),
+  });
+
+  // Kept for the next decision and the stuck check
+  bot.currentTarget = target;
+  bot.currentTargetDist = targetDist;
+}
+
 // Initialize pickups
-function initializePickups() {
+function initializePickups(room) {
   const pickupSpawns = [
     { x: 300, y: 300, type: "health_small" },
     { x: 1700, y: 300, type: "health_small" },
@@ -1460,8 +2490,8 @@ function initializePickups() {
   ];
 
   pickupSpawns.forEach((spawn) => {
-    gameState.pickups.push({
-      id: gameState.nextPickupId++,
+    room.pickups.push({
+      id: room.nextPickupId++,
       x: spawn.x,
       y: spawn.y,
       type: spawn.type,
@@ -1471,28 +2501,20 @@ function initializePickups() {
   });
 }
 
-// Check collision between circle (player) and rectangle (wall)
-function circleRectCollision(cx, cy, radius, rx, ry, rw, rh) {
-  // Find closest point on rectangle to circle center
-  const closestX = Math.max(rx, Math.min(cx, rx + rw));
-  const closestY = Math.max(ry, Math.min(cy, ry + rh));
-
-  // Calculate distance between circle center and closest point
-  const distX = cx - closestX;
-  const distY = cy - closestY;
-  const distSquared = distX * distX + distY * distY;
-
-  return distSquared < radius * radius;
-}
-
-// Find nearest cover (wall or crate) relative to enemy position
-function findNearestCover(botX, botY, enemyX, enemyY, maxDist = 250) {
+// Find nearest cover (wall or crate) relative to enemy position. Returns the
+// spot to stand in: just behind it, on the far side from the enemy
+function findNearestCover(room, botX, botY, enemyX, enemyY, maxDist = 250) {
   let bestCover = null;
   let bestScore = -Infinity;
 
   const allObstacles = [
-    ...WALLS,
-    ...CRATES.map((c) => ({ x: c.x, y: c.y, width: c.size, height: c.size })),
+    ...room.walls,
+    ...room.crates.map((c) => ({
+      x: c.x,
+      y: c.y,
+      width: c.size,
+      height: c.size,
+    })),
   ];
 
   for (const obstacle of allObstacles) {
@@ -1517,7 +2539,15 @@ function findNearestCover(botX, botY, enemyX, enemyY, maxDist = 250) {
 
     if (score > bestScore) {
       bestScore = score;
-      bestCover = { x: coverX, y: coverY };
+      // Step out from the middle of the obstacle, away from the enemy, to
+      // its edge plus a player's width
+      const awayX = (coverX - enemyX) / (coverToEnemyDist || 1);
+      const awayY = (coverY - enemyY) / (coverToEnemyDist || 1);
+      const edge =
+        (Math.abs(awayX) * obstacle.width + Math.abs(awayY) * obstacle.height) /
+        2;
+      const offset = edge + GAME_CONFIG.PLAYER_RADIUS + 10;
+      bestCover = { x: coverX + awayX * offset, y: coverY + awayY * offset };
     }
   }
 
@@ -1525,12 +2555,12 @@ function findNearestCover(botX, botY, enemyX, enemyY, maxDist = 250) {
 }
 
 // Find best pickup for bot based on current needs
-function findBestPickup(bot) {
+function findBestPickup(room, bot) {
   let bestPickup = null;
   let bestScore = -Infinity;
 
-  for (const pickup of gameState.pickups) {
-    if (!pickup.active) continue;
+  for (const pickup of room.pickups) {
+    if (!isPickupAvailable(room, pickup)) continue;
 
     const dx = pickup.x - bot.x;
     const dy = pickup.y - bot.y;
@@ -1571,6 +2601,8 @@ function findBestPickup(bot) {
       }
     }
 
+    // Mods can make bots want some pickups more, less or not at all
+    priority *= room.botBrain.getPickupWeight(pickup.type);
     if (priority <= 0) continue;
 
     // Score combines priority and distance (closer is better)
@@ -1586,39 +2618,27 @@ function findBestPickup(bot) {
   return bestPickup;
 }
 
-// Check if position collides with any walls or crates
-function checkWallCollision(x, y, radius) {
-  // Check walls
-  for (const wall of WALLS) {
-    if (
-      circleRectCollision(x, y, radius, wall.x, wall.y, wall.width, wall.height)
-    ) {
-      return true;
-    }
-  }
+// The closest available pickup of any of these types, or null
+function findNearestPickup(room, bot, types) {
+  let nearest = null;
+  let nearestDist = Infinity;
 
-  // Check crates
-  for (const crate of CRATES) {
-    if (
-      circleRectCollision(
-        x,
-        y,
-        radius,
-        crate.x,
-        crate.y,
-        crate.size,
-        crate.size,
-      )
-    ) {
-      return true;
+  for (const pickup of room.pickups) {
+    if (!types.includes(pickup.type) || !isPickupAvailable(room, pickup)) {
+      continue;
+    }
+    const dist = Math.hypot(pickup.x - bot.x, pickup.y - bot.y);
+    if (dist < nearestDist) {
+      nearestDist = dist;
+      nearest = pickup;
     }
   }
 
-  return false;
+  return nearest;
 }
 
 // Check line of sight between two points (for vision and sound propagation)
-function hasLineOfSight(x1, y1, x2, y2) {
+function hasLineOfSight(room, x1, y1, x2, y2) {
   const dx = x2 - x1;
   const dy = y2 - y1;
   const distance = Math.sqrt(dx * dx + dy * dy);
@@ -1630,7 +2650,7 @@ function hasLineOfSight(x1, y1, x2, y2) {
   const rayDy = Math.sin(angle);
 
   // Check walls
-  for (const wall of WALLS) {
+  for (const wall of room.walls) {
     const dist = rayRectIntersection(
       x1,
       y1,
@@ -1648,7 +2668,7 @@ function hasLineOfSight(x1, y1, x2, y2) {
   }
 
   // Check crates
-  for (const crate of CRATES) {
+  for (const crate of room.crates) {
     const dist = rayRectIntersection(
       x1,
       y1,
@@ -1670,7 +2690,7 @@ function hasLineOfSight(x1, y1, x2, y2) {
 
 // Check if target is behind exactly one wall (for rifle wall penetration)
 // Returns { canShootThrough: true, target, distance } if viable, null otherwise
-function canShootThroughWall(botX, botY, targetX, targetY, maxRange) {
+function canShootThroughWall(room, botX, botY, targetX, targetY, maxRange) {
   const dx = targetX - botX;
   const dy = targetY - botY;
   const distance = Math.sqrt(dx * dx + dy * dy);
@@ -1685,7 +2705,7 @@ function canShootThroughWall(botX, botY, targetX, targetY, maxRange) {
   let closestWallDist = Infinity;
 
   // Count walls blocking line of sight
-  for (const wall of WALLS) {
+  for (const wall of room.walls) {
     const dist = rayRectIntersection(
       botX,
       botY,
@@ -1705,7 +2725,7 @@ function canShootThroughWall(botX, botY, targetX, targetY, maxRange) {
   }
 
   // Check crates - treat them as un-penetrable
-  for (const crate of CRATES) {
+  for (const crate of room.crates) {
     const dist = rayRectIntersection(
       botX,
       botY,
@@ -1735,9 +2755,9 @@ function canShootThroughWall(botX, botY, targetX, targetY, maxRange) {
 }
 
 // Create a sound event that bots can hear
-function createSoundEvent(x, y, type, sourceId) {
+function createSoundEvent(room, x, y, type, sourceId) {
   const now = Date.now();
-  gameState.soundEvents.push({
+  room.soundEvents.push({
     x,
     y,
     type, // 'gunshot' or 'footstep'
@@ -1748,29 +2768,30 @@ function createSoundEvent(x, y, type, sourceId) {
 }
 
 // Clean up expired sound events
-function cleanupSoundEvents() {
+function cleanupSoundEvents(room) {
   const now = Date.now();
-  gameState.soundEvents = gameState.soundEvents.filter(
-    (event) => event.expiresAt > now,
-  );
+  room.soundEvents = room.soundEvents.filter((event) => event.expiresAt > now);
 }
 
 // Get spawn point farthest from other players and bots
-function getSpawnPoint(players) {
-  let bestSpawn = SPAWN_POINTS[0];
+// Spawn point furthest from everyone alive. For a team, only enemies count
+// and spawns on the team's own half of the map are preferred
+function getSpawnPoint(room, team = null) {
+  let bestSpawn = room.spawnPoints[0];
   let maxMinDist = 0;
+  const teamSide = TEAM_CONFIG.TEAMS.indexOf(team); // 0 = left half, 1 = right
 
-  for (const spawn of SPAWN_POINTS) {
+  for (const spawn of room.spawnPoints) {
     // Skip spawns that collide with walls
-    if (checkWallCollision(spawn.x, spawn.y, GAME_CONFIG.PLAYER_RADIUS)) {
+    if (checkWallCollision(room, spawn.x, spawn.y, GAME_CONFIG.PLAYER_RADIUS)) {
       continue;
     }
 
     let minDist = Infinity;
 
     // Check distance to players
-    for (const player of players.values()) {
-      if (player.health <= 0) continue;
+    for (const player of room.players.values()) {
+      if (player.health <= 0 || (team && player.team === team)) continue;
       const dx = spawn.x - player.x;
       const dy = spawn.y - player.y;
       const dist = Math.sqrt(dx * dx + dy * dy);
@@ -1778,14 +2799,21 @@ function getSpawnPoint(players) {
     }
 
     // Check distance to bots
-    for (const bot of gameState.bots.values()) {
-      if (bot.health <= 0) continue;
+    for (const bot of room.bots.values()) {
+      if (bot.health <= 0 || (team && bot.team === team)) continue;
       const dx = spawn.x - bot.x;
       const dy = spawn.y - bot.y;
       const dist = Math.sqrt(dx * dx + dy * dy);
       minDist = Math.min(minDist, dist);
     }
 
+    if (teamSide !== -1) {
+      const onOwnSide = spawn.x < room.worldWidth / 2 === (teamSide === 0);
+      minDist =
+        Math.min(minDist, room.worldWidth) +
+        (onOwnSide ? TEAM_CONFIG.SPAWN_SIDE_BONUS : 0);
+    }
+
     if (minDist > maxMinDist) {
       maxMinDist = minDist;
       bestSpawn = spawn;
@@ -1810,15 +2838,20 @@ const BOT_NAMES = [
 ];
 
 // Create a bot
-function createBot() {
-  const id = `bot_${gameState.nextBotId++}`;
-  const name = BOT_NAMES[gameState.nextBotId % BOT_NAMES.length];
-  const spawn = getSpawnPoint(gameState.players);
+function createBot(room, difficulty = BOT_CONFIG.DIFFICULTY) {
+  const id = `bot_${room.nextBotId++}`;
+  const name = BOT_NAMES[room.nextBotId % BOT_NAMES.length];
+  const team = isTeamMode(room) ? pickTeam(room) : null;
+  const spawn = getSpawnPoint(room, team);
 
   const bot = {
     id,
+    // Bot IDs come back (every room has a bot_0), so the credit ledger files
+    // each bot under one of its own
+    accountId: `bot_${crypto.randomUUID()}`,
     name,
     isBot: true,
+    team,
     x: spawn.x,
     y: spawn.y,
     vx: 0,
@@ -1847,33 +2880,48 @@ function createBot() {
     wanderAngle: Math.random() * Math.PI * 2,
     wanderTimer: Date.now() + Math.random() * 3000,
     thinkTimer: Date.now(),
+    difficulty, // See bot-difficulty.js
+    reactionTargetId: null, // Who the bot last spotted...
+    reactionReadyAt: 0, // ...and when it can start shooting at them
+    memory: new BotMemory(), // Where it last saw (or was told about) enemies
+    nextShopCheck: 0, // When it next looks at the mod shop
     // Position tracking to detect getting stuck in areas
     areaCheckTimer: Date.now(),
     lastAreaCheckPos: { x: spawn.x, y: spawn.y },
     totalDistanceMoved: 0,
   };
 
-  gameState.bots.set(id, bot);
-  console.log(`🤖 Bot spawned: ${name} (${id})`);
+  room.bots.set(id, bot);
+  console.log(`🤖 Bot spawned: ${name} (${id}, ${difficulty})`);
   return bot;
 }
 
 // Remove a bot
-function removeBot() {
-  const botIds = Array.from(gameState.bots.keys());
+function removeBot(room) {
+  const botIds = Array.from(room.bots.keys());
   if (botIds.length > 0) {
-    const botId = botIds[0];
-    const bot = gameState.bots.get(botId);
-    gameState.bots.delete(botId);
+    // In team modes, take the bot from the biggest team
+    let botId = botIds[0];
+    if (isTeamMode(room)) {
+      const counts = countTeamMembers(room);
+      botId = botIds.reduce((best, id) =>
+        counts[room.bots.get(id).team] > counts[room.bots.get(best).team]
+          ? id
+          : best,
+      );
+    }
+    const bot = room.bots.get(botId);
+    room.bots.delete(botId);
+    room.economy.forget(botId);
     console.log(`🤖 Bot removed: ${bot.name}`);
-    io.emit("playerLeft", botId);
+    io.to(room.id).emit("playerLeft", botId);
   }
 }
 
 // Maintain minimum player count with bots
-function maintainBotCount() {
-  const humanPlayers = gameState.players.size;
-  const currentBots = gameState.bots.size;
+function maintainBotCount(room) {
+  const humanPlayers = room.players.size;
+  const currentBots = room.bots.size;
   const totalPlayers = humanPlayers + currentBots;
 
   // Calculate how many bots we need to reach MIN_PLAYER_COUNT
@@ -1886,7 +2934,7 @@ function maintainBotCount() {
       `🤖 Adding ${botsToAdd} bots (${humanPlayers} humans, ${currentBots} bots -> ${neededBots} needed)`,
     );
     for (let i = 0; i < botsToAdd; i++) {
-      createBot();
+      createBot(room);
     }
   } else if (botsToAdd < 0) {
     // Need to remove bots
@@ -1895,19 +2943,24 @@ function maintainBotCount() {
       `🤖 Removing ${botsToRemove} bots (${humanPlayers} humans, ${currentBots} bots -> ${neededBots} needed)`,
     );
     for (let i = 0; i < botsToRemove; i++) {
-      if (gameState.bots.size > 0) {
-        removeBot();
+      if (room.bots.size > 0) {
+        removeBot(room);
       }
     }
   }
+
+  balanceTeams(room);
 }
 
 // Create new player
-function createPlayer(id, name) {
-  const spawn = getSpawnPoint(gameState.players);
+function createPlayer(room, id, name, accountId = id) {
+  const team = isTeamMode(room) ? pickTeam(room) : null;
+  const spawn = getSpawnPoint(room, team);
   return {
     id,
+    accountId, // Who the credit ledger files them under (their player key)
     name,
+    team,
     x: spawn.x,
     y: spawn.y,
     vx: 0,
@@ -1935,61 +2988,64 @@ function createPlayer(id, name) {
 }
 
 // Start warmup period
-function startWarmup() {
+function startWarmup(room) {
   const now = Date.now();
-  gameState.warmupEndTime = now + GAME_CONFIG.WARMUP_DURATION;
-  gameState.roundActive = false;
+  room.warmupEndTime = now + GAME_CONFIG.WARMUP_DURATION;
+  room.roundActive = false;
+  room.roundEnding = false;
 
   console.log(`🔥 WARMUP STARTED - 25 seconds`);
 
   // Notify all clients that warmup has started
-  io.emit("warmupStart", {
+  io.to(room.id).emit("warmupStart", {
     duration: GAME_CONFIG.WARMUP_DURATION,
-    endTime: gameState.warmupEndTime,
+    endTime: room.warmupEndTime,
   });
 }
 
 // Start countdown (after warmup ends)
-function startCountdown() {
+function startCountdown(room) {
   const now = Date.now();
-  gameState.countdownStartTime = now;
+  room.countdownStartTime = now;
 
   console.log(`⏱️  COUNTDOWN STARTED - 5 seconds`);
 
   // Kill all players and respawn them
-  for (const [id, player] of gameState.players) {
+  for (const [id, player] of room.players) {
     player.health = 0;
     player.respawnAt = now + 100; // Respawn almost immediately
   }
 
-  for (const [id, bot] of gameState.bots) {
+  for (const [id, bot] of room.bots) {
     bot.health = 0;
     bot.respawnAt = now + 100; // Respawn almost immediately
   }
 
   // Notify all clients that countdown has started
-  io.emit("countdownStart", {
+  io.to(room.id).emit("countdownStart", {
     duration: GAME_CONFIG.COUNTDOWN_DURATION,
   });
 
   // After 5 seconds, start the actual round
-  setTimeout(() => {
-    gameState.roundActive = true;
-    gameState.countdownStartTime = null;
+  roomTimeout(room, GAME_CONFIG.COUNTDOWN_DURATION, () => {
+    room.roundActive = true;
+    room.countdownStartTime = null;
     console.log(`🎮 ROUND ACTIVE - scoring enabled`);
+    getRoomMode(room).onRoundStart(room);
 
-    io.emit("roundStart");
-  }, GAME_CONFIG.COUNTDOWN_DURATION);
+    io.to(room.id).emit("roundStart");
+    room.events.emit("roundStart", {});
+  });
 }
 
 // Reset round - clears all scores and respawns everyone
 // Update the kill leader for spectator camera tracking
-function updateKillLeader() {
+function updateKillLeader(room) {
   let maxKills = 0;
   let leaderId = null;
 
   // Check all players
-  for (const [id, player] of gameState.players) {
+  for (const [id, player] of room.players) {
     if (player.kills > maxKills && player.health > 0) {
       maxKills = player.kills;
       leaderId = id;
@@ -1997,95 +3053,329 @@ function updateKillLeader() {
   }
 
   // Check all bots
-  for (const [id, bot] of gameState.bots) {
+  for (const [id, bot] of room.bots) {
     if (bot.kills > maxKills && bot.health > 0) {
       maxKills = bot.kills;
       leaderId = id;
     }
   }
 
-  gameState.killLeaderId = leaderId;
+  room.killLeaderId = leaderId;
 }
 
 // Spawn a weapon pickup at a specific location
-function spawnWeaponPickup(x, y, weaponType) {
+function spawnWeaponPickup(room, x, y, weaponType) {
   const pickup = {
-    id: gameState.nextPickupId++,
+    id: room.nextPickupId++,
     type: `weapon_${weaponType}`,
     x,
     y,
     active: true,
-    respawnAt: null, // Dropped weapons don't respawn in Vibe Royale
+    respawnAt: null, // Dropped weapons don't respawn
   };
-  gameState.pickups.push(pickup);
-  io.emit("pickupSpawned", pickup);
+  room.pickups.push(pickup);
+  io.to(room.id).emit("pickupSpawned", pickup);
 }
 
-// Switch game mode
-function switchGameMode(newMode) {
-  console.log(
-    `🎮 Switching game mode from ${gameState.gameMode} to ${newMode}`,
-  );
+// Leave a dead player's weapon behind (the starting pistol isn't dropped)
+function dropWeapon(room, entity) {
+  if (!entity.weapon || entity.weapon === "pistol") return;
+  const weaponToDrop =
+    entity.weapon === "dual-pistols" ? "pistol" : entity.weapon;
+  spawnWeaponPickup(room, entity.x, entity.y, weaponToDrop);
+}
 
-  gameState.gameMode = newMode;
-  gameState.votes.clear(); // Clear all votes
+// ====== GAME MODES ======
+// Mode rules live in game-modes.js; these apply them to a room
 
-  // Notify all clients
-  io.emit("gameModeChanged", { gameMode: newMode });
+function getRoomMode(room) {
+  return getGameMode(room.gameMode);
+}
 
-  // Reset the round to apply new rules
-  // Reset all player scores
-  for (const [id, player] of gameState.players) {
-    player.kills = 0;
-    player.deaths = 0;
-  }
+// Whether a pickup is there to collect (active, and allowed in the mode)
+function isPickupAvailable(room, pickup) {
+  return (
+    pickup.active && isPickupAllowed(getRoomMode(room), pickup.type)
+  );
+}
 
-  // Reset all bot scores
-  for (const [id, bot] of gameState.bots) {
-    bot.kills = 0;
-    bot.deaths = 0;
-  }
+// What modes can do to a room (the game argument of mode hooks)
+function getModeActions(room) {
+  return {
+    dropWeapon: (entity) => dropWeapon(room, entity),
+    emit: (event, data) => io.to(room.id).emit(event, data),
+    awardObjective: (entity, objective, details) =>
+      room.economy.awardObjective(entity, objective, details),
+    damage: (entity, amount, weapon) =>
+      damagePlayer(room, entity, amount, null, weapon),
+    touchRadius: GAME_CONFIG.PLAYER_RADIUS + 20, // Same reach as pickups
+  };
+}
 
-  // Start new warmup
-  startWarmup();
+function getSpeedMultiplier(room, entity) {
+  return getRoomMode(room).getSpeedMultiplier(room, entity);
 }
 
-function resetRound(winnerId, winnerName) {
-  console.log(
-    `🏆 ROUND OVER! Winner: ${winnerName} with ${GAME_CONFIG.SCORE_LIMIT} kills`,
-  );
+// What the mode does with a death, and whether the victim respawns.
+// killer is the player/bot who did it, or null
+function applyModeDeath(room, victim, killer) {
+  const mode = getRoomMode(room);
 
-  // Announce winner to all clients
-  io.emit("roundOver", {
+  if (room.roundActive) {
+    mode.onDeath(room, victim, killer, getModeActions(room));
+
+    // Team kills and suicides don't score
+    if (
+      killer &&
+      killer.id !== victim.id &&
+      !areTeammates(room, killer, victim)
+    ) {
+      mode.scoreKill(room, killer, victim);
+    }
+  }
+
+  victim.respawnAt = mode.canRespawn(room, victim)
+    ? Date.now() + GAME_CONFIG.RESPAWN_DELAY
+    : null;
+}
+
+// End the round once the mode says someone has won. The round ends after a
+// short delay, so later wins in the meantime are ignored
+function checkModeWinCondition(room) {
+  if (!room.roundActive || room.roundEnding) return;
+
+  const result = getRoomMode(room).checkWinCondition(room);
+  if (!result) return;
+
+  room.roundEnding = true;
+  console.log(`🏆 ${result.winnerName} won the round`);
+  roomTimeout(room, 3000, () => {
+    resetRound(room, result);
+  });
+}
+
+// ====== TEAMS ======
+
+function isTeamMode(room) {
+  return getRoomMode(room).teams;
+}
+
+// Whether two different players/bots are on the same team (never outside
+// team modes)
+function areTeammates(room, a, b) {
+  return (
+    isTeamMode(room) && a.id !== b.id && a.team != null && a.team === b.team
+  );
+}
+
+function countTeamMembers(room) {
+  const counts = Object.fromEntries(TEAM_CONFIG.TEAMS.map((team) => [team, 0]));
+  for (const entity of [...room.players.values(), ...room.bots.values()]) {
+    if (entity.team in counts) counts[entity.team]++;
+  }
+  return counts;
+}
+
+// Team for someone joining: the smallest, then the one behind on score
+function pickTeam(room) {
+  const counts = countTeamMembers(room);
+  return TEAM_CONFIG.TEAMS.reduce((best, team) =>
+    counts[team] < counts[best] ||
+    (counts[team] === counts[best] &&
+      room.teamScores[team] < room.teamScores[best])
+      ? team
+      : best,
+  );
+}
+
+// Split everyone into teams for a new round. Humans go first so they are
+// spread evenly (keeping their team when it's one of the smallest), then
+// bots fill the gaps. Outside team modes everyone is teamless
+function assignTeams(room) {
+  const previousTeams = new Map();
+  for (const entity of [...room.players.values(), ...room.bots.values()]) {
+    previousTeams.set(entity.id, entity.team);
+    entity.team = null;
+  }
+  if (!isTeamMode(room)) return;
+
+  for (const group of [room.players, room.bots]) {
+    for (const entity of group.values()) {
+      const counts = countTeamMembers(room);
+      const smallest = Math.min(...Object.values(counts));
+      const previous = previousTeams.get(entity.id);
+      entity.team =
+        previous && counts[previous] === smallest ? previous : pickTeam(room);
+    }
+  }
+}
+
+// Keep teams within one member of each other as people join and leave by
+// moving bots (humans keep their team until the next round)
+function balanceTeams(room) {
+  if (!isTeamMode(room)) return;
+
+  for (;;) {
+    const counts = countTeamMembers(room);
+    const bySize = [...TEAM_CONFIG.TEAMS].sort((a, b) => counts[b] - counts[a]);
+    const largest = bySize[0];
+    const smallest = bySize[bySize.length - 1];
+    if (counts[largest] - counts[smallest] <= 1) return;
+
+    const bot = Array.from(room.bots.values()).find((b) => b.team === largest);
+    if (!bot) return;
+    bot.team = smallest;
+    console.log(`⚖️  ${bot.name} moved to the ${smallest} team`);
+  }
+}
+
+function resetTeamScores(room) {
+  room.teamScores = Object.fromEntries(
+    TEAM_CONFIG.TEAMS.map((team) => [team, 0]),
+  );
+}
+
+// Switch game mode
+function switchGameMode(room, newMode) {
+  console.log(`🎮 Switching game mode from ${room.gameMode} to ${newMode}`);
+
+  room.gameMode = newMode;
+  room.votes.clear(); // Clear all votes
+  room.flags = null; // Flags start at their bases
+
+  // Notify all clients
+  io.to(room.id).emit("gameModeChanged", { gameMode: newMode });
+
+  // Reset the round to apply new rules
+  // Reset all player scores
+  for (const [id, player] of room.players) {
+    player.kills = 0;
+    player.deaths = 0;
+  }
+
+  // Reset all bot scores
+  for (const [id, bot] of room.bots) {
+    bot.kills = 0;
+    bot.deaths = 0;
+  }
+
+  resetTeamScores(room);
+  assignTeams(room);
+
+  // Start new warmup
+  startWarmup(room);
+}
+
+// End the round with the mode's result (see checkWinCondition in
+// game-modes.js). In team modes the winner is a team (winningTeam, with
+// winnerId null)
+function resetRound(room, result) {
+  const { winnerId = null, winnerName, winningTeam = null, summary } = result;
+  const scoreLimit = getRoomMode(room).scoreLimit ?? null;
+  console.log(`🏆 ROUND OVER! Winner: ${winnerName} (${summary})`);
+
+  // Announce winner to all clients
+  io.to(room.id).emit("roundOver", {
     winnerId,
     winnerName,
-    scoreLimit: GAME_CONFIG.SCORE_LIMIT,
+    winningTeam,
+    scoreLimit,
+    summary,
   });
 
   // Reset all player scores
-  for (const [id, player] of gameState.players) {
+  for (const [id, player] of room.players) {
     player.kills = 0;
     player.deaths = 0;
   }
 
   // Reset all bot scores
-  for (const [id, bot] of gameState.bots) {
+  for (const [id, bot] of room.bots) {
     bot.kills = 0;
     bot.deaths = 0;
   }
 
+  const winners = winningTeam
+    ? [...room.players.values(), ...room.bots.values()].filter(
+        (entity) => entity.team === winningTeam,
+      )
+    : [room.economy.getEntity(winnerId)].filter(Boolean);
+  for (const winner of winners) {
+    room.economy.awardObjective(winner, "roundWin");
+  }
+  room.economy.resetRound();
+
+  // New teams for the next round
+  resetTeamScores(room);
+  assignTeams(room);
+
+  room.events.emit("roundEnd", { winnerId, winnerName });
+
+  // Persistent mods don't carry over into the next round
+  endRoomPersistentMods(room);
+
   console.log(`🔄 Round reset - all scores cleared`);
 
   // Start warmup period after a short delay
-  setTimeout(() => {
-    startWarmup();
-  }, 3000);
+  roomTimeout(room, 3000, () => {
+    startWarmup(room);
+  });
+}
+
+// Let game event listeners (persistent mods) change damage about to be dealt
+// Returns the damage to apply, before armor
+function emitDamageEvent(room, target, amount, attackerId, weapon, headshot) {
+  const event = room.events.emit("damage", {
+    targetId: target.id,
+    attackerId: attackerId || null,
+    weapon: weapon || null,
+    headshot: headshot === true,
+    amount,
+  });
+  return Math.max(0, event.amount);
+}
+
+// Announce a death, and the kill if someone else did it
+function emitDeathEvents(room, victim, killerId, weapon, headshot) {
+  room.events.emit("death", {
+    victimId: victim.id,
+    killerId: killerId || null,
+    weapon: weapon || null,
+  });
+
+  if (
+    killerId &&
+    killerId !== victim.id &&
+    (room.players.has(killerId) || room.bots.has(killerId))
+  ) {
+    room.events.emit("kill", {
+      killerId,
+      victimId: victim.id,
+      weapon: weapon || null,
+      headshot: headshot === true,
+    });
+  }
 }
 
 // Handle player damage
-function damagePlayer(player, damage, attackerId) {
+function damagePlayer(room, player, damage, attackerId, weapon, headshot) {
   if (player.invulnerable > Date.now()) return false;
 
+  // Friendly fire rules (team modes)
+  const attackerEntity =
+    attackerId && (room.players.get(attackerId) || room.bots.get(attackerId));
+  const isTeamDamage = Boolean(
+    attackerEntity && areTeammates(room, attackerEntity, player),
+  );
+  if (isTeamDamage) {
+    damage *= TEAM_CONFIG.FRIENDLY_FIRE;
+    if (damage <= 0) return false;
+  }
+
+  damage = emitDamageEvent(room, player, damage, attackerId, weapon, headshot);
+  // Cancelled, or a listener already finished them off
+  if (damage <= 0 || player.health <= 0) return false;
+
   // Armor absorbs 33% damage
   if (player.armor > 0) {
     const absorbed = Math.min(player.armor, damage * 0.33);
@@ -2094,38 +3384,28 @@ function damagePlayer(player, damage, attackerId) {
   }
 
   player.health = Math.max(0, player.health - damage);
+  room.economy.recordDamage(player.id, attackerId, damage);
 
   // Track damage for performance metrics
   performanceMonitor.recordDamage(damage);
 
   if (player.health <= 0) {
     // Only count kills/deaths if round is active (not during warmup)
-    if (gameState.roundActive) {
+    if (room.roundActive) {
       player.deaths++;
 
       // Track death for performance metrics
       performanceMonitor.recordDeath();
 
-      // In Vibe Royale mode, drop the player's weapon
-      if (
-        gameState.gameMode === "vibe-royale" &&
-        player.weapon &&
-        player.weapon !== "pistol"
-      ) {
-        const weaponToDrop =
-          player.weapon === "dual-pistols" ? "pistol" : player.weapon;
-        spawnWeaponPickup(player.x, player.y, weaponToDrop);
-      }
-
-      if (attackerId && attackerId !== player.id) {
+      // Team kills don't score
+      if (attackerId && attackerId !== player.id && !isTeamDamage) {
         // Check if attacker is a player
-        const attacker = gameState.players.get(attackerId);
+        const attacker = room.players.get(attackerId);
         if (attacker) {
           attacker.kills++;
 
-          // Award credits for kill (10 in Vibe Royale, 5 in vibematch)
-          const creditsPerKill = gameState.gameMode === "vibe-royale" ? 10 : 5;
-          attacker.credits += creditsPerKill;
+          // Award credits for the kill, killstreak and assists
+          room.economy.awardKill(attacker, player);
 
           // Reduce mod cooldown by 5 seconds for kill
           const now = Date.now();
@@ -2147,55 +3427,28 @@ function damagePlayer(player, damage, attackerId) {
           performanceMonitor.recordKill();
 
           // Update kill leader
-          updateKillLeader();
-
-          // Check if attacker reached score limit (only in vibematch mode)
-          if (
-            gameState.gameMode === "vibematch" &&
-            attacker.kills >= GAME_CONFIG.SCORE_LIMIT
-          ) {
-            // Reset round after a short delay (3 seconds)
-            setTimeout(() => {
-              resetRound(attacker.id, attacker.name);
-            }, 3000);
-          }
+          updateKillLeader(room);
         } else {
           // Check if attacker is a bot
-          const botAttacker = gameState.bots.get(attackerId);
+          const botAttacker = room.bots.get(attackerId);
           if (botAttacker) {
             botAttacker.kills++;
 
-            // Award credits for kill (10 in Vibe Royale, 5 in vibematch)
-            const creditsPerKill =
-              gameState.gameMode === "vibe-royale" ? 10 : 5;
-            botAttacker.credits += creditsPerKill;
+            // Award credits for the kill, killstreak and assists
+            room.economy.awardKill(botAttacker, player);
 
             // Track kill for performance metrics
             performanceMonitor.recordKill();
 
             // Update kill leader
-            updateKillLeader();
-
-            // Check if bot reached score limit (only in vibematch mode)
-            if (
-              gameState.gameMode === "vibematch" &&
-              botAttacker.kills >= GAME_CONFIG.SCORE_LIMIT
-            ) {
-              // Reset round after a short delay (3 seconds)
-              setTimeout(() => {
-                resetRound(botAttacker.id, botAttacker.name);
-              }, 3000);
-            }
+            updateKillLeader(room);
           }
         }
       }
     }
-    // In Vibe Royale mode, no respawns
-    if (gameState.gameMode === "vibe-royale") {
-      player.respawnAt = null; // Never respawn
-    } else {
-      player.respawnAt = Date.now() + GAME_CONFIG.RESPAWN_DELAY;
-    }
+    room.economy.recordDeath(player);
+    emitDeathEvents(room, player, attackerId, weapon, headshot);
+    applyModeDeath(room, player, attackerEntity || null);
     return true; // Player died
   }
 
@@ -2232,7 +3485,7 @@ function rayRectIntersection(rayX, rayY, rayDx, rayDy, range, rx, ry, rw, rh) {
 }
 
 // Hitscan raycast
-function raycast(x, y, angle, range, shooterId) {
+function raycast(room, x, y, angle, range, shooterId) {
   const endX = x + Math.cos(angle) * range;
   const endY = y + Math.sin(angle) * range;
 
@@ -2243,7 +3496,7 @@ function raycast(x, y, angle, range, shooterId) {
   const rayDy = Math.sin(angle);
 
   // Check wall collisions first
-  for (const wall of WALLS) {
+  for (const wall of room.walls) {
     const dist = rayRectIntersection(
       x,
       y,
@@ -2262,7 +3515,7 @@ function raycast(x, y, angle, range, shooterId) {
   }
 
   // Check crate collisions
-  for (const crate of CRATES) {
+  for (const crate of room.crates) {
     const dist = rayRectIntersection(
       x,
       y,
@@ -2281,7 +3534,7 @@ function raycast(x, y, angle, range, shooterId) {
   }
 
   // Check player collisions (only if closer than wall hit)
-  for (const [id, player] of gameState.players) {
+  for (const [id, player] of room.players) {
     if (id === shooterId || player.health <= 0) continue;
 
     // Simple circle intersection
@@ -2304,7 +3557,7 @@ function raycast(x, y, angle, range, shooterId) {
   }
 
   // Check bot collisions (only if closer than wall hit)
-  for (const [id, bot] of gameState.bots) {
+  for (const [id, bot] of room.bots) {
     if (id === shooterId || bot.health <= 0) continue;
 
     // Simple circle intersection
@@ -2329,6 +3582,420 @@ function raycast(x, y, angle, range, shooterId) {
   return closestHit;
 }
 
+// ====== MATCH ROOMS ======
+// Each room is an independent match: its own players, bots, map, mode,
+// active mods and game loop. Sockets join the Socket.IO room of the same id
+// so broadcasts only reach that match.
+
+const DEFAULT_ROOM_ID = "public";
+
+const ROOM_CONFIG = {
+  MAX_ROOMS: 20, // Hard cap on concurrent rooms per process
+  IDLE_TIMEOUT: 60000, // Close empty rooms after 1 minute
+  MAX_NAME_LENGTH: 32,
+};
+
+// Create a match room and start its game loop
+// Returns null if the room limit has been reached
+function createMatchRoom({ id, code, name, isPrivate = false, gameMode } = {}) {
+  if (roomManager.size >= ROOM_CONFIG.MAX_ROOMS) {
+    console.warn(`⚠️  Room limit reached (${ROOM_CONFIG.MAX_ROOMS})`);
+    return null;
+  }
+
+  const roomCode =
+    code && !roomManager.getByCode(code)
+      ? code.toUpperCase()
+      : roomManager.generateCode();
+  const now = Date.now();
+
+  const room = {
+    id: id || `room_${roomCode}`,
+    code: roomCode,
+    name:
+      (typeof name === "string" &&
+        name.trim().slice(0, ROOM_CONFIG.MAX_NAME_LENGTH)) ||
+      (isPrivate ? `Private ${roomCode}` : `Arena ${roomCode}`),
+    isPrivate: Boolean(isPrivate),
+    createdAt: now,
+    emptySince: now, // When the room last became empty (null = occupied)
+    closed: false,
+
+    // Match state
+    players: new Map(),
+    bots: new Map(),
+    projectiles: [],
+    grenades: [], // Active grenades in the world
+    pickups: [],
+    nextProjectileId: 0,
+    nextGrenadeId: 0,
+    nextPickupId: 0,
+    nextBotId: 0,
+    soundEvents: [], // Sound events for bots to hear (gunshots, footsteps)
+    warmupEndTime: null, // When warmup ends (null = not in warmup)
+    countdownStartTime: null, // When 5 second countdown starts (null = not counting down)
+    roundActive: false, // Is the round currently active (scoring enabled)
+    gameMode: hasGameMode(gameMode) ? gameMode : DEFAULT_GAME_MODE, // Current game mode (see game-modes.js)
+    roundEnding: false, // Someone has won and the round is about to reset
+    teamScores: null, // Team kills this round (team modes), set below
+    votes: new Map(), // Player votes for game mode: playerId -> gameMode
+    killLeaderId: null, // ID of player with most kills (for spectator camera in Vibe Royale)
+
+    // Map (copied so level changes only affect this room)
+    worldWidth: GAME_CONFIG.WORLD_WIDTH,
+    worldHeight: GAME_CONFIG.WORLD_HEIGHT,
+    walls: DEFAULT_WALLS.map((wall) => ({ ...wall })),
+    crates: DEFAULT_CRATES.map((crate) => ({ ...crate })),
+    spawnPoints: DEFAULT_SPAWN_POINTS.map((spawn) => ({ ...spawn })),
+    waypoints: DEFAULT_WAYPOINTS.map((wp) => ({ ...wp })),
+    bases: copyBases(DEFAULT_BASES),
+    flags: null, // Capture the flag state (see game-modes.js)
+    zone: null, // Vibe Royale safe zone (see game-modes.js)
+    botCallouts: new Map(), // "team:enemyId" -> when bots last told humans
+    botModQueue: [], // Server mods bots bought, waiting to run (runQueuedBotMod)
+
+    // Recent state snapshots for delta-compressed broadcasts
+    snapshots: new SnapshotHistory(),
+
+    // Recent player/bot positions for lag-compensated hit detection
+    positionHistory: new PositionHistory(),
+    recentRewoundHits: [], // Last few rewound hits, for the debug endpoint
+
+    // Damage, kills, pickups etc. as they happen (persistent mods listen)
+    events: new GameEventBus(),
+
+    // Game loop timing
+    lastTick: now,
+    lastStateBroadcast: now,
+    tickInterval: null,
+  };
+
+  room.persistentModAPIs = new Map(); // modId -> its createModAPI
+  room.botBrain = new BotBrain(); // Mods can add behaviors and change weights
+  room.economy = new CreditEconomy(room);
+  room.navGrid = new NavGrid(room); // Rebuilt when a level is applied
+  resetTeamScores(room);
+  attachModEvents(room);
+
+  roomManager.add(room);
+  initializePickups(room);
+  maintainBotCount(room); // Spawn initial bots
+
+  // Start the first warmup after a short delay
+  roomTimeout(room, 2000, () => startWarmup(room));
+
+  room.tickInterval = setInterval(() => gameLoop(room), TICK_INTERVAL);
+
+  console.log(
+    `🏟️  Room created: ${room.name} (${room.id}, code ${room.code}${room.isPrivate ? ", private" : ""})`,
+  );
+  return room;
+}
+
+// Stop a room's game loop and forget about it
+function closeMatchRoom(room) {
+  room.closed = true;
+  clearInterval(room.tickInterval);
+  roomManager.remove(room.id);
+  endRoomPersistentMods(room);
+  modRegistry.forget(room.id);
+  console.log(`🏟️  Room closed: ${room.name} (${room.id})`);
+}
+
+// setTimeout that is skipped if the room was closed in the meantime
+function roomTimeout(room, delay, callback) {
+  return setTimeout(() => {
+    if (!room.closed) callback();
+  }, delay);
+}
+
+// Close rooms that have had no players or spectators for IDLE_TIMEOUT
+function cleanupIdleRooms() {
+  const now = Date.now();
+
+  for (const room of Array.from(roomManager.values())) {
+    if (room.id === DEFAULT_ROOM_ID) continue; // Public arena always stays up
+
+    const sockets = io.sockets.adapter.rooms.get(room.id);
+    if (room.players.size > 0 || (sockets && sockets.size > 0)) {
+      room.emptySince = null;
+      continue;
+    }
+
+    if (!room.emptySince) {
+      room.emptySince = now;
+    } else if (now - room.emptySince >= ROOM_CONFIG.IDLE_TIMEOUT) {
+      closeMatchRoom(room);
+    }
+  }
+}
+
+// Room details sent to clients in the room
+function getRoomInfo(room) {
+  return {
+    id: room.id,
+    code: room.code,
+    name: room.name,
+    isPrivate: room.isPrivate,
+    gameMode: room.gameMode,
+    gameModes: listGameModes(),
+    players: room.players.size,
+    maxPlayers: GAME_CONFIG.MAX_PLAYERS,
+  };
+}
+
+// Game config for a room (world size can differ per room after a level is applied)
+function getRoomGameConfig(room) {
+  return {
+    ...GAME_CONFIG,
+    WORLD_WIDTH: room.worldWidth,
+    WORLD_HEIGHT: room.worldHeight,
+  };
+}
+
+// Collision geometry clients need to predict their own movement
+function getRoomMap(room) {
+  return {
+    walls: room.walls,
+    crates: room.crates,
+    worldWidth: room.worldWidth,
+    worldHeight: room.worldHeight,
+  };
+}
+
+function getSocketRoom(socket) {
+  return roomManager.get(socket.data.roomId);
+}
+
+// Remove a human player from a room and notify the rest of the room
+function removePlayerFromRoom(room, playerId) {
+  if (!room.players.delete(playerId)) return false;
+  room.economy.forget(playerId);
+
+  io.to(room.id).emit("playerLeft", playerId);
+
+  // Maintain bot count (spawn bots if needed)
+  maintainBotCount(room);
+
+  // Broadcast updated player count
+  io.to(room.id).emit("playerCount", room.players.size + room.bots.size);
+  return true;
+}
+
+// Move a socket into a room as a spectator, leaving its current room
+function moveSocketToRoom(socket, room) {
+  const currentRoom = getSocketRoom(socket);
+  if (currentRoom === room) return;
+
+  if (currentRoom) {
+    removePlayerFromRoom(currentRoom, socket.id);
+    socket.leave(currentRoom.id);
+  }
+
+  socket.join(room.id);
+  socket.data.roomId = room.id;
+  socket.data.ackSeq = null; // Next state update is a keyframe
+  room.emptySince = null;
+
+  socket.emit("roomJoined", getRoomInfo(room));
+}
+
+// Send the latest snapshot to everyone in a room, each as a delta against
+// the last snapshot that client acknowledged
+function broadcastSnapshot(room) {
+  const socketIds = io.sockets.adapter.rooms.get(room.id);
+  if (!socketIds) return;
+
+  for (const socketId of socketIds) {
+    const socket = io.sockets.sockets.get(socketId);
+    if (!socket) continue;
+
+    const { message, bytes } = room.snapshots.encode(socket.data.ackSeq);
+    performanceMonitor.recordMessage(bytes);
+    socket.emit("state", message);
+  }
+}
+
+// API endpoint to list public rooms
+app.get("/api/rooms", (req, res) => {
+  const requestId = `${Date.now()}-${Math.random()}`;
+  performanceMonitor.startRequest(requestId, "/api/rooms");
+  res.json({ rooms: roomManager.list() });
+  performanceMonitor.endRequest(requestId);
+});
+
+// Bots in a room and how hard they play
+// ?room=<id> (defaults to the public room)
+app.get("/api/bots", (req, res) => {
+  const room = roomManager.get(req.query.room || DEFAULT_ROOM_ID);
+  if (!room) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+
+  res.json({
+    difficulties: listBotDifficulties(),
+    defaultDifficulty: BOT_CONFIG.DIFFICULTY,
+    behaviors: room.botBrain.describe(),
+    bots: Array.from(room.bots.values()).map((bot) => ({
+      id: bot.id,
+      name: bot.name,
+      difficulty: bot.difficulty,
+      behavior: bot.decision ? bot.decision.behavior : null,
+    })),
+  });
+});
+
+// What a bot is thinking: its last decision (every behavior's score) and
+// what it went on
+app.get("/api/bots/:id/brain", (req, res) => {
+  const room = roomManager.get(req.query.room || DEFAULT_ROOM_ID);
+  const bot = room && room.bots.get(req.params.id);
+  if (!bot) {
+    return res.status(404).json({ error: "Bot not found" });
+  }
+
+  const target = bot.currentTarget;
+  res.json({
+    id: bot.id,
+    name: bot.name,
+    difficulty: bot.difficulty,
+    alive: bot.health > 0,
+    decision: bot.decision || null,
+    target:
+      target && bot.health > 0
+        ? {
+            id: target.id,
+            name: target.name,
+            distance: Math.round(bot.currentTargetDist),
+          }
+        : null,
+    memory: bot.memory.list(Date.now()),
+    flankRoute: bot.flankRoute || null,
+    lastHeardSound: bot.lastHeardSound || null,
+    strategicWaypoint: bot.strategicWaypoint || null,
+    path: bot.path ? bot.path.points.slice(bot.path.index) : null,
+  });
+});
+
+// Change one bot's difficulty: { difficulty } (admin only)
+app.post("/api/bots/:id/difficulty", requireAdmin, (req, res) => {
+  const room = roomManager.get(req.query.room || DEFAULT_ROOM_ID);
+  const bot = room && room.bots.get(req.params.id);
+  if (!bot) {
+    return res.status(404).json({ error: "Bot not found" });
+  }
+
+  const { difficulty } = req.body || {};
+  if (!isBotDifficulty(difficulty)) {
+    return res.status(400).json({
+      error: `Unknown difficulty - use one of: ${listBotDifficulties()
+        .map((d) => d.id)
+        .join(", ")}`,
+    });
+  }
+
+  bot.difficulty = difficulty;
+  console.log(`🤖 ${bot.name} is now on ${difficulty} difficulty`);
+  res.json({ id: bot.id, name: bot.name, difficulty });
+});
+
+// ====== LAG COMPENSATION ======
+
+const LAG_COMPENSATION = {
+  RECENT_HITS: 20, // Rewound hits kept for the debug endpoint
+};
+
+// How far back a shooter's projectiles should test targets: the age of the
+// newest snapshot they acknowledged, plus roughly one snapshot interval
+// because the client renders interpolated between the last two snapshots
+function getShooterRewindMs(room, shooter, now) {
+  const socket = io.sockets.sockets.get(shooter.id);
+  if (!socket || socket.data.ackSeq == null) return 0; // Bots, or no ack yet
+
+  const snapshotTime = room.snapshots.getTime(socket.data.ackSeq);
+  if (snapshotTime === undefined) return 0;
+
+  const rewindMs = now - snapshotTime + STATE_BROADCAST_INTERVAL;
+  return Math.max(0, Math.min(MAX_REWIND_MS, Math.round(rewindMs)));
+}
+
+// Position a projectile should test a target at (null = target was dead then)
+function getLagCompensatedPosition(room, target, proj, now) {
+  if (!proj.rewindMs) {
+    return target;
+  }
+  return room.positionHistory.positionAt(target, now - proj.rewindMs);
+}
+
+function recordRewoundHit(room, proj, target, hitbox, now) {
+  if (!proj.rewindMs) return;
+
+  room.recentRewoundHits.push({
+    time: now,
+    shooterId: proj.shooterId,
+    targetId: target.id,
+    targetName: target.name,
+    rewindMs: proj.rewindMs,
+    hitbox: { x: Math.round(hitbox.x), y: Math.round(hitbox.y) },
+    current: { x: Math.round(target.x), y: Math.round(target.y) },
+  });
+  if (room.recentRewoundHits.length > LAG_COMPENSATION.RECENT_HITS) {
+    room.recentRewoundHits.shift();
+  }
+}
+
+// Debug endpoint: current vs rewound hitboxes for every player and bot
+// ?room=<id>&rewind=<ms> (defaults to the public room and MAX_REWIND_MS)
+app.get("/api/debug/lag-compensation", (req, res) => {
+  const requestId = `${Date.now()}-${Math.random()}`;
+  performanceMonitor.startRequest(requestId, "/api/debug/lag-compensation");
+
+  const room = roomManager.get(req.query.room || DEFAULT_ROOM_ID);
+  if (!room) {
+    performanceMonitor.endRequest(requestId);
+    return res.status(404).json({ error: "Room not found" });
+  }
+
+  const now = Date.now();
+  const requested = parseInt(req.query.rewind, 10);
+  const rewindMs = Math.max(
+    0,
+    Math.min(MAX_REWIND_MS, isNaN(requested) ? MAX_REWIND_MS : requested),
+  );
+
+  const entities = [
+    ...Array.from(room.players.values()),
+    ...Array.from(room.bots.values()),
+  ];
+
+  res.json({
+    roomId: room.id,
+    now,
+    rewindMs,
+    maxRewindMs: MAX_REWIND_MS,
+    hitboxRadius: GAME_CONFIG.PLAYER_RADIUS,
+    shooters: Array.from(room.players.values()).map((player) => ({
+      id: player.id,
+      name: player.name,
+      rewindMs: getShooterRewindMs(room, player, now),
+    })),
+    hitboxes: entities.map((entity) => {
+      const rewound = room.positionHistory.positionAt(entity, now - rewindMs);
+      return {
+        id: entity.id,
+        name: entity.name,
+        isBot: room.bots.has(entity.id),
+        current: { x: Math.round(entity.x), y: Math.round(entity.y) },
+        rewound: rewound
+          ? { x: Math.round(rewound.x), y: Math.round(rewound.y) }
+          : null, // Dead at that time
+      };
+    }),
+    recentHits: room.recentRewoundHits,
+  });
+  performanceMonitor.endRequest(requestId);
+});
+
 // Performance monitoring WebSocket namespace
 const performanceIO = io.of("/performance");
 performanceIO.on("connection", (socket) => {
@@ -2344,6 +4011,20 @@ performanceIO.on("connection", (socket) => {
 
 // Broadcast metrics to all performance monitors every second
 setInterval(() => {
+  // Aggregate game state across all rooms
+  const totals = { players: 0, bots: 0, projectiles: 0, pickups: 0 };
+  for (const room of roomManager.values()) {
+    totals.players += room.players.size;
+    totals.bots += room.bots.size;
+    totals.projectiles += room.projectiles.length;
+    totals.pickups += room.pickups.filter((p) => p.active).length;
+  }
+  performanceMonitor.updateGameState({
+    ...totals,
+    activeGames: roomManager.size,
+  });
+  performanceMonitor.updateConnectionCount(io.engine.clientsCount);
+
   const metrics = performanceMonitor.getMetrics();
   performanceIO.emit("metrics", metrics);
 }, 1000);
@@ -2352,40 +4033,80 @@ setInterval(() => {
 io.on("connection", (socket) => {
   console.log("Player connected:", socket.id);
 
+  // Who the player is beyond this connection (see getPlayerKey) - without a
+  // token they're someone new every time
+  const { playerToken } = socket.handshake.auth || {};
+  socket.data.playerKey = getPlayerKey(playerToken) || `guest_${socket.id}`;
+
   // Send client version immediately on connection
   socket.emit("clientVersion", { version: CLIENT_VERSION });
 
-  socket.on("join", (playerName) => {
+  // Everyone starts out spectating the public arena
+  moveSocketToRoom(socket, roomManager.get(DEFAULT_ROOM_ID));
+
+  socket.on("join", (data) => {
     try {
-      // Check if server is full
-      if (gameState.players.size >= GAME_CONFIG.MAX_PLAYERS) {
+      // Accept a plain player name (older clients) or { name, roomCode }
+      const { name: playerName, roomCode } =
+        data && typeof data === "object" ? data : { name: data };
+
+      let room = getSocketRoom(socket);
+
+      if (roomCode) {
+        room = roomManager.getByCode(roomCode);
+        if (!room) {
+          socket.emit("roomNotFound", { code: roomCode });
+          return;
+        }
+      } else if (
+        room.players.size >= GAME_CONFIG.MAX_PLAYERS &&
+        !room.isPrivate
+      ) {
+        // Matchmaking: find another public room with space, or open one
+        room =
+          roomManager.findPublicRoom(GAME_CONFIG.MAX_PLAYERS) ||
+          createMatchRoom() ||
+          room;
+      }
+
+      // Check if room is full
+      if (
+        room.players.size >= GAME_CONFIG.MAX_PLAYERS &&
+        !room.players.has(socket.id)
+      ) {
         socket.emit("serverFull");
-        console.log("Server full, rejected:", socket.id);
+        console.log(`Room ${room.id} full, rejected:`, socket.id);
         return;
       }
 
+      moveSocketToRoom(socket, room);
+
       const player = createPlayer(
+        room,
         socket.id,
-        playerName || `Player${gameState.players.size + 1}`,
+        playerName || `Player${room.players.size + 1}`,
+        socket.data.playerKey,
       );
-      gameState.players.set(socket.id, player);
+      room.players.set(socket.id, player);
 
       socket.emit("init", {
         playerId: socket.id,
-        gameConfig: GAME_CONFIG,
+        roomId: room.id,
+        gameConfig: getRoomGameConfig(room),
         weapons: WEAPONS,
+        map: getRoomMap(room),
       });
 
-      io.emit("playerJoined", {
+      io.to(room.id).emit("playerJoined", {
         id: player.id,
         name: player.name,
       });
 
       // Maintain bot count (kick bots if needed)
-      maintainBotCount();
+      maintainBotCount(room);
 
       // Broadcast updated player count
-      io.emit("playerCount", gameState.players.size + gameState.bots.size);
+      io.to(room.id).emit("playerCount", room.players.size + room.bots.size);
     } catch (error) {
       console.error("❌ Error in join handler:", error);
     }
@@ -2393,38 +4114,42 @@ io.on("connection", (socket) => {
 
   socket.on("input", (input) => {
     try {
-      const player = gameState.players.get(socket.id);
+      const room = getSocketRoom(socket);
+      if (!room) return;
+
+      const player = room.players.get(socket.id);
       if (!player || player.health <= 0) return;
 
       player.aimAngle = input.aimAngle;
 
       // Freeze players during countdown (but allow them to aim)
-      if (gameState.countdownStartTime !== null) {
+      if (room.countdownStartTime !== null) {
         player.vx = 0;
         player.vy = 0;
       } else {
-        // Movement
-        const moveX = (input.right ? 1 : 0) - (input.left ? 1 : 0);
-        const moveY = (input.down ? 1 : 0) - (input.up ? 1 : 0);
-
-        if (moveX !== 0 || moveY !== 0) {
-          // End spawn protection when moving
-          if (player.invulnerable > Date.now()) {
-            player.invulnerable = 0;
-          }
+        // Movement (at the speed the mode allows, e.g. slower flag carriers)
+        const { vx, vy } = inputToVelocity(
+          input,
+          GAME_CONFIG.PLAYER_SPEED * getSpeedMultiplier(room, player),
+        );
 
-          const mag = Math.sqrt(moveX * moveX + moveY * moveY);
-          player.vx = (moveX / mag) * GAME_CONFIG.PLAYER_SPEED;
-          player.vy = (moveY / mag) * GAME_CONFIG.PLAYER_SPEED;
-        } else {
-          player.vx = 0;
-          player.vy = 0;
+        // End spawn protection when moving
+        if ((vx !== 0 || vy !== 0) && player.invulnerable > Date.now()) {
+          player.invulnerable = 0;
         }
+
+        player.vx = vx;
+        player.vy = vy;
+      }
+
+      // Acknowledged in the next tick, once this input has moved the player
+      if (Number.isInteger(input.seq)) {
+        player.pendingInputSeq = input.seq;
       }
 
       // Shooting
       if (input.shoot) {
-        handleShoot(player);
+        handleShoot(room, player);
       }
 
       // Reloading
@@ -2436,7 +4161,7 @@ io.on("connection", (socket) => {
 
       // Grenade throwing
       if (input.throwGrenade && input.grenadePower !== undefined) {
-        throwGrenade(player, input.grenadePower);
+        throwGrenade(room, player, input.grenadePower);
       }
     } catch (error) {
       console.error("❌ Error in input handler:", error);
@@ -2445,21 +4170,15 @@ io.on("connection", (socket) => {
 
   socket.on("spectate", () => {
     try {
-      const player = gameState.players.get(socket.id);
+      const room = getSocketRoom(socket);
+      const player = room && room.players.get(socket.id);
       if (player) {
         console.log(
           `👻 Player ${player.name} (${socket.id}) switching to spectator mode`,
         );
 
         // Remove player from game without marking as disconnect
-        gameState.players.delete(socket.id);
-        io.emit("playerLeft", socket.id);
-
-        // Maintain bot count (spawn bots if needed)
-        maintainBotCount();
-
-        // Broadcast updated player count
-        io.emit("playerCount", gameState.players.size + gameState.bots.size);
+        removePlayerFromRoom(room, socket.id);
       }
     } catch (error) {
       console.error("❌ Error in spectate handler:", error);
@@ -2469,31 +4188,209 @@ io.on("connection", (socket) => {
   socket.on("disconnect", () => {
     try {
       console.log("Player disconnected:", socket.id);
-      gameState.players.delete(socket.id);
-      io.emit("playerLeft", socket.id);
+      modGenerationQueue.cancelPlayer(socket.id);
+      const room = getSocketRoom(socket);
+      if (room) {
+        removePlayerFromRoom(room, socket.id);
+      }
+    } catch (error) {
+      console.error("❌ Error in disconnect handler:", error);
+    }
+  });
 
-      // Maintain bot count (spawn bots if needed)
-      maintainBotCount();
+  // Create a new room and move the creator into it as a spectator
+  socket.on("createRoom", (data = {}) => {
+    try {
+      const room = createMatchRoom({
+        name: data.name,
+        isPrivate: data.isPrivate !== false, // Rooms created by players are private by default
+        gameMode: data.gameMode,
+      });
 
-      // Broadcast updated player count
-      io.emit("playerCount", gameState.players.size + gameState.bots.size);
+      if (!room) {
+        socket.emit("roomError", {
+          message: "No rooms available right now, try again later",
+        });
+        return;
+      }
+
+      moveSocketToRoom(socket, room);
     } catch (error) {
-      console.error("❌ Error in disconnect handler:", error);
+      console.error("❌ Error in createRoom handler:", error);
+    }
+  });
+
+  // Switch to another room (as a spectator) by join code
+  socket.on("joinRoom", (data = {}) => {
+    try {
+      const room = roomManager.getByCode(data.code);
+      if (!room) {
+        socket.emit("roomNotFound", { code: data.code });
+        return;
+      }
+
+      moveSocketToRoom(socket, room);
+    } catch (error) {
+      console.error("❌ Error in joinRoom handler:", error);
+    }
+  });
+
+  // Go back to the public arena
+  socket.on("leaveRoom", () => {
+    try {
+      moveSocketToRoom(socket, roomManager.get(DEFAULT_ROOM_ID));
+    } catch (error) {
+      console.error("❌ Error in leaveRoom handler:", error);
+    }
+  });
+
+  socket.on("listRooms", () => {
+    try {
+      socket.emit("roomList", { rooms: roomManager.list() });
+    } catch (error) {
+      console.error("❌ Error in listRooms handler:", error);
+    }
+  });
+
+  // Client confirms it has applied a snapshot - future deltas build on it
+  socket.on("stateAck", (seq) => {
+    const room = getSocketRoom(socket);
+    if (room && room.snapshots.has(seq)) {
+      socket.data.ackSeq = seq;
     }
   });
 
+  // Client lost track of its baseline - send a full snapshot next
+  socket.on("requestKeyframe", () => {
+    socket.data.ackSeq = null;
+  });
+
   socket.on("error", (error) => {
     console.error("❌ Socket error:", socket.id, error);
   });
 
+  // Mod generation as a queued job that reports progress: modGenerationPhase
+  // (queued, prompting, backfireRolled, validating, retrying,
+  // fallbackChosen), modGenerationToken as code streams in, then one
+  // modGenerationResult. requestId is the client's own ID for the job
+  socket.on("generateMod", (data = {}) => {
+    const { prompt, requestId } = data;
+    if (typeof requestId !== "string" || !requestId) return;
+
+    const reply = (event, payload) =>
+      socket.emit(event, { requestId, ...payload });
+
+    try {
+      if (typeof prompt !== "string" || !prompt.trim()) {
+        reply("modGenerationResult", { error: "Prompt is required" });
+        return;
+      }
+
+      const missingConfig = aiProvider.missingConfig();
+      if (missingConfig) {
+        reply("modGenerationResult", {
+          error: `AI code generation is not available. ${missingConfig}.`,
+        });
+        return;
+      }
+
+      modGenerationQueue.enqueue({
+        playerId: socket.id,
+        jobId: requestId,
+        task: (job) =>
+          generateMod(prompt, {
+            onPhase: (phase, info) => job.emit(phase, info),
+            onToken: (text) => job.emit("token", { text }),
+            signal: job.signal,
+          }),
+        onProgress: (phase, info) => {
+          if (phase === "token") {
+            reply("modGenerationToken", info);
+          } else {
+            reply("modGenerationPhase", { phase, ...info });
+          }
+        },
+        onFinish: ({ result, error, cancelled }) => {
+          if (cancelled) {
+            console.log(`🛑 Mod generation ${requestId} cancelled`);
+            reply("modGenerationResult", { cancelled: true });
+          } else if (error) {
+            console.error("❌ Mod generation failed:", error.message);
+            reply("modGenerationResult", describeGenerationFailure(error));
+          } else {
+            if (result.id != null) {
+              grantMod(socket, result.id);
+            }
+            reply("modGenerationResult", result);
+          }
+        },
+      });
+    } catch (error) {
+      // Queue limits (one generation per player, full queue)
+      reply("modGenerationResult", { error: error.message });
+    }
+  });
+
+  socket.on("cancelModGeneration", (data = {}) => {
+    modGenerationQueue.cancel(socket.id, data.requestId);
+  });
+
+  // Repair a mod that broke: { requestId, code, type, error, stack?, modId? }.
+  // Queued like a generation, and counts toward the same limits
+  socket.on("repairMod", (data = {}) => {
+    const { requestId } = data;
+    if (typeof requestId !== "string" || !requestId) return;
+
+    const reply = (payload) =>
+      socket.emit("modRepairResult", { requestId, ...payload });
+
+    try {
+      modGenerationQueue.enqueue({
+        playerId: socket.id,
+        jobId: requestId,
+        task: (job) => repairModForPlayer(socket, data, { signal: job.signal }),
+        onProgress: () => {},
+        onFinish: ({ result, error, cancelled }) => {
+          if (cancelled) {
+            reply({ cancelled: true });
+          } else if (error) {
+            console.error("❌ Error repairing mod:", error);
+            reply({ error: error.message || "Failed to repair mod" });
+          } else {
+            reply(result);
+          }
+        },
+      });
+    } catch (error) {
+      // Queue limits (one generation per player, full queue)
+      reply({ error: error.message });
+    }
+  });
+
   // Server-side mod execution
   socket.on("executeServerMod", (data) => {
     try {
-      const { code, name } = data;
+      const { code, name, modId } = data;
+      const room = getSocketRoom(socket);
+      if (!room) return;
+
       const playerId = socket.id;
-      const player = gameState.players.get(playerId);
+      const player = room.players.get(playerId);
       const isSpectator = !player;
 
+      // Someone else's catalog mod costs what the shop charges for it
+      const catalogMod = findCatalogMod(modId, code);
+      const price = getCatalogModPrice(socket, catalogMod);
+      if (price > 0 && (isSpectator || player.credits < price)) {
+        socket.emit("serverModResult", {
+          error: isSpectator
+            ? "Spectators can't buy mods"
+            : `This mod costs ${price} credits`,
+          reason: "price",
+        });
+        return;
+      }
+
       // Check cooldown for non-spectators
       if (!isSpectator) {
         const now = Date.now();
@@ -2523,139 +4420,81 @@ io.on("connection", (socket) => {
         console.log(`🔧 Executing server mod for ${player.name}`);
       }
 
-      // Save server mod to database
-      try {
-        const modName = name || `server_${Date.now()}`;
-        saveMod(modName, code, "server", null, playerId);
-      } catch (dbError) {
-        console.error("Failed to save server mod to database:", dbError);
-        // Don't fail the request if database save fails
+      if (price > 0) {
+        room.economy.spend(player, price, "purchase", { modId: catalogMod.id });
       }
 
-      // Create server mod API available to mod code
-      const serverModAPI = {
-        // Current player ID (the one executing the mod)
+      // Execute the mod code in the sandbox
+      const sandboxResult = modSandbox.runServerMod(code, {
+        ...getModGameData(room, Date.now()),
         myId: playerId,
+      });
 
-        // Spectator status - true if the user is spectating, false if actively playing
-        isSpectator: isSpectator,
-
-        // Game state access (read-only references)
-        getGameState: () => ({
-          players: Array.from(gameState.players.values()),
-          bots: Array.from(gameState.bots.values()),
-          projectiles: gameState.projectiles,
-          pickups: gameState.pickups,
-        }),
-
-        // Player manipulation
-        setHealth: (targetId, health) => {
-          const target =
-            gameState.players.get(targetId) || gameState.bots.get(targetId);
-          if (target) {
-            target.health = Math.max(
-              0,
-              Math.min(GAME_CONFIG.PLAYER_MAX_HEALTH, health),
-            );
-            console.log(`❤️ Set health of ${target.name} to ${target.health}`);
-            return true;
-          }
-          return false;
-        },
-
-        setArmor: (targetId, armor) => {
-          const target =
-            gameState.players.get(targetId) || gameState.bots.get(targetId);
-          if (target) {
-            target.armor = Math.max(0, Math.min(100, armor));
-            console.log(`🛡️ Set armor of ${target.name} to ${target.armor}`);
-            return true;
-          }
-          return false;
-        },
-
-        teleportPlayer: (targetId, x, y) => {
-          const target =
-            gameState.players.get(targetId) || gameState.bots.get(targetId);
-          if (target) {
-            target.x = Math.max(0, Math.min(GAME_CONFIG.WORLD_WIDTH, x));
-            target.y = Math.max(0, Math.min(GAME_CONFIG.WORLD_HEIGHT, y));
-            console.log(
-              `📍 Teleported ${target.name} to (${target.x}, ${target.y})`,
-            );
-            return true;
-          }
-          return false;
-        },
-
-        giveWeapon: (targetId, weapon) => {
-          const target =
-            gameState.players.get(targetId) || gameState.bots.get(targetId);
-          if (target && WEAPONS[weapon]) {
-            target.weapon = weapon;
-            target.ammo = WEAPONS[weapon].mag;
-            target.maxAmmo = WEAPONS[weapon].mag;
-            target.reloading = false;
-            console.log(`🔫 Gave ${weapon} to ${target.name}`);
-            return true;
-          }
-          return false;
-        },
-
-        spawnPickup: (x, y, type) => {
-          if (!PICKUP_TYPES[type]) return false;
+      for (const line of sandboxResult.logs || []) {
+        console.log(`[Server Mod]`, line);
+      }
 
-          gameState.pickups.push({
-            id: gameState.nextPickupId++,
-            x: Math.max(0, Math.min(GAME_CONFIG.WORLD_WIDTH, x)),
-            y: Math.max(0, Math.min(GAME_CONFIG.WORLD_HEIGHT, y)),
-            type,
-            active: true,
-            respawnAt: null,
-          });
-          console.log(`📦 Spawned pickup ${type} at (${x}, ${y})`);
-          return true;
-        },
+      if (!sandboxResult.ok) {
+        console.error(
+          `❌ Server mod failed (${sandboxResult.reason}): ${sandboxResult.error}`,
+        );
 
-        killPlayer: (targetId) => {
-          const target =
-            gameState.players.get(targetId) || gameState.bots.get(targetId);
-          if (target && target.health > 0) {
-            target.health = 0;
-            target.deaths++;
-            target.respawnAt = Date.now() + GAME_CONFIG.RESPAWN_DELAY;
-            console.log(`💀 Killed ${target.name}`);
-            return true;
+        // It's no longer listed as working once it's clearly broken (not
+        // the sandbox's fault when it was restarting)
+        if (
+          catalogMod &&
+          sandboxResult.reason !== "unavailable" &&
+          isServerModBroken(catalogMod, sandboxResult)
+        ) {
+          serverModFailures.delete(catalogMod.id);
+          try {
+            markModFailed(catalogMod.id, sandboxResult.error);
+          } catch (dbError) {
+            console.error("Failed to mark server mod as failed:", dbError);
           }
-          return false;
-        },
-
-        getAllPlayers: () => {
-          return [
-            ...Array.from(gameState.players.values()),
-            ...Array.from(gameState.bots.values()),
-          ];
-        },
+        }
 
-        // Utility functions
-        log: (...args) => {
-          console.log(`[Server Mod]`, ...args);
-        },
+        // Nothing it did was applied, so give the cooldown (and credits)
+        // back - the player can run a repaired version right away
+        if (price > 0) {
+          room.economy.refund(player, price, { modId: catalogMod.id });
+        }
+        if (!isSpectator) {
+          player.modCooldownEnd = 0;
+          socket.emit("modCooldownUpdate", { cooldownEnd: 0 });
+        }
+        socket.emit("serverModResult", {
+          error: sandboxResult.error,
+          stack: sandboxResult.stack,
+          reason: sandboxResult.reason,
+        });
+        return;
+      }
 
-        broadcast: (message) => {
-          io.emit("serverModMessage", { message });
-        },
-      };
+      applyModCommands(
+        createModAPI(room, (message) => console.log(message)),
+        sandboxResult.commands,
+      );
+      const result = sandboxResult.result;
 
-      // Execute the mod code in a safe context
-      // Wrap code in a function that receives the API
-      const modFunction = new Function("api", code);
-      const result = modFunction(serverModAPI);
+      // Count it as a use of its catalog mod, or save it if it's new - only
+      // once it has worked
+      try {
+        if (catalogMod) {
+          serverModFailures.delete(catalogMod.id);
+          recordModActivation(catalogMod.id, playerId);
+        } else {
+          const modName = name || `server_${Date.now()}`;
+          saveMod(modName, code, "server", null, socket.data.playerKey);
+        }
+      } catch (dbError) {
+        console.error("Failed to save server mod to database:", dbError);
+        // Don't fail the request if database save fails
+      }
 
       socket.emit("serverModResult", {
         success: true,
-        result:
-          result !== undefined ? String(result) : "Mod executed successfully",
+        result: result !== null ? result : "Mod executed successfully",
       });
 
       if (isSpectator) {
@@ -2678,16 +4517,237 @@ io.on("connection", (socket) => {
   socket.on("saveClientMod", (data) => {
     try {
       const { name, code } = data;
-      const playerId = socket.id;
+      const { playerKey } = socket.data;
 
       // Save client mod to database
-      saveMod(name, code, "client", null, playerId);
-      console.log(`💾 Saved client mod "${name}" for player ${playerId}`);
+      saveMod(name, code, "client", null, playerKey);
+      console.log(`💾 Saved client mod "${name}" for player ${playerKey}`);
     } catch (error) {
       console.error("Failed to save client mod:", error);
     }
   });
 
+  // Vote on a catalog mod: { modId, vote: 1 | -1 | 0 }. One vote per
+  // player key, so it takes a connection to cast one
+  socket.on("voteMod", (data = {}) => {
+    const { modId, vote } = data;
+    try {
+      if (![1, -1, 0].includes(vote)) {
+        socket.emit("modVoteResult", {
+          modId,
+          error: "vote must be 1, -1 or 0",
+        });
+        return;
+      }
+      if (!Number.isInteger(modId) || !getModById(modId)) {
+        socket.emit("modVoteResult", { modId, error: "Mod not found" });
+        return;
+      }
+
+      socket.emit("modVoteResult", {
+        modId,
+        ...voteOnMod(modId, socket.data.playerKey, vote),
+      });
+    } catch (error) {
+      console.error("❌ Error voting on mod:", error);
+      socket.emit("modVoteResult", { modId, error: error.message });
+    }
+  });
+
+  // Shop: what's for sale and the player's balance. Catalog mods are browsed
+  // with /api/mods/catalog and cost SHOP_PRICES.mods by type
+  socket.on("getShop", () => {
+    try {
+      const room = getSocketRoom(socket);
+      const player = room && room.players.get(socket.id);
+      socket.emit("shopItems", {
+        credits: player ? player.credits : 0,
+        items: listShopItems(),
+        modPrices: SHOP_PRICES.mods,
+      });
+    } catch (error) {
+      console.error("❌ Error fetching shop:", error);
+      socket.emit("shopItems", { error: error.message });
+    }
+  });
+
+  // The player's own credit ledger, newest first, across their connections
+  // (only theirs - it's filed under their player key)
+  socket.on("getCreditTransactions", (data = {}) => {
+    try {
+      const limit = Math.min(parseInt(data.limit) || 50, 500);
+      socket.emit("creditTransactions", {
+        transactions: getCreditTransactions(socket.data.playerKey, limit),
+      });
+    } catch (error) {
+      console.error("❌ Error fetching credit transactions:", error);
+      socket.emit("creditTransactions", { error: error.message });
+    }
+  });
+
+  // Buy a consumable with credits
+  socket.on("purchaseItem", (data) => {
+    try {
+      const room = getSocketRoom(socket);
+      const player = room && room.players.get(socket.id);
+      if (!player) {
+        socket.emit("purchaseResult", { error: "Spectators can't buy items" });
+        return;
+      }
+
+      const itemId = data && data.itemId;
+      const item = Object.hasOwn(SHOP_ITEMS, itemId)
+        ? SHOP_ITEMS[itemId]
+        : null;
+      if (!item) {
+        socket.emit("purchaseResult", { error: "Unknown item" });
+        return;
+      }
+      if (player.health <= 0) {
+        socket.emit("purchaseResult", {
+          error: "You can't buy items while dead",
+        });
+        return;
+      }
+      if (player.credits < item.price) {
+        socket.emit("purchaseResult", {
+          error: `${item.name} costs ${item.price} credits`,
+          credits: player.credits,
+        });
+        return;
+      }
+
+      const limits = {
+        maxHealth: GAME_CONFIG.PLAYER_MAX_HEALTH,
+        maxArmor: 100,
+      };
+      if (!item.apply(player, limits)) {
+        socket.emit("purchaseResult", {
+          error: `You don't need a ${item.name} right now`,
+          credits: player.credits,
+        });
+        return;
+      }
+
+      room.economy.spend(player, item.price, "purchase", { itemId });
+      console.log(
+        `🛒 ${player.name} bought ${item.name} for ${item.price} credits`,
+      );
+      socket.emit("purchaseResult", {
+        success: true,
+        itemId,
+        credits: player.credits,
+      });
+    } catch (error) {
+      console.error("❌ Error purchasing item:", error);
+      socket.emit("purchaseResult", { error: error.message });
+    }
+  });
+
+  // Buy a mod from the catalog with credits: client mods are sent back to
+  // load, server mods run now and persistent mods are activated on the buyer
+  socket.on("purchaseMod", (data) => {
+    try {
+      const room = getSocketRoom(socket);
+      const player = room && room.players.get(socket.id);
+      if (!player) {
+        socket.emit("purchaseResult", { error: "Spectators can't buy mods" });
+        return;
+      }
+
+      const mod = data && data.modId != null ? getModById(data.modId) : null;
+      if (!mod || mod.failed || !mod.code) {
+        socket.emit("purchaseResult", { error: "Mod not found" });
+        return;
+      }
+
+      const price = SHOP_PRICES.mods[mod.type];
+      if (!room.economy.spend(player, price, "purchase", { modId: mod.id })) {
+        socket.emit("purchaseResult", {
+          error: `This mod costs ${price} credits`,
+          credits: player.credits,
+        });
+        return;
+      }
+
+      if (mod.type === "server") {
+        const sandboxResult = modSandbox.runServerMod(mod.code, {
+          ...getModGameData(room, Date.now()),
+          myId: player.id,
+        });
+        if (!sandboxResult.ok) {
+          room.economy.refund(player, price, { modId: mod.id });
+          socket.emit("purchaseResult", {
+            error: `Mod failed: ${sandboxResult.error}`,
+            credits: player.credits,
+          });
+          return;
+        }
+        applyModCommands(
+          createModAPI(room, (message) => console.log(message)),
+          sandboxResult.commands,
+        );
+      } else if (mod.type === "persistent") {
+        addActiveMod(
+          player.id,
+          mod.code,
+          SHOP_PRICES.PERSISTENT_MOD_DURATION_MS,
+          mod.name,
+          mod.user_prompt,
+          "player",
+          player.id,
+          player.name,
+          room.id,
+        );
+        modRegistry.invalidate(room.id);
+      }
+
+      recordModActivation(mod.id, player.id);
+      console.log(
+        `🛒 ${player.name} bought mod ${mod.name} (${mod.type}) for ${price} credits`,
+      );
+
+      socket.emit("purchaseResult", {
+        success: true,
+        modId: mod.id,
+        name: mod.name,
+        type: mod.type,
+        code: mod.type === "client" ? mod.code : undefined,
+        credits: player.credits,
+      });
+      io.to(room.id).emit("modActivated", {
+        entityId: player.id,
+        entityName: player.name,
+        modId: mod.id,
+        modName: mod.name,
+      });
+    } catch (error) {
+      console.error("❌ Error purchasing mod:", error);
+      socket.emit("purchaseResult", { error: error.message });
+    }
+  });
+
+  // A client loaded a catalog mod in the browser
+  socket.on("clientModLoaded", (data) => {
+    try {
+      const { modId, code } = data;
+      if (typeof code !== "string") return;
+
+      // Only so many reports a minute are looked at
+      const now = Date.now();
+      const loads = (socket.data.modLoads || []).filter(
+        (time) => now - time < CLIENT_MOD_LOAD_LIMIT.WINDOW_MS,
+      );
+      if (loads.length >= CLIENT_MOD_LOAD_LIMIT.MAX) return;
+      loads.push(now);
+      socket.data.modLoads = loads;
+
+      recordCatalogActivation(modId, code, socket.id);
+    } catch (error) {
+      console.error("Failed to record client mod load:", error);
+    }
+  });
+
   // Activate persistent mod that runs every game tick
   socket.on("activatePersistentMod", (data) => {
     try {
@@ -2699,11 +4759,27 @@ io.on("connection", (socket) => {
         targetScope,
         targetPlayerId,
         targetPlayerName,
+        modId: catalogModId,
       } = data;
+      const room = getSocketRoom(socket);
+      if (!room) return;
+
       const playerId = socket.id;
-      const player = gameState.players.get(playerId);
+      const player = room.players.get(playerId);
       const isSpectator = !player;
 
+      // Someone else's catalog mod costs what the shop charges for it
+      const catalogMod = findCatalogMod(catalogModId, code);
+      const price = getCatalogModPrice(socket, catalogMod);
+      if (price > 0 && (isSpectator || player.credits < price)) {
+        socket.emit("persistentModResult", {
+          error: isSpectator
+            ? "Spectators can't buy mods"
+            : `This mod costs ${price} credits`,
+        });
+        return;
+      }
+
       // Check cooldown for non-spectators
       if (!isSpectator) {
         const now = Date.now();
@@ -2725,10 +4801,16 @@ io.on("connection", (socket) => {
         });
       }
 
-      // Validate duration (max 5 minutes = 300000ms)
-      const maxDuration = 300000;
+      // Validate duration (max 5 minutes = 300000ms, or as long as the
+      // shop sells it for if it's bought)
+      const maxDuration =
+        price > 0 ? SHOP_PRICES.PERSISTENT_MOD_DURATION_MS : 300000;
       const duration = Math.min(durationMs || 60000, maxDuration);
 
+      if (price > 0) {
+        room.economy.spend(player, price, "purchase", { modId: catalogMod.id });
+      }
+
       // Get activator name for logging
       const activatorName = isSpectator ? socket.id : player.name;
 
@@ -2757,7 +4839,17 @@ io.on("connection", (socket) => {
         scope,
         targetId,
         targetName,
+        room.id,
       );
+      modRegistry.invalidate(room.id);
+
+      try {
+        if (catalogMod) {
+          recordModActivation(catalogMod.id, playerId);
+        }
+      } catch (dbError) {
+        console.error("Failed to record mod activation:", dbError);
+      }
 
       socket.emit("persistentModResult", {
         success: true,
@@ -2787,53 +4879,49 @@ io.on("connection", (socket) => {
   // Handle game mode voting
   socket.on("voteGameMode", (data) => {
     const { gameMode } = data;
+    const room = getSocketRoom(socket);
+    if (!room) return;
+
     const playerId = socket.id;
-    const player = gameState.players.get(playerId);
+    const player = room.players.get(playerId);
 
     if (!player) return; // Only players can vote, not spectators
 
     // Validate game mode
-    if (gameMode !== "vibematch" && gameMode !== "vibe-royale") {
+    if (!hasGameMode(gameMode)) {
       return;
     }
 
     // Record vote
-    gameState.votes.set(playerId, gameMode);
+    room.votes.set(playerId, gameMode);
 
     // Count votes
-    const voteCounts = { vibematch: 0, "vibe-royale": 0 };
-    for (const [id, mode] of gameState.votes) {
-      if (gameState.players.has(id)) {
+    const modeIds = listGameModes().map((mode) => mode.id);
+    const voteCounts = Object.fromEntries(modeIds.map((mode) => [mode, 0]));
+    for (const [id, mode] of room.votes) {
+      if (room.players.has(id)) {
         voteCounts[mode]++;
       }
     }
 
     // Broadcast vote update to all players
-    io.emit("voteUpdate", {
+    io.to(room.id).emit("voteUpdate", {
       votes: voteCounts,
-      totalPlayers: gameState.players.size,
+      totalPlayers: room.players.size,
     });
 
     // If majority votes for a different mode, switch modes
-    const totalVotes = voteCounts.vibematch + voteCounts["vibe-royale"];
-    const currentMode = gameState.gameMode;
-
-    if (
-      voteCounts["vibe-royale"] > gameState.players.size / 2 &&
-      currentMode !== "vibe-royale"
-    ) {
-      switchGameMode("vibe-royale");
-    } else if (
-      voteCounts.vibematch > gameState.players.size / 2 &&
-      currentMode !== "vibematch"
-    ) {
-      switchGameMode("vibematch");
+    const winningMode = modeIds.find(
+      (mode) => voteCounts[mode] > room.players.size / 2,
+    );
+    if (winningMode && winningMode !== room.gameMode) {
+      switchGameMode(room, winningMode);
     }
   });
 });
 
 // Handle shooting - creates projectiles instead of instant hitscan
-function handleShoot(player) {
+function handleShoot(room, player) {
   // End spawn protection when shooting
   if (player.invulnerable > Date.now()) {
     player.invulnerable = 0;
@@ -2842,7 +4930,7 @@ function handleShoot(player) {
   if (player.reloading) return;
   if (player.ammo <= 0) {
     // Emit out of ammo click event
-    io.emit("outOfAmmo", {
+    io.to(room.id).emit("outOfAmmo", {
       playerId: player.id,
       x: player.x,
       y: player.y,
@@ -2860,6 +4948,9 @@ function handleShoot(player) {
   player.lastShot = now;
   player.ammo--;
 
+  // Test this shot's hits against where targets were on the shooter's screen
+  const rewindMs = getShooterRewindMs(room, player, now);
+
   // Handle different weapon types
   if (player.weapon === "shotgun") {
     // Shotgun fires multiple projectile pellets
@@ -2869,12 +4960,14 @@ function handleShoot(player) {
 
       // Create projectile
       createProjectile(
+        room,
         player.x,
         player.y,
         angle,
         weapon,
         player.id,
         player.weapon,
+        rewindMs,
       );
     }
   } else {
@@ -2884,31 +4977,49 @@ function handleShoot(player) {
 
     // Create projectile
     createProjectile(
+      room,
       player.x,
       player.y,
       angle,
       weapon,
       player.id,
       player.weapon,
+      rewindMs,
     );
   }
 
-  io.emit("shoot", {
+  io.to(room.id).emit("shoot", {
     playerId: player.id,
     x: player.x,
     y: player.y,
     angle: player.aimAngle,
     weapon: player.weapon,
   });
+  room.events.emit("shot", {
+    shooterId: player.id,
+    weapon: player.weapon,
+    x: player.x,
+    y: player.y,
+    angle: player.aimAngle,
+  });
 
   // Create gunshot sound event for bots to hear
-  createSoundEvent(player.x, player.y, "gunshot", player.id);
+  createSoundEvent(room, player.x, player.y, "gunshot", player.id);
 }
 
 // Create a projectile
-function createProjectile(x, y, angle, weapon, shooterId, weaponName) {
+function createProjectile(
+  room,
+  x,
+  y,
+  angle,
+  weapon,
+  shooterId,
+  weaponName,
+  rewindMs = 0,
+) {
   const projectile = {
-    id: gameState.nextProjectileId++,
+    id: room.nextProjectileId++,
     x,
     y,
     vx: Math.cos(angle) * weapon.projectileSpeed,
@@ -2921,13 +5032,14 @@ function createProjectile(x, y, angle, weapon, shooterId, weaponName) {
     distanceTraveled: 0,
     maxRange: weapon.range,
     hasPenetrated: false, // Track if this projectile has already penetrated a wall
+    rewindMs, // Shooter's latency - targets are tested this far in the past
   };
 
-  gameState.projectiles.push(projectile);
+  room.projectiles.push(projectile);
 }
 
 // Throw a grenade
-function throwGrenade(player, power) {
+function throwGrenade(room, player, power) {
   const now = Date.now();
 
   // Check cooldown
@@ -2940,6 +5052,11 @@ function throwGrenade(player, power) {
     return;
   }
 
+  // Mode rules (e.g. flag carriers can't throw)
+  if (!getRoomMode(room).canThrowGrenade(room, player)) {
+    return;
+  }
+
   player.lastGrenadeThrow = now;
   player.grenades--;
 
@@ -2949,7 +5066,7 @@ function throwGrenade(player, power) {
     (GRENADE_CONFIG.MAX_VELOCITY - GRENADE_CONFIG.BASE_VELOCITY) * power;
 
   const grenade = {
-    id: gameState.nextGrenadeId++,
+    id: room.nextGrenadeId++,
     x: player.x,
     y: player.y,
     vx: Math.cos(player.aimAngle) * velocity,
@@ -2961,13 +5078,13 @@ function throwGrenade(player, power) {
     power: power,
   };
 
-  gameState.grenades.push(grenade);
+  room.grenades.push(grenade);
 
   console.log(
     `💣 ${player.name} threw grenade with power ${Math.round(power * 100)}%`,
   );
 
-  io.emit("grenadeThrown", {
+  io.to(room.id).emit("grenadeThrown", {
     id: grenade.id,
     x: grenade.x,
     y: grenade.y,
@@ -2979,12 +5096,12 @@ function throwGrenade(player, power) {
 }
 
 // Detonate grenade and apply damage
-function detonateGrenade(grenade) {
+function detonateGrenade(room, grenade) {
   // Find all entities within blast radius
   const damagedEntities = [];
 
   // Check players
-  for (const [id, player] of gameState.players) {
+  for (const [id, player] of room.players) {
     if (player.health <= 0) continue;
 
     const dx = player.x - grenade.x;
@@ -2994,9 +5111,16 @@ function detonateGrenade(grenade) {
     if (distance <= GRENADE_CONFIG.BLAST_RADIUS) {
       // Calculate damage based on distance (inverse linear falloff)
       const damagePercent = 1 - distance / GRENADE_CONFIG.BLAST_RADIUS;
-      const damage =
+      const damage = emitDamageEvent(
+        room,
+        player,
         GRENADE_CONFIG.MIN_DAMAGE +
-        (GRENADE_CONFIG.MAX_DAMAGE - GRENADE_CONFIG.MIN_DAMAGE) * damagePercent;
+          (GRENADE_CONFIG.MAX_DAMAGE - GRENADE_CONFIG.MIN_DAMAGE) *
+            damagePercent,
+        grenade.throwerId,
+        "grenade",
+      );
+      if (damage <= 0 || player.health <= 0) continue;
 
       // Apply damage (armor absorbs first)
       let actualDamage = damage;
@@ -3017,17 +5141,16 @@ function detonateGrenade(grenade) {
       // Check for kill
       if (player.health <= 0) {
         player.deaths++;
-        player.respawnAt = Date.now() + GAME_CONFIG.RESPAWN_DELAY;
 
         const thrower =
-          gameState.players.get(grenade.throwerId) ||
-          gameState.bots.get(grenade.throwerId);
+          room.players.get(grenade.throwerId) ||
+          room.bots.get(grenade.throwerId);
 
         if (thrower && grenade.throwerId !== player.id) {
           thrower.kills++;
 
           // Reduce mod cooldown by 5 seconds for kill (only for players, not bots)
-          if (gameState.players.has(grenade.throwerId)) {
+          if (room.players.has(grenade.throwerId)) {
             const now = Date.now();
             if (thrower.modCooldownEnd > now) {
               thrower.modCooldownEnd = Math.max(
@@ -3044,7 +5167,7 @@ function detonateGrenade(grenade) {
             }
           }
 
-          io.emit("kill", {
+          io.to(room.id).emit("kill", {
             killerId: grenade.throwerId,
             killerName: grenade.throwerName,
             victimId: player.id,
@@ -3053,7 +5176,7 @@ function detonateGrenade(grenade) {
           });
         } else if (grenade.throwerId === player.id) {
           // Suicide
-          io.emit("kill", {
+          io.to(room.id).emit("kill", {
             killerId: player.id,
             killerName: player.name,
             victimId: player.id,
@@ -3061,12 +5184,15 @@ function detonateGrenade(grenade) {
             weapon: "grenade (suicide)",
           });
         }
+
+        emitDeathEvents(room, player, grenade.throwerId, "grenade");
+        applyModeDeath(room, player, thrower || null);
       }
     }
   }
 
   // Check bots
-  for (const [id, bot] of gameState.bots) {
+  for (const [id, bot] of room.bots) {
     if (bot.health <= 0) continue;
 
     const dx = bot.x - grenade.x;
@@ -3075,9 +5201,16 @@ function detonateGrenade(grenade) {
 
     if (distance <= GRENADE_CONFIG.BLAST_RADIUS) {
       const damagePercent = 1 - distance / GRENADE_CONFIG.BLAST_RADIUS;
-      const damage =
+      const damage = emitDamageEvent(
+        room,
+        bot,
         GRENADE_CONFIG.MIN_DAMAGE +
-        (GRENADE_CONFIG.MAX_DAMAGE - GRENADE_CONFIG.MIN_DAMAGE) * damagePercent;
+          (GRENADE_CONFIG.MAX_DAMAGE - GRENADE_CONFIG.MIN_DAMAGE) *
+            damagePercent,
+        grenade.throwerId,
+        "grenade",
+      );
+      if (damage <= 0 || bot.health <= 0) continue;
 
       let actualDamage = damage;
       if (bot.armor > 0) {
@@ -3096,17 +5229,16 @@ function detonateGrenade(grenade) {
 
       if (bot.health <= 0) {
         bot.deaths++;
-        bot.respawnAt = Date.now() + GAME_CONFIG.RESPAWN_DELAY;
 
         const thrower =
-          gameState.players.get(grenade.throwerId) ||
-          gameState.bots.get(grenade.throwerId);
+          room.players.get(grenade.throwerId) ||
+          room.bots.get(grenade.throwerId);
 
         if (thrower && grenade.throwerId !== bot.id) {
           thrower.kills++;
 
           // Reduce mod cooldown by 5 seconds for kill (only for players, not bots)
-          if (gameState.players.has(grenade.throwerId)) {
+          if (room.players.has(grenade.throwerId)) {
             const now = Date.now();
             if (thrower.modCooldownEnd > now) {
               thrower.modCooldownEnd = Math.max(
@@ -3123,7 +5255,7 @@ function detonateGrenade(grenade) {
             }
           }
 
-          io.emit("kill", {
+          io.to(room.id).emit("kill", {
             killerId: grenade.throwerId,
             killerName: grenade.throwerName,
             victimId: bot.id,
@@ -3131,12 +5263,15 @@ function detonateGrenade(grenade) {
             weapon: "grenade",
           });
         }
+
+        emitDeathEvents(room, bot, grenade.throwerId, "grenade");
+        applyModeDeath(room, bot, thrower || null);
       }
     }
   }
 
   // Emit explosion event
-  io.emit("grenadeExplode", {
+  io.to(room.id).emit("grenadeExplode", {
     id: grenade.id,
     x: grenade.x,
     y: grenade.y,
@@ -3146,126 +5281,419 @@ function detonateGrenade(grenade) {
 
   console.log(`💥 Grenade exploded! Hit ${damagedEntities.length} entities`);
 
+  room.events.emit("grenade", {
+    throwerId: grenade.throwerId,
+    x: grenade.x,
+    y: grenade.y,
+    radius: GRENADE_CONFIG.BLAST_RADIUS,
+    hitIds: damagedEntities.map((entity) => entity.id),
+  });
+
   // Create sound event for bots
-  createSoundEvent(grenade.x, grenade.y, "explosion", grenade.throwerId);
+  createSoundEvent(room, grenade.x, grenade.y, "explosion", grenade.throwerId);
 }
 
 // Game loop
 const TICK_INTERVAL = 1000 / GAME_CONFIG.TICK_RATE;
 const STATE_BROADCAST_INTERVAL = 1000 / 30; // Broadcast state 30 times per second
-let lastTick = Date.now();
-let lastStateBroadcast = Date.now();
 
-// Execute active persistent mods every game tick
-function executeActiveMods(now) {
-  try {
-    const activeMods = getActiveMods();
+// ====== MOD SANDBOX ======
 
-    for (const mod of activeMods) {
-      try {
-        // Create mod API for persistent mods
-        const modAPI = {
-          // Player access
-          getPlayer: (playerId) => {
-            return (
-              gameState.players.get(playerId) || gameState.bots.get(playerId)
-            );
-          },
+// Consecutive failed ticks per persistent mod (reset when a tick succeeds)
+const persistentModErrors = new Map(); // modId -> count
 
-          // Get the player who created this mod
-          getMyPlayer: () => {
-            return (
-              gameState.players.get(mod.player_id) ||
-              gameState.bots.get(mod.player_id)
-            );
-          },
-
-          // Manipulation functions
-          setHealth: (targetId, health) => {
-            const target =
-              gameState.players.get(targetId) || gameState.bots.get(targetId);
-            if (target) {
-              target.health = Math.max(
-                0,
-                Math.min(GAME_CONFIG.PLAYER_MAX_HEALTH, health),
-              );
-              return true;
-            }
-            return false;
-          },
-
-          setArmor: (targetId, armor) => {
-            const target =
-              gameState.players.get(targetId) || gameState.bots.get(targetId);
-            if (target) {
-              target.armor = Math.max(0, Math.min(100, armor));
-              return true;
-            }
-            return false;
-          },
-
-          setInvulnerable: (targetId, invulnerable) => {
-            const target =
-              gameState.players.get(targetId) || gameState.bots.get(targetId);
-            if (target) {
-              // Set invulnerable to far future or 0
-              target.invulnerable = invulnerable
-                ? now + 999999999
-                : Math.min(target.invulnerable, now);
-              return true;
-            }
-            return false;
-          },
-
-          teleport: (targetId, x, y) => {
-            const target =
-              gameState.players.get(targetId) || gameState.bots.get(targetId);
-            if (target) {
-              target.x = Math.max(0, Math.min(GAME_CONFIG.WORLD_WIDTH, x));
-              target.y = Math.max(0, Math.min(GAME_CONFIG.WORLD_HEIGHT, y));
-              return true;
-            }
-            return false;
-          },
+// Consecutive failed runs per catalog server mod (reset when one works)
+const serverModFailures = new Map(); // modId -> count
 
-          // Utility
-          now: now,
-          dt: (now - lastTick) / 1000,
-        };
+// Whether a failed run takes a catalog server mod out of the catalog: at once
+// if it can never work (invalid code, or it got the worker killed), otherwise
+// only once it keeps failing - a throw can come from the game state it ran in
+function isServerModBroken(mod, result) {
+  if (result.reason === "killed" || !analyzeModCode(mod.code, "server").valid) {
+    return true;
+  }
+  const failures = (serverModFailures.get(mod.id) || 0) + 1;
+  serverModFailures.set(mod.id, failures);
+  return failures >= SANDBOX_LIMITS.MAX_CONSECUTIVE_ERRORS;
+}
+
+// Plain copy of a player or bot for sandboxed mods (no AI internals)
+function toModEntity(entity) {
+  return {
+    id: entity.id,
+    name: entity.name,
+    isBot: entity.isBot === true,
+    x: entity.x,
+    y: entity.y,
+    vx: entity.vx,
+    vy: entity.vy,
+    aimAngle: entity.aimAngle,
+    health: entity.health,
+    armor: entity.armor,
+    weapon: entity.weapon,
+    ammo: entity.ammo,
+    maxAmmo: entity.maxAmmo,
+    grenades: entity.grenades || 0,
+    kills: entity.kills,
+    deaths: entity.deaths,
+    invulnerable: entity.invulnerable,
+    reloading: entity.reloading,
+  };
+}
+
+// Game data every sandboxed mod API reads from
+function getModGameData(room, now) {
+  return {
+    now,
+    players: Array.from(room.players.values()).map(toModEntity),
+    bots: Array.from(room.bots.values()).map(toModEntity),
+    projectiles: room.projectiles.map((p) => ({
+      id: p.id,
+      x: p.x,
+      y: p.y,
+      angle: p.angle,
+      shooterId: p.shooterId,
+    })),
+    pickups: room.pickups.map((p) => ({
+      id: p.id,
+      x: p.x,
+      y: p.y,
+      type: p.type,
+      active: p.active,
+    })),
+    maxHealth: GAME_CONFIG.PLAYER_MAX_HEALTH,
+    worldWidth: room.worldWidth,
+    worldHeight: room.worldHeight,
+    weapons: Object.keys(WEAPONS),
+    pickupTypes: Object.keys(PICKUP_TYPES),
+  };
+}
+
+// Game data for dry runs of generated mods: a copy of the default room's
+// state, run as its first player (or bot). Null if that room doesn't exist
+function getDryRunGameData() {
+  const room = roomManager.get(DEFAULT_ROOM_ID);
+  if (!room) return null;
+
+  const data = getModGameData(room, Date.now());
+  const runner = data.players[0] || data.bots[0];
+  return { ...data, myId: runner ? runner.id : null, dt: TICK_INTERVAL / 1000 };
+}
+
+// Apply the commands a sandboxed mod queued (only the API's own methods)
+function applyModCommands(api, commands) {
+  for (const { method, args } of commands) {
+    if (!Object.hasOwn(api, method)) {
+      console.warn(`⚠️ Mod API command ${method} has no server applier`);
+    } else if (Array.isArray(args)) {
+      api[method](...args);
+    }
+  }
+}
+
+function logModOutput(mod, result) {
+  for (const line of result.logs || []) {
+    console.log(`[Persistent Mod ${mod.id}]`, line);
+  }
+}
+
+// Remove a misbehaving persistent mod and tell the room why (no teardown -
+// it would most likely fail the same way)
+function disablePersistentMod(room, mod, failure) {
+  removeActiveMod(mod.id);
+  modRegistry.remove(room.id, mod.id);
+  persistentModErrors.delete(mod.id);
+  modSandbox.release([mod.id]);
+  releasePersistentModAPI(room, mod.id);
+
+  console.error(
+    `🚫 Disabled persistent mod ${mod.id} (${mod.name || "unnamed"}): ${failure.error}`,
+  );
+  io.to(room.id).emit("modDisabled", {
+    modId: mod.id,
+    name: mod.name || mod.description || "Unknown Mod",
+    activatorId: mod.player_id,
+    reason: failure.reason,
+    error: failure.error,
+  });
+}
+
+// Game changes mods can request - one applier per "command" member of the
+// mod API definition (public/modApi.js). Each persistent mod gets one that
+// owns what it changes in the bot brain; server mods get their own with
+// logging, since each runs only once
+function createModAPI(room, log = () => {}, owner = null) {
+  const findTarget = (targetId) =>
+    room.players.get(targetId) || room.bots.get(targetId);
+
+  return {
+    setHealth: (targetId, health) => {
+      const target = findTarget(targetId);
+      if (target) {
+        target.health = Math.max(
+          0,
+          Math.min(GAME_CONFIG.PLAYER_MAX_HEALTH, health),
+        );
+        log(`❤️ Set health of ${target.name} to ${target.health}`);
+      }
+    },
+
+    setArmor: (targetId, armor) => {
+      const target = findTarget(targetId);
+      if (target) {
+        target.armor = Math.max(0, Math.min(100, armor));
+        log(`🛡️ Set armor of ${target.name} to ${target.armor}`);
+      }
+    },
+
+    setInvulnerable: (targetId, invulnerable) => {
+      const target = findTarget(targetId);
+      if (target) {
+        // Set invulnerable to far future or 0
+        target.invulnerable = invulnerable
+          ? Date.now() + 999999999
+          : Math.min(target.invulnerable, Date.now());
+        log(`✨ Set invulnerability of ${target.name} to ${!!invulnerable}`);
+      }
+    },
+
+    teleportPlayer: (targetId, x, y) => {
+      const target = findTarget(targetId);
+      if (target) {
+        target.x = Math.max(0, Math.min(room.worldWidth, x));
+        target.y = Math.max(0, Math.min(room.worldHeight, y));
+        log(`📍 Teleported ${target.name} to (${target.x}, ${target.y})`);
+      }
+    },
+
+    giveWeapon: (targetId, weapon) => {
+      const target = findTarget(targetId);
+      if (target && WEAPONS[weapon]) {
+        target.weapon = weapon;
+        target.ammo = WEAPONS[weapon].mag;
+        target.maxAmmo = WEAPONS[weapon].mag;
+        target.reloading = false;
+        log(`🔫 Gave ${weapon} to ${target.name}`);
+      }
+    },
+
+    killPlayer: (targetId) => {
+      const target = findTarget(targetId);
+      if (target && target.health > 0) {
+        target.health = 0;
+        target.deaths++;
+        applyModeDeath(room, target, null);
+        log(`💀 Killed ${target.name}`);
+      }
+    },
 
-        // Execute the mod code
-        const modFunction = new Function("api", mod.code);
-        modFunction(modAPI);
-      } catch (error) {
-        console.error(`❌ Error executing active mod ${mod.id}:`, error);
-        // Don't remove the mod, just log the error and continue
+    spawnPickup: (x, y, type) => {
+      if (!PICKUP_TYPES[type]) return;
+
+      room.pickups.push({
+        id: room.nextPickupId++,
+        x: Math.max(0, Math.min(room.worldWidth, x)),
+        y: Math.max(0, Math.min(room.worldHeight, y)),
+        type,
+        active: true,
+        respawnAt: null,
+      });
+      log(`📦 Spawned pickup ${type} at (${x}, ${y})`);
+    },
+
+    broadcast: (message) => {
+      io.to(room.id).emit("serverModMessage", { message });
+    },
+
+    registerBotBehavior: (name, spec) => {
+      const behavior = createModBehavior(spec);
+      if (typeof name !== "string" || !behavior) {
+        console.warn(`⚠️ Mod ${owner} sent an invalid bot behavior ${name}`);
+        return;
+      }
+      if (room.botBrain.register(name, behavior, owner)) {
+        log(`🤖 Registered bot behavior ${name}`);
+      } else {
+        console.warn(`⚠️ Mod ${owner} can't replace bot behavior ${name}`);
+      }
+    },
+
+    setBotBehaviorWeight: (name, weight) => {
+      if (room.botBrain.setWeight(name, weight, owner)) {
+        log(`🤖 Bot behavior ${name} weight set to ${weight}`);
+      }
+    },
+
+    setBotPickupWeight: (type, weight) => {
+      if (!PICKUP_TYPES[type]) return;
+      if (room.botBrain.setPickupWeight(type, weight, owner)) {
+        log(`🤖 Bot pickup ${type} weight set to ${weight}`);
       }
+    },
+  };
+}
+
+// The command appliers for one persistent mod
+function getPersistentModAPI(room, mod) {
+  let api = room.persistentModAPIs.get(mod.id);
+  if (!api) {
+    api = createModAPI(room, undefined, mod.id);
+    room.persistentModAPIs.set(mod.id, api);
+  }
+  return api;
+}
+
+// Undo what a persistent mod that ended left in the bot brain
+function releasePersistentModAPI(room, modId) {
+  room.persistentModAPIs.delete(modId);
+  room.botBrain.removeOwner(modId);
+}
+
+// End every persistent mod in a room right away, running their teardown
+function endRoomPersistentMods(room) {
+  removeRoomActiveMods(room.id);
+  modRegistry.invalidate(room.id);
+  executeActiveMods(room, Date.now()); // Reload reports them all as ended
+}
+
+// What the sandbox needs to run a persistent mod
+function toSandboxMod(mod) {
+  return { id: mod.id, code: mod.code, playerId: mod.player_id };
+}
+
+// Apply a persistent mod's tick or event result, disabling the mod if it
+// keeps failing
+function handlePersistentModResult(room, mod, result) {
+  logModOutput(mod, result);
+
+  if (result.ok) {
+    persistentModErrors.delete(mod.id);
+    if (result.events) {
+      modRegistry.setEvents(room.id, mod.id, result.events);
+    }
+    applyModCommands(getPersistentModAPI(room, mod), result.commands);
+    return;
+  }
+
+  const errorCount = (persistentModErrors.get(mod.id) || 0) + 1;
+  persistentModErrors.set(mod.id, errorCount);
+  console.error(`❌ Error executing active mod ${mod.id}:`, result.error);
+
+  // A mod that got the worker killed goes immediately; errors and
+  // timeouts only once they repeat (a single slow tick can be a GC pause)
+  if (
+    result.reason === "killed" ||
+    errorCount >= SANDBOX_LIMITS.MAX_CONSECUTIVE_ERRORS
+  ) {
+    disablePersistentMod(room, mod, result);
+  }
+}
+
+// Deliver a game event to the persistent mods that handle it, applying
+// their changes to its modifiable fields
+function dispatchModEvent(room, type, event) {
+  const mods = modRegistry.subscribers(room.id, type);
+  if (mods.length === 0) return;
+
+  const data = { ...getModGameData(room, Date.now()), dt: 0 };
+  const { results, event: changed } = modSandbox.dispatchEvent(
+    mods.map(toSandboxMod),
+    type,
+    event,
+    data,
+  );
+
+  results.forEach((result, index) => {
+    handlePersistentModResult(room, mods[index], result);
+  });
+
+  for (const field of Object.keys(MOD_EVENTS[type].modifiable || {})) {
+    event[field] = changed[field];
+  }
+}
+
+// Forward every game event in a room to its persistent mods
+function attachModEvents(room) {
+  for (const type of Object.keys(MOD_EVENTS)) {
+    room.events.on(type, (event) => dispatchModEvent(room, type, event));
+  }
+}
+
+// A restarted sandbox has lost every persistent mod's state: end them all
+// (teardown runs once the new worker is up) instead of starting them over
+modSandbox.on("restart", () => {
+  for (const mod of modRegistry.endAll()) {
+    removeActiveMod(mod.id);
+    persistentModErrors.delete(mod.id);
+  }
+});
+
+// Execute active persistent mods every game tick (dt: seconds since the
+// last one)
+function executeActiveMods(room, now, dt) {
+  try {
+    // Wait for a restarted sandbox, so the mods it lost can be torn down
+    if (!modSandbox.isReady()) return;
+
+    const { active, ended } = modRegistry.update(room.id, now);
+    if (active.length === 0 && ended.length === 0) return;
+
+    const data = { ...getModGameData(room, now), dt };
+
+    // Let mods that expired or were removed clean up (teardown)
+    if (ended.length > 0) {
+      const results = modSandbox.endPersistentMods(
+        ended.map(toSandboxMod),
+        data,
+      );
+      results.forEach((result, index) => {
+        const mod = ended[index];
+        persistentModErrors.delete(mod.id);
+        logModOutput(mod, result);
+
+        if (result.ok) {
+          applyModCommands(getPersistentModAPI(room, mod), result.commands);
+        } else {
+          console.error(`❌ Error ending active mod ${mod.id}:`, result.error);
+        }
+        releasePersistentModAPI(room, mod.id);
+      });
     }
+
+    if (active.length === 0) return;
+
+    const results = modSandbox.runPersistentMods(
+      active.map(toSandboxMod),
+      data,
+    );
+    results.forEach((result, index) => {
+      handlePersistentModResult(room, active[index], result);
+    });
   } catch (error) {
     console.error("❌ Error in executeActiveMods:", error);
   }
 }
 
-function gameLoop() {
+function gameLoop(room) {
   const tickStartTime = Date.now();
 
   try {
     const now = Date.now();
-    const dt = (now - lastTick) / 1000; // seconds
-    lastTick = now;
+    const dt = (now - room.lastTick) / 1000; // seconds
+    room.lastTick = now;
 
     // Check warmup timer
-    if (gameState.warmupEndTime && now >= gameState.warmupEndTime) {
-      gameState.warmupEndTime = null;
-      startCountdown();
+    if (room.warmupEndTime && now >= room.warmupEndTime) {
+      room.warmupEndTime = null;
+      startCountdown(room);
     }
 
     // Clean up expired sound events
-    cleanupSoundEvents();
+    cleanupSoundEvents(room);
 
     // Update projectiles
-    for (let i = gameState.projectiles.length - 1; i >= 0; i--) {
-      const proj = gameState.projectiles[i];
+    for (let i = room.projectiles.length - 1; i >= 0; i--) {
+      const proj = room.projectiles[i];
 
       // Move projectile
       const moveDistance =
@@ -3276,7 +5704,7 @@ function gameLoop() {
 
       // Check if projectile exceeded max range
       if (proj.distanceTraveled >= proj.maxRange) {
-        gameState.projectiles.splice(i, 1);
+        room.projectiles.splice(i, 1);
         continue;
       }
 
@@ -3286,7 +5714,7 @@ function gameLoop() {
       let hitSomething = false;
 
       // Check wall collisions
-      for (const wall of WALLS) {
+      for (const wall of room.walls) {
         if (
           circleRectCollision(
             proj.x,
@@ -3312,7 +5740,7 @@ function gameLoop() {
             // Reduce damage after penetration
             proj.damage = Math.floor(proj.damage * 0.7);
             // Create penetration effect
-            io.emit("wallPenetration", {
+            io.to(room.id).emit("wallPenetration", {
               x: proj.x,
               y: proj.y,
               angle: proj.angle,
@@ -3321,7 +5749,7 @@ function gameLoop() {
             break;
           } else {
             // Hit wall - create wall impact
-            io.emit("wallImpact", {
+            io.to(room.id).emit("wallImpact", {
               x: proj.x,
               y: proj.y,
               angle: proj.angle,
@@ -3333,12 +5761,12 @@ function gameLoop() {
       }
 
       if (hitSomething) {
-        gameState.projectiles.splice(i, 1);
+        room.projectiles.splice(i, 1);
         continue;
       }
 
       // Check crate collisions
-      for (const crate of CRATES) {
+      for (const crate of room.crates) {
         if (
           circleRectCollision(
             proj.x,
@@ -3351,7 +5779,7 @@ function gameLoop() {
           )
         ) {
           // Hit crate - create wall impact
-          io.emit("wallImpact", {
+          io.to(room.id).emit("wallImpact", {
             x: proj.x,
             y: proj.y,
             angle: proj.angle,
@@ -3362,16 +5790,19 @@ function gameLoop() {
       }
 
       if (hitSomething) {
-        gameState.projectiles.splice(i, 1);
+        room.projectiles.splice(i, 1);
         continue;
       }
 
       // Check player collisions
-      for (const [id, player] of gameState.players) {
+      for (const [id, player] of room.players) {
         if (id === proj.shooterId || player.health <= 0) continue;
 
-        const dx = player.x - proj.x;
-        const dy = player.y - proj.y;
+        const hitbox = getLagCompensatedPosition(room, player, proj, now);
+        if (!hitbox) continue;
+
+        const dx = hitbox.x - proj.x;
+        const dy = hitbox.y - proj.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
 
         if (dist < GAME_CONFIG.PLAYER_RADIUS + PROJECTILE_RADIUS) {
@@ -3383,8 +5814,16 @@ function gameLoop() {
             ? proj.damage * GAME_CONFIG.HEADSHOT_DAMAGE_MULTIPLIER
             : proj.damage;
 
-          const killed = damagePlayer(player, finalDamage, proj.shooterId);
-          io.emit("hit", {
+          recordRewoundHit(room, proj, player, hitbox, now);
+          const killed = damagePlayer(
+            room,
+            player,
+            finalDamage,
+            proj.shooterId,
+            proj.weaponName,
+            isHeadshot,
+          );
+          io.to(room.id).emit("hit", {
             shooterId: proj.shooterId,
             targetId: player.id,
             damage: finalDamage,
@@ -3397,16 +5836,19 @@ function gameLoop() {
       }
 
       if (hitSomething) {
-        gameState.projectiles.splice(i, 1);
+        room.projectiles.splice(i, 1);
         continue;
       }
 
       // Check bot collisions
-      for (const [id, bot] of gameState.bots) {
+      for (const [id, bot] of room.bots) {
         if (id === proj.shooterId || bot.health <= 0) continue;
 
-        const dx = bot.x - proj.x;
-        const dy = bot.y - proj.y;
+        const hitbox = getLagCompensatedPosition(room, bot, proj, now);
+        if (!hitbox) continue;
+
+        const dx = hitbox.x - proj.x;
+        const dy = hitbox.y - proj.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
 
         if (dist < GAME_CONFIG.PLAYER_RADIUS + PROJECTILE_RADIUS) {
@@ -3418,8 +5860,16 @@ function gameLoop() {
             ? proj.damage * GAME_CONFIG.HEADSHOT_DAMAGE_MULTIPLIER
             : proj.damage;
 
-          const killed = damagePlayer(bot, finalDamage, proj.shooterId);
-          io.emit("hit", {
+          recordRewoundHit(room, proj, bot, hitbox, now);
+          const killed = damagePlayer(
+            room,
+            bot,
+            finalDamage,
+            proj.shooterId,
+            proj.weaponName,
+            isHeadshot,
+          );
+          io.to(room.id).emit("hit", {
             shooterId: proj.shooterId,
             targetId: bot.id,
             damage: finalDamage,
@@ -3432,19 +5882,19 @@ function gameLoop() {
       }
 
       if (hitSomething) {
-        gameState.projectiles.splice(i, 1);
+        room.projectiles.splice(i, 1);
         continue;
       }
     }
 
     // Update grenades
-    for (let i = gameState.grenades.length - 1; i >= 0; i--) {
-      const grenade = gameState.grenades[i];
+    for (let i = room.grenades.length - 1; i >= 0; i--) {
+      const grenade = room.grenades[i];
 
       // Check if grenade should detonate (fuse expired)
       if (now >= grenade.detonateTime) {
-        detonateGrenade(grenade);
-        gameState.grenades.splice(i, 1);
+        detonateGrenade(room, grenade);
+        room.grenades.splice(i, 1);
         continue;
       }
 
@@ -3454,7 +5904,7 @@ function gameLoop() {
 
       // Check wall/obstacle collisions - grenades bounce
       const GRENADE_RADIUS = 5;
-      for (const wall of WALLS) {
+      for (const wall of room.walls) {
         if (
           circleRectCollision(
             grenade.x,
@@ -3484,7 +5934,7 @@ function gameLoop() {
           }
 
           // Emit bounce sound
-          io.emit("grenadeBounce", {
+          io.to(room.id).emit("grenadeBounce", {
             id: grenade.id,
             x: grenade.x,
             y: grenade.y,
@@ -3494,7 +5944,7 @@ function gameLoop() {
       }
 
       // Check crate collisions
-      for (const crate of CRATES) {
+      for (const crate of room.crates) {
         if (
           circleRectCollision(
             grenade.x,
@@ -3519,7 +5969,7 @@ function gameLoop() {
             grenade.y += grenade.vy * dt * 2;
           }
 
-          io.emit("grenadeBounce", {
+          io.to(room.id).emit("grenadeBounce", {
             id: grenade.id,
             x: grenade.x,
             y: grenade.y,
@@ -3529,26 +5979,22 @@ function gameLoop() {
       }
 
       // Keep grenades in world bounds
-      if (grenade.x < 0 || grenade.x > GAME_CONFIG.WORLD_WIDTH) {
+      if (grenade.x < 0 || grenade.x > room.worldWidth) {
         grenade.vx = -grenade.vx * 0.5;
-        grenade.x = Math.max(0, Math.min(GAME_CONFIG.WORLD_WIDTH, grenade.x));
+        grenade.x = Math.max(0, Math.min(room.worldWidth, grenade.x));
       }
-      if (grenade.y < 0 || grenade.y > GAME_CONFIG.WORLD_HEIGHT) {
+      if (grenade.y < 0 || grenade.y > room.worldHeight) {
         grenade.vy = -grenade.vy * 0.5;
-        grenade.y = Math.max(0, Math.min(GAME_CONFIG.WORLD_HEIGHT, grenade.y));
+        grenade.y = Math.max(0, Math.min(room.worldHeight, grenade.y));
       }
     }
 
     // Update bots AI
-    for (const [id, bot] of gameState.bots) {
-      // Track current target info (persists outside think block for area check)
-      let nearestTarget = bot.currentTarget || null;
-      let nearestDist = bot.currentTargetDist || Infinity;
-
+    for (const [id, bot] of room.bots) {
       if (bot.health <= 0) {
         // Handle bot respawn
         if (bot.respawnAt && now >= bot.respawnAt) {
-          const spawn = getSpawnPoint(gameState.players);
+          const spawn = getSpawnPoint(room, bot.team);
           bot.x = spawn.x;
           bot.y = spawn.y;
           bot.health = GAME_CONFIG.PLAYER_MAX_HEALTH;
@@ -3562,478 +6008,40 @@ function gameLoop() {
           bot.wanderAngle = Math.random() * Math.PI * 2;
           bot.currentTarget = null;
           bot.currentTargetDist = Infinity;
+          clearBotPath(bot);
         }
         continue;
       }
 
-      // Simple bot AI - think every 200ms
+      // Bot AI - think as often as the bot's difficulty allows
       if (now > bot.thinkTimer) {
-        bot.thinkTimer = now + 200;
-
-        // Try to purchase a mod if bot has enough credits
-        tryPurchaseModForBot(bot);
-
-        // LISTEN for sounds (gunshots and footsteps)
-        let heardGunshot = null;
-        for (const sound of gameState.soundEvents) {
-          if (sound.sourceId === id) continue; // Don't hear own sounds
-
-          const dx = sound.x - bot.x;
-          const dy = sound.y - bot.y;
-          const dist = Math.sqrt(dx * dx + dy * dy);
-
-          // Check if sound is within hearing range
-          const hearingRange =
-            sound.type === "gunshot"
-              ? SOUND_CONFIG.GUNSHOT_RANGE
-              : SOUND_CONFIG.FOOTSTEP_RANGE;
-
-          if (dist < hearingRange) {
-            // Prioritize gunshots over footsteps
-            if (sound.type === "gunshot") {
-              if (!heardGunshot || dist < heardGunshot.dist) {
-                heardGunshot = {
-                  x: sound.x,
-                  y: sound.y,
-                  dist,
-                  type: sound.type,
-                };
-              }
-            }
-          }
-        }
-
-        // Gunshots always override current investigation
-        if (heardGunshot) {
-          bot.lastHeardSound = heardGunshot;
-        }
-
-        // Assess bot state for decision making
-        const healthPercent = bot.health / GAME_CONFIG.PLAYER_MAX_HEALTH;
-        const isLowHealth = healthPercent < 0.35; // More aggressive threshold
-        const hasArmor = bot.armor > 20; // Lower armor threshold for aggression
-        const isAggressive = hasArmor || healthPercent > 0.6; // More likely to be aggressive
-
-        // Find nearest VISIBLE target (human players or other bots)
-        let nearestTarget = null;
-        let nearestDist = Infinity;
-        const VISION_RANGE = 900; // Increased from 600 for more action
-
-        // Also track nearest target behind wall (for rifle wall penetration)
-        let nearestBehindWall = null;
-        let nearestBehindWallDist = Infinity;
-        let wallPenetrationInfo = null;
-
-        // Check human players - only if bot can see them
-        for (const player of gameState.players.values()) {
-          if (player.health <= 0) continue;
-          const dx = player.x - bot.x;
-          const dy = player.y - bot.y;
-          const dist = Math.sqrt(dx * dx + dy * dy);
-
-          // Check if visible
-          if (
-            dist < VISION_RANGE &&
-            hasLineOfSight(bot.x, bot.y, player.x, player.y)
-          ) {
-            if (dist < nearestDist) {
-              nearestDist = dist;
-              nearestTarget = player;
-            }
-          }
-          // Check if behind single wall (for rifle penetration)
-          else if (dist < VISION_RANGE && bot.weapon === "rifle") {
-            const penetrationCheck = canShootThroughWall(
-              bot.x,
-              bot.y,
-              player.x,
-              player.y,
-              VISION_RANGE,
-            );
-            if (penetrationCheck && dist < nearestBehindWallDist) {
-              nearestBehindWallDist = dist;
-              nearestBehindWall = player;
-              wallPenetrationInfo = penetrationCheck;
-            }
-          }
-        }
-
-        // Check other bots - only if bot can see them
-        for (const [otherId, otherBot] of gameState.bots) {
-          if (otherId === id || otherBot.health <= 0) continue;
-          const dx = otherBot.x - bot.x;
-          const dy = otherBot.y - bot.y;
-          const dist = Math.sqrt(dx * dx + dy * dy);
-
-          // Check if visible
-          if (
-            dist < VISION_RANGE &&
-            hasLineOfSight(bot.x, bot.y, otherBot.x, otherBot.y)
-          ) {
-            if (dist < nearestDist) {
-              nearestDist = dist;
-              nearestTarget = otherBot;
-            }
-          }
-          // Check if behind single wall (for rifle penetration)
-          else if (dist < VISION_RANGE && bot.weapon === "rifle") {
-            const penetrationCheck = canShootThroughWall(
-              bot.x,
-              bot.y,
-              otherBot.x,
-              otherBot.y,
-              VISION_RANGE,
-            );
-            if (penetrationCheck && dist < nearestBehindWallDist) {
-              nearestBehindWallDist = dist;
-              nearestBehindWall = otherBot;
-              wallPenetrationInfo = penetrationCheck;
-            }
-          }
-        }
-
-        // Remember last known enemy position for hunting
-        if (nearestTarget) {
-          bot.lastKnownEnemy = {
-            x: nearestTarget.x,
-            y: nearestTarget.y,
-            time: now,
-          };
-        } else if (nearestBehindWall) {
-          // Also remember enemies behind walls
-          bot.lastKnownEnemy = {
-            x: nearestBehindWall.x,
-            y: nearestBehindWall.y,
-            time: now,
-            behindWall: true,
-          };
-        }
-
-        // BEHAVIOR: Low health - retreat to find health
-        if (isLowHealth && !nearestTarget) {
-          const healthPickup = findBestPickup(bot);
-          if (healthPickup && healthPickup.type.startsWith("health")) {
-            const dx = healthPickup.x - bot.x;
-            const dy = healthPickup.y - bot.y;
-            const distToHealth = Math.sqrt(dx * dx + dy * dy);
-            const angle = Math.atan2(dy, dx);
-
-            // Move fast and directly when health is close and visible
-            if (
-              distToHealth < 200 &&
-              hasLineOfSight(bot.x, bot.y, healthPickup.x, healthPickup.y)
-            ) {
-              const moveSpeed = GAME_CONFIG.PLAYER_SPEED * 0.85;
-              bot.vx = Math.cos(angle) * moveSpeed;
-              bot.vy = Math.sin(angle) * moveSpeed;
-              bot.aimAngle = angle;
-            } else {
-              // Navigate around obstacles to reach health
-              const moveSpeed = GAME_CONFIG.PLAYER_SPEED * 0.75;
-              bot.vx = Math.cos(angle) * moveSpeed;
-              bot.vy = Math.sin(angle) * moveSpeed;
-              bot.aimAngle = angle;
-              bot.wanderAngle = angle; // Help wall sliding continue in right direction
-            }
-          } else {
-            // No health nearby, just retreat from last known danger
-            if (bot.lastHeardSound) {
-              const dx = bot.x - bot.lastHeardSound.x;
-              const dy = bot.y - bot.lastHeardSound.y;
-              const retreatAngle = Math.atan2(dy, dx);
-              const moveSpeed = GAME_CONFIG.PLAYER_SPEED * 0.7;
-              bot.vx = Math.cos(retreatAngle) * moveSpeed;
-              bot.vy = Math.sin(retreatAngle) * moveSpeed;
-              bot.aimAngle = retreatAngle + Math.PI; // Look behind while retreating
-            }
-          }
-        }
-        // BEHAVIOR: Low health WITH visible target - engage defensively
-        else if (isLowHealth && nearestTarget) {
-          const dx = nearestTarget.x - bot.x;
-          const dy = nearestTarget.y - bot.y;
-          bot.aimAngle = Math.atan2(dy, dx);
-
-          // Keep distance and retreat while shooting
-          const moveSpeed = GAME_CONFIG.PLAYER_SPEED * 0.6;
-          bot.vx = -Math.cos(bot.aimAngle) * moveSpeed;
-          bot.vy = -Math.sin(bot.aimAngle) * moveSpeed;
-
-          // Shoot if in range
-          if (nearestDist <= 400 && Math.random() < 0.4) {
-            if (
-              hasLineOfSight(bot.x, bot.y, nearestTarget.x, nearestTarget.y)
-            ) {
-              handleShoot(bot);
-            }
-          }
-        }
-        // BEHAVIOR: Target in range, engage tactically
-        else if (nearestTarget) {
-          // Get weapon-specific tactical ranges
-          const weaponData = WEAPONS[bot.weapon];
-          const canEngage = nearestDist <= weaponData.maxEngageRange;
-
-          if (canEngage) {
-            const dx = nearestTarget.x - bot.x;
-            const dy = nearestTarget.y - bot.y;
-            bot.aimAngle = Math.atan2(dy, dx);
-
-            // Weapon-specific combat ranges
-            const optimalMin = weaponData.optimalRange.min;
-            const optimalMax = weaponData.optimalRange.max;
-            const minRange = weaponData.minEngageRange;
-
-            // Adjust ranges based on aggression
-            const aggressionFactor = isAggressive ? 0.8 : 1.0;
-            const effectiveOptimalMin = optimalMin * aggressionFactor;
-            const effectiveOptimalMax = optimalMax * aggressionFactor;
-
-            // Movement logic based on weapon and distance
-            if (nearestDist < minRange) {
-              // Too close - back away while shooting
-              const moveSpeed = GAME_CONFIG.PLAYER_SPEED * 0.65;
-              bot.vx = -Math.cos(bot.aimAngle) * moveSpeed;
-              bot.vy = -Math.sin(bot.aimAngle) * moveSpeed;
-            } else if (nearestDist < effectiveOptimalMin) {
-              // Approaching optimal range - back up slightly
-              const moveSpeed = GAME_CONFIG.PLAYER_SPEED * 0.5;
-              bot.vx = -Math.cos(bot.aimAngle) * moveSpeed;
-              bot.vy = -Math.sin(bot.aimAngle) * moveSpeed;
-            } else if (nearestDist > effectiveOptimalMax) {
-              // Too far - move closer aggressively
-              const moveSpeed =
-                GAME_CONFIG.PLAYER_SPEED * (isAggressive ? 0.75 : 0.6);
-              bot.vx = Math.cos(bot.aimAngle) * moveSpeed;
-              bot.vy = Math.sin(bot.aimAngle) * moveSpeed;
-            } else {
-              // In optimal range - strafe perpendicular to enemy
-              const strafeAngle = bot.aimAngle + Math.PI / 2;
-              // Strafe consistently in one direction until changing
-              if (!bot.strafeDir || Math.random() < 0.05) {
-                bot.strafeDir = Math.random() > 0.5 ? 1 : -1;
-              }
-              const moveSpeed = GAME_CONFIG.PLAYER_SPEED * 0.5;
-              bot.vx = Math.cos(strafeAngle) * moveSpeed * bot.strafeDir;
-              bot.vy = Math.sin(strafeAngle) * moveSpeed * bot.strafeDir;
-            }
-
-            // Shoot when in effective range - very aggressive
-            const shootChance = isAggressive ? 0.9 : 0.75;
-            if (
-              nearestDist >= minRange &&
-              nearestDist <= weaponData.maxEngageRange &&
-              Math.random() < shootChance
-            ) {
-              if (
-                hasLineOfSight(bot.x, bot.y, nearestTarget.x, nearestTarget.y)
-              ) {
-                handleShoot(bot);
-              }
-            }
-
-            // Grenade throwing logic - bots will throw grenades tactically
-            if (bot.grenades && bot.grenades > 0) {
-              // Consider throwing grenade if:
-              // 1. Enemy is at medium-long range (150-400 pixels)
-              // 2. Bot has line of sight
-              // 3. Random chance (20% per think cycle)
-              const grenadeRange = nearestDist >= 150 && nearestDist <= 400;
-              const hasLOS = hasLineOfSight(
-                bot.x,
-                bot.y,
-                nearestTarget.x,
-                nearestTarget.y,
-              );
-
-              if (grenadeRange && hasLOS && Math.random() < 0.2) {
-                // Calculate power based on distance (closer = less power)
-                const powerPercent = Math.min(1.0, (nearestDist - 150) / 250);
-                const power = 0.3 + powerPercent * 0.7; // 30-100% power
-
-                throwGrenade(bot, power);
-              }
-            }
-          }
-        }
-        // BEHAVIOR: Rifle wall penetration - shoot through walls!
-        else if (
-          nearestBehindWall &&
-          bot.weapon === "rifle" &&
-          wallPenetrationInfo
-        ) {
-          // We have a rifle and detected an enemy behind exactly one wall
-          const dx = nearestBehindWall.x - bot.x;
-          const dy = nearestBehindWall.y - bot.y;
-          const angleToTarget = Math.atan2(dy, dx);
-          bot.aimAngle = angleToTarget;
-
-          // Get weapon data for range checks
-          const weaponData = WEAPONS[bot.weapon];
-          const minRange = weaponData.minEngageRange;
-
-          // Tactical movement - strafe while maintaining aim through wall
-          if (nearestBehindWallDist > weaponData.optimalRange.max) {
-            // Move closer to optimal range
-            const moveSpeed = GAME_CONFIG.PLAYER_SPEED * 0.7;
-            bot.vx = Math.cos(angleToTarget) * moveSpeed;
-            bot.vy = Math.sin(angleToTarget) * moveSpeed;
-          } else if (nearestBehindWallDist < minRange) {
-            // Too close - back away
-            const moveSpeed = GAME_CONFIG.PLAYER_SPEED * 0.6;
-            bot.vx = -Math.cos(angleToTarget) * moveSpeed;
-            bot.vy = -Math.sin(angleToTarget) * moveSpeed;
-          } else {
-            // In good range - strafe perpendicular to maintain position
-            const strafeAngle = angleToTarget + Math.PI / 2;
-            const moveSpeed = GAME_CONFIG.PLAYER_SPEED * 0.4;
-            bot.vx = Math.cos(strafeAngle) * moveSpeed * bot.strafeDir;
-            bot.vy = Math.sin(strafeAngle) * moveSpeed * bot.strafeDir;
-          }
-
-          // Shoot through wall - high probability when in good range
-          // Bot knows there's only one wall and rifle can penetrate
-          const wallShootChance = isAggressive ? 0.85 : 0.7;
-          if (
-            nearestBehindWallDist >= minRange &&
-            nearestBehindWallDist <= weaponData.maxEngageRange &&
-            Math.random() < wallShootChance
-          ) {
-            // Shoot through the wall!
-            handleShoot(bot);
-          }
-        }
-        // BEHAVIOR: Hunt last known enemy position
-        else if (bot.lastKnownEnemy && now - bot.lastKnownEnemy.time < 8000) {
-          // Hunt toward last known position for 8 seconds
-          const dx = bot.lastKnownEnemy.x - bot.x;
-          const dy = bot.lastKnownEnemy.y - bot.y;
-          const distToLastKnown = Math.sqrt(dx * dx + dy * dy);
-
-          if (distToLastKnown > 100) {
-            const angleToEnemy = Math.atan2(dy, dx);
-            const moveSpeed = GAME_CONFIG.PLAYER_SPEED * 0.8; // Hunt aggressively
-            bot.vx = Math.cos(angleToEnemy) * moveSpeed;
-            bot.vy = Math.sin(angleToEnemy) * moveSpeed;
-            bot.aimAngle = angleToEnemy;
-            bot.wanderAngle = angleToEnemy;
-
-            // If we have rifle and enemy was behind wall, try shooting through it
-            if (
-              bot.weapon === "rifle" &&
-              bot.lastKnownEnemy.behindWall &&
-              now - bot.lastKnownEnemy.time < 3000
-            ) {
-              // Recent enemy behind wall - try wall penetration shot
-              const penetrationCheck = canShootThroughWall(
-                bot.x,
-                bot.y,
-                bot.lastKnownEnemy.x,
-                bot.lastKnownEnemy.y,
-                VISION_RANGE,
-              );
-              if (penetrationCheck && Math.random() < 0.6) {
-                // 60% chance to shoot at last known position through wall
-                handleShoot(bot);
-              }
-            }
-          } else {
-            // Reached last known position, clear it
-            bot.lastKnownEnemy = null;
-          }
-        }
-        // BEHAVIOR: Heard gunshot - run toward it
-        else if (
-          bot.lastHeardSound &&
-          bot.lastHeardSound.type === "gunshot" &&
-          bot.lastHeardSound.dist > 50
-        ) {
-          const dx = bot.lastHeardSound.x - bot.x;
-          const dy = bot.lastHeardSound.y - bot.y;
-          const angleToSound = Math.atan2(dy, dx);
-
-          const moveSpeed = GAME_CONFIG.PLAYER_SPEED * 0.8; // Run fast toward gunfire
-          bot.vx = Math.cos(angleToSound) * moveSpeed;
-          bot.vy = Math.sin(angleToSound) * moveSpeed;
-          bot.aimAngle = angleToSound;
-
-          // Clear heard sound once we're close to the location
-          if (bot.lastHeardSound.dist < 50) {
-            bot.lastHeardSound = null;
-          }
-        }
-        // BEHAVIOR: Seek valuable pickups (armor/weapons) or control strategic positions
-        else {
-          bot.lastHeardSound = null; // Clear old sound
-
-          // Prioritize armor and weapon pickups
-          const bestPickup = findBestPickup(bot);
-          const shouldSeekPickup =
-            bestPickup &&
-            (bestPickup.type.startsWith("armor") ||
-              bestPickup.type.startsWith("weapon") ||
-              (bestPickup.type.startsWith("health") && bot.health < 70));
-
-          if (shouldSeekPickup) {
-            // Seek valuable pickup
-            const dx = bestPickup.x - bot.x;
-            const dy = bestPickup.y - bot.y;
-            const distToPickup = Math.sqrt(dx * dx + dy * dy);
-            const angle = Math.atan2(dy, dx);
-
-            const moveSpeed = GAME_CONFIG.PLAYER_SPEED * 0.75;
-            bot.vx = Math.cos(angle) * moveSpeed;
-            bot.vy = Math.sin(angle) * moveSpeed;
-            bot.aimAngle = angle;
-            bot.wanderAngle = angle;
-          } else {
-            // No valuable pickups - control strategic waypoints
-            // Change waypoint every 5-8 seconds or when reached
-            if (!bot.strategicWaypoint || now > bot.waypointTimer) {
-              bot.strategicWaypoint = getStrategicWaypoint(bot.x, bot.y);
-              bot.waypointTimer = now + 5000 + Math.random() * 3000;
-            }
-
-            if (bot.strategicWaypoint) {
-              const dx = bot.strategicWaypoint.x - bot.x;
-              const dy = bot.strategicWaypoint.y - bot.y;
-              const distToWaypoint = Math.sqrt(dx * dx + dy * dy);
-
-              if (distToWaypoint < 100) {
-                // Reached waypoint, pick a new one
-                bot.strategicWaypoint = getStrategicWaypoint(bot.x, bot.y);
-                bot.waypointTimer = now + 5000 + Math.random() * 3000;
-              } else {
-                // Move toward strategic waypoint
-                const angle = Math.atan2(dy, dx);
-                const moveSpeed = GAME_CONFIG.PLAYER_SPEED * 0.7;
-                bot.vx = Math.cos(angle) * moveSpeed;
-                bot.vy = Math.sin(angle) * moveSpeed;
-                bot.aimAngle = angle;
-                bot.wanderAngle = angle;
-              }
-            }
-          }
-        }
-
-        // Store target info for use outside think block
-        bot.currentTarget = nearestTarget;
-        bot.currentTargetDist = nearestDist;
+        thinkBot(room, bot, now);
       }
 
       // Freeze bots during countdown
-      if (gameState.countdownStartTime !== null) {
+      if (room.countdownStartTime !== null) {
         bot.vx = 0;
         bot.vy = 0;
       }
 
       // Move bot with collision detection and wall sliding
-      const newX = bot.x + bot.vx * dt;
-      const newY = bot.y + bot.vy * dt;
+      const speedMultiplier = getSpeedMultiplier(room, bot);
+      const newX = bot.x + bot.vx * speedMultiplier * dt;
+      const newY = bot.y + bot.vy * speedMultiplier * dt;
 
       let moved = false;
-      const hitX = checkWallCollision(newX, bot.y, GAME_CONFIG.PLAYER_RADIUS);
-      const hitY = checkWallCollision(bot.x, newY, GAME_CONFIG.PLAYER_RADIUS);
+      const hitX = checkWallCollision(
+        room,
+        newX,
+        bot.y,
+        GAME_CONFIG.PLAYER_RADIUS,
+      );
+      const hitY = checkWallCollision(
+        room,
+        bot.x,
+        newY,
+        GAME_CONFIG.PLAYER_RADIUS,
+      );
 
       // Try to move on both axes
       if (!hitX) {
@@ -4080,6 +6088,7 @@ function gameLoop() {
           bot.vy = Math.sin(escapeAngle) * escapeSpeed;
 
           bot.stuckTimer = null; // Reset stuck timer
+          clearBotPath(bot); // Plan again from wherever this gets us
 
           // If we're stuck while trying to reach a pickup, give up on it
           if (bot.targetPickupId) {
@@ -4099,18 +6108,18 @@ function gameLoop() {
         (bot.vx !== 0 || bot.vy !== 0) &&
         now - bot.lastFootstepSound > 300
       ) {
-        createSoundEvent(bot.x, bot.y, "footstep", bot.id);
+        createSoundEvent(room, bot.x, bot.y, "footstep", bot.id);
         bot.lastFootstepSound = now;
       }
 
       // Clamp to world bounds
       bot.x = Math.max(
         GAME_CONFIG.PLAYER_RADIUS,
-        Math.min(GAME_CONFIG.WORLD_WIDTH - GAME_CONFIG.PLAYER_RADIUS, bot.x),
+        Math.min(room.worldWidth - GAME_CONFIG.PLAYER_RADIUS, bot.x),
       );
       bot.y = Math.max(
         GAME_CONFIG.PLAYER_RADIUS,
-        Math.min(GAME_CONFIG.WORLD_HEIGHT - GAME_CONFIG.PLAYER_RADIUS, bot.y),
+        Math.min(room.worldHeight - GAME_CONFIG.PLAYER_RADIUS, bot.y),
       );
 
       // Track distance moved to detect if bot is stuck in an area
@@ -4121,32 +6130,22 @@ function gameLoop() {
       bot.totalDistanceMoved += distThisFrame;
       bot.lastAreaCheckPos = { x: bot.x, y: bot.y };
 
-      // Check every 3 seconds if bot has made meaningful progress
-      if (now - bot.areaCheckTimer > 3000) {
-        // If bot hasn't moved at least 200 pixels in 3 seconds, force relocation
-        // Exception: if bot is in combat, low health retreating, or just collected pickup
-        const hasTarget = nearestTarget && nearestDist < 450;
-        const isRetreating = bot.health < GAME_CONFIG.PLAYER_MAX_HEALTH * 0.4;
-
-        if (bot.totalDistanceMoved < 200 && !hasTarget && !isRetreating) {
-          // Bot is stuck in an area - pick a random new destination far away
-          const targetX = Math.random() * (GAME_CONFIG.WORLD_WIDTH - 400) + 200;
-          const targetY =
-            Math.random() * (GAME_CONFIG.WORLD_HEIGHT - 400) + 200;
-
-          const angleToTarget = Math.atan2(targetY - bot.y, targetX - bot.x);
-          bot.wanderAngle = angleToTarget;
-          bot.wanderTimer = now + 5000; // Keep this direction for 5 seconds
-
-          // Clear any heard sounds to force movement
-          bot.lastHeardSound = null;
+      // A bot that hasn't got anywhere lately (and isn't fighting or hurt)
+      // heads for somewhere random far away
+      const inCombat = bot.currentTarget && bot.currentTargetDist < 450;
+      const isHurt = bot.health < GAME_CONFIG.PLAYER_MAX_HEALTH * 0.4;
+      if (checkProgress(bot, now, inCombat, isHurt)) {
+        bot.strategicWaypoint = {
+          x: Math.random() * (room.worldWidth - 400) + 200,
+          y: Math.random() * (room.worldHeight - 400) + 200,
+        };
+        bot.waypointTimer = now + 5000; // Keep going there for 5 seconds
 
-          console.log(`🤖 ${bot.name} stuck in area, forcing relocation`);
-        }
+        // Clear any heard sounds to force movement, and plan again
+        bot.lastHeardSound = null;
+        clearBotPath(bot);
 
-        // Reset tracking
-        bot.areaCheckTimer = now;
-        bot.totalDistanceMoved = 0;
+        console.log(`🤖 ${bot.name} stuck in area, forcing relocation`);
       }
 
       // Handle reload
@@ -4161,9 +6160,10 @@ function gameLoop() {
         bot.reloadFinish = now + WEAPONS[bot.weapon].reload * 1000;
       }
 
-      // Check pickup collisions for bots
-      for (const pickup of gameState.pickups) {
-        if (!pickup.active) continue;
+      // Check pickup collisions for bots (leaving those mods told them to)
+      for (const pickup of room.pickups) {
+        if (!isPickupAvailable(room, pickup)) continue;
+        if (room.botBrain.getPickupWeight(pickup.type) === 0) continue;
 
         const dx = bot.x - pickup.x;
         const dy = bot.y - pickup.y;
@@ -4228,9 +6228,14 @@ function gameLoop() {
           if (collected) {
             pickup.active = false;
             pickup.respawnAt = now + config.respawn;
-            io.emit("pickupCollected", {
+            io.to(room.id).emit("pickupCollected", {
+              playerId: id,
+              pickupId: pickup.id,
+            });
+            room.events.emit("pickup", {
               playerId: id,
               pickupId: pickup.id,
+              type: pickup.type,
             });
 
             // Clear pickup target so bot picks a new one
@@ -4242,10 +6247,10 @@ function gameLoop() {
     }
 
     // Update players
-    for (const [id, player] of gameState.players) {
+    for (const [id, player] of room.players) {
       // Handle respawn
       if (player.health <= 0 && player.respawnAt && now >= player.respawnAt) {
-        const spawn = getSpawnPoint(gameState.players);
+        const spawn = getSpawnPoint(room, player.team);
         player.x = spawn.x;
         player.y = spawn.y;
         player.health = GAME_CONFIG.PLAYER_MAX_HEALTH;
@@ -4257,7 +6262,7 @@ function gameLoop() {
         player.respawnAt = null;
         player.reloading = false;
 
-        io.emit("respawn", {
+        io.to(room.id).emit("respawn", {
           playerId: id,
           x: player.x,
           y: player.y,
@@ -4266,32 +6271,16 @@ function gameLoop() {
 
       if (player.health <= 0) continue;
 
-      // Update position with collision detection
-      const newX = player.x + player.vx * dt;
-      const newY = player.y + player.vy * dt;
-
-      let playerMoved = false;
-      // Check X axis collision
-      const xBlocked = checkWallCollision(
-        newX,
-        player.y,
-        GAME_CONFIG.PLAYER_RADIUS,
-      );
-      if (!xBlocked) {
-        player.x = newX;
-        playerMoved = true;
-      }
-
-      // Check Y axis collision
-      const yBlocked = checkWallCollision(
-        player.x,
-        newY,
+      // Update position with collision detection (same code the client predicts with)
+      const playerMoved = moveWithCollision(
+        room,
+        player,
+        player.vx,
+        player.vy,
+        dt,
         GAME_CONFIG.PLAYER_RADIUS,
       );
-      if (!yBlocked) {
-        player.y = newY;
-        playerMoved = true;
-      }
+      player.lastInputSeq = player.pendingInputSeq;
 
       // Create footstep sounds when player moves (every 300ms)
       if (
@@ -4299,23 +6288,10 @@ function gameLoop() {
         (player.vx !== 0 || player.vy !== 0) &&
         now - player.lastFootstepSound > 300
       ) {
-        createSoundEvent(player.x, player.y, "footstep", player.id);
+        createSoundEvent(room, player.x, player.y, "footstep", player.id);
         player.lastFootstepSound = now;
       }
 
-      // Clamp to world bounds
-      player.x = Math.max(
-        GAME_CONFIG.PLAYER_RADIUS,
-        Math.min(GAME_CONFIG.WORLD_WIDTH - GAME_CONFIG.PLAYER_RADIUS, player.x),
-      );
-      player.y = Math.max(
-        GAME_CONFIG.PLAYER_RADIUS,
-        Math.min(
-          GAME_CONFIG.WORLD_HEIGHT - GAME_CONFIG.PLAYER_RADIUS,
-          player.y,
-        ),
-      );
-
       // Handle reload finish
       if (player.reloading && now >= player.reloadFinish) {
         player.reloading = false;
@@ -4323,7 +6299,7 @@ function gameLoop() {
       }
 
       // Check pickup collisions
-      for (const pickup of gameState.pickups) {
+      for (const pickup of room.pickups) {
         if (!pickup.active) {
           if (pickup.respawnAt && now >= pickup.respawnAt) {
             pickup.active = true;
@@ -4331,6 +6307,7 @@ function gameLoop() {
           }
           continue;
         }
+        if (!isPickupAvailable(room, pickup)) continue;
 
         const dx = player.x - pickup.x;
         const dy = player.y - pickup.y;
@@ -4395,56 +6372,44 @@ function gameLoop() {
           if (collected) {
             pickup.active = false;
             pickup.respawnAt = now + config.respawn;
-            io.emit("pickupCollected", {
+            io.to(room.id).emit("pickupCollected", {
+              playerId: id,
+              pickupId: pickup.id,
+            });
+            room.events.emit("pickup", {
               playerId: id,
               pickupId: pickup.id,
+              type: pickup.type,
             });
           }
         }
       }
     }
 
-    // Check Vibe Royale win condition: only one player/bot remaining
-    if (gameState.gameMode === "vibe-royale" && gameState.roundActive) {
-      const alivePlayers = Array.from(gameState.players.values()).filter(
-        (p) => p.health > 0,
-      );
-      const aliveBots = Array.from(gameState.bots.values()).filter(
-        (b) => b.health > 0,
-      );
-      const totalAlive = alivePlayers.length + aliveBots.length;
-
-      // If only one combatant remains, they win
-      if (totalAlive === 1) {
-        const winner = alivePlayers.length === 1 ? alivePlayers[0] : aliveBots[0];
-
-        console.log(`🏆 VIBE ROYALE WINNER: ${winner.name} (last survivor)`);
-
-        // End the round after a short delay (3 seconds)
-        setTimeout(() => {
-          resetRound(winner.id, winner.name);
-        }, 3000);
-      }
-    }
+    // Mode rules (flags etc.), then has anyone won the round?
+    getRoomMode(room).onTick(room, now, getModeActions(room));
+    checkModeWinCondition(room);
 
     // Send state update to all clients
     // Combine players and bots into one array
     const allPlayers = [
-      ...Array.from(gameState.players.values()),
-      ...Array.from(gameState.bots.values()),
+      ...Array.from(room.players.values()),
+      ...Array.from(room.bots.values()),
     ];
 
+    // Remember where everyone is this tick for lag-compensated hits
+    room.positionHistory.record(now, allPlayers);
+
     // Only broadcast state at reduced rate (not every tick)
-    if (now - lastStateBroadcast >= STATE_BROADCAST_INTERVAL) {
-      lastStateBroadcast = now;
+    if (now - room.lastStateBroadcast >= STATE_BROADCAST_INTERVAL) {
+      room.lastStateBroadcast = now;
 
       // Get active mods for broadcast
-      const activeMods = getActiveMods();
+      const activeMods = modRegistry.list(room.id);
       const modsForBroadcast = activeMods.map((mod) => {
         // Get player name who activated the mod
         const activator =
-          gameState.players.get(mod.player_id) ||
-          gameState.bots.get(mod.player_id);
+          room.players.get(mod.player_id) || room.bots.get(mod.player_id);
         const activatorName = activator ? activator.name : "Unknown";
 
         return {
@@ -4474,51 +6439,50 @@ function gameLoop() {
           grenades: p.grenades || 0,
           kills: p.kills,
           deaths: p.deaths,
+          credits: p.credits,
+          team: p.team,
           reloading: p.reloading,
           reloadFinish: p.reloadFinish,
           invulnerable: p.invulnerable > now,
+          speedMultiplier: getSpeedMultiplier(room, p),
+          lastInputSeq: p.lastInputSeq, // Last input applied (humans only)
         })),
-        pickups: gameState.pickups.map((p) => ({
+        pickups: room.pickups.map((p) => ({
           id: p.id,
           x: p.x,
           y: p.y,
           type: p.type,
-          active: p.active,
+          active: isPickupAvailable(room, p),
         })),
-        projectiles: gameState.projectiles.map((p) => ({
+        projectiles: room.projectiles.map((p) => ({
           id: p.id,
           x: Math.round(p.x),
           y: Math.round(p.y),
           angle: Math.round(p.angle * 100) / 100,
         })),
-        grenades: gameState.grenades.map((g) => ({
+        grenades: room.grenades.map((g) => ({
           id: g.id,
           x: Math.round(g.x),
           y: Math.round(g.y),
           detonateTime: g.detonateTime,
         })),
         activeMods: modsForBroadcast,
-        gameMode: gameState.gameMode,
-        killLeaderId: gameState.killLeaderId,
+        gameMode: room.gameMode,
+        killLeaderId: room.killLeaderId,
+        modeHud: getRoomMode(room).getHudInfo(room),
       };
 
-      const stateString = JSON.stringify(state);
-      performanceMonitor.recordMessage(Buffer.byteLength(stateString, "utf8"));
-      io.emit("state", state);
+      room.snapshots.push(state, now);
+      broadcastSnapshot(room);
     }
 
     // Execute active persistent mods
-    executeActiveMods(now);
-
-    // Update performance metrics
-    performanceMonitor.updateGameState({
-      players: gameState.players.size,
-      bots: gameState.bots.size,
-      projectiles: gameState.projectiles.length,
-      pickups: gameState.pickups.filter((p) => p.active).length,
-    });
-    performanceMonitor.updateConnectionCount(io.engine.clientsCount);
+    executeActiveMods(room, now, dt);
 
+    // Run one server mod a bot bought, once this tick is done
+    if (room.botModQueue.length > 0) {
+      setImmediate(runQueuedBotMod, room);
+    }
 
     // Record tick time
     const tickEndTime = Date.now();
@@ -4532,24 +6496,22 @@ function gameLoop() {
 }
 
 // Initialize and start server
-initializePickups();
-maintainBotCount(); // Spawn initial bots
+// The public arena always exists; other rooms are created on demand
+createMatchRoom({ id: DEFAULT_ROOM_ID, name: "Public Arena" });
 
-// Start the first warmup after a short delay
-setTimeout(() => {
-  startWarmup();
-}, 2000);
+// Start the mod sandbox now rather than stalling the first mod that runs
+modSandbox.start();
 
-// Clean up expired active mods every 10 seconds
+// Clean up expired active mods and idle rooms every 10 seconds
 setInterval(() => {
   cleanupExpiredMods();
+  cleanupIdleRooms();
 }, 10000);
 
-setInterval(gameLoop, TICK_INTERVAL);
-
-
 httpServer.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Open http://localhost:${PORT} in your browser`);
-  console.log(`🤖 ${gameState.bots.size} bots ready`);
+  console.log(
+    `🤖 ${roomManager.get(DEFAULT_ROOM_ID).bots.size} bots ready in the public arena`,
+  );
 });
@@ -0,0 +1,136 @@
+/**
+ * Snapshot History
+ * Keeps recent state snapshots for a room and encodes them as deltas
+ * against whichever snapshot a client last acknowledged
+ */
+
+// ~2 seconds of history at the 30Hz broadcast rate
+const DEFAULT_HISTORY_SIZE = 64;
+
+// Collections diffed per entity (by id) and per field
+const ENTITY_COLLECTIONS = ["players", "pickups"];
+
+// Sent in full every snapshot - projectiles and grenades move every tick
+const FULL_COLLECTIONS = ["projectiles", "grenades"];
+
+// Only sent when they differ from the baseline
+const TRACKED_FIELDS = ["activeMods", "gameMode", "killLeaderId", "modeHud"];
+
+/**
+ * Field-level diff of two entity lists keyed by id
+ * New entities are sent whole, existing ones only with changed fields
+ * @param {Array} baseList - Entities in the baseline snapshot
+ * @param {Array} currentList - Entities in the current snapshot
+ */
+export function diffEntities(baseList, currentList) {
+  const baseById = new Map(baseList.map((entity) => [entity.id, entity]));
+  const updated = [];
+
+  for (const entity of currentList) {
+    const baseEntity = baseById.get(entity.id);
+    baseById.delete(entity.id);
+
+    if (!baseEntity) {
+      updated.push(entity);
+      continue;
+    }
+
+    let changes = null;
+    for (const key in entity) {
+      if (entity[key] !== baseEntity[key]) {
+        changes = changes || { id: entity.id };
+        changes[key] = entity[key];
+      }
+    }
+    if (changes) {
+      updated.push(changes);
+    }
+  }
+
+  // Anything left in the baseline is gone
+  const removed = Array.from(baseById.keys());
+
+  return { updated, removed };
+}
+
+export class SnapshotHistory {
+  constructor(size = DEFAULT_HISTORY_SIZE) {
+    this.size = size;
+    this.seq = 0;
+    this.snapshots = new Map(); // seq -> full state
+    this.times = new Map(); // seq -> time the snapshot was taken
+    this.encoded = new Map(); // baseSeq -> { message, bytes } for the latest seq
+  }
+
+  /**
+   * Store the state for this broadcast and return its sequence number
+   * @param {Object} state - Full state snapshot (must not be mutated afterwards)
+   * @param {number} time - When the snapshot was taken
+   */
+  push(state, time = Date.now()) {
+    this.seq++;
+    this.snapshots.set(this.seq, state);
+    this.times.set(this.seq, time);
+    this.encoded.clear();
+
+    // Drop the oldest snapshot once history is full
+    if (this.snapshots.size > this.size) {
+      this.snapshots.delete(this.seq - this.size);
+      this.times.delete(this.seq - this.size);
+    }
+
+    return this.seq;
+  }
+
+  has(seq) {
+    return this.snapshots.has(seq);
+  }
+
+  getTime(seq) {
+    return this.times.get(seq);
+  }
+
+  /**
+   * Encode the latest snapshot relative to a client's acknowledged baseline
+   * Falls back to a keyframe when the baseline is unknown or too old
+   * Results are cached so clients sharing a baseline share the work
+   * @param {number|null} baseSeq - Last sequence number the client acknowledged
+   */
+  encode(baseSeq) {
+    const base = baseSeq != null ? this.snapshots.get(baseSeq) : undefined;
+    const cacheKey = base ? baseSeq : null;
+
+    if (this.encoded.has(cacheKey)) {
+      return this.encoded.get(cacheKey);
+    }
+
+    const current = this.snapshots.get(this.seq);
+    const message = {
+      seq: this.seq,
+      baseSeq: base ? baseSeq : null, // null = keyframe
+    };
+
+    for (const key of ENTITY_COLLECTIONS) {
+      message[key] = diffEntities(base ? base[key] : [], current[key]);
+    }
+
+    for (const key of FULL_COLLECTIONS) {
+      message[key] = current[key];
+    }
+
+    for (const key of TRACKED_FIELDS) {
+      if (!base || JSON.stringify(base[key]) !== JSON.stringify(current[key])) {
+        message[key] = current[key];
+      }
+    }
+
+    const encoded = {
+      message,
+      bytes: Buffer.byteLength(JSON.stringify(message), "utf8"),
+    };
+    this.encoded.set(cacheKey, encoded);
+    return encoded;
+  }
+}
+
+export default SnapshotHistory;
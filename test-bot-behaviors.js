@@ -0,0 +1,278 @@
+// Tests for the bot brain (bot-behaviors.js), without a server: a fake
+// perception context goes in, and the behavior that wins is checked
+// Run: node test-bot-behaviors.js
+
+import assert from "assert/strict";
+import BotBrain, {
+  checkProgress,
+  createModBehavior,
+  findTargets,
+  listen,
+} from "./bot-behaviors.js";
+
+const WEAPONS = {
+  pistol: {
+    minEngageRange: 50,
+    maxEngageRange: 600,
+    optimalRange: { min: 150, max: 400 },
+  },
+  rifle: {
+    minEngageRange: 100,
+    maxEngageRange: 1000,
+    optimalRange: { min: 300, max: 700 },
+  },
+};
+
+const PROFILE = {
+  visionRange: 900,
+  hearingMultiplier: 1,
+  grenadeChance: 0,
+};
+
+function makeBot(overrides = {}) {
+  return {
+    id: "bot_1",
+    x: 500,
+    y: 500,
+    vx: 0,
+    vy: 0,
+    health: 100,
+    weapon: "pistol",
+    grenades: 0,
+    aimAngle: 0,
+    lastHeardSound: null,
+    memory: { forget() {} },
+    areaCheckTimer: 0,
+    totalDistanceMoved: 0,
+    ...overrides,
+  };
+}
+
+// What a bot perceives, with game actions that do nothing
+function makeContext(overrides = {}) {
+  const bot = overrides.bot || makeBot();
+  return {
+    now: 10000,
+    profile: PROFILE,
+    isLowHealth: false,
+    isAggressive: false,
+    target: null,
+    targetDist: Infinity,
+    behindWall: null,
+    behindWallDist: Infinity,
+    hasReacted: true,
+    objective: null,
+    lastKnown: null,
+    game: {
+      steer: () => 0,
+      aimAt: () => true,
+      shoot() {},
+      throwGrenade() {},
+      hasLineOfSight: () => true,
+      canShootThroughWall: () => false,
+      findBestPickup: () => null,
+      findNearestPickup: () => null,
+      findNearestCover: () => null,
+      findFlankWaypoint: () => null,
+      getStrategicWaypoint: () => ({ x: 1500, y: 1500 }),
+      findEntity: () => null,
+      weapons: WEAPONS,
+      playerSpeed: 200,
+    },
+    ...overrides,
+    bot,
+  };
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+// ====== PERCEPTION ======
+
+test("listen hears the nearest gunshot in range, not footsteps or itself", () => {
+  const bot = makeBot();
+  const sounds = [
+    { x: 900, y: 500, type: "gunshot", sourceId: "p1" },
+    { x: 600, y: 500, type: "gunshot", sourceId: "p2" },
+    { x: 510, y: 500, type: "footstep", sourceId: "p3" },
+    { x: 505, y: 500, type: "gunshot", sourceId: "bot_1" },
+    { x: 3000, y: 500, type: "gunshot", sourceId: "p4" },
+  ];
+  const heard = listen(bot, sounds, { gunshot: 1000, footstep: 300 }, PROFILE);
+  assert.deepEqual(heard, { x: 600, y: 500, dist: 100, type: "gunshot" });
+
+  assert.equal(
+    listen(bot, sounds.slice(2), { gunshot: 1000, footstep: 300 }, PROFILE),
+    null,
+  );
+});
+
+test("findTargets picks the nearest enemy in sight", () => {
+  const bot = makeBot();
+  const near = { id: "near", x: 700, y: 500 };
+  const far = { id: "far", x: 900, y: 500 };
+  const blocked = { id: "blocked", x: 550, y: 500 };
+  const found = findTargets(bot, [far, near, blocked], PROFILE, {
+    hasLineOfSight: (x1, y1, x2) => x2 !== blocked.x,
+    canShootThroughWall: () => true,
+  });
+
+  assert.equal(found.target, near);
+  assert.equal(found.targetDist, 200);
+  assert.deepEqual(found.visible, [far, near]);
+  // Only rifles look for shots through walls
+  assert.equal(found.behindWall, null);
+});
+
+test("findTargets gives rifles an enemy to shoot through a wall", () => {
+  const bot = makeBot({ weapon: "rifle" });
+  const blocked = { id: "blocked", x: 550, y: 500 };
+  const found = findTargets(bot, [blocked], PROFILE, {
+    hasLineOfSight: () => false,
+    canShootThroughWall: () => true,
+  });
+
+  assert.equal(found.target, null);
+  assert.equal(found.behindWall, blocked);
+});
+
+test("findTargets prefers the enemy teammates focus on", () => {
+  const bot = makeBot();
+  const near = { id: "near", x: 700, y: 500 };
+  const focused = { id: "focused", x: 800, y: 500 };
+  const found = findTargets(bot, [near, focused], PROFILE, {
+    hasLineOfSight: () => true,
+    canShootThroughWall: () => false,
+    focusBonus: (enemy) => (enemy === focused ? 150 : 0),
+  });
+
+  assert.equal(found.target, focused);
+});
+
+test("checkProgress flags a bot that hasn't moved, unless it's busy", () => {
+  const stuck = makeBot({ areaCheckTimer: 0, totalDistanceMoved: 50 });
+  assert.equal(checkProgress(stuck, 1000, false, false), false); // Too soon
+  assert.equal(checkProgress(stuck, 5000, false, false), true);
+  assert.equal(stuck.totalDistanceMoved, 0);
+
+  const fighting = makeBot({ areaCheckTimer: 0, totalDistanceMoved: 50 });
+  assert.equal(checkProgress(fighting, 5000, true, false), false);
+
+  const moving = makeBot({ areaCheckTimer: 0, totalDistanceMoved: 500 });
+  assert.equal(checkProgress(moving, 5000, false, false), false);
+});
+
+// ====== DECISIONS ======
+
+test("retreat wins at low health with nobody in sight", () => {
+  const ctx = makeContext({ isLowHealth: true });
+  assert.equal(new BotBrain().decide(ctx).behavior, "retreat");
+});
+
+test("seekCover wins at low health under fire", () => {
+  const target = { id: "p1", x: 700, y: 500 };
+  const ctx = makeContext({ isLowHealth: true, target, targetDist: 200 });
+  assert.equal(new BotBrain().decide(ctx).behavior, "seekCover");
+});
+
+test("objective wins when there's no target", () => {
+  const ctx = makeContext({
+    objective: { x: 1000, y: 1000, urgent: false },
+    lastKnown: { enemyId: "p1", x: 800, y: 800, time: 9000 },
+  });
+  assert.equal(new BotBrain().decide(ctx).behavior, "objective");
+});
+
+test("engage wins with a target in line of sight", () => {
+  const bot = makeBot();
+  const enemy = { id: "p1", x: 800, y: 500 };
+  const { target, targetDist } = findTargets(bot, [enemy], PROFILE, {
+    hasLineOfSight: () => true,
+    canShootThroughWall: () => false,
+  });
+  const ctx = makeContext({
+    bot,
+    target,
+    targetDist,
+    objective: { x: 1000, y: 1000, urgent: false },
+  });
+
+  assert.equal(new BotBrain().decide(ctx).behavior, "engage");
+});
+
+test("an urgent objective beats a fight", () => {
+  const target = { id: "p1", x: 800, y: 500 };
+  const ctx = makeContext({
+    target,
+    targetDist: 300,
+    objective: { x: 1000, y: 1000, urgent: true },
+  });
+  assert.equal(new BotBrain().decide(ctx).behavior, "objective");
+});
+
+test("hunt goes after a remembered enemy, patrol when there's nothing", () => {
+  const lastKnown = { enemyId: "p1", x: 800, y: 800, time: 9000 };
+  assert.equal(
+    new BotBrain().decide(makeContext({ lastKnown })).behavior,
+    "hunt",
+  );
+  assert.equal(new BotBrain().decide(makeContext()).behavior, "patrolWaypoint");
+});
+
+test("a weight of 0 turns a behavior off", () => {
+  const brain = new BotBrain();
+  assert.equal(brain.setWeight("retreat", 0), true);
+  const ctx = makeContext({ isLowHealth: true });
+  const { behavior, scores } = brain.decide(ctx);
+  assert.equal(scores.retreat, 0);
+  assert.notEqual(behavior, "retreat");
+});
+
+test("a mod behavior wins over the built-ins it outscores", () => {
+  const brain = new BotBrain();
+  const behavior = createModBehavior({
+    priority: 7.5,
+    when: { hasTarget: true },
+    action: { type: "hold" },
+  });
+  assert.ok(brain.register("holdGround", behavior, "mod_1"));
+  assert.equal(brain.register("engage", behavior, "mod_1"), false);
+
+  const target = { id: "p1", x: 800, y: 500 };
+  const ctx = makeContext({ target, targetDist: 300 });
+  assert.equal(brain.decide(ctx).behavior, "holdGround");
+
+  brain.removeOwner("mod_1");
+  assert.equal(brain.decide(ctx).behavior, "engage");
+});
+
+test("think runs the winner and leaves the decision on the bot", () => {
+  const target = { id: "p1", x: 1300, y: 500 };
+  const ctx = makeContext({ target, targetDist: 800 });
+  new BotBrain().think(ctx);
+
+  assert.equal(ctx.bot.decision.behavior, "engage");
+  assert.equal(ctx.bot.decision.at, ctx.now);
+  // Out of engage range: nothing happens
+  assert.equal(ctx.bot.vx, 0);
+
+  const close = makeContext({ target, targetDist: 500 });
+  new BotBrain().think(close);
+  assert.ok(close.bot.vx > 0, "moves toward a target that's too far");
+});
+
+let failed = 0;
+for (const { name, fn } of tests) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+console.log(`\n${tests.length - failed}/${tests.length} passed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,94 @@
+// Tests that mod code can't reach the server through the sandbox
+// Run: node test-mod-sandbox.js
+
+import assert from "assert/strict";
+import { modSandbox } from "./mod-sandbox.js";
+
+const GAME_DATA = {
+  players: [{ id: "p1", name: "Tester", x: 100, y: 100, health: 50 }],
+  bots: [],
+  projectiles: [],
+  pickups: [],
+  now: Date.now(),
+  dt: 0.016,
+  myId: "p1",
+};
+
+// Each of these got the host's process (and so process.env) before
+const ESCAPES = {
+  "this.constructor.constructor":
+    "return this.constructor.constructor('return process')().pid;",
+  "this of a nested function":
+    "return (function () { return this; })().constructor.constructor('return process')().pid;",
+  "globalThis.constructor.constructor":
+    "return globalThis.constructor.constructor('return process')().pid;",
+  "the global's prototype":
+    "return Object.getPrototypeOf(globalThis).constructor.constructor('return process')().pid;",
+  "the api object":
+    "return api.constructor.constructor('return process')().pid;",
+  "a thrown error":
+    "try { null.x; } catch (e) { return e.constructor.constructor('return process')().pid; }",
+};
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+for (const [name, code] of Object.entries(ESCAPES)) {
+  test(`server mods can't escape through ${name}`, () => {
+    const result = modSandbox.runServerMod(code, GAME_DATA);
+    assert.equal(result.ok, false, `got ${result.result}`);
+  });
+
+  test(`persistent mods can't escape through ${name}`, () => {
+    const mod = {
+      id: `escape_${name}`,
+      code: `function setup(api, state) { ${code} }`,
+    };
+    const [result] = modSandbox.runPersistentMods([mod], GAME_DATA);
+    modSandbox.release([mod.id]);
+    assert.equal(result.ok, false, `got ${result.result}`);
+  });
+}
+
+test("mod code runs in strict mode", () => {
+  const result = modSandbox.runServerMod("leaked = 1;", GAME_DATA);
+  assert.equal(result.ok, false);
+  assert.match(result.error, /leaked is not defined/);
+});
+
+test("the context global has no prototype", () => {
+  const result = modSandbox.runServerMod(
+    "return typeof globalThis.constructor + ' ' + typeof this;",
+    GAME_DATA,
+  );
+  assert.equal(result.ok, true);
+  assert.equal(result.result, "function undefined");
+});
+
+test("ordinary mods still run", () => {
+  const result = modSandbox.runServerMod(
+    "const me = api.getMyPlayer(); api.setHealth(me.id, 100); return me.name;",
+    GAME_DATA,
+  );
+  assert.equal(result.ok, true, result.error);
+  assert.equal(result.result, "Tester");
+  assert.equal(result.commands.length, 1);
+});
+
+modSandbox.start();
+
+let failed = 0;
+for (const { name, fn } of tests) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}\n   ${error.message}`);
+  }
+}
+
+console.log(`\n${tests.length - failed}/${tests.length} passed`);
+process.exit(failed > 0 ? 1 : 0);